@@ -0,0 +1,206 @@
+/**
+ * AQL Constants and Helper Functions
+ * Stichprobenpläne nach ISO 2859-1 (Einfach-Stichprobenanweisung, normale Prüfung)
+ *
+ * Ablauf: Losgröße + Prüfniveau → Kennbuchstabe → Stichprobenumfang,
+ * Kennbuchstabe + AQL → Annahmezahl (Ac) / Rückweisezahl (Re)
+ */
+
+// ===== AQL CONSTANTS =====
+
+/**
+ * Prüfniveaus (allgemein I-III, besondere S-1 bis S-4)
+ */
+const INSPECTION_LEVELS = {
+    S1: 'S-1',
+    S2: 'S-2',
+    S3: 'S-3',
+    S4: 'S-4',
+    I: 'I',
+    II: 'II',
+    III: 'III'
+};
+
+/**
+ * Unterstützte AQL-Werte (Prozent fehlerhafter Einheiten)
+ * Reihenfolge entspricht den Spalten der ISO 2859-1 Tabelle II-A
+ */
+const AQL_VALUES = [0.65, 1.0, 1.5, 2.5, 4.0, 6.5];
+
+/**
+ * Status eines Prüfloses
+ */
+const LOT_STATUS = {
+    OPEN: 'open',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Standardwerte (überschreibbar per QC_AQL_DEFAULT / QC_AQL_INSPECTION_LEVEL)
+ */
+const DEFAULT_AQL = 2.5;
+const DEFAULT_INSPECTION_LEVEL = INSPECTION_LEVELS.II;
+
+/**
+ * Obergrenzen der Losgrößen-Klassen (ISO 2859-1 Tabelle I)
+ */
+const LOT_SIZE_LIMITS = [8, 15, 25, 50, 90, 150, 280, 500, 1200, 3200, 10000, 35000, 150000, 500000, Infinity];
+
+/**
+ * Kennbuchstaben je Prüfniveau und Losgrößen-Klasse (ISO 2859-1 Tabelle I)
+ */
+const CODE_LETTER_TABLE = {
+    [INSPECTION_LEVELS.S1]: ['A', 'A', 'A', 'A', 'B', 'B', 'B', 'B', 'C', 'C', 'C', 'C', 'D', 'D', 'D'],
+    [INSPECTION_LEVELS.S2]: ['A', 'A', 'A', 'B', 'B', 'B', 'C', 'C', 'C', 'D', 'D', 'D', 'E', 'E', 'E'],
+    [INSPECTION_LEVELS.S3]: ['A', 'A', 'B', 'B', 'C', 'C', 'D', 'D', 'E', 'E', 'F', 'F', 'G', 'G', 'H'],
+    [INSPECTION_LEVELS.S4]: ['A', 'A', 'B', 'C', 'C', 'D', 'E', 'E', 'F', 'G', 'G', 'H', 'J', 'J', 'K'],
+    [INSPECTION_LEVELS.I]: ['A', 'A', 'B', 'C', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N'],
+    [INSPECTION_LEVELS.II]: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q'],
+    [INSPECTION_LEVELS.III]: ['B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q', 'R']
+};
+
+/**
+ * Stichprobenumfang je Kennbuchstabe (ISO 2859-1 Tabelle II-A)
+ */
+const CODE_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q', 'R'];
+const SAMPLE_SIZES = [2, 3, 5, 8, 13, 20, 32, 50, 80, 125, 200, 315, 500, 800, 1250, 2000];
+
+/**
+ * Diagonalen der Tabelle II-A
+ * Kennbuchstabe und AQL sind geometrische Reihen mit gleichem Faktor, daher hängt
+ * Ac/Re nur von (Kennbuchstaben-Index + AQL-Index) ab. 'up'/'down' sind die Pfeile der
+ * Tabelle: ersten Plan oberhalb bzw. unterhalb verwenden (inkl. dessen Stichprobenumfang).
+ */
+const ACCEPTANCE_DIAGONAL = [
+    [0, 1], 'up', 'down', [1, 2], [2, 3], [3, 4], [5, 6], [7, 8], [10, 11], [14, 15], [21, 22]
+];
+const DIAGONAL_OFFSET = 5; // Index-Summe der ersten Diagonale (z.B. AQL 2.5 bei Kennbuchstabe C)
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Kennbuchstabe für Losgröße und Prüfniveau bestimmen
+ * @param {number} lotSize - Losgröße (Anzahl Kartons im Auftrag)
+ * @param {string} inspectionLevel - Prüfniveau
+ * @returns {string|null} - Kennbuchstabe oder null bei ungültiger Eingabe
+ */
+function getCodeLetter(lotSize, inspectionLevel = DEFAULT_INSPECTION_LEVEL) {
+    const letters = CODE_LETTER_TABLE[inspectionLevel];
+    if (!letters || !Number.isInteger(lotSize) || lotSize < 2) {
+        return null;
+    }
+
+    const sizeClass = LOT_SIZE_LIMITS.findIndex(limit => lotSize <= limit);
+    return letters[sizeClass];
+}
+
+/**
+ * Ac/Re-Eintrag der Tabelle II-A für Kennbuchstaben- und AQL-Index
+ * @returns {Array|string} - [Ac, Re] oder Pfeil 'up'/'down'
+ */
+function getDiagonalEntry(letterIndex, aqlIndex) {
+    const diagonal = letterIndex + aqlIndex - DIAGONAL_OFFSET;
+
+    if (diagonal < 0) return 'down';
+    if (diagonal >= ACCEPTANCE_DIAGONAL.length) return 'up';
+    return ACCEPTANCE_DIAGONAL[diagonal];
+}
+
+/**
+ * Stichprobenplan berechnen
+ * @param {number} lotSize - Losgröße
+ * @param {number} aql - AQL-Wert (siehe AQL_VALUES)
+ * @param {string} inspectionLevel - Prüfniveau
+ * @returns {Object|null} - { lotSize, aql, inspectionLevel, codeLetter, sampleSize, acceptNumber, rejectNumber } oder null
+ */
+function calculateSamplingPlan(lotSize, aql = DEFAULT_AQL, inspectionLevel = DEFAULT_INSPECTION_LEVEL) {
+    const aqlIndex = AQL_VALUES.indexOf(aql);
+    const codeLetter = getCodeLetter(lotSize, inspectionLevel);
+
+    if (aqlIndex === -1 || !codeLetter) {
+        return null;
+    }
+
+    // Pfeilen folgen bis ein Ac/Re-Paar gefunden ist
+    let letterIndex = CODE_LETTERS.indexOf(codeLetter);
+    let entry = getDiagonalEntry(letterIndex, aqlIndex);
+    while (!Array.isArray(entry)) {
+        letterIndex += entry === 'down' ? 1 : -1;
+        if (letterIndex < 0 || letterIndex >= CODE_LETTERS.length) {
+            return null;
+        }
+        entry = getDiagonalEntry(letterIndex, aqlIndex);
+    }
+
+    // Stichprobe größer als das Los → Vollprüfung
+    const sampleSize = Math.min(SAMPLE_SIZES[letterIndex], lotSize);
+
+    return {
+        lotSize,
+        aql,
+        inspectionLevel,
+        codeLetter: CODE_LETTERS[letterIndex],
+        sampleSize,
+        acceptNumber: entry[0],
+        rejectNumber: entry[1]
+    };
+}
+
+/**
+ * Los-Entscheidung nach aktuellem Prüfstand
+ * @param {Object} plan - { sampleSize, acceptNumber, rejectNumber }
+ * @param {number} inspectedCount - Geprüfte Kartons
+ * @param {number} defectCount - Fehlerhafte Kartons (Fehlerhaft oder Nacharbeit)
+ * @returns {string} - LOT_STATUS
+ */
+function evaluateLot(plan, inspectedCount, defectCount) {
+    if (defectCount >= plan.rejectNumber) {
+        return LOT_STATUS.REJECTED;
+    }
+
+    if (inspectedCount >= plan.sampleSize && defectCount <= plan.acceptNumber) {
+        return LOT_STATUS.ACCEPTED;
+    }
+
+    return LOT_STATUS.OPEN;
+}
+
+/**
+ * AQL-Wert validieren/normalisieren
+ * @param {number|string} aql - AQL-Wert
+ * @returns {number|null} - Unterstützter AQL-Wert oder null
+ */
+function normalizeAQL(aql) {
+    const value = parseFloat(aql);
+    return AQL_VALUES.includes(value) ? value : null;
+}
+
+/**
+ * Prüfniveau validieren/normalisieren (z.B. "s-2" → "S-2")
+ * @param {string} inspectionLevel - Prüfniveau
+ * @returns {string|null} - Unterstütztes Prüfniveau oder null
+ */
+function normalizeInspectionLevel(inspectionLevel) {
+    const value = String(inspectionLevel || '').trim().toUpperCase();
+    return Object.values(INSPECTION_LEVELS).includes(value) ? value : null;
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    INSPECTION_LEVELS,
+    AQL_VALUES,
+    LOT_STATUS,
+    DEFAULT_AQL,
+    DEFAULT_INSPECTION_LEVEL,
+    CODE_LETTERS,
+    SAMPLE_SIZES,
+
+    // Helper Functions
+    getCodeLetter,
+    calculateSamplingPlan,
+    evaluateLot,
+    normalizeAQL,
+    normalizeInspectionLevel
+};
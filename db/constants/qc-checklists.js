@@ -0,0 +1,102 @@
+/**
+ * QC-Checklist Constants and Helper Functions
+ * Prüfpunkte je Kunde und/oder Produkt, die zwischen erstem und abschließendem Scan beantwortet werden
+ *
+ * Zuordnung eines Prüfpunkts (dbo.QcChecklistItems):
+ * - KundenID leer         → gilt für alle Kunden
+ * - ProductPattern leer   → gilt für alle Produkte, sonst LIKE-Muster auf die Auftragsnummer (z.B. 'NL-4%')
+ */
+
+// ===== QC-CHECKLIST CONSTANTS =====
+
+/**
+ * Antworttypen der Prüfpunkte
+ */
+const CHECKLIST_ANSWER_TYPES = {
+    YES_NO: 'yes_no',
+    NUMBER: 'number',
+    TEXT: 'text'
+};
+
+/**
+ * Erlaubte Antworten für Ja/Nein-Prüfpunkte
+ */
+const YES_NO_ANSWERS = {
+    YES: 'yes',
+    NO: 'no'
+};
+
+/**
+ * Maximale Länge einer Textantwort
+ */
+const MAX_ANSWER_LENGTH = 500;
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Antworttyp validieren/normalisieren (z.B. "Zahl" → "number")
+ * @param {string} answerType - Antworttyp
+ * @returns {string|null} - Unterstützter Antworttyp oder null
+ */
+function normalizeChecklistAnswerType(answerType) {
+    const value = String(answerType || '').trim().toLowerCase();
+    const aliases = { 'ja/nein': CHECKLIST_ANSWER_TYPES.YES_NO, zahl: CHECKLIST_ANSWER_TYPES.NUMBER };
+    const normalized = aliases[value] || value;
+    return Object.values(CHECKLIST_ANSWER_TYPES).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Antwort auf einen Prüfpunkt validieren
+ * @param {Object} item - Prüfpunkt { Label, AnswerType }
+ * @param {*} answer - Antwort aus dem Renderer
+ * @returns {Object} - Validierungsergebnis { isValid: boolean, value: string|null, message?: string }
+ */
+function validateChecklistAnswer(item, answer) {
+    const value = answer === undefined || answer === null ? '' : String(answer).trim();
+
+    // Leere Antwort = Prüfpunkt zurücksetzen
+    if (value === '') {
+        return { isValid: true, value: null };
+    }
+
+    switch (item.AnswerType) {
+        case CHECKLIST_ANSWER_TYPES.YES_NO:
+            if (!Object.values(YES_NO_ANSWERS).includes(value)) {
+                return { isValid: false, value: null, message: `'${item.Label}': Antwort muss Ja oder Nein sein` };
+            }
+            return { isValid: true, value };
+
+        case CHECKLIST_ANSWER_TYPES.NUMBER:
+            if (isNaN(Number(value.replace(',', '.')))) {
+                return { isValid: false, value: null, message: `'${item.Label}': Bitte eine Zahl eingeben` };
+            }
+            return { isValid: true, value: String(Number(value.replace(',', '.'))) };
+
+        case CHECKLIST_ANSWER_TYPES.TEXT:
+        default:
+            return { isValid: true, value: value.substring(0, MAX_ANSWER_LENGTH) };
+    }
+}
+
+/**
+ * Unbeantwortete Pflicht-Prüfpunkte ermitteln
+ * @param {Array} items - Prüfpunkte
+ * @param {Object} answers - Antworten { itemId: answer }
+ * @returns {Array} - Unbeantwortete Pflicht-Prüfpunkte
+ */
+function getMissingMandatoryItems(items = [], answers = {}) {
+    return items.filter(item => item.Mandatory && !answers[item.ID]);
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    CHECKLIST_ANSWER_TYPES,
+    YES_NO_ANSWERS,
+    MAX_ANSWER_LENGTH,
+
+    // Helper Functions
+    normalizeChecklistAnswerType,
+    validateChecklistAnswer,
+    getMissingMandatoryItems
+};
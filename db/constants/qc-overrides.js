@@ -0,0 +1,158 @@
+/**
+ * QC-Override Constants and Helper Functions
+ * Supervisor-Freigaben für gesperrte Kartons (bereits abgearbeitet oder Duplikat)
+ *
+ * Ablauf: Gesperrter Scan → Grund wählen → Supervisor hält RFID-Badge an den Leser
+ * → Freigabe wird protokolliert (dbo.QcOverrides) und der Karton erneut gescannt
+ */
+
+// ===== QC-OVERRIDE CONSTANTS =====
+
+/**
+ * Scan-Status, die per Supervisor-Freigabe übersteuert werden dürfen
+ */
+const OVERRIDABLE_STATUSES = [
+    'duplicate_completed',
+    'duplicate_cache',
+    'duplicate_database',
+    'duplicate_transaction'
+];
+
+/**
+ * Freigabe-Gründe
+ */
+const OVERRIDE_REASONS = {
+    REINSPECTION: 'reinspection',
+    CUSTOMER_COMPLAINT: 'customer_complaint',
+    MISSCAN: 'misscan',
+    LABEL_REPRINT: 'label_reprint',
+    OTHER: 'other'
+};
+
+/**
+ * Freigabe-Grund Konfigurationen mit Metadaten
+ */
+const OVERRIDE_REASON_CONFIG = {
+    [OVERRIDE_REASONS.REINSPECTION]: {
+        id: OVERRIDE_REASONS.REINSPECTION,
+        name: 'Erneute Prüfung angeordnet',
+        requiresNotes: false,
+        priority: 1
+    },
+    [OVERRIDE_REASONS.CUSTOMER_COMPLAINT]: {
+        id: OVERRIDE_REASONS.CUSTOMER_COMPLAINT,
+        name: 'Reklamation / Kundenrückfrage',
+        requiresNotes: false,
+        priority: 2
+    },
+    [OVERRIDE_REASONS.MISSCAN]: {
+        id: OVERRIDE_REASONS.MISSCAN,
+        name: 'Fehlscan korrigieren',
+        requiresNotes: false,
+        priority: 3
+    },
+    [OVERRIDE_REASONS.LABEL_REPRINT]: {
+        id: OVERRIDE_REASONS.LABEL_REPRINT,
+        name: 'Etikett neu gedruckt',
+        requiresNotes: false,
+        priority: 4
+    },
+    [OVERRIDE_REASONS.OTHER]: {
+        id: OVERRIDE_REASONS.OTHER,
+        name: 'Sonstiges',
+        requiresNotes: true,
+        priority: 5
+    }
+};
+
+/**
+ * Wartezeit auf den Supervisor-Badge (Millisekunden)
+ */
+const SUPERVISOR_BADGE_TIMEOUT_MS = 30 * 1000;
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Abrufen der Konfiguration für einen Freigabe-Grund
+ * @param {string} reason - Freigabe-Grund
+ * @returns {Object|null} - Konfiguration oder null
+ */
+function getOverrideReasonConfig(reason) {
+    return OVERRIDE_REASON_CONFIG[reason] || null;
+}
+
+/**
+ * Alle Freigabe-Gründe sortiert abrufen
+ * @returns {Array} - Array von Freigabe-Grund Konfigurationen
+ */
+function getAllOverrideReasonConfigs() {
+    return Object.values(OVERRIDE_REASON_CONFIG).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Prüfen ob ein Scan-Status per Supervisor-Freigabe übersteuert werden darf
+ * @param {string} status - Scan-Status
+ * @returns {boolean} - True wenn übersteuerbar
+ */
+function isOverridableStatus(status) {
+    return OVERRIDABLE_STATUSES.includes(status);
+}
+
+/**
+ * Freigabe-Antrag validieren
+ * @param {string} reason - Freigabe-Grund
+ * @param {string} notes - Bemerkung
+ * @returns {Object} - Validierungsergebnis { isValid: boolean, message?: string }
+ */
+function validateOverrideReason(reason, notes = '') {
+    const config = getOverrideReasonConfig(reason);
+
+    if (!config) {
+        return { isValid: false, message: `Unbekannter Freigabe-Grund '${reason}'` };
+    }
+
+    if (config.requiresNotes && !String(notes || '').trim()) {
+        return { isValid: false, message: `Für '${config.name}' ist eine Bemerkung erforderlich` };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Supervisor-Benutzer-IDs parsen
+ * Format: "12,34,56" (z.B. aus QC_SUPERVISOR_USER_IDS)
+ * @param {string} idString - Benutzer-IDs als String
+ * @returns {Set<number>} - Benutzer-IDs
+ */
+function parseSupervisorUserIds(idString) {
+    const supervisorIds = new Set();
+
+    if (!idString || typeof idString !== 'string') {
+        return supervisorIds;
+    }
+
+    for (const entry of idString.split(',')) {
+        const userId = parseInt(entry.trim());
+        if (Number.isInteger(userId) && userId > 0) {
+            supervisorIds.add(userId);
+        }
+    }
+
+    return supervisorIds;
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    OVERRIDABLE_STATUSES,
+    OVERRIDE_REASONS,
+    OVERRIDE_REASON_CONFIG,
+    SUPERVISOR_BADGE_TIMEOUT_MS,
+
+    // Helper Functions
+    getOverrideReasonConfig,
+    getAllOverrideReasonConfigs,
+    isOverridableStatus,
+    validateOverrideReason,
+    parseSupervisorUserIds
+};
@@ -0,0 +1,202 @@
+/**
+ * QC-Result Constants and Helper Functions
+ * Definiert Prüfergebnisse und Fehlerkategorien für die Qualitätskontrolle
+ */
+
+// ===== QC-RESULT CONSTANTS =====
+
+/**
+ * Mögliche Prüfergebnisse eines Kartons
+ */
+const QC_RESULTS = {
+    PASS: 'pass',
+    FAIL: 'fail',
+    REWORK: 'rework'
+};
+
+/**
+ * Prüfergebnis Konfigurationen mit Metadaten
+ */
+const QC_RESULT_CONFIG = {
+    [QC_RESULTS.PASS]: {
+        id: QC_RESULTS.PASS,
+        name: 'In Ordnung',
+        description: 'Karton ohne Beanstandung',
+        icon: '✅',
+        color: 'green',
+        requiresDefects: false,
+        priority: 1
+    },
+    [QC_RESULTS.FAIL]: {
+        id: QC_RESULTS.FAIL,
+        name: 'Fehlerhaft',
+        description: 'Karton gesperrt - nicht versandfähig',
+        icon: '❌',
+        color: 'red',
+        requiresDefects: true,
+        priority: 2
+    },
+    [QC_RESULTS.REWORK]: {
+        id: QC_RESULTS.REWORK,
+        name: 'Nacharbeit',
+        description: 'Karton muss nachgearbeitet werden',
+        icon: '🔧',
+        color: 'orange',
+        requiresDefects: true,
+        priority: 3
+    }
+};
+
+/**
+ * Standard-Fehlerkategorien
+ */
+const DEFECT_CATEGORIES = {
+    DRUCKFEHLER: 'druckfehler',
+    FARBABWEICHUNG: 'farbabweichung',
+    VERSCHMUTZUNG: 'verschmutzung',
+    BESCHAEDIGUNG: 'beschaedigung',
+    FALSCHE_GROESSE: 'falsche_groesse',
+    FALSCHER_ARTIKEL: 'falscher_artikel',
+    MENGENABWEICHUNG: 'mengenabweichung',
+    VERPACKUNG: 'verpackung',
+    ETIKETTIERUNG: 'etikettierung',
+    SONSTIGES: 'sonstiges'
+};
+
+/**
+ * Fehlerkategorie Konfigurationen mit Metadaten
+ */
+const DEFECT_CATEGORY_CONFIG = {
+    [DEFECT_CATEGORIES.DRUCKFEHLER]: { id: DEFECT_CATEGORIES.DRUCKFEHLER, name: 'Druckfehler', icon: '🖨️', priority: 1 },
+    [DEFECT_CATEGORIES.FARBABWEICHUNG]: { id: DEFECT_CATEGORIES.FARBABWEICHUNG, name: 'Farbabweichung', icon: '🎨', priority: 2 },
+    [DEFECT_CATEGORIES.VERSCHMUTZUNG]: { id: DEFECT_CATEGORIES.VERSCHMUTZUNG, name: 'Verschmutzung', icon: '🧽', priority: 3 },
+    [DEFECT_CATEGORIES.BESCHAEDIGUNG]: { id: DEFECT_CATEGORIES.BESCHAEDIGUNG, name: 'Beschädigung', icon: '💥', priority: 4 },
+    [DEFECT_CATEGORIES.FALSCHE_GROESSE]: { id: DEFECT_CATEGORIES.FALSCHE_GROESSE, name: 'Falsche Größe', icon: '📏', priority: 5 },
+    [DEFECT_CATEGORIES.FALSCHER_ARTIKEL]: { id: DEFECT_CATEGORIES.FALSCHER_ARTIKEL, name: 'Falscher Artikel', icon: '👕', priority: 6 },
+    [DEFECT_CATEGORIES.MENGENABWEICHUNG]: { id: DEFECT_CATEGORIES.MENGENABWEICHUNG, name: 'Mengenabweichung', icon: '🔢', priority: 7 },
+    [DEFECT_CATEGORIES.VERPACKUNG]: { id: DEFECT_CATEGORIES.VERPACKUNG, name: 'Verpackung', icon: '📦', priority: 8 },
+    [DEFECT_CATEGORIES.ETIKETTIERUNG]: { id: DEFECT_CATEGORIES.ETIKETTIERUNG, name: 'Etikettierung', icon: '🏷️', priority: 9 },
+    [DEFECT_CATEGORIES.SONSTIGES]: { id: DEFECT_CATEGORIES.SONSTIGES, name: 'Sonstiges', icon: '❓', priority: 10 }
+};
+
+/**
+ * Status einer Karton-Prüfung (Workflow-Zustand zwischen erstem und letztem Scan)
+ * rework_pending: abgeschlossen aber beanstandet - Karton wartet auf Nachprüfung
+ * reinspected:   beanstandete (oder per Supervisor freigegebene) Prüfung, für die eine Nachprüfung gestartet wurde
+ * abandoned:     halb fertige Prüfung abgebrochen (Zeitüberschreitung oder manuell)
+ */
+const QC_INSPECTION_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    REWORK_PENDING: 'rework_pending',
+    REINSPECTED: 'reinspected',
+    ABANDONED: 'abandoned'
+};
+
+/**
+ * Gründe für abgebrochene Prüfungen
+ * offline_rejected: offline geprüfter Karton, dessen Journal-Einträge beim Nachtragen abgewiesen wurden
+ */
+const QC_ABANDON_REASONS = {
+    TIMEOUT: 'timeout',
+    CANCELLED: 'cancelled',
+    CONTROL_CODE: 'control_code',
+    OFFLINE_REJECTED: 'offline_rejected'
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Abrufen der Konfiguration für ein Prüfergebnis
+ * @param {string} result - Prüfergebnis (pass, fail, rework)
+ * @returns {Object|null} - Prüfergebnis Konfiguration oder null
+ */
+function getQCResultConfig(result) {
+    return QC_RESULT_CONFIG[result] || null;
+}
+
+/**
+ * Alle Prüfergebnisse sortiert abrufen
+ * @returns {Array} - Array von Prüfergebnis Konfigurationen
+ */
+function getAllQCResultConfigs() {
+    return Object.values(QC_RESULT_CONFIG).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Alle Fehlerkategorien sortiert abrufen
+ * @returns {Array} - Array von Fehlerkategorie Konfigurationen
+ */
+function getAllDefectCategoryConfigs() {
+    return Object.values(DEFECT_CATEGORY_CONFIG).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Prüfergebnis inkl. Fehlerkategorien validieren
+ * @param {string} result - Prüfergebnis
+ * @param {Array} defectCategories - Gewählte Fehlerkategorien
+ * @returns {Object} - Validierungsergebnis { isValid: boolean, message?: string, defectCategories: Array }
+ */
+function validateQCResult(result, defectCategories = []) {
+    const config = getQCResultConfig(result);
+
+    if (!config) {
+        return {
+            isValid: false,
+            message: `Unbekanntes Prüfergebnis '${result}'`,
+            defectCategories: []
+        };
+    }
+
+    const categories = Array.isArray(defectCategories) ? [...new Set(defectCategories)] : [];
+    const unknownCategories = categories.filter(category => !DEFECT_CATEGORY_CONFIG[category]);
+
+    if (unknownCategories.length > 0) {
+        return {
+            isValid: false,
+            message: `Unbekannte Fehlerkategorie: ${unknownCategories.join(', ')}`,
+            defectCategories: []
+        };
+    }
+
+    if (config.requiresDefects && categories.length === 0) {
+        return {
+            isValid: false,
+            message: `Für '${config.name}' muss mindestens eine Fehlerkategorie gewählt werden`,
+            defectCategories: []
+        };
+    }
+
+    // Bei "In Ordnung" werden keine Fehlerkategorien gespeichert
+    return {
+        isValid: true,
+        defectCategories: config.requiresDefects ? categories : []
+    };
+}
+
+/**
+ * Prüfen ob ein Karton mit diesem Ergebnis nachgeprüft werden muss
+ * @param {string} result - Prüfergebnis
+ * @returns {boolean} - True bei Fehlerhaft oder Nacharbeit
+ */
+function requiresReinspection(result) {
+    return result === QC_RESULTS.FAIL || result === QC_RESULTS.REWORK;
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    QC_RESULTS,
+    QC_RESULT_CONFIG,
+    DEFECT_CATEGORIES,
+    DEFECT_CATEGORY_CONFIG,
+    QC_INSPECTION_STATUS,
+    QC_ABANDON_REASONS,
+
+    // Helper Functions
+    getQCResultConfig,
+    getAllQCResultConfigs,
+    getAllDefectCategoryConfigs,
+    validateQCResult,
+    requiresReinspection
+};
@@ -0,0 +1,235 @@
+/**
+ * QC-Workflow Constants and Helper Functions
+ * Deklarative Definition der Prüfabläufe (Schritte je Karton) für die Qualitätskontrolle
+ *
+ * Ein Workflow ist eine Liste von Schritten:
+ * - 'scan':   Karton-Code scannen (erster Schritt ist immer ein Scan und öffnet den Karton)
+ * - 'action': Eingabe im Renderer (z.B. Prüfergebnis, Foto, Bestätigung)
+ * Nach dem letzten Schritt ist der Karton abgeschlossen.
+ */
+
+const { SESSION_TYPES, getSessionTypeConfig } = require('./session-types');
+
+// ===== QC-WORKFLOW CONSTANTS =====
+
+/**
+ * Verfügbare Prüfabläufe
+ */
+const QC_WORKFLOWS = {
+    TWO_SCAN: 'two_scan',
+    SINGLE_SCAN: 'single_scan',
+    SCAN_CONFIRM: 'scan_confirm',
+    SCAN_PHOTO_CONFIRM: 'scan_photo_confirm',
+    OPEN_INSPECT_CLOSE: 'open_inspect_close'
+};
+
+/**
+ * Schritt-Typen
+ */
+const QC_STEP_TYPES = {
+    SCAN: 'scan',
+    ACTION: 'action'
+};
+
+/**
+ * Aktionen die im Renderer ausgeführt werden
+ */
+const QC_ACTIONS = {
+    RESULT: 'result',
+    PHOTO: 'photo',
+    CONFIRM: 'confirm'
+};
+
+/**
+ * Aktions-Konfigurationen (Status/Meldung falls die Aktion noch fehlt)
+ */
+const QC_ACTION_CONFIG = {
+    [QC_ACTIONS.RESULT]: {
+        id: QC_ACTIONS.RESULT,
+        name: 'Prüfergebnis',
+        missingStatus: 'result_missing',
+        missingMessage: 'Bitte zuerst das Prüfergebnis erfassen'
+    },
+    [QC_ACTIONS.PHOTO]: {
+        id: QC_ACTIONS.PHOTO,
+        name: 'Foto',
+        missingStatus: 'photo_missing',
+        missingMessage: 'Bitte zuerst ein Foto des Kartons aufnehmen'
+    },
+    [QC_ACTIONS.CONFIRM]: {
+        id: QC_ACTIONS.CONFIRM,
+        name: 'Bestätigung',
+        missingStatus: 'confirm_missing',
+        missingMessage: 'Bitte zuerst die Prüfung bestätigen'
+    }
+};
+
+/**
+ * Standard-Workflow falls weder Kunde noch SessionType einen festlegen
+ */
+const DEFAULT_QC_WORKFLOW = QC_WORKFLOWS.TWO_SCAN;
+
+/**
+ * Workflow-Definitionen
+ * qcStatus wird bei erfolgreichem Scan-Schritt an den Renderer gemeldet
+ */
+const QC_WORKFLOW_CONFIG = {
+    [QC_WORKFLOWS.TWO_SCAN]: {
+        id: QC_WORKFLOWS.TWO_SCAN,
+        name: 'Zwei-Scan-Prüfung',
+        description: 'Karton scannen, Prüfergebnis erfassen, Karton erneut scannen',
+        steps: [
+            { id: 'open', type: QC_STEP_TYPES.SCAN, qcStatus: 'first_scan', label: 'Karton scannen' },
+            { id: 'result', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT, label: 'Prüfergebnis erfassen' },
+            { id: 'close', type: QC_STEP_TYPES.SCAN, qcStatus: 'second_scan', label: 'Karton erneut scannen' }
+        ]
+    },
+    [QC_WORKFLOWS.SINGLE_SCAN]: {
+        id: QC_WORKFLOWS.SINGLE_SCAN,
+        name: 'Ein-Scan-Prüfung',
+        description: 'Karton einmal scannen und Prüfergebnis erfassen',
+        steps: [
+            { id: 'open', type: QC_STEP_TYPES.SCAN, qcStatus: 'first_scan', label: 'Karton scannen' },
+            { id: 'result', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT, label: 'Prüfergebnis erfassen' }
+        ]
+    },
+    [QC_WORKFLOWS.SCAN_CONFIRM]: {
+        id: QC_WORKFLOWS.SCAN_CONFIRM,
+        name: 'Scan + Bestätigung',
+        description: 'Karton scannen, Prüfergebnis erfassen und per Knopfdruck bestätigen',
+        steps: [
+            { id: 'open', type: QC_STEP_TYPES.SCAN, qcStatus: 'first_scan', label: 'Karton scannen' },
+            { id: 'result', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT, label: 'Prüfergebnis erfassen' },
+            { id: 'confirm', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.CONFIRM, label: 'Prüfung bestätigen' }
+        ]
+    },
+    [QC_WORKFLOWS.SCAN_PHOTO_CONFIRM]: {
+        id: QC_WORKFLOWS.SCAN_PHOTO_CONFIRM,
+        name: 'Scan + Foto + Bestätigung',
+        description: 'Karton scannen, Prüfergebnis erfassen, Foto aufnehmen und bestätigen',
+        steps: [
+            { id: 'open', type: QC_STEP_TYPES.SCAN, qcStatus: 'first_scan', label: 'Karton scannen' },
+            { id: 'result', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT, label: 'Prüfergebnis erfassen' },
+            { id: 'photo', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.PHOTO, label: 'Foto aufnehmen' },
+            { id: 'confirm', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.CONFIRM, label: 'Prüfung bestätigen' }
+        ]
+    },
+    [QC_WORKFLOWS.OPEN_INSPECT_CLOSE]: {
+        id: QC_WORKFLOWS.OPEN_INSPECT_CLOSE,
+        name: 'Öffnen / Prüfen / Schließen',
+        description: 'Karton beim Öffnen, bei der Prüfung und beim Schließen scannen',
+        steps: [
+            { id: 'open', type: QC_STEP_TYPES.SCAN, qcStatus: 'first_scan', label: 'Karton öffnen und scannen' },
+            { id: 'inspect', type: QC_STEP_TYPES.SCAN, qcStatus: 'inspect_scan', label: 'Ware prüfen und scannen' },
+            { id: 'result', type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT, label: 'Prüfergebnis erfassen' },
+            { id: 'close', type: QC_STEP_TYPES.SCAN, qcStatus: 'second_scan', label: 'Karton schließen und scannen' }
+        ]
+    }
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Workflow-Definition abrufen
+ * @param {string} workflowId - Workflow-ID
+ * @returns {Object} - Workflow-Definition (Fallback: Standard-Workflow)
+ */
+function getQCWorkflow(workflowId) {
+    return QC_WORKFLOW_CONFIG[workflowId] || QC_WORKFLOW_CONFIG[DEFAULT_QC_WORKFLOW];
+}
+
+/**
+ * Alle Workflow-Definitionen abrufen
+ * @returns {Array} - Array von Workflow-Definitionen
+ */
+function getAllQCWorkflows() {
+    return Object.values(QC_WORKFLOW_CONFIG);
+}
+
+/**
+ * Schritt eines Workflows abrufen
+ * @param {string} workflowId - Workflow-ID
+ * @param {number} stepIndex - Index des Schritts
+ * @returns {Object|null} - Schritt oder null wenn der Workflow abgeschlossen ist
+ */
+function getQCWorkflowStep(workflowId, stepIndex) {
+    return getQCWorkflow(workflowId).steps[stepIndex] || null;
+}
+
+/**
+ * Aktions-Konfiguration abrufen
+ * @param {string} action - Aktion
+ * @returns {Object|null} - Aktions-Konfiguration oder null
+ */
+function getQCActionConfig(action) {
+    return QC_ACTION_CONFIG[action] || null;
+}
+
+/**
+ * Kunden-Workflow-Zuordnung parsen
+ * Format: "KUNDEN_ID:workflow,KUNDEN_ID:workflow" (z.B. aus QC_CUSTOMER_WORKFLOWS)
+ * @param {string} mapString - Zuordnung als String
+ * @returns {Object} - { kundenId: workflowId }
+ */
+function parseCustomerWorkflowMap(mapString) {
+    const customerWorkflows = {};
+
+    if (!mapString || typeof mapString !== 'string') {
+        return customerWorkflows;
+    }
+
+    for (const entry of mapString.split(',')) {
+        const [kundenId, workflowId] = entry.split(':').map(part => (part || '').trim());
+
+        if (!kundenId || !workflowId) continue;
+
+        if (!QC_WORKFLOW_CONFIG[workflowId]) {
+            console.warn(`[WARN] Unbekannter QC-Workflow '${workflowId}' für Kunde ${kundenId} ignoriert`);
+            continue;
+        }
+
+        customerWorkflows[kundenId] = workflowId;
+    }
+
+    return customerWorkflows;
+}
+
+/**
+ * Workflow für einen Karton auswählen
+ * Reihenfolge: Kunden-Zuordnung → SessionType-Konfiguration → Standard
+ * @param {Object} context - { sessionTypeName, kundenId, customerWorkflows }
+ * @returns {string} - Workflow-ID
+ */
+function selectQCWorkflow(context = {}) {
+    const { sessionTypeName = SESSION_TYPES.QUALITAETSKONTROLLE, kundenId, customerWorkflows = {} } = context;
+
+    if (kundenId && customerWorkflows[kundenId]) {
+        return customerWorkflows[kundenId];
+    }
+
+    const sessionTypeConfig = getSessionTypeConfig(sessionTypeName);
+    if (sessionTypeConfig && QC_WORKFLOW_CONFIG[sessionTypeConfig.qcWorkflow]) {
+        return sessionTypeConfig.qcWorkflow;
+    }
+
+    return DEFAULT_QC_WORKFLOW;
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    QC_WORKFLOWS,
+    QC_STEP_TYPES,
+    QC_ACTIONS,
+    QC_ACTION_CONFIG,
+    QC_WORKFLOW_CONFIG,
+    DEFAULT_QC_WORKFLOW,
+
+    // Helper Functions
+    getQCWorkflow,
+    getAllQCWorkflows,
+    getQCWorkflowStep,
+    getQCActionConfig,
+    parseCustomerWorkflowMap,
+    selectQCWorkflow
+};
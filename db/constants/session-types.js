@@ -3,6 +3,8 @@
  * Defines standard session types and provides helper functions for session management
  */
 
+const { SYMBOLOGIES, filterSymbologies } = require('./symbologies');
+
 // ===== SESSIONTYPE CONSTANTS =====
 
 /**
@@ -18,6 +20,7 @@ const SESSION_TYPES = {
 
 /**
  * SessionType Konfigurationen mit Metadaten
+ * allowedQRTypes enthält neben den Inhalts-Typen auch die Code-Arten des Kamera-Scanners (siehe symbologies.js)
  */
 const SESSION_TYPE_CONFIG = {
     [SESSION_TYPES.WARENEINGANG]: {
@@ -27,7 +30,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📦',
         color: 'blue',
         defaultDuration: 480, // 8 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'caret_separated', 'star_separated'],
+        allowedQRTypes: ['decoded_qr', 'caret_separated', 'star_separated',
+            SYMBOLOGIES.QR, SYMBOLOGIES.CODE_128, SYMBOLOGIES.DATAMATRIX],
         priority: 1
     },
     [SESSION_TYPES.QUALITAETSKONTROLLE]: {
@@ -37,7 +41,9 @@ const SESSION_TYPE_CONFIG = {
         icon: '🔍',
         color: 'orange',
         defaultDuration: 240, // 4 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric'],
+        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric',
+            SYMBOLOGIES.QR, SYMBOLOGIES.CODE_128, SYMBOLOGIES.EAN_13, SYMBOLOGIES.DATAMATRIX],
+        qcWorkflow: 'two_scan', // siehe qc-workflows.js
         priority: 2
     },
     [SESSION_TYPES.KOMMISSIONIERUNG]: {
@@ -47,7 +53,7 @@ const SESSION_TYPE_CONFIG = {
         icon: '📋',
         color: 'green',
         defaultDuration: 480, // 8 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'caret_separated'],
+        allowedQRTypes: ['decoded_qr', 'caret_separated', SYMBOLOGIES.QR],
         priority: 3
     },
     [SESSION_TYPES.INVENTUR]: {
@@ -57,7 +63,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📊',
         color: 'purple',
         defaultDuration: 360, // 6 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric'],
+        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric',
+            SYMBOLOGIES.QR, SYMBOLOGIES.CODE_128, SYMBOLOGIES.EAN_13],
         priority: 4
     },
     [SESSION_TYPES.WARTUNG]: {
@@ -67,7 +74,7 @@ const SESSION_TYPE_CONFIG = {
         icon: '🔧',
         color: 'red',
         defaultDuration: 120, // 2 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'text', 'url'],
+        allowedQRTypes: ['decoded_qr', 'text', 'url', SYMBOLOGIES.QR],
         priority: 5
     }
 };
@@ -157,6 +164,26 @@ function isQRTypeAllowedForSession(sessionTypeName, qrType) {
     return config ? config.allowedQRTypes.includes(qrType) : true;
 }
 
+/**
+ * Aktivierte Code-Arten des Kamera-Scanners für einen SessionType
+ * @param {string} sessionTypeName - Name des SessionTypes
+ * @returns {Array} - Code-Arten (z.B. ['qr', 'code128']), unbekannte SessionTypes nur QR
+ */
+function getEnabledSymbologiesForSession(sessionTypeName) {
+    const config = getSessionTypeConfig(sessionTypeName);
+    return filterSymbologies(config ? config.allowedQRTypes : []);
+}
+
+/**
+ * Prüfen ob eine Code-Art für einen SessionType erlaubt ist
+ * @param {string} sessionTypeName - Name des SessionTypes
+ * @param {string} symbology - Code-Art
+ * @returns {boolean} - True wenn erlaubt, false wenn nicht
+ */
+function isSymbologyAllowedForSession(sessionTypeName, symbology) {
+    return getEnabledSymbologiesForSession(sessionTypeName).includes(symbology);
+}
+
 /**
  * Standardmäßige Session-Dauer für einen SessionType abrufen
  * @param {string} sessionTypeName - Name des SessionTypes
@@ -188,6 +215,14 @@ function validateQRForSessionType(sessionTypeName, qrData) {
         };
     }
 
+    // Code-Art Validierung (nur bei Kamera-Scans bekannt)
+    if (qrData.symbology && !isSymbologyAllowedForSession(sessionTypeName, qrData.symbology)) {
+        return {
+            isValid: false,
+            message: `Code-Art '${qrData.symbology}' ist für '${sessionTypeName}' nicht erlaubt`
+        };
+    }
+
     // Spezifische Validierung je SessionType
     switch (sessionTypeName) {
         case SESSION_TYPES.WARENEINGANG:
@@ -374,6 +409,8 @@ module.exports = {
     getSessionTypeConfig,
     getAllSessionTypeConfigs,
     isQRTypeAllowedForSession,
+    getEnabledSymbologiesForSession,
+    isSymbologyAllowedForSession,
     getDefaultSessionDuration,
     validateQRForSessionType,
     getSessionTypeIcon,
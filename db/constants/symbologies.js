@@ -0,0 +1,93 @@
+/**
+ * Symbology Constants and Helper Functions
+ * Code-Arten, die der Kamera-Scanner dekodieren kann (QR, 1D-Barcodes, DataMatrix)
+ *
+ * Welche Code-Arten eine Session-Art annimmt, steht in SESSION_TYPE_CONFIG.allowedQRTypes (siehe session-types.js).
+ */
+
+// ===== SYMBOLOGY CONSTANTS =====
+
+/**
+ * Unterstützte Code-Arten
+ */
+const SYMBOLOGIES = {
+    QR: 'qr',
+    CODE_128: 'code128',
+    EAN_13: 'ean13',
+    DATAMATRIX: 'datamatrix'
+};
+
+/**
+ * Code-Art Konfigurationen mit Metadaten
+ * zxingFormat: BarcodeFormat der ZXing-Bibliothek (QR wird mit jsQR dekodiert)
+ */
+const SYMBOLOGY_CONFIG = {
+    [SYMBOLOGIES.QR]: {
+        id: SYMBOLOGIES.QR,
+        name: 'QR-Code',
+        zxingFormat: 'QR_CODE'
+    },
+    [SYMBOLOGIES.CODE_128]: {
+        id: SYMBOLOGIES.CODE_128,
+        name: 'Code 128',
+        zxingFormat: 'CODE_128'
+    },
+    [SYMBOLOGIES.EAN_13]: {
+        id: SYMBOLOGIES.EAN_13,
+        name: 'EAN-13',
+        zxingFormat: 'EAN_13'
+    },
+    [SYMBOLOGIES.DATAMATRIX]: {
+        id: SYMBOLOGIES.DATAMATRIX,
+        name: 'DataMatrix (GS1)',
+        zxingFormat: 'DATA_MATRIX'
+    }
+};
+
+/**
+ * Code-Arten für Session-Arten ohne eigene Angabe
+ */
+const DEFAULT_SYMBOLOGIES = [SYMBOLOGIES.QR];
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Code-Art validieren/normalisieren (z.B. "CODE_128" → "code128")
+ * @param {string} symbology - Code-Art
+ * @returns {string|null} - Unterstützte Code-Art oder null
+ */
+function normalizeSymbology(symbology) {
+    const value = String(symbology || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.values(SYMBOLOGIES).includes(value) ? value : null;
+}
+
+/**
+ * Code-Arten aus einer allowedQRTypes-Liste herausfiltern
+ * @param {Array} allowedTypes - allowedQRTypes einer Session-Art
+ * @returns {Array} - Aktivierte Code-Arten (mindestens DEFAULT_SYMBOLOGIES)
+ */
+function filterSymbologies(allowedTypes = []) {
+    const symbologies = allowedTypes.filter(type => Object.values(SYMBOLOGIES).includes(type));
+    return symbologies.length > 0 ? symbologies : [...DEFAULT_SYMBOLOGIES];
+}
+
+/**
+ * Anzeigenamen aller Code-Arten für die UI
+ * @returns {Object} - { symbology: name }
+ */
+function getSymbologyLabels() {
+    return Object.fromEntries(Object.values(SYMBOLOGY_CONFIG).map(config => [config.id, config.name]));
+}
+
+// ===== EXPORTS =====
+module.exports = {
+    // Constants
+    SYMBOLOGIES,
+    SYMBOLOGY_CONFIG,
+    DEFAULT_SYMBOLOGIES,
+
+    // Helper Functions
+    normalizeSymbology,
+    filterSymbologies,
+    getSymbologyLabels
+};
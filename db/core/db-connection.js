@@ -1,4 +1,5 @@
 const sql = require('mssql');
+const EventEmitter = require('events');
 require('dotenv').config();
 
 // Console-Utils für bessere Ausgabe - mit Fallback
@@ -17,15 +18,36 @@ try {
     };
 }
 
+// Fehler-Codes, bei denen die Verbindung als verloren gilt (Netzwerk weg, Socket geschlossen)
+const CONNECTION_ERROR_CODES = ['ESOCKET', 'ECONNCLOSED', 'ECONNRESET', 'ECONNREFUSED', 'ENOTOPEN', 'ENOCONN', 'ECLOSE'];
+
 /**
  * Core Database Connection Management
  * Handles basic database operations, connection pooling, and configuration
+ *
+ * Events:
+ * - 'connected'    { reconnected, timestamp } - Verbindung (wieder) hergestellt
+ * - 'disconnected' { error, timestamp }       - bestehende Verbindung verloren (Pool-Fehler oder Verbindungsfehler einer Query)
+ * - 'reconnecting' { attempt, delayMs, nextAttemptAt } - nächster Verbindungsversuch geplant
  */
-class DatabaseConnection {
+class DatabaseConnection extends EventEmitter {
     constructor() {
+        super();
+
         this.pool = null;
         this.isConnected = false;
 
+        // Automatische Wiederverbindung mit exponentiellem Backoff (min, 2x min, 4x min, ... bis max)
+        this.reconnectConfig = {
+            enabled: process.env.DB_RECONNECT_ENABLED !== 'false',
+            minDelay: (parseInt(process.env.DB_RECONNECT_MIN_SECONDS) || 2) * 1000,
+            maxDelay: (parseInt(process.env.DB_RECONNECT_MAX_SECONDS) || 60) * 1000
+        };
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.nextReconnectAt = null;
+        this.reconnectStopped = false; // nach close() keine Wiederverbindung
+
         // Database configuration from environment
         this.config = {
             server: process.env.MSSQL_SERVER || 'localhost',
@@ -64,14 +86,23 @@ class DatabaseConnection {
             return true;
         }
 
+        this.reconnectStopped = false;
+
         try {
             customConsole.database('Verbinde mit SQL Server...');
             customConsole.info(`Server: ${this.config.server}:${this.config.port}`);
             customConsole.info(`Datenbank: ${this.config.database}`);
             customConsole.info(`Benutzer: ${this.config.user}`);
 
-            // Connection Pool erstellen
-            this.pool = await sql.connect(this.config);
+            // Eigener Connection Pool (nicht der globale von sql.connect) - wird bei Verbindungsverlust verworfen
+            const pool = new sql.ConnectionPool(this.config);
+            pool.on('error', (error) => {
+                if (pool === this.pool) {
+                    this.handleConnectionLost(error);
+                }
+            });
+            this.pool = pool;
+            await pool.connect();
 
             // Verbindung testen
             const result = await this.pool.request().query('SELECT 1 as test, SYSDATETIME() as serverTime');
@@ -83,6 +114,10 @@ class DatabaseConnection {
 
                 // Tabellen validieren
                 await this.validateTables();
+
+                const reconnected = this.reconnectAttempt > 0;
+                this.stopReconnect();
+                this.emit('connected', { reconnected, timestamp: new Date().toISOString() });
                 return true;
             } else {
                 throw new Error('Verbindungstest fehlgeschlagen');
@@ -101,10 +136,99 @@ class DatabaseConnection {
             }
 
             this.isConnected = false;
+            this.discardPool();
+            this.scheduleReconnect();
             throw error;
         }
     }
 
+    // ===== AUTOMATISCHE WIEDERVERBINDUNG =====
+
+    /**
+     * Verbindungsfehler erkennen (im Gegensatz zu SQL-Fehlern wie Syntax oder Constraint-Verletzung)
+     * @param {Error} error - Fehler aus mssql/tedious
+     * @returns {boolean}
+     */
+    isConnectionError(error) {
+        return !!error && (error.name === 'ConnectionError' || CONNECTION_ERROR_CODES.includes(error.code));
+    }
+
+    /**
+     * Verbindung als verloren markieren, Pool verwerfen und Wiederverbindung starten
+     * @param {Error} error - Auslösender Fehler
+     */
+    handleConnectionLost(error) {
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.discardPool();
+
+        if (wasConnected) {
+            customConsole.error('Datenbankverbindung verloren:', error ? error.message : 'unbekannter Fehler');
+            this.emit('disconnected', {
+                error: error ? error.message : 'Verbindung verloren',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        this.scheduleReconnect();
+    }
+
+    discardPool() {
+        if (!this.pool) {
+            return;
+        }
+
+        const pool = this.pool;
+        this.pool = null;
+        pool.close().catch(() => {});
+    }
+
+    scheduleReconnect() {
+        if (!this.reconnectConfig.enabled || this.reconnectStopped || this.reconnectTimer) {
+            return;
+        }
+
+        const { minDelay, maxDelay } = this.reconnectConfig;
+        const delayMs = Math.min(minDelay * Math.pow(2, this.reconnectAttempt), maxDelay);
+        this.reconnectAttempt++;
+        this.nextReconnectAt = new Date(Date.now() + delayMs);
+
+        customConsole.info(`Neuer Verbindungsversuch ${this.reconnectAttempt} in ${Math.round(delayMs / 1000)}s`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.connect();
+            } catch (error) {
+                // connect() plant den nächsten Versuch selbst
+            }
+        }, delayMs);
+
+        this.emit('reconnecting', {
+            attempt: this.reconnectAttempt,
+            delayMs,
+            nextAttemptAt: this.nextReconnectAt.toISOString()
+        });
+    }
+
+    stopReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectAttempt = 0;
+        this.nextReconnectAt = null;
+    }
+
+    getReconnectStatus() {
+        return {
+            enabled: this.reconnectConfig.enabled,
+            active: !!this.reconnectTimer,
+            attempt: this.reconnectAttempt,
+            nextAttemptAt: this.nextReconnectAt ? this.nextReconnectAt.toISOString() : null
+        };
+    }
+
     async validateTables() {
         try {
             const requiredTables = ['ScannBenutzer', 'Sessions', 'QrScans'];
@@ -173,6 +297,8 @@ class DatabaseConnection {
                     sqlType = sql.Bit;
                 } else if (param instanceof Date) {
                     sqlType = sql.DateTime2;
+                } else if (Buffer.isBuffer(param)) {
+                    sqlType = sql.VarBinary(sql.MAX);
                 } else if (param === null || param === undefined) {
                     sqlType = sql.NVarChar;
                 }
@@ -187,7 +313,7 @@ class DatabaseConnection {
 
             customConsole.database('Führe Query aus:', processedQuery.substring(0, 200) + (processedQuery.length > 200 ? '...' : ''));
             if (parameters.length > 0) {
-                customConsole.info('Parameter:', parameters);
+                customConsole.info('Parameter:', this.formatParametersForLog(parameters));
             }
 
             const result = await request.query(processedQuery);
@@ -199,12 +325,31 @@ class DatabaseConnection {
         } catch (error) {
             customConsole.error('Datenbank-Query-Fehler:', error.message);
             customConsole.error('Query:', queryString.substring(0, 200));
-            customConsole.error('Parameter:', parameters);
+            customConsole.error('Parameter:', this.formatParametersForLog(parameters));
+
+            if (this.isConnectionError(error)) {
+                this.handleConnectionLost(error);
+            }
             throw error;
         }
     }
 
+    /**
+     * Query-Parameter für das Log aufbereiten - Binärdaten (z.B. Fotos) nicht vollständig loggen
+     * @param {Array} parameters - Query-Parameter
+     * @returns {Array} - Parameter mit Platzhalter statt Buffer-Inhalt
+     */
+    formatParametersForLog(parameters) {
+        return parameters.map(param =>
+            Buffer.isBuffer(param) ? `<Binärdaten ${param.length} Bytes>` : param
+        );
+    }
+
     async close() {
+        // Bewusst geschlossen → nicht automatisch neu verbinden
+        this.reconnectStopped = true;
+        this.stopReconnect();
+
         if (this.pool) {
             try {
                 await this.pool.close();
@@ -260,6 +405,7 @@ class DatabaseConnection {
         return {
             connected: this.isConnected,
             pool: !!this.pool,
+            reconnect: this.getReconnectStatus(),
             config: {
                 server: this.config.server,
                 database: this.config.database,
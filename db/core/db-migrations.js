@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+// Nummerierte Migrationsdateien, z.B. 001-session-types.js
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/;
+
+/**
+ * Versionierte Schema-Migrationen
+ * Jede Datei in db/migrations exportiert { name, up(client) } - die Version ist die Nummer im Dateinamen.
+ * Ausgeführte Migrationen stehen in dbo.SchemaMigrations; die Schema-Version ist die höchste Version dort.
+ *
+ * Migrationen werden nur vorwärts (up) ausgeführt und nach der Auslieferung nicht mehr geändert -
+ * Schema-Änderungen kommen als neue Datei mit der nächsten Nummer dazu.
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} client - DatabaseClient (query und Module stehen den Migrationen zur Verfügung)
+     * @param {string} migrationsDir - Verzeichnis der Migrationsdateien
+     */
+    constructor(client, migrationsDir = MIGRATIONS_DIR) {
+        this.client = client;
+        this.migrationsDir = migrationsDir;
+        this.migrations = null;
+    }
+
+    // ===== MIGRATIONSDATEIEN =====
+
+    /**
+     * Migrationsdateien laden (sortiert nach Version, Versionen lückenlos ab 1)
+     * @returns {Array} - [{ version, name, file, up }]
+     * @throws {Error} - Bei ungültiger oder doppelter Nummerierung
+     */
+    loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => MIGRATION_FILE_PATTERN.test(file))
+            .map(file => {
+                const migration = require(path.join(this.migrationsDir, file));
+                if (typeof migration.up !== 'function') {
+                    throw new Error(`Migration ${file} hat keine up()-Funktion`);
+                }
+
+                return {
+                    version: parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10),
+                    name: migration.name || file,
+                    file,
+                    up: migration.up
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (migration.version !== index + 1) {
+                throw new Error(`Migration ${migration.file}: Version ${index + 1} erwartet (Nummerierung lückenlos ab 001)`);
+            }
+        });
+
+        this.migrations = migrations;
+        return migrations;
+    }
+
+    /**
+     * Schema-Version, die diese Anwendungsversion voraussetzt (höchste mitgelieferte Migration)
+     * @returns {number}
+     */
+    getRequiredVersion() {
+        const migrations = this.loadMigrations();
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    // ===== SCHEMA-VERSION =====
+
+    /**
+     * Versions-Tabelle anlegen (falls nicht vorhanden)
+     */
+    async ensureVersionTable() {
+        await this.client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SchemaMigrations' AND TABLE_SCHEMA = 'dbo')
+            BEGIN
+                CREATE TABLE dbo.SchemaMigrations (
+                    Version INT NOT NULL PRIMARY KEY,
+                    Name NVARCHAR(200) NOT NULL,
+                    AppliedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    AppliedBy NVARCHAR(100) NULL,
+                    DurationMs INT NULL
+                )
+            END
+        `);
+    }
+
+    /**
+     * Ausgeführte Migrationen (leer, solange die Versions-Tabelle fehlt)
+     * @returns {Array} - [{ Version, Name, AppliedTS, AppliedBy, DurationMs }]
+     */
+    async getAppliedMigrations() {
+        const table = await this.client.query("SELECT OBJECT_ID('dbo.SchemaMigrations', 'U') AS TableID");
+        if (!table.recordset[0].TableID) {
+            return [];
+        }
+
+        const result = await this.client.query(`
+            SELECT Version, Name, AppliedTS, AppliedBy, DurationMs
+            FROM dbo.SchemaMigrations
+            ORDER BY Version
+        `);
+
+        return result.recordset;
+    }
+
+    /**
+     * Aktueller Stand: Schema-Version, benötigte Version, ausgeführte und ausstehende Migrationen
+     * @returns {Object} - { currentVersion, requiredVersion, upToDate, applied, pending }
+     */
+    async getStatus() {
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(row => row.Version));
+        const currentVersion = applied.length > 0 ? Math.max(...applied.map(row => row.Version)) : 0;
+        const requiredVersion = this.getRequiredVersion();
+        const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+
+        return {
+            currentVersion,
+            requiredVersion,
+            upToDate: pending.length === 0,
+            applied: applied.map(row => ({
+                version: row.Version,
+                name: row.Name,
+                appliedAt: row.AppliedTS ? new Date(row.AppliedTS).toISOString() : null,
+                appliedBy: row.AppliedBy,
+                durationMs: row.DurationMs
+            })),
+            pending: pending.map(migration => ({ version: migration.version, name: migration.name, file: migration.file }))
+        };
+    }
+
+    /**
+     * Schema-Version beim Start prüfen
+     * Ein älteres Schema als benötigt ist nicht kompatibel; ein neueres (Station noch nicht aktualisiert) nur eine Warnung,
+     * da Migrationen das Schema ausschließlich erweitern.
+     * @returns {Object} - { compatible, currentVersion, requiredVersion, pending, message }
+     */
+    async checkSchemaVersion() {
+        const status = await this.getStatus();
+
+        if (!status.upToDate) {
+            return {
+                compatible: false,
+                currentVersion: status.currentVersion,
+                requiredVersion: status.requiredVersion,
+                pending: status.pending,
+                message: `Datenbank-Schema Version ${status.currentVersion} ist veraltet - diese Anwendung benötigt Version ${status.requiredVersion} ` +
+                    `(${status.pending.length} Migration(en) ausstehend)`
+            };
+        }
+
+        if (status.currentVersion > status.requiredVersion) {
+            customConsole.warning(`Datenbank-Schema Version ${status.currentVersion} ist neuer als diese Anwendung (${status.requiredVersion}) - bitte Anwendung aktualisieren`);
+        } else {
+            customConsole.success(`Datenbank-Schema Version ${status.currentVersion} aktuell`);
+        }
+
+        return {
+            compatible: true,
+            currentVersion: status.currentVersion,
+            requiredVersion: status.requiredVersion,
+            pending: [],
+            message: `Datenbank-Schema Version ${status.currentVersion}`
+        };
+    }
+
+    // ===== MIGRATIONEN AUSFÜHREN =====
+
+    /**
+     * Ausstehende Migrationen der Reihe nach ausführen
+     * Bricht bei der ersten fehlgeschlagenen Migration ab; sie wird beim nächsten Lauf erneut versucht
+     * (Migrationen sind deshalb idempotent geschrieben: IF NOT EXISTS / IF COL_LENGTH ... IS NULL).
+     * @param {number|null} targetVersion - Bis zu dieser Version migrieren (Standard: alle)
+     * @returns {Object} - { success, fromVersion, toVersion, applied, error }
+     */
+    async migrateUp(targetVersion = null) {
+        await this.ensureVersionTable();
+
+        const status = await this.getStatus();
+        const pending = status.pending.filter(migration => targetVersion === null || migration.version <= targetVersion);
+        const migrations = this.loadMigrations();
+        const applied = [];
+        let currentVersion = status.currentVersion;
+
+        if (pending.length === 0) {
+            customConsole.info(`Datenbank-Schema Version ${currentVersion} - keine ausstehenden Migrationen`);
+        }
+
+        for (const { version } of pending) {
+            const migration = migrations.find(entry => entry.version === version);
+            const startTime = Date.now();
+
+            customConsole.database(`Migration ${migration.file} (${migration.name})...`);
+
+            try {
+                await migration.up(this.client);
+
+                const durationMs = Date.now() - startTime;
+                await this.client.query(`
+                    INSERT INTO dbo.SchemaMigrations (Version, Name, AppliedBy, DurationMs)
+                    VALUES (?, ?, ?, ?)
+                `, [migration.version, migration.name, `${os.hostname()} (${process.env.STATION_ID || 'CLI'})`, durationMs]);
+
+                currentVersion = migration.version;
+                applied.push({ version: migration.version, name: migration.name, durationMs });
+                customConsole.success(`Migration ${migration.file} ausgeführt (${durationMs} ms)`);
+            } catch (error) {
+                customConsole.error(`Migration ${migration.file} fehlgeschlagen:`, error.message);
+                return {
+                    success: false,
+                    fromVersion: status.currentVersion,
+                    toVersion: currentVersion,
+                    applied,
+                    error: `Migration ${migration.file}: ${error.message}`
+                };
+            }
+        }
+
+        return {
+            success: true,
+            fromVersion: status.currentVersion,
+            toVersion: currentVersion,
+            applied,
+            error: null
+        };
+    }
+}
+
+module.exports = MigrationRunner;
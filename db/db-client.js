@@ -9,16 +9,28 @@
 // ===== CORE IMPORTS =====
 const DatabaseConnection = require('./core/db-connection');
 const DatabaseUtils = require('./utils/db-utils');
+const MigrationRunner = require('./core/db-migrations');
 
 // ===== MODULE IMPORTS =====
 const UserModule = require('./modules/db-users');
 const SessionModule = require('./modules/db-sessions');
 const QRScanModule = require('./modules/db-qrscans');
 const StatsModule = require('./modules/db-stats');
+const QCResultModule = require('./modules/db-qcresults');
+const QCInspectionModule = require('./modules/db-qcinspections');
+const QCPhotoModule = require('./modules/db-qcphotos');
+const QCLotModule = require('./modules/db-qclots');
+const QCOverrideModule = require('./modules/db-qcoverrides');
+const QCChecklistModule = require('./modules/db-qcchecklists');
 
 // ===== SPECIALIZED IMPORTS =====
 const HealthModule = require('./health/db-health');
 const SessionTypeConstants = require('./constants/session-types');
+const QCResultConstants = require('./constants/qc-results');
+const AQLConstants = require('./constants/aql');
+const QCOverrideConstants = require('./constants/qc-overrides');
+const QCChecklistConstants = require('./constants/qc-checklists');
+const SymbologyConstants = require('./constants/symbologies');
 
 /**
  * Enhanced Database Client with Modular Architecture
@@ -37,8 +49,17 @@ class DatabaseClient {
         this.sessions = new SessionModule(this.connection, this.utils);
         this.qrscans = new QRScanModule(this.connection, this.utils);
         this.stats = new StatsModule(this.connection, this.utils);
+        this.qcresults = new QCResultModule(this.connection, this.utils);
+        this.qcinspections = new QCInspectionModule(this.connection, this.utils);
+        this.qcphotos = new QCPhotoModule(this.connection, this.utils);
+        this.qclots = new QCLotModule(this.connection, this.utils);
+        this.qcoverrides = new QCOverrideModule(this.connection, this.utils);
+        this.qcchecklists = new QCChecklistModule(this.connection, this.utils);
         this.health = new HealthModule(this.connection, this.utils);
 
+        // ===== SCHEMA MIGRATIONS =====
+        this.migrations = new MigrationRunner(this);
+
         // ===== BACKWARDS COMPATIBILITY PROPERTIES =====
         // Expose connection properties for compatibility
         Object.defineProperty(this, 'pool', {
@@ -77,6 +98,22 @@ class DatabaseClient {
         return await this.connection.close();
     }
 
+    /**
+     * Verbindungs-Events abonnieren ('connected', 'disconnected', 'reconnecting' - siehe DatabaseConnection)
+     */
+    on(event, listener) {
+        this.connection.on(event, listener);
+        return this;
+    }
+
+    handleConnectionLost(error) {
+        return this.connection.handleConnectionLost(error);
+    }
+
+    getReconnectStatus() {
+        return this.connection.getReconnectStatus();
+    }
+
     async query(queryString, parameters = []) {
         return await this.connection.query(queryString, parameters);
     }
@@ -121,8 +158,8 @@ class DatabaseClient {
 
     // ===== SESSION OPERATIONS (DELEGATED) =====
 
-    async createSession(userId, sessionType = 'Qualitätskontrolle') {
-        return await this.sessions.createSession(userId, sessionType);
+    async createSession(userId, sessionType = 'Qualitätskontrolle', startTime = null) {
+        return await this.sessions.createSession(userId, sessionType, startTime);
     }
 
     async getSessionWithType(sessionId) {
@@ -133,8 +170,8 @@ class DatabaseClient {
         return await this.sessions.getActiveSessionsWithType();
     }
 
-    async endSession(sessionId) {
-        return await this.sessions.endSession(sessionId);
+    async endSession(sessionId, endTime = null) {
+        return await this.sessions.endSession(sessionId, endTime);
     }
 
     /**
@@ -164,12 +201,16 @@ class DatabaseClient {
 
     // ===== QR-SCAN OPERATIONS (DELEGATED) =====
 
-    async saveQRScan(sessionId, payload) {
-        return await this.qrscans.saveQRScan(sessionId, payload);
+    async saveQRScan(sessionId, payload, options = {}) {
+        return await this.qrscans.saveQRScan(sessionId, payload, options);
+    }
+
+    async getQRScansBySession(sessionId, limit = 50, offset = 0) {
+        return await this.qrscans.getQRScansBySession(sessionId, limit, offset);
     }
 
-    async getQRScansBySession(sessionId, limit = 50) {
-        return await this.qrscans.getQRScansBySession(sessionId, limit);
+    async invalidateQRScan(scanId) {
+        return await this.qrscans.invalidateQRScan(scanId);
     }
 
     async getQRScanById(scanId) {
@@ -188,12 +229,12 @@ class DatabaseClient {
         return await this.qrscans.getQRScanStats(sessionId);
     }
 
-    async searchQRScans(searchTerm, sessionId = null, limit = 20) {
-        return await this.qrscans.searchQRScans(searchTerm, sessionId, limit);
+    async searchQRScans(searchTerm, sessionId = null, limit = 20, filters = {}) {
+        return await this.qrscans.searchQRScans(searchTerm, sessionId, limit, filters);
     }
 
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) {
-        return await this.qrscans.checkQRDuplicate(payload, timeWindowHours);
+    async checkQRDuplicate(payload, timeWindowHours = 0.17, referenceTime = null) {
+        return await this.qrscans.checkQRDuplicate(payload, timeWindowHours, referenceTime);
     }
 
     async checkForDuplicates(rawPayload, sessionId, minutesBack = 10) {
@@ -205,6 +246,158 @@ class DatabaseClient {
         return await this.qrscans.getSessionScans(sessionId, limit);
     }
 
+    // ===== QC-RESULT OPERATIONS (DELEGATED) =====
+
+    async saveQCResult(resultData) {
+        return await this.qcresults.saveResult(resultData);
+    }
+
+    async linkQCResultSecondScan(resultId, secondScanId) {
+        return await this.qcresults.linkSecondScan(resultId, secondScanId);
+    }
+
+    async getQCResultByFirstScan(firstScanId) {
+        return await this.qcresults.getResultByFirstScan(firstScanId);
+    }
+
+    async getQCResultsBySession(sessionId) {
+        return await this.qcresults.getResultsBySession(sessionId);
+    }
+
+    async getQCResultStats(startDate = null, endDate = null) {
+        return await this.qcresults.getResultStats(startDate, endDate);
+    }
+
+    // ===== QC-INSPECTION OPERATIONS (DELEGATED) =====
+
+    async startQCInspection(inspectionData) {
+        return await this.qcinspections.startInspection(inspectionData);
+    }
+
+    async updateQCInspectionProgress(inspectionId, stepIndex) {
+        return await this.qcinspections.updateProgress(inspectionId, stepIndex);
+    }
+
+    async completeQCInspection(inspectionId, secondScanId, finalResult = null) {
+        return await this.qcinspections.completeInspection(inspectionId, secondScanId, finalResult);
+    }
+
+    async abandonQCInspection(inspectionId, reason) {
+        return await this.qcinspections.abandonInspection(inspectionId, reason);
+    }
+
+    async isQCInspectionAbandoned(rawPayload) {
+        return await this.qcinspections.isAbandoned(rawPayload);
+    }
+
+    async getQCAbandonStats(startDate = null, endDate = null) {
+        return await this.qcinspections.getAbandonStats(startDate, endDate);
+    }
+
+    async reassignQCInspectionSession(inspectionId, sessionId) {
+        return await this.qcinspections.reassignSession(inspectionId, sessionId);
+    }
+
+    async isQCInspectionCompleted(rawPayload) {
+        return await this.qcinspections.isCompleted(rawPayload);
+    }
+
+    async getQCInspectionByFirstScan(firstScanId) {
+        return await this.qcinspections.getInspectionByFirstScan(firstScanId);
+    }
+
+    async getOpenQCInspectionForUser(userId, stationId) {
+        return await this.qcinspections.getOpenInspectionForUser(userId, stationId);
+    }
+
+    async getOpenQCInspections(stationId) {
+        return await this.qcinspections.getOpenInspections(stationId);
+    }
+
+    async getPendingQCRework(rawPayload) {
+        return await this.qcinspections.getPendingRework(rawPayload);
+    }
+
+    async getCompletedQCInspection(rawPayload) {
+        return await this.qcinspections.getCompletedInspection(rawPayload);
+    }
+
+    async getQCReworkQueue(limit = 100) {
+        return await this.qcinspections.getReworkQueue(limit);
+    }
+
+    async getQCReworkStats(startDate = null, endDate = null) {
+        return await this.qcinspections.getReworkStats(startDate, endDate);
+    }
+
+    // ===== QC-PHOTO OPERATIONS (DELEGATED) =====
+
+    async saveQCPhoto(photoData) {
+        return await this.qcphotos.savePhoto(photoData);
+    }
+
+    async getQCPhotosByScan(scanId, includeData = false) {
+        return await this.qcphotos.getPhotosByScan(scanId, includeData);
+    }
+
+    async getQCPhotoCount(scanId) {
+        return await this.qcphotos.getPhotoCount(scanId);
+    }
+
+    // ===== QC-LOT OPERATIONS (DELEGATED) =====
+
+    async upsertQCLot(lotData) {
+        return await this.qclots.upsertLot(lotData);
+    }
+
+    async importQCLots(csvText) {
+        return await this.qclots.importLots(csvText);
+    }
+
+    async recordQCLotInspection(auftragsNr, isDefective) {
+        return await this.qclots.recordInspection(auftragsNr, isDefective);
+    }
+
+    async getQCLot(auftragsNr) {
+        return await this.qclots.getLot(auftragsNr);
+    }
+
+    // ===== QC-OVERRIDE OPERATIONS (DELEGATED) =====
+
+    async createQCOverride(overrideData) {
+        return await this.qcoverrides.createOverride(overrideData);
+    }
+
+    async linkQCOverrideScan(overrideId, scanId, resultStatus) {
+        return await this.qcoverrides.linkScan(overrideId, scanId, resultStatus);
+    }
+
+    async getQCOverrides(startDate = null, endDate = null, limit = 100) {
+        return await this.qcoverrides.getOverrides(startDate, endDate, limit);
+    }
+
+    // ===== QC-CHECKLIST OPERATIONS (DELEGATED) =====
+
+    async getQCChecklistForCarton(kundenId, auftragsNr) {
+        return await this.qcchecklists.getChecklistForCarton(kundenId, auftragsNr);
+    }
+
+    async saveQCChecklistAnswers(answerData) {
+        return await this.qcchecklists.saveAnswers(answerData);
+    }
+
+    async getQCChecklistAnswers(firstScanId) {
+        return await this.qcchecklists.getAnswersByScan(firstScanId);
+    }
+
+    async linkQCChecklistSecondScan(firstScanId, secondScanId) {
+        return await this.qcchecklists.linkSecondScan(firstScanId, secondScanId);
+    }
+
+    async importQCChecklistItems(csvText) {
+        return await this.qcchecklists.importItems(csvText);
+    }
+
     // ===== STATISTICS OPERATIONS (DELEGATED) =====
 
     async getDailyStats(date = null) {
@@ -239,6 +432,14 @@ class DatabaseClient {
         return await this.stats.getDashboardData(timeframe);
     }
 
+    async getQCInspectionDurationStats(startDate = null, endDate = null) {
+        return await this.stats.getInspectionDurationStats(startDate, endDate);
+    }
+
+    async getManualEntryStats(startDate = null, endDate = null) {
+        return await this.stats.getManualEntryStats(startDate, endDate);
+    }
+
     // ===== HEALTH & DIAGNOSTICS (DELEGATED) =====
 
     async healthCheck() {
@@ -303,6 +504,14 @@ class DatabaseClient {
         return this.utils.parseQRCodeData(data);
     }
 
+    validateManualCode(data) {
+        return this.utils.validateManualCode(data);
+    }
+
+    normalizeClientScanId(value) {
+        return this.utils.normalizeClientScanId(value);
+    }
+
     parsePayloadJson(payloadJson) {
         return this.utils.parsePayloadJson(payloadJson);
     }
@@ -323,6 +532,33 @@ class DatabaseClient {
         return this.utils.getDuplicateCacheStats();
     }
 
+    // ===== SCHEMA MIGRATIONS (DELEGATED) =====
+
+    /**
+     * Get schema version and applied/pending migrations
+     * @returns {Object} - { currentVersion, requiredVersion, upToDate, applied, pending }
+     */
+    async getSchemaStatus() {
+        return await this.migrations.getStatus();
+    }
+
+    /**
+     * Check that the database schema is not older than this application requires
+     * @returns {Object} - { compatible, currentVersion, requiredVersion, pending, message }
+     */
+    async checkSchemaVersion() {
+        return await this.migrations.checkSchemaVersion();
+    }
+
+    /**
+     * Run pending migrations
+     * @param {number|null} targetVersion - Migrate up to this version (default: all)
+     * @returns {Object} - { success, fromVersion, toVersion, applied, error }
+     */
+    async migrateSchema(targetVersion = null) {
+        return await this.migrations.migrateUp(targetVersion);
+    }
+
     // ===== ENHANCED MODULAR METHODS =====
 
     /**
@@ -337,6 +573,12 @@ class DatabaseClient {
             sessions: this.sessions,
             qrscans: this.qrscans,
             stats: this.stats,
+            qcresults: this.qcresults,
+            qcinspections: this.qcinspections,
+            qcphotos: this.qcphotos,
+            qclots: this.qclots,
+            qcoverrides: this.qcoverrides,
+            qcchecklists: this.qcchecklists,
             health: this.health
         };
     }
@@ -349,6 +591,25 @@ class DatabaseClient {
         return await SessionTypeConstants.setupSessionTypes(this.connection);
     }
 
+    /**
+     * Get QC result options (results, defect categories, AQL settings, override reasons) for the UI
+     * @returns {Object} - { results, defectCategories, aqlValues, inspectionLevels, aqlDefaults, overrideReasons, overridableStatuses }
+     */
+    getQCResultOptions() {
+        return {
+            results: QCResultConstants.getAllQCResultConfigs(),
+            defectCategories: QCResultConstants.getAllDefectCategoryConfigs(),
+            aqlValues: AQLConstants.AQL_VALUES,
+            inspectionLevels: Object.values(AQLConstants.INSPECTION_LEVELS),
+            aqlDefaults: {
+                aql: this.qclots.defaultAQL,
+                inspectionLevel: this.qclots.defaultInspectionLevel
+            },
+            overrideReasons: QCOverrideConstants.getAllOverrideReasonConfigs(),
+            overridableStatuses: QCOverrideConstants.OVERRIDABLE_STATUSES
+        };
+    }
+
     /**
      * Get SessionType configuration
      * @param {string} sessionTypeName - Name of the SessionType
@@ -358,6 +619,15 @@ class DatabaseClient {
         return SessionTypeConstants.getSessionTypeConfig(sessionTypeName);
     }
 
+    /**
+     * Get camera scanner symbologies enabled for a SessionType
+     * @param {string} sessionTypeName - Name of the SessionType
+     * @returns {Array} - Enabled symbologies (e.g. ['qr', 'code128'])
+     */
+    getEnabledSymbologies(sessionTypeName) {
+        return SessionTypeConstants.getEnabledSymbologiesForSession(sessionTypeName);
+    }
+
     /**
      * Validate QR code for specific SessionType
      * @param {string} sessionTypeName - SessionType name
@@ -467,6 +737,12 @@ module.exports.createWareneingangSession = SessionTypeConstants.createWareneinga
 module.exports.getWareneingangSessionTypeId = SessionTypeConstants.getWareneingangSessionTypeId;
 module.exports.createQualitaetskontrolleSession = SessionTypeConstants.createQualitaetskontrolleSession;
 module.exports.getQualitaetskontrolleSessionTypeId = SessionTypeConstants.getQualitaetskontrolleSessionTypeId;
+module.exports.QC_RESULTS = QCResultConstants.QC_RESULTS;
+module.exports.DEFECT_CATEGORIES = QCResultConstants.DEFECT_CATEGORIES;
+module.exports.LOT_STATUS = AQLConstants.LOT_STATUS;
+module.exports.OVERRIDE_REASONS = QCOverrideConstants.OVERRIDE_REASONS;
+module.exports.CHECKLIST_ANSWER_TYPES = QCChecklistConstants.CHECKLIST_ANSWER_TYPES;
+module.exports.SYMBOLOGIES = SymbologyConstants.SYMBOLOGIES;
 
 // Module exports für direkte Nutzung (Advanced)
 module.exports.modules = {
@@ -476,6 +752,17 @@ module.exports.modules = {
     SessionModule,
     QRScanModule,
     StatsModule,
+    QCResultModule,
+    QCInspectionModule,
+    QCPhotoModule,
+    QCLotModule,
+    QCOverrideModule,
+    QCChecklistModule,
     HealthModule,
-    SessionTypeConstants
+    SessionTypeConstants,
+    QCResultConstants,
+    AQLConstants,
+    QCOverrideConstants,
+    QCChecklistConstants,
+    SymbologyConstants
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Migration 001: SessionTypes Tabelle
+ * Setzt die Basistabellen der Scanner-Datenbank voraus (ScannBenutzer, Sessions, QrScans) - diese werden
+ * gemeinsam mit dem Wareneingang genutzt und nicht von dieser Anwendung angelegt.
+ */
+
+const BASE_TABLES = ['ScannBenutzer', 'Sessions', 'QrScans'];
+
+module.exports = {
+    name: 'SessionTypes Tabelle',
+
+    async up(client) {
+        const result = await client.query(`
+            SELECT TABLE_NAME
+            FROM INFORMATION_SCHEMA.TABLES
+            WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME IN (?, ?, ?)
+        `, BASE_TABLES);
+
+        const existingTables = result.recordset.map(row => row.TABLE_NAME);
+        const missingTables = BASE_TABLES.filter(table => !existingTables.includes(table));
+        if (missingTables.length > 0) {
+            throw new Error(`Basistabellen fehlen: ${missingTables.join(', ')}`);
+        }
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SessionTypes')
+            BEGIN
+                CREATE TABLE dbo.SessionTypes (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    TypeName NVARCHAR(100) NOT NULL UNIQUE,
+                    Description NVARCHAR(500),
+                    IsActive BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                )
+            END
+        `);
+    }
+};
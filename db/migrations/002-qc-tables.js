@@ -0,0 +1,190 @@
+/**
+ * Migration 002: QC-Tabellen (Prüfergebnisse, Karton-Prüfungen, Fotos, AQL-Prüflose, Supervisor-Freigaben, Checklisten)
+ * Idempotent - läuft auch gegen Datenbanken, in denen die Tabellen vor Einführung der Migrationen angelegt wurden.
+ * QcInspections-Spalten späterer Ausbaustufen werden bei solchen Tabellen nachgerüstet.
+ */
+
+module.exports = {
+    name: 'QC-Tabellen',
+
+    async up(client) {
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcResults')
+            BEGIN
+                CREATE TABLE dbo.QcResults (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionID INT NOT NULL,
+                    UserID INT NULL,
+                    FirstScanID INT NOT NULL,
+                    SecondScanID INT NULL,
+                    RawPayload NVARCHAR(MAX) NOT NULL,
+                    Result NVARCHAR(20) NOT NULL,
+                    DefectCategories NVARCHAR(1000) NULL,
+                    Notes NVARCHAR(1000) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_QcResults_FirstScanID ON dbo.QcResults (FirstScanID);
+                CREATE INDEX IX_QcResults_SessionID ON dbo.QcResults (SessionID);
+            END
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcInspections')
+            BEGIN
+                CREATE TABLE dbo.QcInspections (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    RawPayload NVARCHAR(MAX) NOT NULL,
+                    PayloadHash AS CAST(HASHBYTES('SHA2_256', RawPayload) AS BINARY(32)) PERSISTED,
+                    Status NVARCHAR(20) NOT NULL,
+                    SessionID INT NOT NULL,
+                    UserID INT NULL,
+                    StationID NVARCHAR(100) NOT NULL,
+                    FirstScanID INT NOT NULL,
+                    SecondScanID INT NULL,
+                    WorkflowID NVARCHAR(50) NULL,
+                    StepIndex INT NOT NULL DEFAULT 0,
+                    InspectionRound INT NOT NULL DEFAULT 1,
+                    ReinspectionOfID INT NULL,
+                    FinalResult NVARCHAR(20) NULL,
+                    AbandonReason NVARCHAR(50) NULL,
+                    AbandonedTS DATETIME2 NULL,
+                    KundenID NVARCHAR(50) NULL,
+                    StartedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    CompletedTS DATETIME2 NULL,
+                    DurationSeconds INT NULL,
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_QcInspections_PayloadHash ON dbo.QcInspections (PayloadHash, Status);
+                CREATE INDEX IX_QcInspections_Station_Status ON dbo.QcInspections (StationID, Status);
+            END
+        `);
+
+        await client.query(`
+            IF COL_LENGTH('dbo.QcInspections', 'WorkflowID') IS NULL
+                ALTER TABLE dbo.QcInspections ADD WorkflowID NVARCHAR(50) NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'StepIndex') IS NULL
+                ALTER TABLE dbo.QcInspections ADD StepIndex INT NOT NULL DEFAULT 0;
+            IF COL_LENGTH('dbo.QcInspections', 'InspectionRound') IS NULL
+                ALTER TABLE dbo.QcInspections ADD InspectionRound INT NOT NULL DEFAULT 1;
+            IF COL_LENGTH('dbo.QcInspections', 'ReinspectionOfID') IS NULL
+                ALTER TABLE dbo.QcInspections ADD ReinspectionOfID INT NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'FinalResult') IS NULL
+                ALTER TABLE dbo.QcInspections ADD FinalResult NVARCHAR(20) NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'AbandonReason') IS NULL
+                ALTER TABLE dbo.QcInspections ADD AbandonReason NVARCHAR(50) NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'AbandonedTS') IS NULL
+                ALTER TABLE dbo.QcInspections ADD AbandonedTS DATETIME2 NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'KundenID') IS NULL
+                ALTER TABLE dbo.QcInspections ADD KundenID NVARCHAR(50) NULL;
+            IF COL_LENGTH('dbo.QcInspections', 'DurationSeconds') IS NULL
+                ALTER TABLE dbo.QcInspections ADD DurationSeconds INT NULL;
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcPhotos')
+            BEGIN
+                CREATE TABLE dbo.QcPhotos (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    ScanID INT NOT NULL,
+                    InspectionID INT NULL,
+                    SessionID INT NOT NULL,
+                    UserID INT NULL,
+                    MimeType NVARCHAR(50) NOT NULL,
+                    FileSize INT NOT NULL,
+                    Width INT NULL,
+                    Height INT NULL,
+                    ImageData VARBINARY(MAX) NOT NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_QcPhotos_ScanID ON dbo.QcPhotos (ScanID);
+            END
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcLots')
+            BEGIN
+                CREATE TABLE dbo.QcLots (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    AuftragsNr NVARCHAR(100) NOT NULL,
+                    LotSize INT NOT NULL,
+                    AQL DECIMAL(5,2) NOT NULL,
+                    InspectionLevel NVARCHAR(10) NOT NULL,
+                    CodeLetter NVARCHAR(2) NOT NULL,
+                    SampleSize INT NOT NULL,
+                    AcceptNumber INT NOT NULL,
+                    RejectNumber INT NOT NULL,
+                    InspectedCount INT NOT NULL DEFAULT 0,
+                    DefectCount INT NOT NULL DEFAULT 0,
+                    Status NVARCHAR(20) NOT NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    DecidedTS DATETIME2 NULL
+                );
+                CREATE UNIQUE INDEX UX_QcLots_AuftragsNr ON dbo.QcLots (AuftragsNr);
+            END
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcOverrides')
+            BEGIN
+                CREATE TABLE dbo.QcOverrides (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    RawPayload NVARCHAR(MAX) NOT NULL,
+                    PayloadHash AS CAST(HASHBYTES('SHA2_256', RawPayload) AS BINARY(32)) PERSISTED,
+                    BlockedStatus NVARCHAR(50) NOT NULL,
+                    Reason NVARCHAR(50) NOT NULL,
+                    Notes NVARCHAR(1000) NULL,
+                    SessionID INT NOT NULL,
+                    OperatorUserID INT NULL,
+                    SupervisorUserID INT NOT NULL,
+                    StationID NVARCHAR(100) NOT NULL,
+                    ScanID INT NULL,
+                    ResultStatus NVARCHAR(50) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_QcOverrides_PayloadHash ON dbo.QcOverrides (PayloadHash);
+                CREATE INDEX IX_QcOverrides_CreatedTS ON dbo.QcOverrides (CreatedTS);
+            END
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcChecklistItems')
+            BEGIN
+                CREATE TABLE dbo.QcChecklistItems (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    KundenID NVARCHAR(50) NULL,
+                    ProductPattern NVARCHAR(100) NULL,
+                    ItemKey NVARCHAR(50) NOT NULL,
+                    Label NVARCHAR(200) NOT NULL,
+                    AnswerType NVARCHAR(20) NOT NULL,
+                    Mandatory BIT NOT NULL DEFAULT 1,
+                    SortOrder INT NOT NULL DEFAULT 0,
+                    Active BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_QcChecklistItems_KundenID ON dbo.QcChecklistItems (KundenID, Active);
+            END
+
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QcChecklistAnswers')
+            BEGIN
+                CREATE TABLE dbo.QcChecklistAnswers (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    FirstScanID INT NOT NULL,
+                    SecondScanID INT NULL,
+                    InspectionID INT NULL,
+                    SessionID INT NOT NULL,
+                    UserID INT NULL,
+                    ItemID INT NOT NULL,
+                    ItemKey NVARCHAR(50) NOT NULL,
+                    Label NVARCHAR(200) NOT NULL,
+                    Answer NVARCHAR(500) NOT NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE UNIQUE INDEX UX_QcChecklistAnswers_Scan_Item ON dbo.QcChecklistAnswers (FirstScanID, ItemID);
+            END
+        `);
+    }
+};
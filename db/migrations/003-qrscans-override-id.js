@@ -0,0 +1,14 @@
+/**
+ * Migration 003: QrScans.OverrideID - Scan per Supervisor-Freigabe (verweist auf QcOverrides)
+ */
+
+module.exports = {
+    name: 'QrScans.OverrideID',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'OverrideID') IS NULL
+                ALTER TABLE dbo.QrScans ADD OverrideID INT NULL;
+        `);
+    }
+};
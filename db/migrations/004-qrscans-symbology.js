@@ -0,0 +1,14 @@
+/**
+ * Migration 004: QrScans.Symbology - Code-Art des Kamera-Scans (qr, code128, ean13, datamatrix)
+ */
+
+module.exports = {
+    name: 'QrScans.Symbology',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'Symbology') IS NULL
+                ALTER TABLE dbo.QrScans ADD Symbology NVARCHAR(30) NULL;
+        `);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 005: QrScans.ManualEntry - Code wurde manuell eingegeben (Etikett nicht lesbar)
+ */
+
+module.exports = {
+    name: 'QrScans.ManualEntry',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'ManualEntry') IS NULL
+                ALTER TABLE dbo.QrScans ADD ManualEntry BIT NOT NULL
+                    CONSTRAINT DF_QrScans_ManualEntry DEFAULT 0;
+        `);
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 006: QrScans.ClientScanID - UUID je Scan aus dem Renderer, eindeutig (Wiederholungen liefern die vorhandene Zeile)
+ */
+
+module.exports = {
+    name: 'QrScans.ClientScanID',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'ClientScanID') IS NULL
+                ALTER TABLE dbo.QrScans ADD ClientScanID UNIQUEIDENTIFIER NULL;
+        `);
+
+        // Eigene Abfrage: der Index verweist auf die eben angelegte Spalte
+        // Gefiltert, da ältere Scans keine ClientScanID haben
+        await client.query(`
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_QrScans_ClientScanID' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE UNIQUE INDEX UX_QrScans_ClientScanID ON dbo.QrScans(ClientScanID)
+                    WHERE ClientScanID IS NOT NULL;
+        `);
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 007: QrScans.PayloadHash - RawPayload (NVARCHAR(MAX)) ist nicht indizierbar;
+ * Duplikat-Prüfung und ihre Sperre beim Speichern laufen über den Hash
+ */
+
+module.exports = {
+    name: 'QrScans.PayloadHash',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'PayloadHash') IS NULL
+                ALTER TABLE dbo.QrScans ADD PayloadHash AS CAST(HASHBYTES('SHA2_256', RawPayload) AS BINARY(32)) PERSISTED;
+        `);
+
+        await client.query(`
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QrScans_PayloadHash' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE INDEX IX_QrScans_PayloadHash ON dbo.QrScans(PayloadHash, CapturedTS) INCLUDE (Valid);
+        `);
+    }
+};
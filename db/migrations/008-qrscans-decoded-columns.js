@@ -0,0 +1,68 @@
+/**
+ * Migration 008: Dekodierte Felder in QrScans (AuftragsNr, PaketNr, KundenID, KundenName)
+ * Der Scan-Verlauf filtert über diese indizierten Spalten statt über LIKE im RawPayload.
+ * Vorhandene Scans werden mit demselben Parser nachgetragen, mit dem saveQRScan neue Scans speichert.
+ */
+
+// 5 Parameter je Zeile - SQL Server erlaubt höchstens 2100 Parameter je Abfrage
+const BACKFILL_BATCH_SIZE = 400;
+
+module.exports = {
+    name: 'QrScans dekodierte Felder',
+
+    async up(client) {
+        await client.query(`
+            IF COL_LENGTH('dbo.QrScans', 'AuftragsNr') IS NULL
+                ALTER TABLE dbo.QrScans ADD AuftragsNr NVARCHAR(100) NULL;
+            IF COL_LENGTH('dbo.QrScans', 'PaketNr') IS NULL
+                ALTER TABLE dbo.QrScans ADD PaketNr NVARCHAR(100) NULL;
+            IF COL_LENGTH('dbo.QrScans', 'KundenID') IS NULL
+                ALTER TABLE dbo.QrScans ADD KundenID NVARCHAR(100) NULL;
+            IF COL_LENGTH('dbo.QrScans', 'KundenName') IS NULL
+                ALTER TABLE dbo.QrScans ADD KundenName NVARCHAR(200) NULL;
+        `);
+
+        // Eigene Abfrage: die Indizes verweisen auf die eben angelegten Spalten
+        await client.query(`
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QrScans_AuftragsNr' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE INDEX IX_QrScans_AuftragsNr ON dbo.QrScans(AuftragsNr, CapturedTS);
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QrScans_PaketNr' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE INDEX IX_QrScans_PaketNr ON dbo.QrScans(PaketNr, CapturedTS);
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QrScans_KundenID' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE INDEX IX_QrScans_KundenID ON dbo.QrScans(KundenID, CapturedTS);
+            IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QrScans_KundenName' AND object_id = OBJECT_ID('dbo.QrScans'))
+                CREATE INDEX IX_QrScans_KundenName ON dbo.QrScans(KundenName, CapturedTS);
+        `);
+
+        // Nachtragen in Blöcken nach ID - Scans ohne erkennbare Felder bleiben NULL
+        let lastId = 0;
+        for (;;) {
+            const batch = await client.query(`
+                SELECT TOP ${BACKFILL_BATCH_SIZE} ID, RawPayload
+                FROM dbo.QrScans
+                WHERE ID > ?
+                  AND AuftragsNr IS NULL AND PaketNr IS NULL AND KundenID IS NULL AND KundenName IS NULL
+                ORDER BY ID
+            `, [lastId]);
+
+            if (batch.recordset.length === 0) {
+                break;
+            }
+            lastId = batch.recordset[batch.recordset.length - 1].ID;
+
+            const rows = batch.recordset
+                .map(row => ({ id: row.ID, ...client.utils.getDecodedColumnValues(client.utils.parseQRCodeData(row.RawPayload)) }))
+                .filter(row => row.AuftragsNr || row.PaketNr || row.KundenID || row.KundenName);
+
+            if (rows.length > 0) {
+                await client.query(`
+                    UPDATE q
+                    SET AuftragsNr = v.AuftragsNr, PaketNr = v.PaketNr, KundenID = v.KundenID, KundenName = v.KundenName
+                    FROM dbo.QrScans q
+                    INNER JOIN (VALUES ${rows.map(() => '(?, ?, ?, ?, ?)').join(', ')})
+                        AS v(ID, AuftragsNr, PaketNr, KundenID, KundenName) ON q.ID = v.ID
+                `, rows.flatMap(row => [row.id, row.AuftragsNr, row.PaketNr, row.KundenID, row.KundenName]));
+            }
+        }
+    }
+};
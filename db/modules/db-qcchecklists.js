@@ -0,0 +1,243 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const {
+    CHECKLIST_ANSWER_TYPES,
+    normalizeChecklistAnswerType,
+    validateChecklistAnswer,
+    getMissingMandatoryItems
+} = require('../constants/qc-checklists');
+
+/**
+ * QC-Checklist Management Module
+ * Prüfpunkte je Kunde/Produkt (dbo.QcChecklistItems) und deren Antworten je Karton
+ * (dbo.QcChecklistAnswers, verknüpft mit erstem und abschließendem Scan)
+ */
+class QCChecklistModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+    }
+
+    // ===== QC-CHECKLIST OPERATIONEN =====
+
+    /**
+     * Antworten eines Kartons speichern (nur übergebene Prüfpunkte, leere Antwort löscht)
+     * @param {Object} answerData - { firstScanId, inspectionId, sessionId, userId, items, answers: { itemId: answer } }
+     * @returns {Object} - Strukturierte Antwort mit allen Antworten und fehlenden Pflichtpunkten
+     */
+    async saveAnswers(answerData) {
+        const { firstScanId, inspectionId, sessionId, userId, items = [], answers = {} } = answerData;
+
+        // Antworten vollständig validieren bevor gespeichert wird
+        const validated = [];
+        for (const [itemId, answer] of Object.entries(answers)) {
+            const item = items.find(candidate => candidate.ID === parseInt(itemId));
+            if (!item) {
+                continue;
+            }
+
+            const validation = validateChecklistAnswer(item, answer);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    status: 'validation_failed',
+                    message: validation.message,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            validated.push({ item, value: validation.value });
+        }
+
+        try {
+            for (const { item, value } of validated) {
+                if (value === null) {
+                    await this.db.query(`
+                        DELETE FROM dbo.QcChecklistAnswers WHERE FirstScanID = ? AND ItemID = ?
+                    `, [firstScanId, item.ID]);
+                    continue;
+                }
+
+                await this.db.query(`
+                    MERGE dbo.QcChecklistAnswers AS target
+                    USING (SELECT ? AS FirstScanID, ? AS ItemID) AS source
+                    ON target.FirstScanID = source.FirstScanID AND target.ItemID = source.ItemID
+                    WHEN MATCHED THEN
+                        UPDATE SET Answer = ?, UserID = ?, UpdatedTS = SYSDATETIME()
+                    WHEN NOT MATCHED THEN
+                        INSERT (FirstScanID, ItemID, InspectionID, SessionID, UserID, ItemKey, Label, Answer)
+                        VALUES (source.FirstScanID, source.ItemID, ?, ?, ?, ?, ?, ?);
+                `, [
+                    firstScanId, item.ID,
+                    value, userId || null,
+                    inspectionId || null, sessionId, userId || null, item.ItemKey, item.Label, value
+                ]);
+            }
+
+            const savedAnswers = await this.getAnswersByScan(firstScanId);
+            const missing = getMissingMandatoryItems(items, savedAnswers);
+
+            return {
+                success: true,
+                status: 'checklist_saved',
+                message: missing.length > 0
+                    ? `Checkliste gespeichert - ${missing.length} Pflichtpunkt(e) offen`
+                    : 'Checkliste vollständig',
+                data: {
+                    answers: savedAnswers,
+                    missingMandatory: missing.map(item => item.Label)
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Speichern der Checklisten-Antworten:', error);
+            return {
+                success: false,
+                status: 'database_error',
+                message: `Datenbankfehler: ${error.message}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Abschließenden Scan mit den Checklisten-Antworten verknüpfen
+     * @param {number} firstScanId - QrScans ID des ersten Scans
+     * @param {number} secondScanId - QrScans ID des abschließenden Scans
+     * @returns {boolean} - Success
+     */
+    async linkSecondScan(firstScanId, secondScanId) {
+        try {
+            await this.db.query(`
+                UPDATE dbo.QcChecklistAnswers
+                SET SecondScanID = ?, UpdatedTS = SYSDATETIME()
+                WHERE FirstScanID = ?
+            `, [secondScanId, firstScanId]);
+
+            return true;
+        } catch (error) {
+            customConsole.error('Fehler beim Verknüpfen der Checkliste mit dem Abschluss-Scan:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Prüfpunkte aus CSV importieren
+     * Format je Zeile: Kunde;Produktmuster;Schlüssel;Bezeichnung[;Typ[;Pflicht]] (Trennzeichen ;)
+     * Kunde/Produktmuster leer = gilt für alle, Typ: yes_no (Standard), number, text, Pflicht: 1/0 (Standard 1)
+     * @param {string} csvText - CSV-Inhalt (Kopfzeile optional)
+     * @returns {Object} - Strukturierte Antwort mit { imported, skipped, errors }
+     */
+    async importItems(csvText) {
+        const summary = { imported: 0, skipped: 0, errors: [] };
+        const lines = String(csvText || '').split(/\r?\n/).filter(line => line.trim());
+
+        for (const [index, line] of lines.entries()) {
+            const [kundenId, productPattern, itemKey, label, answerType, mandatory] = line.split(';').map(part => part.trim());
+
+            // Kopfzeile überspringen
+            if (index === 0 && /^kunde/i.test(kundenId)) {
+                continue;
+            }
+
+            const type = answerType ? normalizeChecklistAnswerType(answerType) : CHECKLIST_ANSWER_TYPES.YES_NO;
+            if (!itemKey || !label || !type) {
+                summary.skipped++;
+                summary.errors.push(`Zeile ${index + 1}: Schlüssel, Bezeichnung oder Typ fehlt/ungültig`);
+                continue;
+            }
+
+            try {
+                await this.db.query(`
+                    MERGE dbo.QcChecklistItems AS target
+                    USING (SELECT ? AS KundenID, ? AS ProductPattern, ? AS ItemKey) AS source
+                    ON ISNULL(target.KundenID, '') = ISNULL(source.KundenID, '')
+                       AND ISNULL(target.ProductPattern, '') = ISNULL(source.ProductPattern, '')
+                       AND target.ItemKey = source.ItemKey
+                    WHEN MATCHED THEN
+                        UPDATE SET Label = ?, AnswerType = ?, Mandatory = ?, SortOrder = ?, Active = 1, UpdatedTS = SYSDATETIME()
+                    WHEN NOT MATCHED THEN
+                        INSERT (KundenID, ProductPattern, ItemKey, Label, AnswerType, Mandatory, SortOrder)
+                        VALUES (source.KundenID, source.ProductPattern, source.ItemKey, ?, ?, ?, ?);
+                `, [
+                    kundenId || null, productPattern || null, itemKey,
+                    label, type, mandatory !== '0', index,
+                    label, type, mandatory !== '0', index
+                ]);
+                summary.imported++;
+            } catch (error) {
+                summary.skipped++;
+                summary.errors.push(`Zeile ${index + 1}: ${error.message}`);
+            }
+        }
+
+        customConsole.info(`Checklisten-Import: ${summary.imported} Prüfpunkte importiert, ${summary.skipped} übersprungen`);
+
+        return {
+            success: summary.imported > 0 || lines.length === 0,
+            status: 'checklist_imported',
+            message: `${summary.imported} Prüfpunkte importiert, ${summary.skipped} übersprungen`,
+            data: summary,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // ===== QC-CHECKLIST RETRIEVAL METHODS =====
+
+    /**
+     * Prüfpunkte für einen Karton ermitteln (allgemeine, kunden- und produktspezifische)
+     * @param {string} kundenId - Kunden-ID aus dem QR-Code
+     * @param {string} auftragsNr - Auftragsnummer aus dem QR-Code (für Produktmuster)
+     * @returns {Array} - Prüfpunkte sortiert nach SortOrder
+     */
+    async getChecklistForCarton(kundenId, auftragsNr) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, KundenID, ProductPattern, ItemKey, Label, AnswerType, Mandatory, SortOrder
+                FROM dbo.QcChecklistItems
+                WHERE Active = 1
+                  AND (KundenID IS NULL OR KundenID = ?)
+                  AND (ProductPattern IS NULL OR ? LIKE ProductPattern)
+                ORDER BY SortOrder, ID
+            `, [kundenId || '', auftragsNr || '']);
+
+            return result.recordset;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Checkliste:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Gespeicherte Antworten eines Kartons abrufen
+     * @param {number} firstScanId - QrScans ID des ersten Scans
+     * @returns {Object} - Antworten { itemId: answer }
+     */
+    async getAnswersByScan(firstScanId) {
+        const result = await this.db.query(`
+            SELECT ItemID, Answer FROM dbo.QcChecklistAnswers WHERE FirstScanID = ?
+        `, [firstScanId]);
+
+        const answers = {};
+        for (const row of result.recordset) {
+            answers[row.ItemID] = row.Answer;
+        }
+        return answers;
+    }
+}
+
+module.exports = QCChecklistModule;
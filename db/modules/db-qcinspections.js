@@ -0,0 +1,539 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const { QC_RESULTS, QC_INSPECTION_STATUS, QC_ABANDON_REASONS, requiresReinspection } = require('../constants/qc-results');
+
+/**
+ * QC-Inspection Management Module
+ * Persistiert den Workflow-Zustand je Karton (in Prüfung / abgeschlossen),
+ * damit ein Neustart oder Absturz keine Kartons verliert und abgeschlossene
+ * Kartons stationsübergreifend gesperrt bleiben.
+ * Beanstandete Kartons landen in der Nacharbeits-Warteschlange und werden beim
+ * nächsten Scan als verknüpfte Nachprüfung (InspectionRound + 1) erneut geprüft.
+ */
+class QCInspectionModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+    }
+
+    // ===== QC-INSPECTION OPERATIONEN =====
+
+    /**
+     * Neue Karton-Prüfung nach dem ersten Scan anlegen
+     * Ablösen der Vorprüfung, Prüfung auf offene/abgeschlossene Prüfungen desselben Kartons und Insert laufen in
+     * einer Transaktion: die Prüfung liest mit UPDLOCK + HOLDLOCK, eine zweite Station mit demselben Karton wartet
+     * bis zum Commit und wird dann abgewiesen. Die Sperre betrifft über IX_QcInspections_PayloadHash nur diesen Karton.
+     * @param {Object} inspectionData - { rawPayload, sessionId, userId, stationId, firstScanId, workflowId, reinspectionOfId, inspectionRound, kundenId }
+     * @returns {Object|null} - Angelegte Prüfung, { ID: null, BlockedByStatus, BlockedByStation } wenn der Karton
+     *                          bereits in Prüfung oder abgeschlossen ist, oder null bei Fehler
+     */
+    async startInspection(inspectionData, attempt = 1) {
+        const {
+            rawPayload, sessionId, userId, stationId, firstScanId, workflowId,
+            reinspectionOfId = null, inspectionRound = 1, kundenId = null
+        } = inspectionData;
+
+        try {
+            const result = await this.db.query(`
+                SET NOCOUNT ON;
+                SET XACT_ABORT ON;
+
+                DECLARE @payload NVARCHAR(MAX) = ?;
+                DECLARE @reinspectionOfId INT = ?;
+                DECLARE @blockedByStatus NVARCHAR(20) = NULL;
+                DECLARE @blockedByStation NVARCHAR(100) = NULL;
+
+                BEGIN TRANSACTION;
+
+                -- Nachprüfung: beanstandete (oder per Supervisor-Freigabe abgeschlossene) Prüfung ablösen
+                -- Schon abgelöst → Nachprüfung läuft bereits an einer anderen Station
+                IF @reinspectionOfId IS NOT NULL
+                BEGIN
+                    UPDATE dbo.QcInspections
+                    SET Status = ?, UpdatedTS = SYSDATETIME()
+                    WHERE ID = @reinspectionOfId AND Status IN (?, ?);
+
+                    IF @@ROWCOUNT = 0
+                        SET @blockedByStatus = ?;
+                END
+
+                IF @blockedByStatus IS NULL
+                    SELECT TOP(1) @blockedByStatus = Status, @blockedByStation = StationID
+                    FROM dbo.QcInspections WITH (UPDLOCK, HOLDLOCK)
+                    WHERE PayloadHash = CAST(HASHBYTES('SHA2_256', @payload) AS BINARY(32))
+                      AND RawPayload = @payload
+                      AND Status IN (?, ?)
+                    ORDER BY StartedTS DESC;
+
+                IF @blockedByStatus IS NULL
+                BEGIN
+                    INSERT INTO dbo.QcInspections (RawPayload, Status, SessionID, UserID, StationID, FirstScanID, WorkflowID, StepIndex,
+                                                   InspectionRound, ReinspectionOfID, KundenID, StartedTS)
+                        OUTPUT INSERTED.ID, INSERTED.StartedTS, NULL AS BlockedByStatus, NULL AS BlockedByStation
+                    VALUES (@payload, ?, ?, ?, ?, ?, ?, 0, ?, @reinspectionOfId, ?, SYSDATETIME());
+
+                    COMMIT TRANSACTION;
+                END
+                ELSE
+                BEGIN
+                    ROLLBACK TRANSACTION;
+                    SELECT NULL AS ID, NULL AS StartedTS, @blockedByStatus AS BlockedByStatus, @blockedByStation AS BlockedByStation;
+                END
+            `, [
+                rawPayload, reinspectionOfId,
+                QC_INSPECTION_STATUS.REINSPECTED, QC_INSPECTION_STATUS.REWORK_PENDING, QC_INSPECTION_STATUS.COMPLETED,
+                QC_INSPECTION_STATUS.REINSPECTED,
+                QC_INSPECTION_STATUS.IN_PROGRESS, QC_INSPECTION_STATUS.COMPLETED,
+                QC_INSPECTION_STATUS.IN_PROGRESS, sessionId, userId || null, stationId, firstScanId, workflowId || null,
+                inspectionRound, kundenId || null
+            ]);
+
+            const inspection = result.recordset[0];
+            if (!inspection.ID) {
+                customConsole.warning(`Karton-Prüfung nicht gestartet: Karton ${inspection.BlockedByStatus}` +
+                    (inspection.BlockedByStation ? ` (Station ${inspection.BlockedByStation})` : ''));
+                return {
+                    ID: null,
+                    BlockedByStatus: inspection.BlockedByStatus,
+                    BlockedByStation: inspection.BlockedByStation
+                };
+            }
+
+            customConsole.success(`Karton-Prüfung gestartet: ID ${inspection.ID}, Station: ${stationId}, Runde ${inspectionRound}`);
+
+            return {
+                ID: inspection.ID,
+                RawPayload: rawPayload,
+                Status: QC_INSPECTION_STATUS.IN_PROGRESS,
+                SessionID: sessionId,
+                UserID: userId,
+                StationID: stationId,
+                FirstScanID: firstScanId,
+                WorkflowID: workflowId || null,
+                StepIndex: 0,
+                InspectionRound: inspectionRound,
+                ReinspectionOfID: reinspectionOfId,
+                KundenID: kundenId || null,
+                StartedTS: this.utils.normalizeTimestamp(inspection.StartedTS)
+            };
+        } catch (error) {
+            // Deadlock-Opfer (1205): Transaktion wurde zurückgerollt, einmal wiederholen
+            if (error.number === 1205 && attempt < 2) {
+                customConsole.warning('Deadlock beim Starten der Karton-Prüfung - wiederhole');
+                return await this.startInspection(inspectionData, attempt + 1);
+            }
+            customConsole.error('Fehler beim Starten der Karton-Prüfung:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Workflow-Fortschritt (aktueller Schritt) einer Prüfung speichern
+     * @param {number} inspectionId - QcInspections ID
+     * @param {number} stepIndex - Index des nächsten offenen Schritts
+     * @returns {boolean} - Success
+     */
+    async updateProgress(inspectionId, stepIndex) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcInspections
+                SET StepIndex = ?, UpdatedTS = SYSDATETIME()
+                WHERE ID = ? AND Status = ?
+            `, [stepIndex, inspectionId, QC_INSPECTION_STATUS.IN_PROGRESS]);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            customConsole.error('Fehler beim Speichern des Workflow-Fortschritts:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Karton-Prüfung nach dem letzten Schritt abschließen (Ende und Prüfdauer seit dem ersten Scan)
+     * Beanstandete Kartons (Fehlerhaft/Nacharbeit) gehen in die Nacharbeits-Warteschlange
+     * @param {number} inspectionId - QcInspections ID
+     * @param {number|null} secondScanId - QrScans ID des Abschluss-Scans (null wenn der Workflow mit einer Aktion endet)
+     * @param {string|null} finalResult - Prüfergebnis des Kartons
+     * @returns {string|null} - Neuer Status oder null bei Fehler
+     */
+    async completeInspection(inspectionId, secondScanId, finalResult = null) {
+        const status = requiresReinspection(finalResult)
+            ? QC_INSPECTION_STATUS.REWORK_PENDING
+            : QC_INSPECTION_STATUS.COMPLETED;
+
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcInspections
+                SET Status = ?, SecondScanID = ?, FinalResult = ?, CompletedTS = SYSDATETIME(), UpdatedTS = SYSDATETIME(),
+                    DurationSeconds = DATEDIFF(SECOND, StartedTS, SYSDATETIME())
+                WHERE ID = ? AND Status = ?
+            `, [status, secondScanId, finalResult, inspectionId, QC_INSPECTION_STATUS.IN_PROGRESS]);
+
+            return result.rowsAffected[0] > 0 ? status : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abschließen der Karton-Prüfung:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Halb fertige Prüfung abbrechen (Zeitüberschreitung, Abbrechen-Button oder Steuer-Code)
+     * Eine abgebrochene Nachprüfung stellt den Status der Vorprüfung wieder her
+     * (beanstandet → Nacharbeits-Warteschlange, sonst abgeschlossen)
+     * @param {number} inspectionId - QcInspections ID
+     * @param {string} reason - Abbruchgrund (siehe QC_ABANDON_REASONS)
+     * @returns {boolean} - Success
+     */
+    async abandonInspection(inspectionId, reason) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcInspections
+                SET Status = ?, AbandonReason = ?, AbandonedTS = SYSDATETIME(), UpdatedTS = SYSDATETIME()
+                WHERE ID = ? AND Status = ?
+            `, [QC_INSPECTION_STATUS.ABANDONED, reason, inspectionId, QC_INSPECTION_STATUS.IN_PROGRESS]);
+
+            if (result.rowsAffected[0] === 0) {
+                return false;
+            }
+
+            await this.db.query(`
+                UPDATE original
+                SET Status = CASE WHEN original.FinalResult IN (?, ?) THEN ? ELSE ? END,
+                    UpdatedTS = SYSDATETIME()
+                FROM dbo.QcInspections original
+                INNER JOIN dbo.QcInspections abandoned ON abandoned.ReinspectionOfID = original.ID
+                WHERE abandoned.ID = ? AND original.Status = ?
+            `, [
+                QC_RESULTS.FAIL, QC_RESULTS.REWORK,
+                QC_INSPECTION_STATUS.REWORK_PENDING, QC_INSPECTION_STATUS.COMPLETED,
+                inspectionId, QC_INSPECTION_STATUS.REINSPECTED
+            ]);
+
+            customConsole.info(`Karton-Prüfung ${inspectionId} abgebrochen (${reason})`);
+            return true;
+        } catch (error) {
+            customConsole.error('Fehler beim Abbrechen der Karton-Prüfung:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Offene Prüfung an eine neue Session binden (z.B. nach Neustart und erneuter Anmeldung)
+     * @param {number} inspectionId - QcInspections ID
+     * @param {number} sessionId - Neue Session ID
+     * @returns {boolean} - Success
+     */
+    async reassignSession(inspectionId, sessionId) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcInspections
+                SET SessionID = ?, UpdatedTS = SYSDATETIME()
+                WHERE ID = ?
+            `, [sessionId, inspectionId]);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            customConsole.error('Fehler beim Zuordnen der Karton-Prüfung zur Session:', error);
+            return false;
+        }
+    }
+
+    // ===== QC-INSPECTION RETRIEVAL METHODS =====
+
+    /**
+     * Prüfen ob ein Karton bereits abgeschlossen wurde (stations- und tagesübergreifend)
+     * @param {string} rawPayload - QR-Code Inhalt
+     * @returns {boolean} - True wenn abgeschlossen
+     */
+    async isCompleted(rawPayload) {
+        const result = await this.db.query(`
+            SELECT COUNT(*) as completedCount
+            FROM dbo.QcInspections
+            WHERE PayloadHash = HASHBYTES('SHA2_256', CAST(? AS NVARCHAR(MAX)))
+              AND RawPayload = ?
+              AND Status = ?
+        `, [rawPayload, rawPayload, QC_INSPECTION_STATUS.COMPLETED]);
+
+        return result.recordset[0].completedCount > 0;
+    }
+
+    /**
+     * Beanstandete Prüfung eines Kartons aus der Nacharbeits-Warteschlange abrufen
+     * @param {string} rawPayload - QR-Code Inhalt
+     * @returns {Object|null} - Letzte beanstandete Prüfung oder null
+     */
+    async getPendingRework(rawPayload) {
+        const result = await this.db.query(`
+            SELECT TOP(1) ID, InspectionRound, FinalResult, CompletedTS
+            FROM dbo.QcInspections
+            WHERE PayloadHash = HASHBYTES('SHA2_256', CAST(? AS NVARCHAR(MAX)))
+              AND RawPayload = ?
+              AND Status = ?
+            ORDER BY CompletedTS DESC
+        `, [rawPayload, rawPayload, QC_INSPECTION_STATUS.REWORK_PENDING]);
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const inspection = result.recordset[0];
+        return {
+            ...inspection,
+            CompletedTS: this.utils.normalizeTimestamp(inspection.CompletedTS)
+        };
+    }
+
+    /**
+     * Letzte abgeschlossene Prüfung eines Kartons abrufen (Grundlage für Supervisor-Nachprüfung)
+     * @param {string} rawPayload - QR-Code Inhalt
+     * @returns {Object|null} - Abgeschlossene Prüfung oder null
+     */
+    async getCompletedInspection(rawPayload) {
+        const result = await this.db.query(`
+            SELECT TOP(1) ID, InspectionRound, FinalResult, CompletedTS
+            FROM dbo.QcInspections
+            WHERE PayloadHash = HASHBYTES('SHA2_256', CAST(? AS NVARCHAR(MAX)))
+              AND RawPayload = ?
+              AND Status = ?
+            ORDER BY CompletedTS DESC
+        `, [rawPayload, rawPayload, QC_INSPECTION_STATUS.COMPLETED]);
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const inspection = result.recordset[0];
+        return {
+            ...inspection,
+            CompletedTS: this.utils.normalizeTimestamp(inspection.CompletedTS)
+        };
+    }
+
+    /**
+     * Prüfen ob die letzte Prüfung eines Kartons abgebrochen wurde
+     * @param {string} rawPayload - QR-Code Inhalt
+     * @returns {boolean} - True wenn zuletzt abgebrochen
+     */
+    async isAbandoned(rawPayload) {
+        const result = await this.db.query(`
+            SELECT TOP(1) Status
+            FROM dbo.QcInspections
+            WHERE PayloadHash = HASHBYTES('SHA2_256', CAST(? AS NVARCHAR(MAX)))
+              AND RawPayload = ?
+            ORDER BY StartedTS DESC
+        `, [rawPayload, rawPayload]);
+
+        return result.recordset.length > 0 && result.recordset[0].Status === QC_INSPECTION_STATUS.ABANDONED;
+    }
+
+    /**
+     * Nacharbeits-Warteschlange abrufen (beanstandete Kartons ohne Nachprüfung)
+     * @param {number} limit - Maximale Anzahl
+     * @returns {Array} - Beanstandete Prüfungen, älteste zuerst
+     */
+    async getReworkQueue(limit = 100) {
+        try {
+            const result = await this.db.query(`
+                SELECT TOP(${parseInt(limit) || 100}) ID, RawPayload, StationID, UserID, InspectionRound, FinalResult, CompletedTS
+                FROM dbo.QcInspections
+                WHERE Status = ?
+                ORDER BY CompletedTS ASC
+            `, [QC_INSPECTION_STATUS.REWORK_PENDING]);
+
+            return result.recordset.map(inspection => ({
+                ...inspection,
+                CompletedTS: this.utils.normalizeTimestamp(inspection.CompletedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Nacharbeits-Warteschlange:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Nacharbeits-Kennzahlen (First-Pass-Yield, Beanstandungen, Nachprüfungen)
+     * @param {Date|null} startDate - Abschluss ab
+     * @param {Date|null} endDate - Abschluss bis
+     * @returns {Object} - Kennzahlen
+     */
+    async getReworkStats(startDate = null, endDate = null) {
+        try {
+            const conditions = ['CompletedTS IS NOT NULL'];
+            const params = [];
+
+            if (startDate) {
+                conditions.push('CompletedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('CompletedTS <= ?');
+                params.push(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    SUM(CASE WHEN InspectionRound = 1 THEN 1 ELSE 0 END) as FirstInspections,
+                    SUM(CASE WHEN InspectionRound = 1 AND FinalResult = 'pass' THEN 1 ELSE 0 END) as FirstPassCount,
+                    SUM(CASE WHEN InspectionRound = 1 AND FinalResult IN ('fail', 'rework') THEN 1 ELSE 0 END) as RejectedCount,
+                    SUM(CASE WHEN InspectionRound > 1 THEN 1 ELSE 0 END) as ReinspectionCount,
+                    SUM(CASE WHEN InspectionRound > 1 AND FinalResult = 'pass' THEN 1 ELSE 0 END) as ReworkPassedCount,
+                    (SELECT COUNT(*) FROM dbo.QcInspections WHERE Status = 'rework_pending') as ReworkQueueCount
+                FROM dbo.QcInspections
+                WHERE ${conditions.join(' AND ')}
+            `, params);
+
+            const stats = result.recordset[0];
+            const firstInspections = stats.FirstInspections || 0;
+
+            return {
+                FirstInspections: firstInspections,
+                FirstPassCount: stats.FirstPassCount || 0,
+                RejectedCount: stats.RejectedCount || 0,
+                ReinspectionCount: stats.ReinspectionCount || 0,
+                ReworkPassedCount: stats.ReworkPassedCount || 0,
+                ReworkQueueCount: stats.ReworkQueueCount || 0,
+                FirstPassYield: firstInspections > 0 ? Math.round(((stats.FirstPassCount || 0) / firstInspections) * 100) : 0
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Nacharbeits-Statistiken:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Kennzahlen abgebrochener Prüfungen
+     * @param {Date|null} startDate - Abbruch ab
+     * @param {Date|null} endDate - Abbruch bis
+     * @returns {Object} - { AbandonedCount, TimeoutCount, CancelledCount }
+     */
+    async getAbandonStats(startDate = null, endDate = null) {
+        try {
+            const conditions = ['Status = ?'];
+            const params = [QC_INSPECTION_STATUS.ABANDONED];
+
+            if (startDate) {
+                conditions.push('AbandonedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('AbandonedTS <= ?');
+                params.push(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    COUNT(*) as AbandonedCount,
+                    SUM(CASE WHEN AbandonReason = ? THEN 1 ELSE 0 END) as TimeoutCount
+                FROM dbo.QcInspections
+                WHERE ${conditions.join(' AND ')}
+            `, [QC_ABANDON_REASONS.TIMEOUT, ...params]);
+
+            const stats = result.recordset[0];
+            return {
+                AbandonedCount: stats.AbandonedCount || 0,
+                TimeoutCount: stats.TimeoutCount || 0,
+                CancelledCount: (stats.AbandonedCount || 0) - (stats.TimeoutCount || 0)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Abbruch-Statistiken:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prüfung zu einem ersten Scan abrufen (Wiederholung eines bereits gespeicherten Scans)
+     * @param {number} firstScanId - QrScans ID des ersten Scans
+     * @returns {Object|null} - Prüfung (beliebiger Status) oder null wenn zu dem Scan keine angelegt wurde
+     */
+    async getInspectionByFirstScan(firstScanId) {
+        const result = await this.db.query(`
+            SELECT TOP(1) ID, RawPayload, Status, SessionID, UserID, StationID, FirstScanID, WorkflowID, StepIndex,
+                   InspectionRound, ReinspectionOfID, StartedTS, UpdatedTS
+            FROM dbo.QcInspections
+            WHERE FirstScanID = ?
+            ORDER BY StartedTS DESC
+        `, [firstScanId]);
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const inspection = result.recordset[0];
+        return {
+            ...inspection,
+            StartedTS: this.utils.normalizeTimestamp(inspection.StartedTS),
+            UpdatedTS: this.utils.normalizeTimestamp(inspection.UpdatedTS)
+        };
+    }
+
+    /**
+     * Offene Prüfung eines Benutzers an einer Station abrufen
+     * @param {number} userId - Benutzer-ID
+     * @param {string} stationId - Stations-Kennung
+     * @returns {Object|null} - Offene Prüfung oder null
+     */
+    async getOpenInspectionForUser(userId, stationId) {
+        try {
+            const result = await this.db.query(`
+                SELECT TOP(1) ID, RawPayload, Status, SessionID, UserID, StationID, FirstScanID, WorkflowID, StepIndex,
+                       InspectionRound, ReinspectionOfID, StartedTS, UpdatedTS
+                FROM dbo.QcInspections
+                WHERE UserID = ? AND StationID = ? AND Status = ?
+                ORDER BY StartedTS DESC
+            `, [userId, stationId, QC_INSPECTION_STATUS.IN_PROGRESS]);
+
+            if (result.recordset.length === 0) {
+                return null;
+            }
+
+            const inspection = result.recordset[0];
+            return {
+                ...inspection,
+                StartedTS: this.utils.normalizeTimestamp(inspection.StartedTS),
+                UpdatedTS: this.utils.normalizeTimestamp(inspection.UpdatedTS)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der offenen Karton-Prüfung:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Alle offenen Prüfungen einer Station abrufen
+     * @param {string} stationId - Stations-Kennung
+     * @returns {Array} - Offene Prüfungen
+     */
+    async getOpenInspections(stationId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, RawPayload, Status, SessionID, UserID, StationID, FirstScanID, WorkflowID, StepIndex, StartedTS
+                FROM dbo.QcInspections
+                WHERE StationID = ? AND Status = ?
+                ORDER BY StartedTS ASC
+            `, [stationId, QC_INSPECTION_STATUS.IN_PROGRESS]);
+
+            return result.recordset.map(inspection => ({
+                ...inspection,
+                StartedTS: this.utils.normalizeTimestamp(inspection.StartedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der offenen Karton-Prüfungen:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = QCInspectionModule;
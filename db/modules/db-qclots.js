@@ -0,0 +1,245 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const {
+    LOT_STATUS,
+    DEFAULT_AQL,
+    DEFAULT_INSPECTION_LEVEL,
+    calculateSamplingPlan,
+    evaluateLot,
+    normalizeAQL,
+    normalizeInspectionLevel
+} = require('../constants/aql');
+
+/**
+ * QC-Lot Management Module
+ * Prüflose je Auftrag mit AQL-Stichprobenplan und Prüfstand
+ * (x von n Stichproben geprüft, y fehlerhaft, angenommen/abgelehnt)
+ */
+class QCLotModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+        this.defaultAQL = normalizeAQL(process.env.QC_AQL_DEFAULT) || DEFAULT_AQL;
+        this.defaultInspectionLevel = normalizeInspectionLevel(process.env.QC_AQL_INSPECTION_LEVEL) || DEFAULT_INSPECTION_LEVEL;
+    }
+
+    // ===== QC-LOT OPERATIONEN =====
+
+    /**
+     * Prüflos anlegen oder Plan aktualisieren (Prüfstand bleibt erhalten)
+     * @param {Object} lotData - { auftragsNr, lotSize, aql, inspectionLevel }
+     * @returns {Object} - Strukturierte Antwort
+     */
+    async upsertLot(lotData) {
+        const auftragsNr = String(lotData.auftragsNr || '').trim();
+        const lotSize = parseInt(lotData.lotSize);
+        const aql = lotData.aql !== undefined && lotData.aql !== null && lotData.aql !== ''
+            ? normalizeAQL(lotData.aql) : this.defaultAQL;
+        const inspectionLevel = lotData.inspectionLevel
+            ? normalizeInspectionLevel(lotData.inspectionLevel) : this.defaultInspectionLevel;
+
+        const plan = auftragsNr && aql && inspectionLevel ? calculateSamplingPlan(lotSize, aql, inspectionLevel) : null;
+        if (!plan) {
+            return {
+                success: false,
+                status: 'validation_failed',
+                message: `Ungültiger Prüfplan für Auftrag '${auftragsNr}' (Losgröße ${lotData.lotSize}, AQL ${lotData.aql || '-'}, Niveau ${lotData.inspectionLevel || '-'})`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        try {
+            await this.db.query(`
+                MERGE dbo.QcLots AS target
+                USING (SELECT ? AS AuftragsNr) AS source
+                ON target.AuftragsNr = source.AuftragsNr
+                WHEN MATCHED THEN
+                    UPDATE SET LotSize = ?, AQL = ?, InspectionLevel = ?, CodeLetter = ?, SampleSize = ?,
+                               AcceptNumber = ?, RejectNumber = ?, UpdatedTS = SYSDATETIME()
+                WHEN NOT MATCHED THEN
+                    INSERT (AuftragsNr, LotSize, AQL, InspectionLevel, CodeLetter, SampleSize, AcceptNumber, RejectNumber, Status)
+                    VALUES (source.AuftragsNr, ?, ?, ?, ?, ?, ?, ?, ?);
+            `, [
+                auftragsNr,
+                plan.lotSize, plan.aql, plan.inspectionLevel, plan.codeLetter, plan.sampleSize, plan.acceptNumber, plan.rejectNumber,
+                plan.lotSize, plan.aql, plan.inspectionLevel, plan.codeLetter, plan.sampleSize, plan.acceptNumber, plan.rejectNumber,
+                LOT_STATUS.OPEN
+            ]);
+
+            // Entscheidung bei geändertem Plan neu bewerten (solange noch offen)
+            const lot = await this.reevaluateLot(auftragsNr);
+
+            customConsole.success(`Prüflos gespeichert: Auftrag ${auftragsNr}, ${plan.sampleSize} von ${plan.lotSize} (AQL ${plan.aql}, Niveau ${plan.inspectionLevel})`);
+
+            return {
+                success: true,
+                status: 'lot_saved',
+                message: `Prüfplan: ${plan.sampleSize} Kartons prüfen, Annahme bei max. ${plan.acceptNumber} Fehlern`,
+                data: lot,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Speichern des Prüfloses:', error);
+            return {
+                success: false,
+                status: 'database_error',
+                message: `Datenbankfehler: ${error.message}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Prüflose aus CSV importieren
+     * Format je Zeile: Auftrag;Losgröße[;AQL[;Prüfniveau]] (Trennzeichen ; oder ,)
+     * @param {string} csvText - CSV-Inhalt (Kopfzeile optional)
+     * @returns {Object} - Strukturierte Antwort mit { imported, skipped, errors }
+     */
+    async importLots(csvText) {
+        const summary = { imported: 0, skipped: 0, errors: [] };
+        const lines = String(csvText || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+        for (const [index, line] of lines.entries()) {
+            const [auftragsNr, lotSize, aql, inspectionLevel] = line.split(/[;,\t]/).map(part => part.trim());
+
+            // Kopfzeile überspringen
+            if (index === 0 && isNaN(parseInt(lotSize))) {
+                continue;
+            }
+
+            const result = await this.upsertLot({ auftragsNr, lotSize, aql, inspectionLevel });
+            if (result.success) {
+                summary.imported++;
+            } else {
+                summary.skipped++;
+                summary.errors.push(`Zeile ${index + 1}: ${result.message}`);
+            }
+        }
+
+        return {
+            success: summary.imported > 0 || lines.length === 0,
+            status: 'lots_imported',
+            message: `${summary.imported} Prüflose importiert, ${summary.skipped} übersprungen`,
+            data: summary,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Geprüften Karton im Los verbuchen und Los ggf. annehmen/ablehnen
+     * @param {string} auftragsNr - Auftragsnummer
+     * @param {boolean} isDefective - Karton fehlerhaft (Fehlerhaft oder Nacharbeit)
+     * @returns {Object|null} - Aktualisiertes Los inkl. decisionChanged oder null wenn kein Los existiert
+     */
+    async recordInspection(auftragsNr, isDefective) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcLots
+                SET InspectedCount = InspectedCount + 1,
+                    DefectCount = DefectCount + ?,
+                    UpdatedTS = SYSDATETIME()
+                WHERE AuftragsNr = ?
+            `, [isDefective ? 1 : 0, auftragsNr]);
+
+            if (result.rowsAffected[0] === 0) {
+                return null;
+            }
+
+            return await this.reevaluateLot(auftragsNr);
+        } catch (error) {
+            customConsole.error('Fehler beim Verbuchen der Stichprobe:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Los-Entscheidung neu berechnen (nur offene Lose, Entscheidungen bleiben bestehen)
+     * @param {string} auftragsNr - Auftragsnummer
+     * @returns {Object|null} - Los inkl. decisionChanged
+     */
+    async reevaluateLot(auftragsNr) {
+        const lot = await this.getLot(auftragsNr);
+        if (!lot || lot.Status !== LOT_STATUS.OPEN) {
+            return lot ? { ...lot, decisionChanged: false } : null;
+        }
+
+        const status = evaluateLot({
+            sampleSize: lot.SampleSize,
+            acceptNumber: lot.AcceptNumber,
+            rejectNumber: lot.RejectNumber
+        }, lot.InspectedCount, lot.DefectCount);
+
+        if (status === LOT_STATUS.OPEN) {
+            return { ...lot, decisionChanged: false };
+        }
+
+        await this.db.query(`
+            UPDATE dbo.QcLots
+            SET Status = ?, DecidedTS = SYSDATETIME(), UpdatedTS = SYSDATETIME()
+            WHERE AuftragsNr = ? AND Status = ?
+        `, [status, auftragsNr, LOT_STATUS.OPEN]);
+
+        customConsole.info(`Prüflos ${auftragsNr}: ${status === LOT_STATUS.ACCEPTED ? 'angenommen' : 'abgelehnt'} (${lot.DefectCount} Fehler bei ${lot.InspectedCount} Stichproben)`);
+
+        return { ...lot, Status: status, decisionChanged: true };
+    }
+
+    // ===== QC-LOT RETRIEVAL METHODS =====
+
+    /**
+     * Prüflos eines Auftrags abrufen
+     * @param {string} auftragsNr - Auftragsnummer
+     * @returns {Object|null} - Los oder null
+     */
+    async getLot(auftragsNr) {
+        if (!auftragsNr) {
+            return null;
+        }
+
+        try {
+            const result = await this.db.query(`
+                SELECT ID, AuftragsNr, LotSize, AQL, InspectionLevel, CodeLetter, SampleSize, AcceptNumber, RejectNumber,
+                       InspectedCount, DefectCount, Status, CreatedTS, UpdatedTS, DecidedTS
+                FROM dbo.QcLots
+                WHERE AuftragsNr = ?
+            `, [auftragsNr]);
+
+            return result.recordset.length > 0 ? this.formatLot(result.recordset[0]) : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Prüfloses:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Datenbank-Datensatz formatieren
+     * @param {Object} lot - Datensatz aus dbo.QcLots
+     * @returns {Object} - Formatiertes Los
+     */
+    formatLot(lot) {
+        return {
+            ...lot,
+            AQL: parseFloat(lot.AQL),
+            CreatedTS: this.utils.normalizeTimestamp(lot.CreatedTS),
+            UpdatedTS: this.utils.normalizeTimestamp(lot.UpdatedTS),
+            DecidedTS: lot.DecidedTS ? this.utils.normalizeTimestamp(lot.DecidedTS) : null
+        };
+    }
+}
+
+module.exports = QCLotModule;
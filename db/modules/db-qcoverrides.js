@@ -0,0 +1,135 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * QC-Override Management Module
+ * Audit-Trail der Supervisor-Freigaben für gesperrte Kartons (dbo.QcOverrides).
+ * Der freigegebene Scan wird in dbo.QrScans über OverrideID gekennzeichnet.
+ */
+class QCOverrideModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+    }
+
+    // ===== QC-OVERRIDE OPERATIONEN =====
+
+    /**
+     * Supervisor-Freigabe protokollieren (vor dem freigegebenen Scan)
+     * @param {Object} overrideData - { rawPayload, blockedStatus, reason, notes, sessionId, operatorUserId, supervisorUserId, stationId }
+     * @returns {Object|null} - Angelegte Freigabe { ID, CreatedTS } oder null bei Fehler
+     */
+    async createOverride(overrideData) {
+        const { rawPayload, blockedStatus, reason, notes, sessionId, operatorUserId, supervisorUserId, stationId } = overrideData;
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO dbo.QcOverrides (RawPayload, BlockedStatus, Reason, Notes, SessionID,
+                                             OperatorUserID, SupervisorUserID, StationID, CreatedTS)
+                    OUTPUT INSERTED.ID, INSERTED.CreatedTS
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, SYSDATETIME())
+            `, [
+                rawPayload,
+                blockedStatus,
+                reason,
+                notes ? String(notes).trim().substring(0, 1000) : null,
+                sessionId,
+                operatorUserId || null,
+                supervisorUserId,
+                stationId
+            ]);
+
+            const override = result.recordset[0];
+            customConsole.success(`Supervisor-Freigabe protokolliert: ID ${override.ID} (${blockedStatus}, Grund: ${reason}, Supervisor ${supervisorUserId})`);
+
+            return {
+                ID: override.ID,
+                CreatedTS: this.utils.normalizeTimestamp(override.CreatedTS)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Protokollieren der Supervisor-Freigabe:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Ergebnis des freigegebenen Scans an der Freigabe vermerken
+     * @param {number} overrideId - QcOverrides ID
+     * @param {number|null} scanId - QrScans ID des freigegebenen Scans (null wenn der Scan fehlschlug)
+     * @param {string} resultStatus - Status des freigegebenen Scans
+     * @returns {boolean} - Success
+     */
+    async linkScan(overrideId, scanId, resultStatus) {
+        try {
+            await this.db.query(`
+                UPDATE dbo.QcOverrides
+                SET ScanID = ?, ResultStatus = ?
+                WHERE ID = ?
+            `, [scanId || null, resultStatus, overrideId]);
+
+            return true;
+        } catch (error) {
+            customConsole.error('Fehler beim Verknüpfen der Supervisor-Freigabe:', error);
+            return false;
+        }
+    }
+
+    // ===== QC-OVERRIDE RETRIEVAL METHODS =====
+
+    /**
+     * Audit-Trail der Supervisor-Freigaben abrufen
+     * @param {Date|null} startDate - Freigaben ab
+     * @param {Date|null} endDate - Freigaben bis
+     * @param {number} limit - Maximale Anzahl
+     * @returns {Array} - Freigaben inkl. Benutzernamen (neueste zuerst)
+     */
+    async getOverrides(startDate = null, endDate = null, limit = 100) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (startDate) {
+                conditions.push('o.CreatedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('o.CreatedTS <= ?');
+                params.push(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT TOP(${parseInt(limit) || 100}) o.ID, o.RawPayload, o.BlockedStatus, o.Reason, o.Notes, o.SessionID, o.StationID,
+                       o.OperatorUserID, operatorUser.BenutzerName as OperatorName,
+                       o.SupervisorUserID, supervisorUser.BenutzerName as SupervisorName,
+                       o.ScanID, o.ResultStatus, o.CreatedTS
+                FROM dbo.QcOverrides o
+                LEFT JOIN dbo.ScannBenutzer operatorUser ON o.OperatorUserID = operatorUser.ID
+                LEFT JOIN dbo.ScannBenutzer supervisorUser ON o.SupervisorUserID = supervisorUser.ID
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY o.CreatedTS DESC
+            `, params);
+
+            return result.recordset.map(override => ({
+                ...override,
+                CreatedTS: this.utils.normalizeTimestamp(override.CreatedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Supervisor-Freigaben:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = QCOverrideModule;
@@ -0,0 +1,200 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * Erlaubte Bildformate für Fehlerfotos
+ */
+const ALLOWED_PHOTO_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Maximale Fotogröße (Standard: 5 MB, überschreibbar per QC_PHOTO_MAX_BYTES)
+ */
+const DEFAULT_MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * QC-Photo Management Module
+ * Speichert Fehlerfotos aus der Scanner-Kamera als Blob in dbo.QcPhotos,
+ * verknüpft mit dem Scan (QrScans ID des ersten Scans) des geprüften Kartons
+ */
+class QCPhotoModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+        this.maxPhotoBytes = parseInt(process.env.QC_PHOTO_MAX_BYTES) || DEFAULT_MAX_PHOTO_BYTES;
+    }
+
+    // ===== QC-PHOTO OPERATIONEN =====
+
+    /**
+     * Fehlerfoto speichern
+     * @param {Object} photoData - { scanId, inspectionId, sessionId, userId, dataUrl, width, height }
+     * @returns {Object} - Strukturierte Antwort
+     */
+    async savePhoto(photoData) {
+        const { scanId, inspectionId, sessionId, userId, dataUrl, width, height } = photoData;
+
+        const parsed = this.parseDataUrl(dataUrl);
+        if (!parsed) {
+            return {
+                success: false,
+                status: 'validation_failed',
+                message: 'Ungültiges Bildformat - nur JPEG oder PNG erlaubt',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        if (parsed.buffer.length > this.maxPhotoBytes) {
+            return {
+                success: false,
+                status: 'validation_failed',
+                message: `Foto zu groß (${Math.round(parsed.buffer.length / 1024)} KB, max. ${Math.round(this.maxPhotoBytes / 1024)} KB)`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO dbo.QcPhotos (ScanID, InspectionID, SessionID, UserID, MimeType, FileSize, Width, Height, ImageData, CreatedTS)
+                    OUTPUT INSERTED.ID, INSERTED.CreatedTS
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, SYSDATETIME())
+            `, [
+                scanId,
+                inspectionId || null,
+                sessionId,
+                userId || null,
+                parsed.mimeType,
+                parsed.buffer.length,
+                Number.isInteger(width) ? width : null,
+                Number.isInteger(height) ? height : null,
+                parsed.buffer
+            ]);
+
+            const photo = result.recordset[0];
+            customConsole.success(`Fehlerfoto gespeichert: ID ${photo.ID}, Scan ${scanId}, ${Math.round(parsed.buffer.length / 1024)} KB`);
+
+            return {
+                success: true,
+                status: 'photo_saved',
+                message: 'Foto gespeichert',
+                data: {
+                    ID: photo.ID,
+                    ScanID: scanId,
+                    InspectionID: inspectionId || null,
+                    MimeType: parsed.mimeType,
+                    FileSize: parsed.buffer.length,
+                    CreatedTS: this.utils.normalizeTimestamp(photo.CreatedTS)
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Speichern des Fehlerfotos:', error);
+            return {
+                success: false,
+                status: 'database_error',
+                message: `Datenbankfehler: ${error.message}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // ===== QC-PHOTO RETRIEVAL METHODS =====
+
+    /**
+     * Fotos eines Scans abrufen
+     * @param {number} scanId - QrScans ID (erster Scan des Kartons)
+     * @param {boolean} includeData - Bilddaten als Data-URL mitliefern
+     * @returns {Array} - Fotos
+     */
+    async getPhotosByScan(scanId, includeData = false) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, ScanID, InspectionID, SessionID, UserID, MimeType, FileSize, Width, Height, CreatedTS
+                    ${includeData ? ', ImageData' : ''}
+                FROM dbo.QcPhotos
+                WHERE ScanID = ?
+                ORDER BY CreatedTS ASC
+            `, [scanId]);
+
+            return result.recordset.map(photo => this.formatPhoto(photo));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Fehlerfotos:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Anzahl Fotos eines Scans abrufen
+     * @param {number} scanId - QrScans ID
+     * @returns {number} - Anzahl Fotos
+     */
+    async getPhotoCount(scanId) {
+        try {
+            const result = await this.db.query(`
+                SELECT COUNT(*) as photoCount FROM dbo.QcPhotos WHERE ScanID = ?
+            `, [scanId]);
+
+            return result.recordset[0].photoCount;
+        } catch (error) {
+            customConsole.error('Fehler beim Zählen der Fehlerfotos:', error);
+            return 0;
+        }
+    }
+
+    // ===== HELPER METHODS =====
+
+    /**
+     * Data-URL (z.B. aus canvas.toDataURL) in MIME-Typ und Buffer zerlegen
+     * @param {string} dataUrl - Data-URL
+     * @returns {Object|null} - { mimeType, buffer } oder null wenn ungültig
+     */
+    parseDataUrl(dataUrl) {
+        if (!dataUrl || typeof dataUrl !== 'string') {
+            return null;
+        }
+
+        const match = dataUrl.match(/^data:([a-z/]+);base64,([A-Za-z0-9+/=]+)$/);
+        if (!match || !ALLOWED_PHOTO_MIME_TYPES.includes(match[1])) {
+            return null;
+        }
+
+        const buffer = Buffer.from(match[2], 'base64');
+        return buffer.length > 0 ? { mimeType: match[1], buffer } : null;
+    }
+
+    /**
+     * Datenbank-Datensatz formatieren (Bilddaten als Data-URL für den Renderer)
+     * @param {Object} photo - Datensatz aus dbo.QcPhotos
+     * @returns {Object} - Formatiertes Foto
+     */
+    formatPhoto(photo) {
+        const { ImageData, ...metadata } = photo;
+
+        const formatted = {
+            ...metadata,
+            CreatedTS: this.utils.normalizeTimestamp(photo.CreatedTS)
+        };
+
+        if (ImageData) {
+            formatted.DataUrl = `data:${photo.MimeType};base64,${ImageData.toString('base64')}`;
+        }
+
+        return formatted;
+    }
+}
+
+module.exports = QCPhotoModule;
@@ -0,0 +1,226 @@
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const { validateQCResult } = require('../constants/qc-results');
+
+/**
+ * QC-Result Management Module
+ * Handles storage and retrieval of inspection results (pass/fail/rework + defect categories)
+ */
+class QCResultModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+    }
+
+    // ===== QC-RESULT OPERATIONEN =====
+
+    /**
+     * Prüfergebnis für einen Karton speichern
+     * Existiert bereits ein Ergebnis für den ersten Scan, wird es aktualisiert
+     * @param {Object} resultData - { sessionId, userId, firstScanId, rawPayload, result, defectCategories, notes }
+     * @returns {Object} - Strukturierte Antwort mit gespeichertem Ergebnis
+     */
+    async saveResult(resultData) {
+        const { sessionId, userId, firstScanId, rawPayload, result, defectCategories = [], notes = null } = resultData;
+
+        try {
+            const validation = validateQCResult(result, defectCategories);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    status: 'validation_failed',
+                    message: validation.message,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const defectsJson = JSON.stringify(validation.defectCategories);
+            const cleanNotes = notes && notes.trim() ? notes.trim().substring(0, 1000) : null;
+
+            const existing = await this.db.query(`
+                SELECT ID FROM dbo.QcResults WHERE FirstScanID = ?
+            `, [firstScanId]);
+
+            let saved;
+            if (existing.recordset.length > 0) {
+                const updateResult = await this.db.query(`
+                    UPDATE dbo.QcResults
+                    SET Result = ?, DefectCategories = ?, Notes = ?, UpdatedTS = SYSDATETIME()
+                        OUTPUT INSERTED.ID, INSERTED.CreatedTS, INSERTED.UpdatedTS
+                    WHERE ID = ?
+                `, [result, defectsJson, cleanNotes, existing.recordset[0].ID]);
+                saved = updateResult.recordset[0];
+            } else {
+                const insertResult = await this.db.query(`
+                    INSERT INTO dbo.QcResults (SessionID, UserID, FirstScanID, RawPayload, Result, DefectCategories, Notes)
+                        OUTPUT INSERTED.ID, INSERTED.CreatedTS, INSERTED.UpdatedTS
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [sessionId, userId || null, firstScanId, rawPayload, result, defectsJson, cleanNotes]);
+                saved = insertResult.recordset[0];
+            }
+
+            customConsole.success(`Prüfergebnis gespeichert: ID ${saved.ID}, Ergebnis: ${result}, Fehler: ${validation.defectCategories.join(', ') || '-'}`);
+
+            return {
+                success: true,
+                status: 'result_saved',
+                message: 'Prüfergebnis gespeichert',
+                data: {
+                    ID: saved.ID,
+                    SessionID: sessionId,
+                    FirstScanID: firstScanId,
+                    Result: result,
+                    DefectCategories: validation.defectCategories,
+                    Notes: cleanNotes,
+                    CreatedTS: this.utils.normalizeTimestamp(saved.CreatedTS),
+                    UpdatedTS: this.utils.normalizeTimestamp(saved.UpdatedTS)
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Speichern des Prüfergebnisses:', error);
+            return {
+                success: false,
+                status: 'error',
+                message: `Datenbankfehler: ${error.message}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Zweiten Scan (Abschluss) mit dem Prüfergebnis verknüpfen
+     * @param {number} resultId - QcResults ID
+     * @param {number} secondScanId - QrScans ID des zweiten Scans
+     * @returns {boolean} - Success
+     */
+    async linkSecondScan(resultId, secondScanId) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QcResults
+                SET SecondScanID = ?, UpdatedTS = SYSDATETIME()
+                WHERE ID = ?
+            `, [secondScanId, resultId]);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            customConsole.error('Fehler beim Verknüpfen des zweiten Scans:', error);
+            return false;
+        }
+    }
+
+    // ===== QC-RESULT RETRIEVAL METHODS =====
+    async getResultByFirstScan(firstScanId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, SessionID, UserID, FirstScanID, SecondScanID, RawPayload,
+                       Result, DefectCategories, Notes, CreatedTS, UpdatedTS
+                FROM dbo.QcResults
+                WHERE FirstScanID = ?
+            `, [firstScanId]);
+
+            if (result.recordset.length === 0) {
+                return null;
+            }
+
+            return this.formatResult(result.recordset[0]);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Prüfergebnisses:', error);
+            throw error;
+        }
+    }
+
+    async getResultsBySession(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, SessionID, UserID, FirstScanID, SecondScanID, RawPayload,
+                       Result, DefectCategories, Notes, CreatedTS, UpdatedTS
+                FROM dbo.QcResults
+                WHERE SessionID = ?
+                ORDER BY CreatedTS DESC
+            `, [sessionId]);
+
+            return result.recordset.map(row => this.formatResult(row));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Prüfergebnisse:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prüfergebnis-Statistiken (Anzahl je Ergebnis)
+     * @param {Date|null} startDate - Startdatum (optional)
+     * @param {Date|null} endDate - Enddatum (optional)
+     * @returns {Object} - Statistiken
+     */
+    async getResultStats(startDate = null, endDate = null) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (startDate) {
+                conditions.push('CreatedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('CreatedTS <= ?');
+                params.push(endDate);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await this.db.query(`
+                SELECT
+                    COUNT(*) as TotalResults,
+                    SUM(CASE WHEN Result = 'pass' THEN 1 ELSE 0 END) as PassCount,
+                    SUM(CASE WHEN Result = 'fail' THEN 1 ELSE 0 END) as FailCount,
+                    SUM(CASE WHEN Result = 'rework' THEN 1 ELSE 0 END) as ReworkCount,
+                    SUM(CASE WHEN SecondScanID IS NOT NULL THEN 1 ELSE 0 END) as CompletedCount
+                FROM dbo.QcResults
+                ${whereClause}
+            `, params);
+
+            const stats = result.recordset[0];
+            return {
+                ...stats,
+                PassRate: stats.TotalResults > 0 ? Math.round((stats.PassCount / stats.TotalResults) * 100) : 0
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Prüfergebnis-Statistiken:', error);
+            throw error;
+        }
+    }
+
+    formatResult(row) {
+        let defectCategories = [];
+        try {
+            defectCategories = row.DefectCategories ? JSON.parse(row.DefectCategories) : [];
+        } catch (error) {
+            customConsole.warning(`Ungültige Fehlerkategorien für Prüfergebnis ${row.ID}`);
+        }
+
+        return {
+            ...row,
+            DefectCategories: defectCategories,
+            CreatedTS: this.utils.normalizeTimestamp(row.CreatedTS),
+            UpdatedTS: this.utils.normalizeTimestamp(row.UpdatedTS)
+        };
+    }
+}
+
+module.exports = QCResultModule;
@@ -24,9 +24,24 @@ class QRScanModule {
     }
 
     // ===== QR-SCAN OPERATIONEN MIT STRUKTURIERTEN RETURN-VALUES =====
-    async saveQRScan(sessionId, payload) {
+
+    /**
+     * QR-Scan speichern mit Duplikat-Prüfung
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - QR-Code Inhalt
+     * @param {Object} options - { allowRepeatScan: Duplikat-Prüfung überspringen (z.B. QC-Abschluss-Scan),
+     *                             overrideId: QcOverrides ID falls der Scan per Supervisor-Freigabe erfolgt,
+     *                             symbology: Code-Art des Kamera-Scans (z.B. 'qr', 'code128'),
+     *                             manualEntry: Code wurde manuell eingegeben (Etikett nicht lesbar),
+     *                             capturedAt: Erfassungszeit eines nachgetragenen Offline-Scans (Date),
+     *                             clientScanId: UUID des Scans aus dem Renderer - erneutes Speichern liefert die vorhandene Zeile }
+     * @returns {Object} - Strukturierte Antwort (status 'already_saved' bei Wiederholung desselben Scans)
+     */
+    async saveQRScan(sessionId, payload, options = {}) {
         const cacheKey = `${sessionId}_${payload}`;
         const now = Date.now();
+        const capturedAt = options.capturedAt || null;
+        const clientScanId = this.utils.normalizeClientScanId(options.clientScanId);
 
         try {
             console.log(`[INFO] Speichere QR-Scan für Session ${sessionId}`);
@@ -45,8 +60,18 @@ class QRScanModule {
             // 2. Markiere als in Verarbeitung
             this.utils.pendingScans.set(cacheKey, now);
 
+            // 2b. Wiederholung desselben Scans (Retry, Offline-Nachtrag) → vorhandene Zeile statt neuem Insert
+            if (clientScanId) {
+                const existing = await this.getQRScanByClientId(clientScanId);
+                if (existing) {
+                    return this.buildExistingScanResponse(existing, clientScanId);
+                }
+            }
+
             // 3. Prüfe Cache - REDUZIERTES ZEITFENSTER AUF 10 MINUTEN
-            const cachedTime = this.utils.duplicateCache.get(payload);
+            // Gewollte Wiederholungs-Scans (QC-Abschluss) überspringen die Duplikat-Prüfungen,
+            // nachgetragene Offline-Scans werden nur gegen die Datenbank (um ihre Erfassungszeit) geprüft
+            const cachedTime = options.allowRepeatScan || capturedAt ? null : this.utils.duplicateCache.get(payload);
             if (cachedTime) {
                 const minutesAgo = Math.floor((now - cachedTime) / (1000 * 60));
                 if (minutesAgo < 10) { // 10 Minuten statt 24 Stunden
@@ -63,7 +88,9 @@ class QRScanModule {
             }
 
             // 4. Prüfe auf Duplikate in Datenbank - REDUZIERTES ZEITFENSTER
-            const duplicateInfo = await this.checkQRDuplicate(payload, 0.17); // 10 Minuten (0.17 Stunden)
+            const duplicateInfo = options.allowRepeatScan
+                ? { isDuplicate: false }
+                : await this.checkQRDuplicate(payload, 0.17, capturedAt); // 10 Minuten (0.17 Stunden)
             if (duplicateInfo.isDuplicate) {
                 // Cache-Update auch bei Datenbank-Duplikaten
                 this.utils.duplicateCache.set(payload, now);
@@ -81,48 +108,70 @@ class QRScanModule {
                 };
             }
 
-            // 5. QR-Code dekodieren (NUR im Code, nicht in DB)
+            // 5. QR-Code dekodieren - die Felder werden für die Suche in eigenen Spalten gespeichert
             const decodedData = this.utils.parseQRCodeData(payload);
+            const decodedColumns = this.utils.getDecodedColumnValues(decodedData);
 
             // 6. QR-Scan speichern - NUR RawPayload (NIEMALS PayloadJson schreiben!)
             try {
-                // Nochmalige Duplikat-Prüfung direkt vor Insert
-                const finalDupCheck = await this.db.query(`
-                        SELECT COUNT(*) as duplicateCount,
-                               MAX(CapturedTS) as lastScanTime
-                        FROM dbo.QrScans
-                        WHERE RawPayload = ?
-                          AND CapturedTS >= DATEADD(MINUTE, -10, SYSDATETIME())
-                          AND Valid = 1
-                    `, [payload]);
-
-                if (finalDupCheck.recordset[0].duplicateCount > 0) {
-                    const lastScanTime = finalDupCheck.recordset[0].lastScanTime;
-                    const minutesAgo = lastScanTime ?
-                        Math.floor((now - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
+                // SICHERES INSERT - NUR RawPayload (PayloadJson wird NICHT gesetzt!)
+                // Supervisor-Freigaben werden über OverrideID gekennzeichnet, Kamera-Scans mit ihrer Code-Art,
+                // manuelle Eingaben über ManualEntry, Wiederholungen über die eindeutige ClientScanID
+                const optionalColumns = [];
+                const optionalValues = [];
+                Object.entries(decodedColumns)
+                    .filter(([, value]) => value !== null)
+                    .forEach(([column, value]) => {
+                        optionalColumns.push(column);
+                        optionalValues.push(value);
+                    });
+                if (clientScanId) {
+                    optionalColumns.push('ClientScanID');
+                    optionalValues.push(clientScanId);
+                }
+                if (options.overrideId) {
+                    optionalColumns.push('OverrideID');
+                    optionalValues.push(options.overrideId);
+                }
+                if (options.symbology) {
+                    optionalColumns.push('Symbology');
+                    optionalValues.push(options.symbology);
+                }
+                if (options.manualEntry) {
+                    optionalColumns.push('ManualEntry');
+                    optionalValues.push(true);
+                }
+
+                // Duplikat-Prüfung und Insert in einer Transaktion (außer bei gewolltem Wiederholungs-Scan)
+                // - die Prüfungen oben sind nur schnelle Vorfilter, verbindlich ist dieses Ergebnis
+                const rawResult = await this.insertQRScanAtomic(sessionId, payload, {
+                    checkDuplicates: !options.allowRepeatScan,
+                    capturedAt,
+                    optionalColumns,
+                    optionalValues
+                });
+
+                if (rawResult.DuplicateCount > 0) {
+                    const referenceTime = capturedAt ? capturedAt.getTime() : now;
+                    const minutesAgo = rawResult.LastScanTime ?
+                        Math.floor(Math.abs(referenceTime - new Date(rawResult.LastScanTime).getTime()) / (1000 * 60)) : 0;
 
+                    this.utils.duplicateCache.set(payload, now);
                     return {
                         success: false,
                         status: 'duplicate_transaction',
                         message: `QR-Code bereits vor ${minutesAgo} Minuten gescannt`,
                         data: null,
-                        duplicateInfo: { minutesAgo, source: 'transaction' },
+                        duplicateInfo: { minutesAgo, source: 'transaction', count: rawResult.DuplicateCount },
                         timestamp: new Date().toISOString()
                     };
                 }
 
-                // SICHERES INSERT - NUR RawPayload (PayloadJson wird NICHT gesetzt!)
-                const insertResult = await this.db.query(`
-                        INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid, CapturedTS)
-                            OUTPUT INSERTED.ID, INSERTED.CapturedTS
-                        VALUES (?, ?, 1, SYSDATETIME())
-                    `, [sessionId, payload]);
-
-                const rawResult = insertResult.recordset[0];
 
                 // Erstelle virtuelles PayloadJson für die Antwort (NUR im Code!)
                 const virtualPayloadJson = JSON.stringify({
                     type: 'decoded_qr',
+                    symbology: options.symbology || null,
                     raw: payload,
                     decoded: decodedData,
                     parsed_at: new Date().toISOString(),
@@ -132,7 +181,7 @@ class QRScanModule {
                 });
 
                 // Erfolgreich gespeichert - Cache aktualisieren
-                this.utils.duplicateCache.set(payload, now);
+                this.utils.duplicateCache.set(payload, capturedAt ? capturedAt.getTime() : now);
                 customConsole.success(`QR-Scan gespeichert und dekodiert: ID ${rawResult.ID}, Auftrag: ${decodedData.auftrags_nr}, Paket: ${decodedData.paket_nr}`);
 
                 return {
@@ -142,6 +191,10 @@ class QRScanModule {
                     data: {
                         ID: rawResult.ID,
                         CapturedTS: this.utils.normalizeTimestamp(rawResult.CapturedTS),
+                        OverrideID: options.overrideId || null,
+                        Symbology: options.symbology || null,
+                        ManualEntry: !!options.manualEntry,
+                        ClientScanID: clientScanId,
                         RawPayload: payload,
                         PayloadJson: virtualPayloadJson, // Virtual PayloadJson nur für Kompatibilität
                         ParsedPayload: JSON.parse(virtualPayloadJson),
@@ -151,6 +204,14 @@ class QRScanModule {
                 };
 
             } catch (insertError) {
+                // Gleichzeitige Wiederholung: eindeutiger Index auf ClientScanID verhindert die zweite Zeile
+                if (clientScanId && [2601, 2627].includes(insertError.number)) {
+                    const existing = await this.getQRScanByClientId(clientScanId);
+                    if (existing) {
+                        return this.buildExistingScanResponse(existing, clientScanId);
+                    }
+                }
+
                 customConsole.error('Insert-Fehler:', insertError);
                 return {
                     success: false,
@@ -176,9 +237,34 @@ class QRScanModule {
         }
     }
 
+    /**
+     * Gespeicherten Scan als ungültig markieren (zählt nicht mehr für die Duplikat-Prüfung)
+     * z.B. erster Scan eines Kartons, dessen Prüfung an einer anderen Station bereits läuft
+     * @param {number} scanId - QrScans ID
+     * @returns {boolean} - Success
+     */
+    async invalidateQRScan(scanId) {
+        try {
+            const result = await this.db.query(`
+                UPDATE dbo.QrScans
+                SET Valid = 0
+                WHERE ID = ?
+            `, [scanId]);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            customConsole.error('Fehler beim Markieren des Scans als ungültig:', error);
+            return false;
+        }
+    }
+
     // ===== QR-SCAN RETRIEVAL METHODS =====
-    async getQRScansBySession(sessionId, limit = 50) {
+    async getQRScansBySession(sessionId, limit = 50, offset = 0) {
         try {
+            // Limit und Offset kommen aus dem Renderer (IPC) - nur als geprüfte Zahl in den SQL-Text übernehmen
+            const fetchCount = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
+            const skipCount = Math.max(parseInt(offset) || 0, 0);
+
             const result = await this.db.query(`
                 SELECT
                     ID,
@@ -187,11 +273,13 @@ class QRScanModule {
                     PayloadJson,
                     JSON_VALUE(PayloadJson, '$.type') as PayloadType,
                     CapturedTS,
-                    Valid
+                    Valid,
+                    Symbology,
+                    OverrideID
                 FROM dbo.QrScans
                 WHERE SessionID = ?
                 ORDER BY CapturedTS DESC
-                    ${limit > 0 ? `OFFSET 0 ROWS FETCH NEXT ${limit} ROWS ONLY` : ''}
+                OFFSET ${skipCount} ROWS FETCH NEXT ${fetchCount} ROWS ONLY
             `, [sessionId]);
 
             // Erweitere jeden Scan mit geparsten Daten
@@ -393,32 +481,108 @@ class QRScanModule {
     }
 
     // ===== SEARCH FUNCTIONALITY =====
-    async searchQRScans(searchTerm, sessionId = null, limit = 20) {
+
+    /**
+     * QR-Scans suchen (auch für den Scan-Verlauf mit Filtern und Paging)
+     * Der Suchbegriff sucht im QR-Code Inhalt (RawPayload). Die Filter Auftrag, Paket und Kunde nutzen die beim
+     * Speichern dekodierten, indizierten Spalten AuftragsNr, PaketNr, KundenID und KundenName (Migration 008) als Präfix-Suche.
+     * @param {string} searchTerm - Suchbegriff im QR-Code Inhalt (leer = alle Scans)
+     * @param {number} sessionId - Session ID (optional)
+     * @param {number} limit - Maximale Anzahl
+     * @param {Object} filters - { userId, startDate, endDate, auftrag, paket, kunde, manualOnly, offset }
+     * @returns {Array} - Scans inkl. Benutzer, Session-Art und QC-Ergebnis (neueste zuerst)
+     */
+    async searchQRScans(searchTerm, sessionId = null, limit = 20, filters = {}) {
         try {
-            // Vereinfachte Suche nur in RawPayload (da PayloadJson computed column sein kann)
-            let whereClause = "WHERE RawPayload LIKE ?";
-            let params = [`%${searchTerm}%`];
+            const conditions = [];
+            const params = [];
+
+            // Freitext im QR-Code Inhalt; Auftrag, Paket und Kunde über die dekodierten (indizierten) Spalten -
+            // Präfix-Suche, damit der Index genutzt wird
+            const term = (value) => String(value || '').trim();
+
+            if (term(searchTerm)) {
+                conditions.push('q.RawPayload LIKE ?');
+                params.push(`%${term(searchTerm)}%`);
+            }
+            if (term(filters.auftrag)) {
+                conditions.push('q.AuftragsNr LIKE ?');
+                params.push(`${term(filters.auftrag)}%`);
+            }
+            if (term(filters.paket)) {
+                conditions.push('q.PaketNr LIKE ?');
+                params.push(`${term(filters.paket)}%`);
+            }
+            if (term(filters.kunde)) {
+                conditions.push('(q.KundenID LIKE ? OR q.KundenName LIKE ?)');
+                params.push(`${term(filters.kunde)}%`, `${term(filters.kunde)}%`);
+            }
 
             if (sessionId) {
-                whereClause += " AND SessionID = ?";
+                conditions.push('q.SessionID = ?');
                 params.push(sessionId);
             }
+            if (filters.userId) {
+                conditions.push('s.UserID = ?');
+                params.push(filters.userId);
+            }
+            if (filters.startDate) {
+                conditions.push('q.CapturedTS >= ?');
+                params.push(filters.startDate);
+            }
+            if (filters.endDate) {
+                conditions.push('q.CapturedTS <= ?');
+                params.push(filters.endDate);
+            }
+            if (filters.manualOnly) {
+                conditions.push('q.ManualEntry = 1');
+            }
+
+            const fetchCount = Math.max(parseInt(limit) || 20, 1);
+            const offset = Math.max(parseInt(filters.offset) || 0, 0);
 
             const result = await this.db.query(`
-                SELECT TOP ${limit}
-                    ID,
-                    SessionID,
-                       RawPayload,
-                       PayloadJson,
-                       CapturedTS
-                FROM dbo.QrScans
-                         ${whereClause}
-                ORDER BY CapturedTS DESC
+                SELECT
+                    q.ID,
+                    q.SessionID,
+                    q.RawPayload,
+                    q.PayloadJson,
+                    q.CapturedTS,
+                    q.Valid,
+                    q.Symbology,
+                    q.OverrideID,
+                    q.ManualEntry,
+                    s.UserID,
+                    u.BenutzerName,
+                    u.Vorname,
+                    u.Nachname,
+                    st.TypeName as SessionTypeName,
+                    r.ID as QcResultID,
+                    r.Result as QcResult,
+                    r.DefectCategories as QcDefectCategories,
+                    r.Notes as QcNotes,
+                    CASE WHEN r.SecondScanID = q.ID THEN 'confirm' WHEN r.ID IS NOT NULL THEN 'inspect' END as QcScanRole,
+                    (SELECT COUNT(*) FROM dbo.QcPhotos p WHERE p.ScanID = q.ID) as PhotoCount
+                FROM dbo.QrScans q
+                         LEFT JOIN dbo.Sessions s ON q.SessionID = s.ID
+                         LEFT JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+                         LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                         OUTER APPLY (
+                             SELECT TOP 1 ID, Result, DefectCategories, Notes, SecondScanID
+                             FROM dbo.QcResults
+                             WHERE FirstScanID = q.ID OR SecondScanID = q.ID
+                             ORDER BY ID DESC
+                         ) r
+                    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY q.CapturedTS DESC, q.ID DESC
+                OFFSET ${offset} ROWS FETCH NEXT ${fetchCount} ROWS ONLY
             `, params);
 
             return result.recordset.map(scan => ({
                 ...scan,
                 CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+                UserFullName: `${scan.Vorname || ''} ${scan.Nachname || ''}`.trim(),
+                QcDefectCategories: this.parseDefectCategories(scan.QcDefectCategories),
                 ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
                 DecodedData: this.utils.extractDecodedData(scan.PayloadJson, scan.RawPayload),
                 Format: this.utils.getQRCodeFormat(scan.PayloadJson, scan.RawPayload),
@@ -430,25 +594,38 @@ class QRScanModule {
         }
     }
 
+    /**
+     * Fehlerkategorien eines Prüfergebnisses (JSON-Array in QcResults.DefectCategories)
+     */
+    parseDefectCategories(defectCategories) {
+        try {
+            return defectCategories ? JSON.parse(defectCategories) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
     // ===== DUPLICATE CHECKING =====
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) { // Default: 10 Minuten
+    async checkQRDuplicate(payload, timeWindowHours = 0.17, referenceTime = null) { // Default: 10 Minuten
         try {
-            // Prüfe auf Duplikate in den letzten X Stunden
+            // Prüfe auf Duplikate in den letzten X Stunden (bzw. um die Erfassungszeit eines Offline-Scans)
+            const dupWindow = this.buildDuplicateWindow(Math.round(timeWindowHours * 60), referenceTime); // Minuten statt Stunden
             const result = await this.db.query(`
                 SELECT COUNT(*) as duplicateCount,
                        MAX(CapturedTS) as lastScanTime
                 FROM dbo.QrScans
                 WHERE RawPayload = ?
-                  AND CapturedTS >= DATEADD(MINUTE, -?, SYSDATETIME())
+                  AND ${dupWindow.condition}
                   AND Valid = 1
-            `, [payload, Math.round(timeWindowHours * 60)]); // Minuten statt Stunden
+            `, [payload, ...dupWindow.params]);
 
             const count = result.recordset[0].duplicateCount;
             const lastScanTime = result.recordset[0].lastScanTime;
 
             if (count > 0) {
+                const reference = referenceTime ? referenceTime.getTime() : Date.now();
                 const minutesAgo = lastScanTime ?
-                    Math.floor((Date.now() - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
+                    Math.floor(Math.abs(reference - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
 
                 console.log(`[WARN] QR-Code Duplikat erkannt: ${count} mal in den letzten ${Math.round(timeWindowHours * 60)} Minuten`);
                 return {
@@ -477,6 +654,122 @@ class QRScanModule {
         }
     }
 
+    /**
+     * Gespeicherten Scan anhand der Client-Scan-ID finden
+     * @param {string} clientScanId - UUID des Scans
+     * @returns {Object|null} - QrScans-Zeile oder null
+     */
+    async getQRScanByClientId(clientScanId) {
+        const result = await this.db.query(`
+            SELECT ID, SessionID, RawPayload, CapturedTS, Symbology, ManualEntry, OverrideID
+            FROM dbo.QrScans
+            WHERE ClientScanID = ?
+        `, [clientScanId]);
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Antwort für einen bereits gespeicherten Scan (gleiche Struktur wie beim Insert)
+     */
+    buildExistingScanResponse(row, clientScanId) {
+        customConsole.info(`Scan ${clientScanId} bereits gespeichert (ID ${row.ID}) - kein erneuter Insert`);
+
+        return {
+            success: true,
+            status: 'already_saved',
+            message: 'QR-Code bereits gespeichert',
+            data: {
+                ID: row.ID,
+                CapturedTS: this.utils.normalizeTimestamp(row.CapturedTS),
+                OverrideID: row.OverrideID || null,
+                Symbology: row.Symbology || null,
+                ManualEntry: !!row.ManualEntry,
+                ClientScanID: clientScanId,
+                RawPayload: row.RawPayload,
+                DecodedData: this.utils.parseQRCodeData(row.RawPayload)
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Zeitfenster-Bedingung der Duplikat-Prüfung
+     * Ohne Bezugszeit: die letzten X Minuten; mit Bezugszeit (nachgetragener Offline-Scan): X Minuten davor und danach
+     * @param {number} minutes - Zeitfenster in Minuten
+     * @param {Date|null} referenceTime - Erfassungszeit des Scans
+     * @returns {Object} - { condition, params }
+     */
+    buildDuplicateWindow(minutes, referenceTime = null) {
+        if (!referenceTime) {
+            return { condition: 'CapturedTS >= DATEADD(MINUTE, -?, SYSDATETIME())', params: [minutes] };
+        }
+
+        return {
+            condition: 'CapturedTS BETWEEN DATEADD(MINUTE, -?, ?) AND DATEADD(MINUTE, ?, ?)',
+            params: [minutes, referenceTime, minutes, referenceTime]
+        };
+    }
+
+    /**
+     * Duplikat-Prüfung und Insert als eine atomare Operation
+     * Die Prüfung liest mit UPDLOCK + HOLDLOCK (serialisierbar) - eine zweite Station mit demselben Code wartet
+     * bis zum Commit und sieht dann die neue Zeile. Die Sperre betrifft über IX_QrScans_PayloadHash nur diesen Code.
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - Code-Inhalt
+     * @param {Object} options - { checkDuplicates, capturedAt, optionalColumns, optionalValues }
+     * @returns {Object} - { ID, CapturedTS, DuplicateCount, LastScanTime } (ID null bei Duplikat)
+     */
+    async insertQRScanAtomic(sessionId, payload, options, attempt = 1) {
+        const { checkDuplicates, capturedAt, optionalColumns, optionalValues } = options;
+        const dupWindow = this.buildDuplicateWindow(10, capturedAt);
+        const duplicateCheck = checkDuplicates ? `
+                SELECT @duplicateCount = COUNT(*), @lastScanTime = MAX(CapturedTS)
+                FROM dbo.QrScans WITH (UPDLOCK, HOLDLOCK)
+                WHERE PayloadHash = CAST(HASHBYTES('SHA2_256', @payload) AS BINARY(32))
+                  AND RawPayload = @payload
+                  AND ${dupWindow.condition}
+                  AND Valid = 1;
+        ` : '';
+
+        try {
+            const result = await this.db.query(`
+                SET NOCOUNT ON;
+                SET XACT_ABORT ON;
+
+                DECLARE @payload NVARCHAR(MAX) = ?;
+                DECLARE @duplicateCount INT = 0;
+                DECLARE @lastScanTime DATETIME2 = NULL;
+
+                BEGIN TRANSACTION;
+                ${duplicateCheck}
+                IF @duplicateCount = 0
+                    INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid, CapturedTS${optionalColumns.map(column => `, ${column}`).join('')})
+                        OUTPUT INSERTED.ID, INSERTED.CapturedTS, 0 AS DuplicateCount, NULL AS LastScanTime
+                    VALUES (?, @payload, 1, ${capturedAt ? '?' : 'SYSDATETIME()'}${optionalColumns.map(() => ', ?').join('')});
+                ELSE
+                    SELECT NULL AS ID, NULL AS CapturedTS, @duplicateCount AS DuplicateCount, @lastScanTime AS LastScanTime;
+
+                COMMIT TRANSACTION;
+            `, [
+                payload,
+                ...(checkDuplicates ? dupWindow.params : []),
+                sessionId,
+                ...(capturedAt ? [capturedAt] : []),
+                ...optionalValues
+            ]);
+
+            return result.recordset[0];
+        } catch (error) {
+            // Deadlock-Opfer (1205): Transaktion wurde zurückgerollt, einmal wiederholen
+            if (error.number === 1205 && attempt < 2) {
+                customConsole.warning('Deadlock beim Speichern des Scans - wiederhole');
+                return await this.insertQRScanAtomic(sessionId, payload, options, attempt + 1);
+            }
+            throw error;
+        }
+    }
+
     async checkForDuplicates(rawPayload, sessionId, minutesBack = 10) {
         try {
             const result = await this.db.query(`
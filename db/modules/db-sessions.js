@@ -29,18 +29,19 @@ class SessionModule {
      * Erweiterte createSession Methode mit SessionType-Unterstützung
      * @param {number} userId - Benutzer-ID
      * @param {number|string} sessionType - SessionType ID oder Name (default: 'Qualitätskontrolle')
+     * @param {Date|null} startTime - Startzeit (nachgetragene Offline-Anmeldung), sonst aktuelle Serverzeit
      * @returns {Object|null} - Neue Session oder null bei Fehler
      */
-    async createSession(userId, sessionType = 'Qualitätskontrolle') {
+    async createSession(userId, sessionType = 'Qualitätskontrolle', startTime = null) {
         try {
             customConsole.info(`Session wird erstellt für User ${userId}, SessionType: ${sessionType}`);
 
             // Bestehende aktive Sessions für diesen User beenden
             await this.db.query(`
                 UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
+                SET EndTS = ${startTime ? '?' : 'SYSDATETIME()'}, Active = 0
                 WHERE UserID = ? AND Active = 1
-            `, [userId]);
+            `, startTime ? [startTime, userId] : [userId]);
 
             // SessionType ID ermitteln
             let sessionTypeId;
@@ -66,8 +67,8 @@ class SessionModule {
             const result = await this.db.query(`
                 INSERT INTO dbo.Sessions (UserID, StartTS, Active, SessionTypeID)
                     OUTPUT INSERTED.ID, INSERTED.StartTS, INSERTED.SessionTypeID
-                VALUES (?, SYSDATETIME(), 1, ?)
-            `, [userId, sessionTypeId]);
+                VALUES (?, ${startTime ? '?' : 'SYSDATETIME()'}, 1, ?)
+            `, startTime ? [userId, startTime, sessionTypeId] : [userId, sessionTypeId]);
 
             if (result.recordset.length > 0) {
                 const session = result.recordset[0];
@@ -226,15 +227,21 @@ class SessionModule {
         }
     }
 
-    async endSession(sessionId) {
+    /**
+     * Session beenden
+     * @param {number} sessionId - Session ID
+     * @param {Date|null} endTime - Endzeit (nachgetragene Offline-Abmeldung), sonst aktuelle Serverzeit
+     * @returns {boolean} - Success
+     */
+    async endSession(sessionId, endTime = null) {
         try {
             console.log(`[INFO] Beende Session: ${sessionId}`);
 
             const result = await this.db.query(`
                 UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
+                SET EndTS = ${endTime ? '?' : 'SYSDATETIME()'}, Active = 0
                 WHERE ID = ? AND Active = 1
-            `, [sessionId]);
+            `, endTime ? [endTime, sessionId] : [sessionId]);
 
             const success = result.rowsAffected && result.rowsAffected[0] > 0;
 
@@ -371,6 +371,134 @@ class StatsModule {
         }
     }
 
+    // ===== QC INSPECTION DURATION =====
+    /**
+     * Durchschnittliche Prüfdauer je Karton (erster bis abschließender Scan) gesamt, je Benutzer und je Kunde
+     * @param {Date|null} startDate - Abgeschlossen ab
+     * @param {Date|null} endDate - Abgeschlossen bis
+     * @returns {Object|null} - { overall, byUser, byCustomer } (Sekunden)
+     */
+    async getInspectionDurationStats(startDate = null, endDate = null) {
+        try {
+            const conditions = ['i.DurationSeconds IS NOT NULL'];
+            const params = [];
+
+            if (startDate) {
+                conditions.push('i.CompletedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('i.CompletedTS <= ?');
+                params.push(endDate);
+            }
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const overall = await this.db.query(`
+                SELECT
+                    COUNT(*) as InspectionCount,
+                    AVG(CAST(i.DurationSeconds AS FLOAT)) as AvgSeconds,
+                    MIN(i.DurationSeconds) as MinSeconds,
+                    MAX(i.DurationSeconds) as MaxSeconds
+                FROM dbo.QcInspections i
+                ${whereClause}
+            `, params);
+
+            const byUser = await this.db.query(`
+                SELECT
+                    i.UserID,
+                    u.BenutzerName,
+                    COUNT(*) as InspectionCount,
+                    AVG(CAST(i.DurationSeconds AS FLOAT)) as AvgSeconds
+                FROM dbo.QcInspections i
+                    LEFT JOIN dbo.ScannBenutzer u ON i.UserID = u.ID
+                ${whereClause}
+                GROUP BY i.UserID, u.BenutzerName
+                ORDER BY AvgSeconds ASC
+            `, params);
+
+            const byCustomer = await this.db.query(`
+                SELECT
+                    i.KundenID,
+                    COUNT(*) as InspectionCount,
+                    AVG(CAST(i.DurationSeconds AS FLOAT)) as AvgSeconds
+                FROM dbo.QcInspections i
+                ${whereClause} AND i.KundenID IS NOT NULL
+                GROUP BY i.KundenID
+                ORDER BY AvgSeconds DESC
+            `, params);
+
+            const roundAvg = row => ({
+                ...row,
+                AvgSeconds: row.AvgSeconds !== null ? Math.round(row.AvgSeconds) : null
+            });
+
+            return {
+                overall: roundAvg(overall.recordset[0]),
+                byUser: byUser.recordset.map(roundAvg),
+                byCustomer: byCustomer.recordset.map(roundAvg)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Prüfdauer-Statistiken:', error);
+            return null;
+        }
+    }
+
+    // ===== MANUELLE EINGABEN =====
+    /**
+     * Manuell eingegebene Codes (unlesbare Etiketten) gesamt und je Benutzer
+     * @param {Date|null} startDate - Erfasst ab
+     * @param {Date|null} endDate - Erfasst bis
+     * @returns {Object|null} - { overall, byUser } mit ScanCount, ManualCount und ManualShare (%)
+     */
+    async getManualEntryStats(startDate = null, endDate = null) {
+        try {
+            const conditions = ['q.Valid = 1'];
+            const params = [];
+
+            if (startDate) {
+                conditions.push('q.CapturedTS >= ?');
+                params.push(startDate);
+            }
+            if (endDate) {
+                conditions.push('q.CapturedTS <= ?');
+                params.push(endDate);
+            }
+
+            const byUser = await this.db.query(`
+                SELECT
+                    s.UserID,
+                    u.BenutzerName,
+                    COUNT(*) as ScanCount,
+                    SUM(CASE WHEN q.ManualEntry = 1 THEN 1 ELSE 0 END) as ManualCount
+                FROM dbo.QrScans q
+                    INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
+                    LEFT JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY s.UserID, u.BenutzerName
+                ORDER BY ManualCount DESC
+            `, params);
+
+            const withShare = row => ({
+                ...row,
+                ManualShare: row.ScanCount > 0 ? Math.round((row.ManualCount / row.ScanCount) * 1000) / 10 : 0
+            });
+
+            const overall = byUser.recordset.reduce((totals, row) => ({
+                ScanCount: totals.ScanCount + row.ScanCount,
+                ManualCount: totals.ManualCount + row.ManualCount
+            }), { ScanCount: 0, ManualCount: 0 });
+
+            return {
+                overall: withShare(overall),
+                byUser: byUser.recordset.map(withShare)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Statistik manueller Eingaben:', error);
+            return null;
+        }
+    }
+
     // ===== COMPREHENSIVE DASHBOARD DATA =====
     async getDashboardData(timeframe = 'today') {
         try {
@@ -401,13 +529,15 @@ class StatsModule {
                 recentActivity,
                 performanceMetrics,
                 topPerformers,
-                sessionTypeStats
+                sessionTypeStats,
+                inspectionDurations
             ] = await Promise.all([
                 this.getDailyStats(startDate.toISOString().split('T')[0]),
                 this.getRecentActivity(8),
                 this.getPerformanceMetrics(startDate, endDate),
                 this.getTopPerformers('scans', 5, startDate, endDate),
-                this.getSessionTypeStats(startDate, endDate)
+                this.getSessionTypeStats(startDate, endDate),
+                this.getInspectionDurationStats(startDate, endDate)
             ]);
 
             return {
@@ -421,6 +551,7 @@ class StatsModule {
                 recentActivity: recentActivity.slice(0, 20),
                 topPerformers,
                 sessionTypes: sessionTypeStats,
+                inspectionDurations,
                 generatedAt: new Date().toISOString()
             };
         } catch (error) {
@@ -188,6 +188,7 @@ class DatabaseUtils {
             auftrags_nr: "",
             paket_nr: "",
             kunden_name: "",
+            kunden_id: '',
             original_data: data
         };
 
@@ -210,6 +211,7 @@ class DatabaseUtils {
 
                     // Falls verfügbar, Kundennummer oder ID im dritten Feld (Index 2)
                     if (parts.length > 2 && parts[2]) {
+                        result.kunden_id = parts[2];
                         result.kunden_name = `Kunden-ID: ${parts[2]}`;
                     }
 
@@ -275,6 +277,64 @@ class DatabaseUtils {
         }
     }
 
+    /**
+     * Dekodierte Felder als Spaltenwerte für QrScans (AuftragsNr, PaketNr, KundenID, KundenName)
+     * Leere Felder werden NULL, zu lange auf die Spaltenbreite gekürzt.
+     * @param {Object} decoded - Ergebnis von parseQRCodeData
+     * @returns {Object} - { AuftragsNr, PaketNr, KundenID, KundenName }
+     */
+    getDecodedColumnValues(decoded) {
+        const column = (value, maxLength) => {
+            const text = typeof value === 'string' ? value.trim() : '';
+            return text ? text.substring(0, maxLength) : null;
+        };
+
+        return {
+            AuftragsNr: column(decoded?.auftrags_nr, 100),
+            PaketNr: column(decoded?.paket_nr, 100),
+            KundenID: column(decoded?.kunden_id, 100),
+            KundenName: column(decoded?.kunden_name, 200)
+        };
+    }
+
+    /**
+     * Manuell eingegebenen Code prüfen (Etikett nicht lesbar)
+     * Gültig ist nur, was parseQRCodeData als Karton erkennt: Auftrags- oder Paketnummer muss gefunden werden.
+     * @param {string} data - Eingegebener Code
+     * @returns {Object} - { isValid, message, code, decoded }
+     */
+    validateManualCode(data) {
+        const code = typeof data === 'string' ? data.trim() : '';
+        const invalid = (message) => ({ isValid: false, message, code, decoded: null });
+
+        if (code.length < 4) {
+            return invalid('Code zu kurz (mindestens 4 Zeichen)');
+        }
+        if (code.length > 500) {
+            return invalid('Code zu lang (maximal 500 Zeichen)');
+        }
+        if ([...code].some(char => char.charCodeAt(0) < 32)) {
+            return invalid('Code enthält Steuerzeichen');
+        }
+
+        const decoded = this.parseQRCodeData(code);
+        if (!decoded.auftrags_nr && !decoded.paket_nr) {
+            return invalid('Keine Auftrags- oder Paketnummer erkannt (z.B. NL-1234567, mindestens 10-stellige Paketnummer oder X^Auftrag^Kunde^Paket)');
+        }
+
+        return { isValid: true, message: 'Code gültig', code, decoded };
+    }
+
+    /**
+     * Client-Scan-ID prüfen (UUID je Scan aus dem Renderer, macht Wiederholungen desselben Scans erkennbar)
+     * @param {string} value - UUID
+     * @returns {string|null} - UUID in Kleinbuchstaben oder null wenn ungültig
+     */
+    normalizeClientScanId(value) {
+        const id = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id) ? id : null;
+    }
+
     // ===== PAYLOADJSON PARSE-METHODEN =====
     parsePayloadJson(payloadJson) {
         if (!payloadJson) return null;
@@ -109,6 +109,8 @@ module.exports = {
 
         // Test globals
         'mockElectron': 'writable',
-        'testUtils': 'readonly'
+        'testUtils': 'readonly',
+        'createTestTempDir': 'readonly',
+        'removeTestTempDir': 'readonly'
     }
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require('electron');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Console-Encoding für Windows setzen
@@ -14,6 +16,37 @@ if (process.platform === 'win32') {
 
 // Nur sichere Module laden
 const DatabaseClient = require('./db/db-client');
+const {
+    QC_STEP_TYPES,
+    QC_ACTIONS,
+    getQCWorkflow,
+    getQCWorkflowStep,
+    getQCActionConfig,
+    parseCustomerWorkflowMap,
+    selectQCWorkflow
+} = require('./db/constants/qc-workflows');
+const {
+    QC_RESULTS,
+    QC_INSPECTION_STATUS,
+    QC_ABANDON_REASONS,
+    validateQCResult,
+    requiresReinspection
+} = require('./db/constants/qc-results');
+const {
+    SUPERVISOR_BADGE_TIMEOUT_MS,
+    isOverridableStatus,
+    validateOverrideReason,
+    parseSupervisorUserIds
+} = require('./db/constants/qc-overrides');
+const { validateChecklistAnswer, getMissingMandatoryItems } = require('./db/constants/qc-checklists');
+const {
+    SESSION_TYPES,
+    getEnabledSymbologiesForSession,
+    isSymbologyAllowedForSession
+} = require('./db/constants/session-types');
+const { normalizeSymbology, getSymbologyLabels } = require('./db/constants/symbologies');
+const StationSettings = require('./utils/station-settings');
+const OfflineJournal = require('./utils/offline-journal');
 
 // Simple RFID Listener laden (ohne native Dependencies)
 let SimpleRFIDListener;
@@ -25,16 +58,38 @@ try {
     console.log('💡 App läuft ohne RFID-Support');
 }
 
+// Hand-Scanner im Tastatur-Modus (Keyboard-Wedge) laden
+let KeyboardWedgeListener;
+try {
+    KeyboardWedgeListener = require('./rfid/keyboard-wedge-listener');
+} catch (error) {
+    console.warn('⚠️ Keyboard-Wedge Listener nicht verfügbar:', error.message);
+}
+
 class QualitaetskontrolleMainApp {
     constructor() {
         this.mainWindow = null;
         this.rfidListener = null;
+        this.keyboardWedgeListener = null;
+        this.keyboardWedgeEnabled = process.env.KEYBOARD_WEDGE_ENABLED !== 'false';
+
+        // QR-Dekodierung im Renderer (Bildausschnitt, Frame-Skipping, Downscaling)
+        this.qrDecodingConfig = {
+            roi: Math.min(Math.max(parseFloat(process.env.QR_SCAN_ROI) || 0.6, 0.2), 1),
+            frameSkip: Math.max(parseInt(process.env.QR_FRAME_SKIP) || 0, 0),
+            maxDecodeWidth: Math.max(parseInt(process.env.QR_MAX_DECODE_WIDTH) || 640, 160),
+            useWorker: process.env.QR_DECODE_WORKER !== 'false',
+            // Code-Arten laut Session-Art (SESSION_TYPE_CONFIG.allowedQRTypes)
+            symbologies: getEnabledSymbologiesForSession(SESSION_TYPES.QUALITAETSKONTROLLE),
+            symbologyLabels: getSymbologyLabels()
+        };
         this.dbClient = null;
 
         // Status-Tracking
         this.systemStatus = {
             database: false,
             rfid: false,
+            camera: { state: 'inactive', message: 'Kamera aus', updatedAt: null },
             lastError: null
         };
 
@@ -55,8 +110,35 @@ class QualitaetskontrolleMainApp {
         };
 
         // Qualitätskontrolle Workflow Daten
-        this.qcSessions = new Map(); // sessionId -> { currentCode, scanCount, userId }
-        this.qcCompletedCodes = new Set(); // Bereits abgearbeitete Codes
+        // Persistenter Zustand liegt in dbo.QcInspections, hier nur Arbeitskopie/Cache
+        this.qcSessions = new Map(); // sessionId -> { currentCode, auftragsNr, scanCount, userId, workflowId, stepIndex, inspectionRound, firstScanId, inspectionId, qcResult, lastActivity }
+        this.qcCompletedCodes = new Set(); // Abgearbeitete Codes (Rückfall bei Datenbankfehlern und offline)
+        this.stationId = process.env.STATION_ID || os.hostname();
+        this.qcCustomerWorkflows = parseCustomerWorkflowMap(process.env.QC_CUSTOMER_WORKFLOWS); // kundenId -> workflowId
+
+        // Lokale Einstellungen dieser Station (Kamera-Profil)
+        this.stationSettings = new StationSettings(path.join(app.getPath('userData'), 'station-settings.json'), this.stationId);
+
+        // Offline-Journal: Scans und RFID-Anmeldungen bei Datenbank-Ausfall lokal sichern und später nachtragen
+        this.offlineJournal = process.env.OFFLINE_JOURNAL_ENABLED !== 'false'
+            ? new OfflineJournal(path.join(app.getPath('userData'), 'offline-journal.jsonl'))
+            : null;
+        this.offlineReplayInProgress = false;
+        this.offlineSessionIds = new Map(); // Offline-Session-ID (negativ) -> Session ID in der Datenbank
+        this.sessionSuccessors = new Map(); // Beim Nachtragen beendete Session -> Folge-Session des nächsten Kartons
+        this.offlineQCSessions = new Map(); // sessionId -> QC-Zustand wie qcSessions, offline fortgeschrieben (+ cartonId)
+        this.rejectedOfflineCartons = new Set(); // Karton-IDs, deren Journal-Einträge beim Nachtragen abgewiesen wurden
+        this.offlineUserCacheSize = 200; // Zuletzt angemeldete Benutzer für Offline-Anmeldungen
+
+        // Halb fertige Kartons nach Inaktivität abbrechen (0 = deaktiviert)
+        const qcTimeoutMinutes = parseInt(process.env.QC_CARTON_TIMEOUT_MINUTES);
+        this.qcCartonTimeoutMs = (isNaN(qcTimeoutMinutes) ? 15 : qcTimeoutMinutes) * 60 * 1000;
+        this.qcCancelCode = process.env.QC_CANCEL_CODE || 'QC-CANCEL'; // Steuer-Code zum Abbrechen des Kartons
+        this.qcTimeoutTimer = null;
+
+        // Supervisor-Freigaben für gesperrte Kartons
+        this.qcSupervisorIds = parseSupervisorUserIds(process.env.QC_SUPERVISOR_USER_IDS);
+        this.supervisorBadgeRequest = null; // { resolve, timer } solange auf den Supervisor-Badge gewartet wird
 
         // RFID-Session-Wechsel Tracking
         this.lastRFIDScanTime = 0;
@@ -190,8 +272,12 @@ class QualitaetskontrolleMainApp {
         // RFID-Listener (mit Fallback)
         await this.initializeRFID();
 
+        // Hand-Scanner parallel zur Kamera
+        this.initializeKeyboardWedge();
+
         // System-Status an Renderer senden
         this.sendSystemStatus();
+        this.sendOfflineJournalStatus();
 
         console.log('✅ Systemkomponenten initialisiert');
     }
@@ -201,21 +287,10 @@ class QualitaetskontrolleMainApp {
             console.log('📊 Initialisiere Datenbankverbindung...');
 
             this.dbClient = new DatabaseClient();
+            this.setupDatabaseEvents();
             await this.dbClient.connect();
 
-            // Health Check
-            const health = await this.dbClient.healthCheck();
-            if (!health.connected) {
-                throw new Error(health.error || 'Gesundheitsprüfung fehlgeschlagen');
-            }
-
-            this.systemStatus.database = true;
-            this.systemStatus.lastError = null;
-
-            console.log('✅ Datenbank erfolgreich verbunden');
-
-            // QR-Code Dekodierung Statistiken laden
-            await this.loadDecodingStats();
+            await this.prepareDatabase();
 
         } catch (error) {
             this.systemStatus.database = false;
@@ -223,6 +298,11 @@ class QualitaetskontrolleMainApp {
 
             console.error('❌ Datenbank-Initialisierung fehlgeschlagen:', error);
 
+            // Im Hintergrund mit Backoff erneut verbinden (Offline-Journal übernimmt solange)
+            if (this.dbClient) {
+                this.dbClient.handleConnectionLost(error);
+            }
+
             // Benutzer informieren
             if (this.mainWindow) {
                 dialog.showErrorBox(
@@ -237,6 +317,102 @@ class QualitaetskontrolleMainApp {
         }
     }
 
+    /**
+     * Nach (Wieder-)Verbindung: Health-Check, Schema-Version, QC-Zustand, danach Offline-Journal nachtragen
+     * @returns {boolean} - false bei veraltetem Schema (Anwendung wird beendet)
+     * @throws {Error} - Wenn die Datenbank nicht nutzbar ist
+     */
+    async prepareDatabase() {
+        // Health Check
+        const health = await this.dbClient.healthCheck();
+        if (!health.connected) {
+            throw new Error(health.error || 'Gesundheitsprüfung fehlgeschlagen');
+        }
+
+        // Gegen ein veraltetes Schema wird nicht gearbeitet (Migrationen: npm run db:migrate)
+        const schema = await this.dbClient.checkSchemaVersion();
+        if (!schema.compatible) {
+            this.refuseOutdatedSchema(schema);
+            return false;
+        }
+
+        this.systemStatus.database = true;
+        this.systemStatus.lastError = null;
+
+        console.log('✅ Datenbank erfolgreich verbunden');
+
+        // Offene Karton-Prüfungen dieser Station nach Neustart ermitteln
+        await this.restoreQCState();
+
+        // Zeitüberschreitung offener Kartons regelmäßig prüfen
+        this.startQCTimeoutMonitor();
+
+        // QR-Code Dekodierung Statistiken laden
+        await this.loadDecodingStats();
+
+        this.sendSystemStatusChanged();
+
+        // Während des Ausfalls gesammelte Scans und Anmeldungen nachtragen
+        await this.replayOfflineJournal();
+        return true;
+    }
+
+    /**
+     * Datenbank-Schema älter als benötigt: Benutzer informieren und Anwendung beenden
+     * (Scans gegen ein unvollständiges Schema würden fehlschlagen oder unvollständig gespeichert)
+     * @param {Object} schema - Ergebnis von checkSchemaVersion()
+     */
+    refuseOutdatedSchema(schema) {
+        console.error(`❌ ${schema.message}`);
+        schema.pending.forEach(migration => console.error(`   ⏳ ${migration.file} ${migration.name}`));
+
+        this.systemStatus.database = false;
+        this.systemStatus.lastError = `Datenbank: ${schema.message}`;
+
+        dialog.showErrorBox(
+            'Datenbank-Schema veraltet',
+            `${schema.message}.\n\n` +
+            'Bitte das Schema aktualisieren (npm run db:migrate) und die Anwendung neu starten.'
+        );
+
+        app.quit();
+    }
+
+    /**
+     * Verbindungs-Events der Datenbank (Ausfall, Wiederverbindung mit Backoff) an Status und Renderer weitergeben
+     */
+    setupDatabaseEvents() {
+        this.dbClient.on('disconnected', ({ error }) => {
+            this.handleDatabaseLost(error);
+        });
+
+        this.dbClient.on('reconnecting', ({ attempt, delayMs }) => {
+            console.log(`🔄 Datenbank: Verbindungsversuch ${attempt} in ${Math.round(delayMs / 1000)}s`);
+            this.sendSystemStatusChanged();
+        });
+
+        this.dbClient.on('connected', async ({ reconnected }) => {
+            // Erstverbindung wird von initializeDatabase vorbereitet
+            if (!reconnected) {
+                return;
+            }
+
+            try {
+                if (!await this.prepareDatabase()) {
+                    return;
+                }
+                console.log('✅ Datenbank wieder verbunden');
+                this.sendSystemStatus();
+            } catch (error) {
+                console.error('❌ Vorbereitung nach Wiederverbindung fehlgeschlagen:', error);
+                this.systemStatus.database = false;
+                this.systemStatus.lastError = `Datenbank: ${error.message}`;
+                this.dbClient.handleConnectionLost(error);
+                this.sendSystemStatusChanged();
+            }
+        });
+    }
+
     async loadDecodingStats() {
         try {
             if (!this.dbClient || !this.systemStatus.database) return;
@@ -294,6 +470,91 @@ class QualitaetskontrolleMainApp {
         }
     }
 
+    initializeKeyboardWedge() {
+        if (!this.keyboardWedgeEnabled || !KeyboardWedgeListener) {
+            console.log('⌨️ Keyboard-Wedge Hand-Scanner deaktiviert');
+            return;
+        }
+
+        try {
+            this.keyboardWedgeListener = new KeyboardWedgeListener((code) => {
+                this.handleWedgeScan(code);
+            });
+
+            // RFID-Listener belegt Hex-Zeichen und Enter global - diese Eingaben mit dem Hand-Scanner teilen
+            if (this.rfidListener) {
+                this.rfidListener.setInputInterceptor(
+                    this.keyboardWedgeListener.getRFIDInterceptor(tagId => this.rfidListener.validateTag(tagId))
+                );
+            }
+
+            this.keyboardWedgeListener.start(this.mainWindow ? this.mainWindow.webContents : null);
+        } catch (error) {
+            console.error('❌ Keyboard-Wedge-Initialisierung fehlgeschlagen:', error);
+            this.keyboardWedgeListener = null;
+        }
+    }
+
+    /**
+     * Kamera-Profil aus dem Renderer auf bekannte Felder und gültige Werte beschränken
+     * @param {Object} profile - { deviceId, label, width, height, focusMode, focusDistance, zoom, torch,
+     *                            cameraSettings: { [Kamera]: { focusMode, focusDistance, zoom, torch } } }
+     * @returns {Object} - Bereinigtes Profil
+     */
+    sanitizeCameraProfile(profile) {
+        const toNumber = (value) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+        const focusModes = ['continuous', 'single-shot', 'manual'];
+        const sanitizeAdjustments = (settings = {}) => ({
+            focusMode: focusModes.includes(settings.focusMode) ? settings.focusMode : null,
+            focusDistance: toNumber(settings.focusDistance),
+            zoom: toNumber(settings.zoom),
+            torch: settings.torch === true
+        });
+
+        // Licht/Zoom/Fokus je Kamera (Schlüssel: Kameraname bzw. Geräte-ID)
+        const cameraSettings = {};
+        if (profile.cameraSettings && typeof profile.cameraSettings === 'object') {
+            Object.entries(profile.cameraSettings).slice(0, 20).forEach(([key, settings]) => {
+                cameraSettings[String(key).substring(0, 200)] = sanitizeAdjustments(settings || {});
+            });
+        }
+
+        return {
+            deviceId: typeof profile.deviceId === 'string' ? profile.deviceId : null,
+            label: typeof profile.label === 'string' ? profile.label.substring(0, 200) : null,
+            width: toNumber(profile.width),
+            height: toNumber(profile.height),
+            ...sanitizeAdjustments(profile),
+            cameraSettings
+        };
+    }
+
+    /**
+     * Scanner-Einstellungen aus dem Renderer auf bekannte Felder und gültige Werte beschränken
+     * @param {Object} settings - { preprocessing: ['contrast', 'sharpen', 'threshold', 'invert'] }
+     * @returns {Object} - Bereinigte Einstellungen
+     */
+    sanitizeScannerSettings(settings) {
+        const preprocessingSteps = ['contrast', 'sharpen', 'threshold', 'invert'];
+        const preprocessing = Array.isArray(settings.preprocessing) ? settings.preprocessing : [];
+
+        return {
+            preprocessing: preprocessingSteps.filter(step => preprocessing.includes(step))
+        };
+    }
+
+    /**
+     * Code vom Hand-Scanner an den Renderer geben (gleicher Verarbeitungsweg wie Kamera-Scans)
+     * @param {string} code - Gescannter Code
+     */
+    handleWedgeScan(code) {
+        this.sendToRenderer('qr-scan-detected', {
+            code,
+            source: 'keyboard-wedge',
+            timestamp: new Date().toISOString()
+        });
+    }
+
     setupIPCHandlers() {
         // ===== DATENBANK OPERATIONEN =====
         ipcMain.handle('db-query', async (event, query, params) => {
@@ -320,6 +581,18 @@ class QualitaetskontrolleMainApp {
             }
         });
 
+        ipcMain.handle('db-get-all-users', async () => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+                return await this.dbClient.getAllActiveUsers();
+            } catch (error) {
+                console.error('Get All Users Fehler:', error);
+                return [];
+            }
+        });
+
         // ===== SESSION MANAGEMENT =====
         ipcMain.handle('session-create', async (event, userId) => {
             try {
@@ -340,10 +613,14 @@ class QualitaetskontrolleMainApp {
                         startTime: session.StartTS
                     };
 
+                    // QC Workflow initialisieren (inkl. offenem Karton nach Neustart)
+                    const openCarton = await this.restoreOpenInspection(session.ID, userId);
+
                     // Zeitstempel normalisieren für konsistente Übertragung
                     const normalizedSession = {
                         ...session,
-                        StartTS: this.normalizeTimestamp(session.StartTS)
+                        StartTS: this.normalizeTimestamp(session.StartTS),
+                        OpenCarton: openCarton
                     };
 
                     console.log('Session erstellt mit normalisiertem Zeitstempel:', normalizedSession.StartTS);
@@ -359,6 +636,13 @@ class QualitaetskontrolleMainApp {
 
         ipcMain.handle('session-end', async (event, sessionId) => {
             try {
+                sessionId = this.resolveSessionId(sessionId);
+
+                // Offline: Abmeldung im Journal vermerken
+                if (this.isOfflineMode()) {
+                    return this.endOfflineSession(sessionId);
+                }
+
                 if (!this.dbClient || !this.systemStatus.database) {
                     return false;
                 }
@@ -408,8 +692,17 @@ class QualitaetskontrolleMainApp {
         });
 
         // ===== QR-CODE OPERATIONEN MIT STRUKTURIERTEN ANTWORTEN UND DEKODIERUNG =====
-        ipcMain.handle('qr-scan-save', async (event, sessionId, payload) => {
+        ipcMain.handle('qr-scan-save', async (event, sessionId, payload, scanInfo = {}) => {
             try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
+
+                // Datenbank nicht erreichbar oder Offline-Einträge noch nicht übertragen → lokales Journal
+                // (neue Scans dürfen ältere Offline-Scans nicht überholen)
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineScan(sessionId, payload, scanInfo);
+                }
+
                 if (!this.dbClient || !this.systemStatus.database) {
                     return {
                         success: false,
@@ -434,85 +727,177 @@ class QualitaetskontrolleMainApp {
                 // Payload bereinigen (BOM entfernen falls vorhanden)
                 const cleanPayload = payload.replace(/^\ufeff/, '');
 
+                // Steuer-Code: laufenden Karton abbrechen (wird nicht als Scan gespeichert)
+                if (cleanPayload.trim() === this.qcCancelCode) {
+                    const cancelResult = await this.cancelQCCarton(sessionId, QC_ABANDON_REASONS.CONTROL_CODE);
+                    // Kein gespeicherter Scan → im Renderer nicht als erfolgreicher Scan behandeln
+                    return { ...cancelResult, success: false };
+                }
+
+                const scanCheck = this.checkScanInput(sessionId, cleanPayload, scanInfo);
+                if (scanCheck.error) {
+                    return scanCheck.error;
+                }
+                const { symbology, manualEntry, clientScanId, qcPayload } = scanCheck;
+
                 // === Qualitätskontrolle Workflow ===
-                if (this.qcCompletedCodes.has(cleanPayload)) {
+                const result = await this.processQCScan(sessionId, qcPayload, null, { symbology, manualEntry, clientScanId });
+
+                // Verbindung während des Scans abgerissen → Scan nicht verlieren, sondern ins Journal
+                if (result.status === 'error' && this.offlineJournal && await this.detectDatabaseLoss()) {
+                    return this.journalOfflineScan(sessionId, payload, { ...scanInfo, clientScanId });
+                }
+                return result;
+
+            } catch (error) {
+                console.error('QR Scan Save unerwarteter Fehler:', error);
+
+                if (this.offlineJournal && !this.isOfflineMode() && await this.detectDatabaseLoss()) {
+                    return this.journalOfflineScan(sessionId, payload, scanInfo);
+                }
+
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // Manuelle Eingabe vorab prüfen (Anzeige der erkannten Felder im Eingabe-Dialog)
+        ipcMain.handle('qr-validate-manual', async (event, code) => {
+            if (!this.dbClient) {
+                return { isValid: false, message: 'Datenbank-Client nicht initialisiert', code, decoded: null };
+            }
+            return this.dbClient.validateManualCode(code);
+        });
+
+        // ===== QC-PRÜFERGEBNIS OPERATIONEN =====
+        ipcMain.handle('qc-get-result-options', async () => {
+            return this.dbClient ? this.dbClient.getQCResultOptions() : { results: [], defectCategories: [] };
+        });
+
+        ipcMain.handle('qc-submit-result', async (event, sessionId, resultData = {}) => {
+            try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
+
+                // Datenbank nicht erreichbar oder Offline-Einträge noch nicht übertragen → lokales Journal
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineQCResult(sessionId, resultData);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
                     return {
                         success: false,
-                        status: 'duplicate_completed',
-                        qcStatus: 'duplicate_completed',
-                        message: 'Karton bereits abgearbeitet',
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
                         data: null,
                         timestamp: new Date().toISOString()
                     };
                 }
 
-                let qcInfo = this.qcSessions.get(sessionId);
-                if (!qcInfo) {
-                    qcInfo = { currentCode: null, scanCount: 0, userId: this.currentSession?.userId };
-                    this.qcSessions.set(sessionId, qcInfo);
+                return await this.submitQCResult(sessionId, resultData);
+            } catch (error) {
+                console.error('QC Prüfergebnis Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('qc-confirm', async (event, sessionId) => {
+            try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
+
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineQCConfirm(sessionId);
                 }
 
-                if (!qcInfo.currentCode) {
-                    // Erster Scan
-                    const result = await this.dbClient.saveQRScan(sessionId, cleanPayload);
-                    if (result.success) {
-                        this.updateQRScanRateLimit(sessionId);
-                        await this.updateDecodingStats(result);
-                        qcInfo.currentCode = cleanPayload;
-                        qcInfo.scanCount = 1;
-                        this.qcSessions.set(sessionId, qcInfo);
-                        result.qcStatus = 'first_scan';
-                    }
-                    return result;
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
                 }
 
-                if (qcInfo.currentCode === cleanPayload && qcInfo.scanCount === 1) {
-                    // Zweiter Scan -> Abschluss
-                    const result = await this.dbClient.saveQRScan(sessionId, cleanPayload);
-                    if (result.success) {
-                        this.updateQRScanRateLimit(sessionId);
-                        await this.updateDecodingStats(result);
-                        this.qcCompletedCodes.add(cleanPayload);
-                        qcInfo.currentCode = null;
-                        qcInfo.scanCount = 0;
-                        const userId = qcInfo.userId;
-                        this.qcSessions.set(sessionId, qcInfo);
-
-                        // Session beenden und neue starten
-                        await this.dbClient.endSession(sessionId);
-                        const newSession = await this.dbClient.createSession(userId, 'Qualitätskontrolle');
-                        this.qcSessions.set(newSession.ID, { currentCode: null, scanCount: 0, userId });
-                        if (this.currentSession && this.currentSession.sessionId === sessionId) {
-                            this.currentSession = {
-                                sessionId: newSession.ID,
-                                userId,
-                                startTime: newSession.StartTS
-                            };
-                        }
+                return await this.confirmQCStep(sessionId);
+            } catch (error) {
+                console.error('QC Bestätigung Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
 
-                        this.sendToRenderer('qc-session-restarted', {
-                            oldSessionId: sessionId,
-                            newSession: { ...newSession, StartTS: this.normalizeTimestamp(newSession.StartTS) },
-                            timestamp: new Date().toISOString()
-                        });
+        ipcMain.handle('qc-save-checklist', async (event, sessionId, answers = {}) => {
+            try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
 
-                        result.qcStatus = 'second_scan';
-                    }
-                    return result;
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineQCChecklist(sessionId, answers);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
                 }
 
-                // Falscher Code während laufender QC
+                return await this.saveQCChecklist(sessionId, answers);
+            } catch (error) {
+                console.error('QC Checklisten Fehler:', error);
                 return {
                     success: false,
-                    status: 'wrong_code',
-                    qcStatus: 'wrong_code',
-                    message: 'Bitte denselben Karton erneut scannen',
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
                     data: null,
                     timestamp: new Date().toISOString()
                 };
+            }
+        });
+
+        ipcMain.handle('qc-save-photo', async (event, sessionId, photoData = {}) => {
+            try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
 
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineQCPhoto(sessionId, photoData);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                return await this.saveQCPhoto(sessionId, photoData);
             } catch (error) {
-                console.error('QR Scan Save unerwarteter Fehler:', error);
+                console.error('QC Foto Fehler:', error);
                 return {
                     success: false,
                     status: 'error',
@@ -523,65 +908,304 @@ class QualitaetskontrolleMainApp {
             }
         });
 
-        // ===== QR-CODE DEKODIERUNG OPERATIONEN =====
-        ipcMain.handle('qr-get-decoded-scans', async (event, sessionId, limit = 50) => {
+        ipcMain.handle('qc-cancel-carton', async (event, sessionId) => {
             try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
+
+                if (this.isOfflineMode()) {
+                    return this.journalOfflineQCCancel(sessionId, QC_ABANDON_REASONS.CANCELLED);
+                }
+
                 if (!this.dbClient || !this.systemStatus.database) {
-                    return [];
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
                 }
 
-                const scans = await this.dbClient.getQRScansBySession(sessionId, limit);
+                return await this.cancelQCCarton(sessionId, QC_ABANDON_REASONS.CANCELLED);
+            } catch (error) {
+                console.error('QC Karton-Abbruch Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // ===== SUPERVISOR-FREIGABE =====
+        ipcMain.handle('qc-request-override', async (event, sessionId, overrideData = {}) => {
+            try {
+                // Renderer kennt nach der Übertragung ggf. noch die Offline-Session
+                sessionId = this.resolveSessionId(sessionId);
 
-                // Nur Scans mit dekodierten Daten zurückgeben
-                return scans.filter(scan => scan.DecodedData && Object.keys(scan.DecodedData).length > 0);
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                return await this.processQCOverride(sessionId, overrideData);
             } catch (error) {
-                console.error('Fehler beim Abrufen dekodierter QR-Scans:', error);
-                return [];
+                console.error('Supervisor-Freigabe Fehler:', error);
+                this.resolveSupervisorBadge(null);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
             }
         });
 
-        ipcMain.handle('qr-search-decoded', async (event, searchTerm, sessionId = null) => {
+        ipcMain.handle('qc-cancel-override', async () => {
+            this.resolveSupervisorBadge(null);
+            return true;
+        });
+
+        ipcMain.handle('qc-get-overrides', async (event, startDate = null, endDate = null, limit = 100) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
                     return [];
                 }
 
-                return await this.dbClient.searchQRScans(searchTerm, sessionId, 20);
+                return await this.dbClient.getQCOverrides(
+                    startDate ? new Date(startDate) : null,
+                    endDate ? new Date(endDate) : null,
+                    limit
+                );
             } catch (error) {
-                console.error('Fehler bei dekodierter QR-Code-Suche:', error);
+                console.error('Fehler beim Abrufen der Supervisor-Freigaben:', error);
                 return [];
             }
         });
 
-        ipcMain.handle('qr-get-decoding-stats', async (event, sessionId = null) => {
+        ipcMain.handle('qc-get-photos', async (event, scanId) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
-                    return this.decodingStats;
+                    return [];
                 }
-
-                const stats = await this.dbClient.getQRScanStats(sessionId);
-                return {
-                    ...this.decodingStats,
-                    ...stats,
-                    lastUpdated: new Date().toISOString()
-                };
+                return await this.dbClient.getQCPhotosByScan(scanId, true);
             } catch (error) {
-                console.error('Fehler beim Abrufen der Dekodierung-Statistiken:', error);
-                return this.decodingStats;
+                console.error('Fehler beim Abrufen der Fehlerfotos:', error);
+                return [];
             }
         });
 
-        // ===== SYSTEM STATUS =====
-        ipcMain.handle('get-system-status', async (event) => {
-            return {
-                database: this.systemStatus.database,
-                rfid: this.systemStatus.rfid,
+        // ===== QC-KENNZAHLEN / NACHARBEIT =====
+        ipcMain.handle('qc-get-stats', async (event, startDate = null, endDate = null) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return null;
+                }
+
+                const start = startDate ? new Date(startDate) : null;
+                const end = endDate ? new Date(endDate) : null;
+
+                return {
+                    results: await this.dbClient.getQCResultStats(start, end),
+                    rework: await this.dbClient.getQCReworkStats(start, end),
+                    abandoned: await this.dbClient.getQCAbandonStats(start, end),
+                    durations: await this.dbClient.getQCInspectionDurationStats(start, end),
+                    manualEntries: await this.dbClient.getManualEntryStats(start, end)
+                };
+            } catch (error) {
+                console.error('Fehler beim Abrufen der QC-Kennzahlen:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('qc-get-rework-queue', async (event, limit = 100) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const queue = await this.dbClient.getQCReworkQueue(limit);
+                return queue.map(entry => ({
+                    ...entry,
+                    DecodedData: this.dbClient.parseQRCodeData(entry.RawPayload)
+                }));
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Nacharbeits-Warteschlange:', error);
+                return [];
+            }
+        });
+
+        // ===== AQL-PRÜFLOSE =====
+        ipcMain.handle('qc-get-lot', async (event, auftragsNr) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return null;
+                }
+                return await this.dbClient.getQCLot(auftragsNr);
+            } catch (error) {
+                console.error('Fehler beim Abrufen des Prüfloses:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('qc-save-lot', async (event, lotData = {}) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+                return await this.dbClient.upsertQCLot(lotData);
+            } catch (error) {
+                console.error('Fehler beim Speichern des Prüfloses:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('qc-import-lots', async (event, csvText) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+                return await this.dbClient.importQCLots(csvText);
+            } catch (error) {
+                console.error('Fehler beim Import der Prüflose:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('qc-import-checklists', async (event, csvText) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+                return await this.dbClient.importQCChecklistItems(csvText);
+            } catch (error) {
+                console.error('Fehler beim Import der Checklisten:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // ===== QR-CODE DEKODIERUNG OPERATIONEN =====
+        ipcMain.handle('qr-get-decoded-scans', async (event, sessionId, limit = 50, offset = 0) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const scans = await this.dbClient.getQRScansBySession(sessionId, limit, offset);
+
+                // Nur Scans mit dekodierten Daten zurückgeben
+                return scans.filter(scan => scan.DecodedData && Object.keys(scan.DecodedData).length > 0);
+            } catch (error) {
+                console.error('Fehler beim Abrufen dekodierter QR-Scans:', error);
+                return [];
+            }
+        });
+
+        // Suche und Scan-Verlauf: options = { limit, offset, userId, startDate, endDate, auftrag, paket, kunde, manualOnly }
+        ipcMain.handle('qr-search-decoded', async (event, searchTerm, sessionId = null, options = {}) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 101);
+                const startDate = options.startDate ? new Date(options.startDate) : null;
+                const endDate = options.endDate ? new Date(options.endDate) : null;
+
+                return await this.dbClient.searchQRScans(searchTerm, sessionId, limit, {
+                    offset: Math.max(parseInt(options.offset) || 0, 0),
+                    userId: parseInt(options.userId) || null,
+                    startDate: startDate && !isNaN(startDate) ? startDate : null,
+                    endDate: endDate && !isNaN(endDate) ? endDate : null,
+                    auftrag: options.auftrag,
+                    paket: options.paket,
+                    kunde: options.kunde,
+                    manualOnly: !!options.manualOnly
+                });
+            } catch (error) {
+                console.error('Fehler bei dekodierter QR-Code-Suche:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('qr-get-decoding-stats', async (event, sessionId = null) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return this.decodingStats;
+                }
+
+                const stats = await this.dbClient.getQRScanStats(sessionId);
+                return {
+                    ...this.decodingStats,
+                    ...stats,
+                    lastUpdated: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Dekodierung-Statistiken:', error);
+                return this.decodingStats;
+            }
+        });
+
+        // ===== SYSTEM STATUS =====
+        ipcMain.handle('get-system-status', async (event) => {
+            return {
+                database: this.systemStatus.database,
+                rfid: this.systemStatus.rfid,
+                camera: this.systemStatus.camera,
                 lastError: this.systemStatus.lastError,
                 currentSession: this.currentSession,
+                stationId: this.stationId,
                 uptime: Math.floor(process.uptime()),
                 timestamp: new Date().toISOString(),
                 qrScanStats: this.getQRScanStats(),
-                decodingStats: this.decodingStats
+                decodingStats: this.decodingStats,
+                databaseReconnect: this.dbClient ? this.dbClient.getReconnectStatus() : null,
+                offlineJournal: this.getOfflineJournalStatus()
             };
         });
 
@@ -597,7 +1221,8 @@ class QualitaetskontrolleMainApp {
                     qrDecoding: true,
                     decodingFormats: ['caret_separated', 'pattern_matching', 'structured_data'],
                     supportedFields: ['auftrags_nr', 'paket_nr', 'kunden_name']
-                }
+                },
+                qrDecoding: this.qrDecodingConfig
             };
         });
 
@@ -625,6 +1250,84 @@ class QualitaetskontrolleMainApp {
             }
         });
 
+        // ===== KAMERA-PROFIL OPERATIONEN =====
+        ipcMain.handle('camera-get-profile', async () => {
+            return {
+                stationId: this.stationId,
+                profile: this.stationSettings.getSection('camera')
+            };
+        });
+
+        // Kamera-Zustand aus dem Renderer (Kamera-Watchdog)
+        ipcMain.handle('camera-report-status', async (event, status = {}) => {
+            const states = ['inactive', 'active', 'recovering', 'error', 'unavailable'];
+            if (!states.includes(status.state)) {
+                return false;
+            }
+
+            if (status.state !== this.systemStatus.camera.state) {
+                console.log(`📷 Kamera-Status: ${status.state} (${status.message || '-'})`);
+            }
+
+            this.systemStatus.camera = {
+                state: status.state,
+                message: typeof status.message === 'string' ? status.message.substring(0, 200) : null,
+                updatedAt: new Date().toISOString()
+            };
+            return true;
+        });
+
+        ipcMain.handle('camera-save-profile', async (event, profile = {}) => {
+            const sanitized = this.sanitizeCameraProfile(profile);
+            const saved = this.stationSettings.setSection('camera', sanitized);
+
+            return {
+                success: saved,
+                status: saved ? 'saved' : 'error',
+                message: saved ? `Kamera-Profil für Station ${this.stationId} gespeichert` : 'Kamera-Profil konnte nicht gespeichert werden',
+                data: saved ? this.stationSettings.getSection('camera') : null,
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        // ===== SCANNER-EINSTELLUNGEN OPERATIONEN =====
+        ipcMain.handle('scanner-get-settings', async () => {
+            return {
+                stationId: this.stationId,
+                settings: this.stationSettings.getSection('scanner')
+            };
+        });
+
+        ipcMain.handle('scanner-save-settings', async (event, settings = {}) => {
+            const sanitized = this.sanitizeScannerSettings(settings);
+            const saved = this.stationSettings.setSection('scanner', sanitized);
+
+            return {
+                success: saved,
+                status: saved ? 'saved' : 'error',
+                message: saved ? `Scanner-Einstellungen für Station ${this.stationId} gespeichert` : 'Scanner-Einstellungen konnten nicht gespeichert werden',
+                data: saved ? this.stationSettings.getSection('scanner') : null,
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        // ===== HAND-SCANNER OPERATIONEN =====
+        ipcMain.handle('wedge-get-status', async () => {
+            return this.keyboardWedgeListener ? this.keyboardWedgeListener.getStatus() : {
+                listening: false,
+                type: 'not-available',
+                message: 'Keyboard-Wedge Hand-Scanner deaktiviert'
+            };
+        });
+
+        ipcMain.handle('wedge-simulate-scan', async (event, code) => {
+            if (!this.keyboardWedgeListener) {
+                this.handleWedgeScan(code);
+                return true;
+            }
+            return this.keyboardWedgeListener.simulateScan(code);
+        });
+
         // ===== APP STEUERUNG =====
         ipcMain.handle('app-minimize', () => {
             if (this.mainWindow) {
@@ -718,230 +1421,2165 @@ class QualitaetskontrolleMainApp {
         }
     }
 
-    // ===== QR-SCAN RATE LIMITING =====
-    checkQRScanRateLimit(sessionId) {
-        const now = Date.now();
-        const oneMinute = 60 * 1000;
+    // ===== QUALITÄTSKONTROLLE WORKFLOW =====
+    createQCInfo(userId) {
+        return {
+            currentCode: null,
+            auftragsNr: null,
+            scanCount: 0,
+            userId,
+            workflowId: null,
+            stepIndex: 0,
+            inspectionRound: 1,
+            firstScanId: null,
+            inspectionId: null,
+            qcResult: null,
+            checklist: [],
+            checklistAnswers: {},
+            lastActivity: null
+        };
+    }
 
-        if (!this.qrScanRateLimit.has(sessionId)) {
-            this.qrScanRateLimit.set(sessionId, []);
+    /**
+     * Code-Art und manuelle Eingabe eines Scans prüfen
+     * @param {number} sessionId - Session ID
+     * @param {string} cleanPayload - Bereinigter Code-Inhalt
+     * @param {Object} scanInfo - { symbology, manualEntry, clientScanId }
+     * @returns {Object} - { error: strukturierte Antwort } oder { symbology, manualEntry, clientScanId, qcPayload }
+     */
+    checkScanInput(sessionId, cleanPayload, scanInfo = {}) {
+        // Code-Art des Kamera-Scans prüfen (Hand-Scanner liefern keine Code-Art)
+        const symbology = scanInfo && scanInfo.symbology ? normalizeSymbology(scanInfo.symbology) : null;
+        if (symbology && !isSymbologyAllowedForSession(SESSION_TYPES.QUALITAETSKONTROLLE, symbology)) {
+            return {
+                error: {
+                    success: false,
+                    status: 'symbology_not_allowed',
+                    message: `Code-Art '${getSymbologyLabels()[symbology]}' ist für die Qualitätskontrolle nicht freigegeben`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                }
+            };
         }
 
-        const scanTimes = this.qrScanRateLimit.get(sessionId);
+        // Manuelle Eingabe (Etikett nicht lesbar): nur erkannte Karton-Formate zulassen
+        const manualEntry = !!(scanInfo && scanInfo.manualEntry);
+        if (manualEntry) {
+            const validation = this.dbClient.validateManualCode(cleanPayload);
+            if (!validation.isValid) {
+                return {
+                    error: {
+                        success: false,
+                        status: 'manual_entry_invalid',
+                        message: validation.message,
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+            console.log(`✍️ Manuelle Eingabe für Session ${sessionId}: ${validation.code}`);
+        }
 
-        // Entferne Scans älter als 1 Minute
-        const recentScans = scanTimes.filter(time => now - time < oneMinute);
-        this.qrScanRateLimit.set(sessionId, recentScans);
+        // UUID des Scans aus dem Renderer (Wiederholungen liefern die vorhandene Zeile); fehlt sie, wird hier eine vergeben
+        const clientScanId = this.dbClient.normalizeClientScanId(scanInfo && scanInfo.clientScanId) || crypto.randomUUID();
 
-        // Prüfe Limit
-        return recentScans.length < this.maxQRScansPerMinute;
+        return { symbology, manualEntry, clientScanId, qcPayload: manualEntry ? cleanPayload.trim() : cleanPayload };
     }
 
-    updateQRScanRateLimit(sessionId) {
-        const now = Date.now();
-
-        if (!this.qrScanRateLimit.has(sessionId)) {
-            this.qrScanRateLimit.set(sessionId, []);
+    /**
+     * QR-Scan durch den konfigurierten Prüfablauf (siehe db/constants/qc-workflows.js) führen
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - Bereinigter QR-Code Inhalt
+     * @param {Object|null} override - Supervisor-Freigabe { ID } (überspringt Sperren für abgearbeitete/doppelte Kartons)
+     * @param {Object} scanInfo - { symbology: Code-Art des Kamera-Scans, manualEntry: manuell eingegeben, clientScanId: UUID des Scans,
+     *                            capturedAt: Erfassungszeit beim Nachtragen des Offline-Journals }
+     * @returns {Object} - Strukturierte Antwort inkl. qcStatus, qcNextStep und qcCompleted
+     */
+    async processQCScan(sessionId, payload, override = null, scanInfo = {}) {
+        // Abgeschlossene Kartons sind stations- und tagesübergreifend gesperrt
+        if (!override && await this.isQCCartonCompleted(payload)) {
+            return {
+                success: false,
+                status: 'duplicate_completed',
+                qcStatus: 'duplicate_completed',
+                message: 'Karton bereits abgearbeitet',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
         }
 
-        const scanTimes = this.qrScanRateLimit.get(sessionId);
-        scanTimes.push(now);
+        let qcInfo = this.qcSessions.get(sessionId);
+        if (!qcInfo) {
+            qcInfo = this.createQCInfo(this.currentSession?.userId);
+            this.qcSessions.set(sessionId, qcInfo);
+        }
 
-        // Halte nur die letzten Scans
-        if (scanTimes.length > this.maxQRScansPerMinute) {
-            scanTimes.shift();
+        // Verwaisten Karton abbrechen bevor der Scan als falscher Code abgewiesen wird
+        if (qcInfo.currentCode && this.isQCCartonTimedOut(qcInfo)) {
+            await this.abandonQCCarton(sessionId, QC_ABANDON_REASONS.TIMEOUT);
+            qcInfo = this.qcSessions.get(sessionId);
         }
-    }
 
-    getQRScanStats() {
-        const stats = {};
-        const now = Date.now();
-        const oneMinute = 60 * 1000;
+        if (!qcInfo.currentCode) {
+            return await this.startQCCarton(sessionId, qcInfo, payload, override, scanInfo);
+        }
 
-        for (const [sessionId, scanTimes] of this.qrScanRateLimit.entries()) {
-            const recentScans = scanTimes.filter(time => now - time < oneMinute);
-            stats[sessionId] = {
-                scansPerMinute: recentScans.length,
-                lastScan: scanTimes.length > 0 ? Math.max(...scanTimes) : null
+        if (qcInfo.currentCode !== payload) {
+            // Falscher Code während laufender QC
+            return {
+                success: false,
+                status: 'wrong_code',
+                qcStatus: 'wrong_code',
+                message: 'Bitte denselben Karton erneut scannen',
+                data: null,
+                timestamp: new Date().toISOString()
             };
         }
 
-        return stats;
-    }
+        const step = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
 
-    // ===== VERBESSERTER RFID HANDLING MIT ZUVERLÄSSIGEM SESSION-RESET =====
-    async handleRFIDScan(tagId) {
-        const now = Date.now();
+        if (step && step.type === QC_STEP_TYPES.ACTION) {
+            // Scan erst nach der ausstehenden Aktion (z.B. Prüfergebnis) erlaubt
+            const actionConfig = getQCActionConfig(step.action);
+            return {
+                success: false,
+                status: actionConfig.missingStatus,
+                qcStatus: actionConfig.missingStatus,
+                message: actionConfig.missingMessage,
+                data: null,
+                qcNextStep: step,
+                timestamp: new Date().toISOString()
+            };
+        }
 
-        // Cooldown für RFID-Scans prüfen (verhindert Doppel-Scans)
-        if (now - this.lastRFIDScanTime < this.rfidScanCooldown) {
-            console.log(`🔄 RFID-Scan zu schnell, ignoriert: ${tagId} (${now - this.lastRFIDScanTime}ms < ${this.rfidScanCooldown}ms)`);
-            return;
+        // Abschließender Scan erst wenn alle Pflichtpunkte der Checkliste beantwortet sind
+        const checklistBlock = this.getQCChecklistBlock(qcInfo);
+        if (checklistBlock) {
+            return checklistBlock;
         }
-        this.lastRFIDScanTime = now;
 
-        console.log(`🏷️ RFID-Tag gescannt: ${tagId}`);
+        // Folge-Scan desselben Kartons (gewollter Wiederholungs-Scan, keine Duplikat-Sperre)
+        const result = await this.dbClient.saveQRScan(sessionId, payload, {
+            allowRepeatScan: true,
+            symbology: scanInfo.symbology || null,
+            manualEntry: !!scanInfo.manualEntry,
+            capturedAt: scanInfo.capturedAt || null,
+            clientScanId: scanInfo.clientScanId || null
+        });
+        // Wiederholung eines bereits gespeicherten Scans schaltet den Prüfablauf nicht erneut weiter
+        if (result.success && result.status !== 'already_saved') {
+            this.updateQRScanRateLimit(sessionId);
+            await this.updateDecodingStats(result);
+            qcInfo.scanCount++;
+            result.qcStatus = step ? step.qcStatus : 'second_scan';
+            await this.advanceQCWorkflow(sessionId, qcInfo, result.data.ID, result);
+        }
+        return result;
+    }
 
+    /**
+     * Prüfen ob ein Karton bereits abgeschlossen ist
+     * Maßgeblich ist die Datenbank - eine Freigabe oder Nachprüfung an einer anderen Station hebt die Sperre auf.
+     * Der lokale Cache wird dabei nachgeführt und nur bei einem Datenbankfehler verwendet.
+     * @param {string} payload - Code-Inhalt
+     * @returns {boolean} - True wenn abgeschlossen
+     */
+    async isQCCartonCompleted(payload) {
         try {
-            if (!this.systemStatus.database) {
+            const completed = await this.dbClient.isQCInspectionCompleted(payload);
+            if (completed) {
+                this.qcCompletedCodes.add(payload);
+            } else {
+                this.qcCompletedCodes.delete(payload);
+            }
+            return completed;
+        } catch (error) {
+            console.warn('⚠️ Abschluss-Prüfung in der Datenbank fehlgeschlagen - verwende lokalen Cache:', error.message);
+            return this.qcCompletedCodes.has(payload);
+        }
+    }
+
+    /**
+     * Ersten Scan eines Kartons verarbeiten und Prüfablauf festlegen
+     */
+    async startQCCarton(sessionId, qcInfo, payload, override = null, scanInfo = {}) {
+        // Beanstandeter Karton aus der Nacharbeit → verknüpfte Nachprüfung statt Duplikat
+        // Supervisor-Freigabe eines abgeschlossenen Kartons → verknüpfte Nachprüfung der letzten Prüfung
+        const pendingRework = await this.dbClient.getPendingQCRework(payload);
+        const previousInspection = pendingRework || (override ? await this.dbClient.getCompletedQCInspection(payload) : null);
+        // Abgebrochener Karton darf erneut geprüft werden
+        const wasAbandoned = !previousInspection && await this.dbClient.isQCInspectionAbandoned(payload);
+
+        const result = await this.dbClient.saveQRScan(sessionId, payload, {
+            allowRepeatScan: !!previousInspection || wasAbandoned || !!override,
+            overrideId: override ? override.ID : null,
+            symbology: scanInfo.symbology || null,
+            manualEntry: !!scanInfo.manualEntry,
+            capturedAt: scanInfo.capturedAt || null,
+            clientScanId: scanInfo.clientScanId || null
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        // Wiederholung eines bereits gespeicherten Scans (z.B. Antwort ging verloren):
+        // zugehörige Prüfung übernehmen statt den Karton ohne Prüfung zu lassen
+        if (result.status === 'already_saved') {
+            const existingInspection = await this.dbClient.getQCInspectionByFirstScan(result.data.ID);
+            if (existingInspection) {
+                // Abgeschlossene oder abgebrochene Prüfung nicht erneut öffnen
+                if (existingInspection.Status === QC_INSPECTION_STATUS.IN_PROGRESS) {
+                    result.qcOpenCarton = await this.applyOpenInspection(sessionId, qcInfo, existingInspection);
+                    result.qcWorkflow = qcInfo.workflowId;
+                    result.qcNextStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+                    result.qcCompleted = false;
+                }
+                return result;
+            }
+            // Scan gespeichert, Prüfung aber nie angelegt → Prüfablauf jetzt starten
+        }
+
+        const decodedData = result.data.DecodedData || {};
+        const workflowId = selectQCWorkflow({
+            kundenId: decodedData.kunden_id,
+            customerWorkflows: this.qcCustomerWorkflows
+        });
+        const inspectionRound = previousInspection ? previousInspection.InspectionRound + 1 : 1;
+
+        // Workflow-Zustand persistieren (überlebt Neustart/Absturz)
+        // Verbindliche Sperre: ist der Karton inzwischen an einer anderen Station geöffnet oder abgeschlossen,
+        // wird die Prüfung nicht angelegt (die Prüfungen oben sind nur Vorfilter)
+        const inspection = await this.dbClient.startQCInspection({
+            rawPayload: payload,
+            sessionId,
+            userId: qcInfo.userId,
+            stationId: this.stationId,
+            firstScanId: result.data.ID,
+            workflowId,
+            reinspectionOfId: previousInspection ? previousInspection.ID : null,
+            inspectionRound,
+            kundenId: decodedData.kunden_id || null
+        });
+        if (inspection && inspection.BlockedByStatus) {
+            return await this.rejectBlockedQCCarton(payload, result.data.ID, inspection);
+        }
+        if (!inspection) {
+            console.warn('⚠️ Karton-Prüfung konnte nicht persistiert werden - nur lokaler Zustand');
+        }
+
+        this.updateQRScanRateLimit(sessionId);
+        await this.updateDecodingStats(result);
+
+        qcInfo.currentCode = payload;
+        qcInfo.auftragsNr = decodedData.auftrags_nr || null;
+        qcInfo.scanCount = 1;
+        qcInfo.workflowId = workflowId;
+        qcInfo.stepIndex = 0;
+        qcInfo.inspectionRound = inspectionRound;
+        qcInfo.firstScanId = result.data.ID;
+        qcInfo.qcResult = null;
+        qcInfo.checklist = await this.dbClient.getQCChecklistForCarton(decodedData.kunden_id, qcInfo.auftragsNr);
+        qcInfo.checklistAnswers = {};
+        qcInfo.lastActivity = Date.now();
+        qcInfo.inspectionId = inspection ? inspection.ID : null;
+        this.qcSessions.set(sessionId, qcInfo);
+
+        console.log(`📦 Karton-Prüfung gestartet mit Workflow '${workflowId}' (Runde ${qcInfo.inspectionRound})`);
+
+        if (previousInspection) {
+            result.qcReinspection = {
+                round: qcInfo.inspectionRound,
+                reinspectionOfId: previousInspection.ID,
+                previousResult: previousInspection.FinalResult
+            };
+        }
+
+        // AQL-Prüflos des Auftrags (null = Losgröße noch nicht erfasst)
+        result.qcLot = await this.dbClient.getQCLot(qcInfo.auftragsNr);
+        result.qcChecklist = { items: qcInfo.checklist, answers: qcInfo.checklistAnswers };
+
+        result.qcStatus = getQCWorkflowStep(workflowId, 0).qcStatus;
+        await this.advanceQCWorkflow(sessionId, qcInfo, result.data.ID, result);
+        return result;
+    }
+
+    /**
+     * Ersten Scan abweisen, wenn der Karton zwischen Vorprüfung und Anlegen der Prüfung
+     * an einer anderen Station geöffnet oder abgeschlossen wurde
+     * @param {string} payload - Code-Inhalt
+     * @param {number} scanId - Bereits gespeicherter Scan (wird ungültig markiert)
+     * @param {Object} blocked - { BlockedByStatus, BlockedByStation } aus startQCInspection
+     * @returns {Object} - Strukturierte Antwort (duplicate_completed oder carton_in_progress)
+     */
+    async rejectBlockedQCCarton(payload, scanId, blocked) {
+        await this.dbClient.invalidateQRScan(scanId);
+
+        if (blocked.BlockedByStatus === QC_INSPECTION_STATUS.COMPLETED) {
+            this.qcCompletedCodes.add(payload);
+            return {
+                success: false,
+                status: 'duplicate_completed',
+                qcStatus: 'duplicate_completed',
+                message: 'Karton bereits abgearbeitet',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // Nicht per Supervisor freigebbar - es darf nur eine offene Prüfung je Karton geben
+        return {
+            success: false,
+            status: 'carton_in_progress',
+            qcStatus: 'carton_in_progress',
+            message: blocked.BlockedByStation
+                ? `Karton wird bereits an Station ${blocked.BlockedByStation} geprüft`
+                : 'Karton wird bereits an einer anderen Station geprüft',
+            data: null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Zum nächsten Workflow-Schritt wechseln und Karton nach dem letzten Schritt abschließen
+     * @param {number} sessionId - Session ID
+     * @param {Object} qcInfo - QC-Zustand der Session
+     * @param {number|null} scanId - QrScans ID falls der Schritt ein Scan war
+     * @param {Object} response - Antwort an den Renderer (wird um Workflow-Infos ergänzt)
+     */
+    async advanceQCWorkflow(sessionId, qcInfo, scanId, response) {
+        qcInfo.stepIndex++;
+        qcInfo.lastActivity = Date.now();
+        const nextStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+
+        response.qcWorkflow = qcInfo.workflowId;
+        response.qcNextStep = nextStep;
+        response.qcCompleted = !nextStep;
+
+        if (nextStep) {
+            if (qcInfo.inspectionId) {
+                await this.dbClient.updateQCInspectionProgress(qcInfo.inspectionId, qcInfo.stepIndex);
+            }
+            this.qcSessions.set(sessionId, qcInfo);
+            return;
+        }
+
+        response.qcResult = qcInfo.qcResult;
+        response.qcLot = await this.completeQCCarton(sessionId, qcInfo, scanId);
+    }
+
+    /**
+     * Karton abschließen, Session beenden und neue Session für den nächsten Karton starten
+     * @returns {Object|null} - Aktualisiertes AQL-Prüflos des Auftrags (null wenn kein Los erfasst)
+     */
+    async completeQCCarton(sessionId, qcInfo, closingScanId) {
+        if (qcInfo.qcResult && closingScanId) {
+            await this.dbClient.linkQCResultSecondScan(qcInfo.qcResult.ID, closingScanId);
+        }
+        if (qcInfo.checklist.length > 0 && closingScanId) {
+            await this.dbClient.linkQCChecklistSecondScan(qcInfo.firstScanId, closingScanId);
+        }
+        const finalResult = qcInfo.qcResult ? qcInfo.qcResult.Result : null;
+        // Prüfung nicht mehr offen (z.B. inzwischen abgebrochen) → weder im Prüflos verbuchen noch sperren
+        let inspectionCompleted = true;
+        if (qcInfo.inspectionId) {
+            inspectionCompleted = !!await this.dbClient.completeQCInspection(qcInfo.inspectionId, closingScanId, finalResult);
+            if (!inspectionCompleted) {
+                console.warn(`⚠️ Karton-Prüfung ${qcInfo.inspectionId} konnte nicht abgeschlossen werden (nicht mehr offen)`);
+            }
+        }
+
+        // Stichprobe im Prüflos verbuchen (Fehlerhaft und Nacharbeit zählen als fehlerhaft)
+        // Nachprüfungen zählen nicht als neue Stichprobe
+        let lot = null;
+        if (inspectionCompleted && qcInfo.auftragsNr && qcInfo.qcResult && qcInfo.inspectionRound === 1) {
+            lot = await this.dbClient.recordQCLotInspection(qcInfo.auftragsNr, finalResult !== QC_RESULTS.PASS);
+        }
+
+        // Beanstandete Kartons bleiben für die Nachprüfung scanbar
+        if (inspectionCompleted && !requiresReinspection(finalResult)) {
+            this.qcCompletedCodes.add(qcInfo.currentCode);
+        }
+        const userId = qcInfo.userId;
+        this.qcSessions.set(sessionId, this.createQCInfo(userId));
+
+        // Session beenden und neue starten
+        await this.dbClient.endSession(sessionId);
+        const newSession = await this.dbClient.createSession(userId, 'Qualitätskontrolle');
+        this.qcSessions.set(newSession.ID, this.createQCInfo(userId));
+
+        // Beim Nachtragen arbeitet der Renderer offline weiter - Umstellung erst nach dem Journal (syncOfflineSession)
+        if (this.offlineReplayInProgress) {
+            this.recordReplaySessionSuccessor(sessionId, newSession.ID);
+            return lot;
+        }
+
+        if (this.currentSession && this.currentSession.sessionId === sessionId) {
+            this.currentSession = {
+                sessionId: newSession.ID,
+                userId,
+                userName: this.currentSession.userName,
+                startTime: newSession.StartTS
+            };
+        }
+
+        this.sendToRenderer('qc-session-restarted', {
+            oldSessionId: sessionId,
+            newSession: { ...newSession, StartTS: this.normalizeTimestamp(newSession.StartTS) },
+            timestamp: new Date().toISOString()
+        });
+
+        return lot;
+    }
+
+    /**
+     * Prüfergebnis des laufenden Kartons speichern (auch Korrektur bis zum Abschluss)
+     * @param {number} sessionId - Session ID
+     * @param {Object} resultData - { result, defectCategories, notes }
+     * @returns {Object} - Strukturierte Antwort inkl. qcNextStep und qcCompleted
+     */
+    async submitQCResult(sessionId, resultData = {}) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        const stepCheck = this.checkQCActionStep(qcInfo, QC_ACTIONS.RESULT);
+        if (!stepCheck.allowed) {
+            return stepCheck.response;
+        }
+
+        const result = await this.dbClient.saveQCResult({
+            sessionId,
+            userId: qcInfo.userId,
+            firstScanId: qcInfo.firstScanId,
+            rawPayload: qcInfo.currentCode,
+            result: resultData.result,
+            defectCategories: resultData.defectCategories,
+            notes: resultData.notes
+        });
+
+        if (result.success) {
+            qcInfo.qcResult = result.data;
+            qcInfo.lastActivity = Date.now();
+            this.qcSessions.set(sessionId, qcInfo);
+            result.qcStatus = 'result_recorded';
+
+            // Nur weiterschalten wenn das Ergebnis der aktuelle Schritt war (nicht bei Korrektur)
+            if (stepCheck.isCurrent) {
+                await this.advanceQCWorkflow(sessionId, qcInfo, null, result);
+            } else {
+                result.qcWorkflow = qcInfo.workflowId;
+                result.qcNextStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+                result.qcCompleted = false;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Bestätigungs-Schritt des laufenden Kartons ausführen
+     * @param {number} sessionId - Session ID
+     * @returns {Object} - Strukturierte Antwort inkl. qcNextStep und qcCompleted
+     */
+    async confirmQCStep(sessionId) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        const stepCheck = this.checkQCActionStep(qcInfo, QC_ACTIONS.CONFIRM);
+        if (!stepCheck.allowed || !stepCheck.isCurrent) {
+            return stepCheck.allowed ? {
+                success: false,
+                status: 'step_not_allowed',
+                message: 'Prüfung wurde bereits bestätigt',
+                data: null,
+                timestamp: new Date().toISOString()
+            } : stepCheck.response;
+        }
+
+        const result = {
+            success: true,
+            status: 'confirmed',
+            qcStatus: 'confirmed',
+            message: 'Prüfung bestätigt',
+            data: null,
+            timestamp: new Date().toISOString()
+        };
+
+        await this.advanceQCWorkflow(sessionId, qcInfo, null, result);
+        return result;
+    }
+
+    /**
+     * Checklisten-Antworten des laufenden Kartons speichern
+     * @param {number} sessionId - Session ID
+     * @param {Object} answers - { itemId: answer }
+     * @returns {Object} - Strukturierte Antwort (data.answers = alle gespeicherten Antworten)
+     */
+    async saveQCChecklist(sessionId, answers = {}) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        if (!qcInfo || !qcInfo.currentCode || !qcInfo.firstScanId) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - bitte zuerst Karton scannen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const result = await this.dbClient.saveQCChecklistAnswers({
+            firstScanId: qcInfo.firstScanId,
+            inspectionId: qcInfo.inspectionId,
+            sessionId,
+            userId: qcInfo.userId,
+            items: qcInfo.checklist,
+            answers
+        });
+
+        if (result.success) {
+            qcInfo.checklistAnswers = result.data.answers;
+            qcInfo.lastActivity = Date.now();
+            this.qcSessions.set(sessionId, qcInfo);
+        }
+
+        return result;
+    }
+
+    /**
+     * Fehlerfoto zum laufenden Karton speichern
+     * Fotos sind in jedem Workflow erlaubt solange ein Karton in Prüfung ist
+     * @param {number} sessionId - Session ID
+     * @param {Object} photoData - { dataUrl, width, height }
+     * @returns {Object} - Strukturierte Antwort inkl. qcNextStep und qcCompleted
+     */
+    async saveQCPhoto(sessionId, photoData = {}) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        if (!qcInfo || !qcInfo.currentCode || !qcInfo.firstScanId) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - bitte zuerst Karton scannen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const result = await this.dbClient.saveQCPhoto({
+            scanId: qcInfo.firstScanId,
+            inspectionId: qcInfo.inspectionId,
+            sessionId,
+            userId: qcInfo.userId,
+            dataUrl: photoData.dataUrl,
+            width: photoData.width,
+            height: photoData.height
+        });
+
+        if (result.success) {
+            qcInfo.lastActivity = Date.now();
+            const currentStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+            if (currentStep && currentStep.action === QC_ACTIONS.PHOTO) {
+                await this.advanceQCWorkflow(sessionId, qcInfo, null, result);
+            } else {
+                result.qcWorkflow = qcInfo.workflowId;
+                result.qcNextStep = currentStep;
+                result.qcCompleted = false;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Laufenden Karton auf Benutzerwunsch abbrechen (Abbrechen-Button oder Steuer-Code)
+     * @param {number} sessionId - Session ID
+     * @param {string} reason - Abbruchgrund (siehe QC_ABANDON_REASONS)
+     * @returns {Object} - Strukturierte Antwort
+     */
+    async cancelQCCarton(sessionId, reason) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        if (!qcInfo || !qcInfo.currentCode) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - nichts abzubrechen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const abandoned = await this.abandonQCCarton(sessionId, reason);
+
+        return {
+            success: true,
+            status: 'carton_cancelled',
+            qcStatus: 'carton_cancelled',
+            message: 'Karton-Prüfung abgebrochen',
+            data: abandoned,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Halb fertigen Karton als abgebrochen markieren und QC-Zustand der Session zurücksetzen
+     * Die Session bleibt bestehen, der nächste Scan startet einen neuen Karton
+     * @param {number} sessionId - Session ID
+     * @param {string} reason - Abbruchgrund (siehe QC_ABANDON_REASONS)
+     * @returns {Object} - Abgebrochener Karton { inspectionId, rawPayload, reason }
+     */
+    async abandonQCCarton(sessionId, reason) {
+        const qcInfo = this.qcSessions.get(sessionId);
+        const abandoned = {
+            inspectionId: qcInfo.inspectionId,
+            rawPayload: qcInfo.currentCode,
+            reason
+        };
+
+        if (qcInfo.inspectionId) {
+            await this.dbClient.abandonQCInspection(qcInfo.inspectionId, reason);
+        }
+
+        this.qcSessions.set(sessionId, this.createQCInfo(qcInfo.userId));
+
+        console.log(`📦 Karton-Prüfung abgebrochen (${reason}): Session ${sessionId}`);
+
+        // Beim Nachtragen zeigt der Renderer den Offline-Stand (siehe discardOfflineCarton)
+        if (this.offlineReplayInProgress) {
+            return abandoned;
+        }
+
+        this.sendToRenderer('qc-carton-abandoned', {
+            sessionId,
+            ...abandoned,
+            timestamp: new Date().toISOString()
+        });
+
+        return abandoned;
+    }
+
+    /**
+     * Prüfen ob ein offener Karton die konfigurierte Inaktivitätszeit überschritten hat
+     * @param {Object} qcInfo - QC-Zustand der Session
+     * @returns {boolean} - True wenn abgelaufen
+     */
+    isQCCartonTimedOut(qcInfo) {
+        return this.qcCartonTimeoutMs > 0 &&
+            !!qcInfo.lastActivity &&
+            Date.now() - qcInfo.lastActivity > this.qcCartonTimeoutMs;
+    }
+
+    /**
+     * Offene Kartons regelmäßig auf Zeitüberschreitung prüfen
+     */
+    startQCTimeoutMonitor() {
+        if (this.qcTimeoutTimer || this.qcCartonTimeoutMs <= 0) {
+            return;
+        }
+
+        this.qcTimeoutTimer = setInterval(async () => {
+            // Offline und beim Nachtragen zählt der Stand im Journal
+            if (!this.dbClient || !this.systemStatus.database || this.isOfflineMode()) {
+                return;
+            }
+
+            for (const [sessionId, qcInfo] of this.qcSessions) {
+                if (qcInfo.currentCode && this.isQCCartonTimedOut(qcInfo)) {
+                    try {
+                        await this.abandonQCCarton(sessionId, QC_ABANDON_REASONS.TIMEOUT);
+                    } catch (error) {
+                        console.error('Fehler beim Abbrechen des verwaisten Kartons:', error);
+                    }
+                }
+            }
+        }, 60 * 1000);
+    }
+
+    /**
+     * Supervisor-Freigabe für einen gesperrten Karton durchführen
+     * Wartet auf den RFID-Badge eines Supervisors, protokolliert die Freigabe und scannt den Karton erneut
+     * @param {number} sessionId - Session ID
+     * @param {Object} overrideData - { rawPayload, blockedStatus, reason, notes }
+     * @returns {Object} - Strukturierte Antwort (Scan-Ergebnis inkl. qcOverride bei Erfolg)
+     */
+    async processQCOverride(sessionId, overrideData) {
+        const { rawPayload, blockedStatus, reason, notes } = overrideData;
+        const qcInfo = this.qcSessions.get(sessionId);
+
+        const denied = (status, message) => ({
+            success: false,
+            status,
+            message,
+            data: null,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!qcInfo || !rawPayload || !isOverridableStatus(blockedStatus)) {
+            return denied('validation_failed', 'Für diesen Scan ist keine Supervisor-Freigabe möglich');
+        }
+
+        const validation = validateOverrideReason(reason, notes);
+        if (!validation.isValid) {
+            return denied('validation_failed', validation.message);
+        }
+
+        if (this.qcSupervisorIds.size === 0) {
+            return denied('override_denied', 'Keine Supervisoren konfiguriert (QC_SUPERVISOR_USER_IDS)');
+        }
+
+        if (this.supervisorBadgeRequest) {
+            return denied('override_pending', 'Es wird bereits auf einen Supervisor-Badge gewartet');
+        }
+
+        // Auf Supervisor-Badge warten
+        const tagId = await this.awaitSupervisorBadge();
+        if (!tagId) {
+            return denied('override_cancelled', 'Supervisor-Freigabe abgebrochen oder Zeit abgelaufen');
+        }
+
+        const supervisor = await this.dbClient.getUserByEPC(tagId);
+        if (!supervisor || !this.qcSupervisorIds.has(supervisor.ID)) {
+            console.warn(`⚠️ Supervisor-Freigabe verweigert für RFID-Tag ${tagId}`);
+            return denied('override_denied', supervisor
+                ? `${supervisor.BenutzerName} ist nicht als Supervisor berechtigt`
+                : `Unbekannter RFID-Tag: ${tagId}`);
+        }
+
+        // Freigabe vor dem Scan protokollieren (Audit-Trail auch wenn der Scan scheitert)
+        const override = await this.dbClient.createQCOverride({
+            rawPayload,
+            blockedStatus,
+            reason,
+            notes,
+            sessionId,
+            operatorUserId: qcInfo.userId,
+            supervisorUserId: supervisor.ID,
+            stationId: this.stationId
+        });
+        if (!override) {
+            return denied('database_error', 'Supervisor-Freigabe konnte nicht protokolliert werden');
+        }
+
+        console.log(`🔑 Supervisor-Freigabe ${override.ID} durch ${supervisor.BenutzerName} (${blockedStatus}, Grund: ${reason})`);
+
+        this.qcCompletedCodes.delete(rawPayload);
+        const result = await this.processQCScan(sessionId, rawPayload, override);
+
+        await this.dbClient.linkQCOverrideScan(override.ID, result.success ? result.data.ID : null, result.status);
+
+        result.qcOverride = {
+            ID: override.ID,
+            supervisorName: supervisor.BenutzerName,
+            reason
+        };
+        return result;
+    }
+
+    /**
+     * Nächsten RFID-Scan als Supervisor-Badge abfangen
+     * @returns {Promise<string|null>} - Tag-ID oder null bei Abbruch/Zeitüberschreitung
+     */
+    awaitSupervisorBadge() {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.resolveSupervisorBadge(null), SUPERVISOR_BADGE_TIMEOUT_MS);
+            this.supervisorBadgeRequest = { resolve, timer };
+        });
+    }
+
+    /**
+     * Wartende Supervisor-Freigabe mit Tag-ID (oder null = Abbruch) beenden
+     * @param {string|null} tagId - RFID-Tag des Supervisors
+     */
+    resolveSupervisorBadge(tagId) {
+        const request = this.supervisorBadgeRequest;
+        if (!request) {
+            return;
+        }
+
+        clearTimeout(request.timer);
+        this.supervisorBadgeRequest = null;
+        request.resolve(tagId);
+    }
+
+    /**
+     * Prüfen ob eine Aktion im aktuellen Workflow-Zustand erlaubt ist
+     * Bereits erledigte Aktionen (z.B. Prüfergebnis) dürfen bis zum Abschluss korrigiert werden
+     * @returns {Object} - { allowed, isCurrent, response }
+     */
+    checkQCActionStep(qcInfo, action) {
+        // Offline geöffnete Kartons haben noch keinen gespeicherten Scan, aber eine Karton-ID im Journal
+        if (!qcInfo || !qcInfo.currentCode || !(qcInfo.firstScanId || qcInfo.cartonId)) {
+            return {
+                allowed: false,
+                isCurrent: false,
+                response: {
+                    success: false,
+                    status: 'no_active_carton',
+                    message: 'Kein Karton in Prüfung - bitte zuerst Karton scannen',
+                    data: null,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        const actionStepIndex = getQCWorkflow(qcInfo.workflowId).steps
+            .findIndex(step => step.type === QC_STEP_TYPES.ACTION && step.action === action);
+
+        if (actionStepIndex === -1 || actionStepIndex > qcInfo.stepIndex) {
+            const currentStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+            return {
+                allowed: false,
+                isCurrent: false,
+                response: {
+                    success: false,
+                    status: 'step_not_allowed',
+                    message: `Aktion aktuell nicht möglich - nächster Schritt: ${currentStep ? currentStep.label : '-'}`,
+                    data: null,
+                    qcNextStep: currentStep,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        // Abschließende Aktion erst wenn alle Pflichtpunkte der Checkliste beantwortet sind
+        const isCurrent = actionStepIndex === qcInfo.stepIndex;
+        const checklistBlock = isCurrent ? this.getQCChecklistBlock(qcInfo) : null;
+        if (checklistBlock) {
+            return { allowed: false, isCurrent, response: checklistBlock };
+        }
+
+        return {
+            allowed: true,
+            isCurrent,
+            response: null
+        };
+    }
+
+    /**
+     * Abschluss des Kartons sperren solange Pflichtpunkte der Checkliste offen sind
+     * Greift nur für den letzten Workflow-Schritt (abschließender Scan bzw. Bestätigung)
+     * @returns {Object|null} - Ablehnung für den Renderer oder null wenn der Schritt erlaubt ist
+     */
+    getQCChecklistBlock(qcInfo) {
+        if (getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex + 1)) {
+            return null;
+        }
+
+        const missing = getMissingMandatoryItems(qcInfo.checklist, qcInfo.checklistAnswers);
+        if (missing.length === 0) {
+            return null;
+        }
+
+        return {
+            success: false,
+            status: 'checklist_missing',
+            qcStatus: 'checklist_missing',
+            message: `Checkliste unvollständig: ${missing.map(item => item.Label).join(', ')}`,
+            data: { missingMandatory: missing.map(item => item.Label) },
+            qcNextStep: getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Offene Karton-Prüfungen dieser Station beim Start ermitteln
+     * Die eigentliche Wiederherstellung erfolgt bei der Anmeldung des jeweiligen Benutzers
+     */
+    async restoreQCState() {
+        try {
+            const openInspections = await this.dbClient.getOpenQCInspections(this.stationId);
+
+            if (openInspections.length > 0) {
+                console.log(`📦 ${openInspections.length} offene Karton-Prüfung(en) an Station ${this.stationId} gefunden:`);
+                for (const inspection of openInspections) {
+                    console.log(`   - Prüfung ${inspection.ID} (Benutzer ${inspection.UserID}, seit ${inspection.StartedTS})`);
+                }
+            } else {
+                console.log(`📦 Keine offenen Karton-Prüfungen an Station ${this.stationId}`);
+            }
+        } catch (error) {
+            console.error('Fehler beim Wiederherstellen des QC-Zustands:', error);
+        }
+    }
+
+    /**
+     * QC-Zustand für eine neue Session aufbauen und ggf. offenen Karton des Benutzers übernehmen
+     * @param {number} sessionId - Neue Session ID
+     * @param {number} userId - Benutzer-ID
+     * @returns {Object|null} - Offener Karton für den Renderer oder null
+     */
+    async restoreOpenInspection(sessionId, userId) {
+        const qcInfo = this.createQCInfo(userId);
+        this.qcSessions.set(sessionId, qcInfo);
+
+        try {
+            const inspection = await this.dbClient.getOpenQCInspectionForUser(userId, this.stationId);
+            if (!inspection) {
+                return null;
+            }
+
+            // Seit dem letzten Schritt zu lange liegen geblieben → abbrechen statt wiederherstellen
+            const lastActivity = new Date(inspection.UpdatedTS || inspection.StartedTS).getTime();
+            if (this.qcCartonTimeoutMs > 0 && Date.now() - lastActivity > this.qcCartonTimeoutMs) {
+                await this.dbClient.abandonQCInspection(inspection.ID, QC_ABANDON_REASONS.TIMEOUT);
+                console.log(`📦 Offene Karton-Prüfung ${inspection.ID} wegen Zeitüberschreitung abgebrochen`);
+                return null;
+            }
+
+            return await this.applyOpenInspection(sessionId, qcInfo, inspection);
+        } catch (error) {
+            console.error('Fehler beim Wiederherstellen des offenen Kartons:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Offene Prüfung in den QC-Zustand einer Session übernehmen
+     * @param {number} sessionId - Session ID
+     * @param {Object} qcInfo - QC-Zustand der Session (wird befüllt)
+     * @param {Object} inspection - Offene QcInspections Zeile
+     * @returns {Object} - Offener Karton für den Renderer
+     */
+    async applyOpenInspection(sessionId, qcInfo, inspection) {
+        if (inspection.SessionID !== sessionId) {
+            await this.dbClient.reassignQCInspectionSession(inspection.ID, sessionId);
+        }
+
+        const decodedData = this.dbClient.parseQRCodeData(inspection.RawPayload);
+
+        qcInfo.currentCode = inspection.RawPayload;
+        qcInfo.auftragsNr = decodedData.auftrags_nr || null;
+        qcInfo.scanCount = 1;
+        qcInfo.workflowId = getQCWorkflow(inspection.WorkflowID).id;
+        qcInfo.stepIndex = Math.max(inspection.StepIndex || 0, 1); // Erster Scan ist immer erfolgt
+        qcInfo.inspectionRound = inspection.InspectionRound || 1;
+        qcInfo.firstScanId = inspection.FirstScanID;
+        qcInfo.inspectionId = inspection.ID;
+        qcInfo.qcResult = await this.dbClient.getQCResultByFirstScan(inspection.FirstScanID);
+        qcInfo.checklist = await this.dbClient.getQCChecklistForCarton(decodedData.kunden_id, qcInfo.auftragsNr);
+        qcInfo.checklistAnswers = qcInfo.checklist.length > 0
+            ? await this.dbClient.getQCChecklistAnswers(inspection.FirstScanID)
+            : {};
+        qcInfo.lastActivity = Date.now();
+
+        // Ergebnis bereits erfasst aber Fortschritt nicht mehr gespeichert → Ergebnis-Schritt überspringen
+        const currentStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+        if (qcInfo.qcResult && currentStep && currentStep.action === QC_ACTIONS.RESULT) {
+            qcInfo.stepIndex++;
+        }
+
+        console.log(`📦 Offener Karton wiederhergestellt: Prüfung ${inspection.ID} (Session ${sessionId})`);
+
+        return {
+            inspectionId: inspection.ID,
+            firstScanId: inspection.FirstScanID,
+            photoCount: await this.dbClient.getQCPhotoCount(inspection.FirstScanID),
+            rawPayload: inspection.RawPayload,
+            decodedData,
+            startedTS: inspection.StartedTS,
+            qcLot: await this.dbClient.getQCLot(qcInfo.auftragsNr),
+            qcChecklist: { items: qcInfo.checklist, answers: qcInfo.checklistAnswers },
+            qcReinspection: qcInfo.inspectionRound > 1 ? {
+                round: qcInfo.inspectionRound,
+                reinspectionOfId: inspection.ReinspectionOfID
+            } : null,
+            qcWorkflow: qcInfo.workflowId,
+            qcNextStep: getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex),
+            qcResult: qcInfo.qcResult
+        };
+    }
+
+    // ===== QR-SCAN RATE LIMITING =====
+    checkQRScanRateLimit(sessionId) {
+        const now = Date.now();
+        const oneMinute = 60 * 1000;
+
+        if (!this.qrScanRateLimit.has(sessionId)) {
+            this.qrScanRateLimit.set(sessionId, []);
+        }
+
+        const scanTimes = this.qrScanRateLimit.get(sessionId);
+
+        // Entferne Scans älter als 1 Minute
+        const recentScans = scanTimes.filter(time => now - time < oneMinute);
+        this.qrScanRateLimit.set(sessionId, recentScans);
+
+        // Prüfe Limit
+        return recentScans.length < this.maxQRScansPerMinute;
+    }
+
+    updateQRScanRateLimit(sessionId) {
+        // Nachgetragene Scans wurden schon beim Erfassen gezählt
+        if (this.offlineReplayInProgress) {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (!this.qrScanRateLimit.has(sessionId)) {
+            this.qrScanRateLimit.set(sessionId, []);
+        }
+
+        const scanTimes = this.qrScanRateLimit.get(sessionId);
+        scanTimes.push(now);
+
+        // Halte nur die letzten Scans
+        if (scanTimes.length > this.maxQRScansPerMinute) {
+            scanTimes.shift();
+        }
+    }
+
+    getQRScanStats() {
+        const stats = {};
+        const now = Date.now();
+        const oneMinute = 60 * 1000;
+
+        for (const [sessionId, scanTimes] of this.qrScanRateLimit.entries()) {
+            const recentScans = scanTimes.filter(time => now - time < oneMinute);
+            stats[sessionId] = {
+                scansPerMinute: recentScans.length,
+                lastScan: scanTimes.length > 0 ? Math.max(...scanTimes) : null
+            };
+        }
+
+        return stats;
+    }
+
+    // ===== VERBESSERTER RFID HANDLING MIT ZUVERLÄSSIGEM SESSION-RESET =====
+    async handleRFIDScan(tagId) {
+        const now = Date.now();
+
+        // Cooldown für RFID-Scans prüfen (verhindert Doppel-Scans)
+        if (now - this.lastRFIDScanTime < this.rfidScanCooldown) {
+            console.log(`🔄 RFID-Scan zu schnell, ignoriert: ${tagId} (${now - this.lastRFIDScanTime}ms < ${this.rfidScanCooldown}ms)`);
+            return;
+        }
+        this.lastRFIDScanTime = now;
+
+        console.log(`🏷️ RFID-Tag gescannt: ${tagId}`);
+
+        // Supervisor-Freigabe angefordert → Badge autorisiert statt Benutzerwechsel
+        if (this.supervisorBadgeRequest) {
+            console.log('🔑 RFID-Tag als Supervisor-Badge für Freigabe verwendet');
+            this.resolveSupervisorBadge(tagId);
+            return;
+        }
+
+        try {
+            // Offline: Anmeldung über zwischengespeicherte Benutzer, Session wird später nachgetragen
+            if (this.isOfflineMode()) {
+                await this.handleOfflineRFIDScan(tagId);
+                return;
+            }
+
+            if (!this.systemStatus.database) {
                 throw new Error('Datenbank nicht verbunden - RFID-Scan kann nicht verarbeitet werden');
             }
 
-            // Benutzer anhand EPC finden
-            const user = await this.dbClient.getUserByEPC(tagId);
+            // Benutzer anhand EPC finden
+            const user = await this.dbClient.getUserByEPC(tagId);
+
+            // Kein Treffer wegen Verbindungsabbruch → offline anmelden statt "unbekannter Tag"
+            if (!user && this.offlineJournal && await this.detectDatabaseLoss()) {
+                await this.handleOfflineRFIDScan(tagId);
+                return;
+            }
+
+            if (!user) {
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: `Unbekannter RFID-Tag: ${tagId}`,
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+
+            console.log(`👤 Benutzer gefunden: ${user.BenutzerName} (ID: ${user.ID})`);
+            this.cacheUserForOffline(tagId, user);
+
+            // ===== SCHRITT 1: VOLLSTÄNDIGER SESSION-RESET IM FRONTEND AUSLÖSEN =====
+            console.log('🔄 Triggere vollständigen Session-Reset im Frontend...');
+            this.sendToRenderer('session-reset-before-login', {
+                newUser: user,
+                timestamp: new Date().toISOString(),
+                reason: 'rfid_user_switch'
+            });
+
+            // Kurze Verzögerung für Frontend-Reset
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // ===== SCHRITT 2: ALLE AKTIVEN SESSIONS IN DATENBANK BEENDEN =====
+            console.log(`🔚 Beende alle aktiven Sessions vor Anmeldung von ${user.BenutzerName}...`);
+
+            const endResult = await this.dbClient.endAllActiveSessions();
+
+            if (!endResult.success) {
+                console.error('Fehler beim Beenden der aktiven Sessions:', endResult.error);
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: 'Fehler beim Beenden aktiver Sessions',
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+
+            // ===== SCHRITT 3: LOGOUT-EVENTS FÜR ALLE BEENDETEN SESSIONS SENDEN =====
+            if (endResult.endedUsers.length > 0) {
+                console.log(`👋 ${endResult.endedUsers.length} aktive Session(s) beendet:`);
+
+                for (const endedUser of endResult.endedUsers) {
+                    console.log(`   - ${endedUser.userName} (Session ${endedUser.sessionId})`);
+
+                    // Logout-Event für jeden beendeten Benutzer senden
+                    this.sendToRenderer('user-logout', {
+                        user: {
+                            ID: endedUser.userId,
+                            BenutzerName: endedUser.userName
+                        },
+                        sessionId: endedUser.sessionId,
+                        timestamp: new Date().toISOString(),
+                        reason: 'automatic_logout_rfid_switch'
+                    });
+                }
+
+                // Lokale Session-Daten zurücksetzen
+                this.currentSession = null;
+
+                // Rate Limits für alle beendeten Sessions zurücksetzen
+                for (const endedUser of endResult.endedUsers) {
+                    this.qrScanRateLimit.delete(endedUser.sessionId);
+                }
+
+                // Weitere Verzögerung für vollständigen Frontend-Reset
+                await new Promise(resolve => setTimeout(resolve, 200));
+            } else {
+                console.log('📝 Keine aktiven Sessions gefunden');
+            }
+
+            // ===== SCHRITT 4: NEUE SESSION FÜR DEN GESCANNTEN BENUTZER STARTEN =====
+            console.log(`🔑 Starte neue Session für ${user.BenutzerName}...`);
+
+            const session = await this.dbClient.createSession(user.ID, 'Qualitätskontrolle');
+
+            if (session) {
+                // QC Workflow initialisieren (inkl. offenem Karton nach Neustart)
+                const openCarton = await this.restoreOpenInspection(session.ID, user.ID);
+
+                // Lokale Session-Daten setzen
+                this.currentSession = {
+                    sessionId: session.ID,
+                    userId: user.ID,
+                    userName: user.BenutzerName,
+                    startTime: session.StartTS
+                };
+
+                // Rate Limit für neue Session initialisieren
+                this.qrScanRateLimit.set(session.ID, []);
+
+                // Session-Daten mit normalisiertem Zeitstempel senden
+                const normalizedSession = {
+                    ...session,
+                    StartTS: this.normalizeTimestamp(session.StartTS)
+                };
+
+                // ===== SCHRITT 5: LOGIN-EVENT SENDEN =====
+                this.sendToRenderer('user-login', {
+                    user,
+                    session: normalizedSession,
+                    timestamp: new Date().toISOString(),
+                    previousLogouts: endResult.endedUsers.length,
+                    openCarton,
+                    source: 'rfid_scan',
+                    fullReset: true // ← Kennzeichnet dass vollständiger Reset erfolgt ist
+                });
+
+                console.log(`✅ RFID-Benutzerwechsel erfolgreich abgeschlossen:`);
+                console.log(`   Neuer Benutzer: ${user.BenutzerName} (Session ${session.ID})`);
+                if (endResult.endedUsers.length > 0) {
+                    console.log(`   ${endResult.endedUsers.length} vorherige Session(s) automatisch beendet`);
+                }
+                console.log(`   Vollständiger Session-Reset durchgeführt`);
+            } else {
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: 'Fehler beim Erstellen der neuen Session',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+        } catch (error) {
+            console.error('RFID-Verarbeitungs-Fehler:', error);
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    async endExistingUserSession(userId) {
+        try {
+            if (this.currentSession && this.currentSession.userId === userId) {
+                await this.dbClient.endSession(this.currentSession.sessionId);
+
+                // Rate Limit zurücksetzen
+                this.qrScanRateLimit.delete(this.currentSession.sessionId);
+
+                // QC-Session-Daten entfernen
+                this.qcSessions.delete(this.currentSession.sessionId);
+
+                this.currentSession = null;
+            }
+
+            // Zusätzlich: Alle aktiven Sessions des Benutzers in DB beenden
+            await this.dbClient.query(`
+                UPDATE dbo.Sessions
+                SET EndTS = SYSDATETIME(), Active = 0
+                WHERE UserID = ? AND Active = 1
+            `, [userId]);
+
+        } catch (error) {
+            console.error('Bestehende Session beenden fehlgeschlagen:', error);
+        }
+    }
+
+    // ===== OFFLINE-JOURNAL =====
+    // Bei Datenbank-Ausfall (z.B. WLAN-Abbruch im Lager) werden Scans, Prüfschritte und RFID-Anmeldungen lokal
+    // gesichert und nach der Wiederverbindung in Erfassungsreihenfolge nachgetragen. Der Prüfablauf wird offline
+    // in offlineQCSessions fortgeschrieben; beim Nachtragen läuft jeder Eintrag durch denselben Prüfablauf wie
+    // online (processQCScan, submitQCResult, ...), inkl. Duplikat-Prüfung gegen die Datenbank.
+
+    /**
+     * Offline-Betrieb aktiv?
+     * Auch nach der Wiederverbindung, solange noch Einträge ausstehen - sonst würden neue Scans ältere überholen.
+     * @returns {boolean}
+     */
+    isOfflineMode() {
+        if (!this.offlineJournal) {
+            return false;
+        }
+        return !this.systemStatus.database || this.offlineReplayInProgress || this.offlineJournal.getPendingCount() > 0;
+    }
+
+    /**
+     * Offline-Session-ID auf die nachgetragene Session abbilden
+     * Beim Nachtragen abgeschlossene Kartons starten eine neue Session - ihr folgt die Zuordnung ebenfalls.
+     * @param {number} sessionId - Session ID (negativ = Offline-Session)
+     * @returns {number} - Session ID in der Datenbank (oder unverändert)
+     */
+    resolveSessionId(sessionId) {
+        let resolved = this.offlineSessionIds.get(sessionId) || sessionId;
+        while (this.sessionSuccessors.has(resolved)) {
+            resolved = this.sessionSuccessors.get(resolved);
+        }
+        return resolved;
+    }
+
+    /**
+     * Folge-Session eines beim Nachtragen abgeschlossenen Kartons vermerken
+     */
+    recordReplaySessionSuccessor(sessionId, newSessionId) {
+        this.sessionSuccessors.set(sessionId, newSessionId);
+        this.moveOfflineQCInfo(sessionId, newSessionId);
+    }
+
+    /**
+     * Offline fortgeschriebenen QC-Zustand auf die nachgetragene Session umhängen
+     */
+    moveOfflineQCInfo(sessionId, newSessionId) {
+        const qcInfo = this.offlineQCSessions.get(sessionId);
+        if (qcInfo) {
+            this.offlineQCSessions.delete(sessionId);
+            this.offlineQCSessions.set(newSessionId, qcInfo);
+        }
+    }
+
+    getOfflineJournalStatus(result = null) {
+        return {
+            enabled: !!this.offlineJournal,
+            pendingCount: this.offlineJournal ? this.offlineJournal.getPendingCount() : 0,
+            replaying: this.offlineReplayInProgress,
+            database: this.systemStatus.database,
+            result,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    sendOfflineJournalStatus(result = null) {
+        this.sendToRenderer('offline-journal-status', this.getOfflineJournalStatus(result));
+    }
+
+    /**
+     * Verbindung nach einem Fehler prüfen und bei Ausfall in den Offline-Betrieb wechseln
+     * @returns {boolean} - True wenn die Datenbank nicht erreichbar ist
+     */
+    async detectDatabaseLoss() {
+        if (!this.dbClient || !this.systemStatus.database) {
+            return true;
+        }
+
+        const test = await this.dbClient.testConnection();
+        if (test.success) {
+            return false;
+        }
+
+        // Wiederverbindung mit Backoff übernimmt DatabaseConnection
+        this.dbClient.handleConnectionLost(new Error(test.error));
+        this.handleDatabaseLost(test.error);
+        return true;
+    }
+
+    handleDatabaseLost(reason) {
+        if (!this.systemStatus.database) {
+            return;
+        }
+
+        this.systemStatus.database = false;
+        this.systemStatus.lastError = `Datenbank: ${reason || 'Verbindung verloren'}`;
+        console.error('❌ Datenbankverbindung verloren:', reason);
+
+        this.sendSystemStatusChanged();
+        this.sendOfflineJournalStatus();
+    }
+
+    /**
+     * QC-Zustand einer Session im Offline-Betrieb
+     * Beim ersten Offline-Schritt eine Kopie des Online-Zustands; ein laufender Karton erhält eine Karton-ID,
+     * über die seine Journal-Einträge beim Nachtragen zusammengehören.
+     * @param {number} sessionId - Session ID
+     * @returns {Object} - QC-Zustand (wie createQCInfo) mit cartonId
+     */
+    getOfflineQCInfo(sessionId) {
+        let qcInfo = this.offlineQCSessions.get(sessionId);
+        if (!qcInfo) {
+            const onlineInfo = this.qcSessions.get(sessionId);
+            qcInfo = onlineInfo ? {
+                ...onlineInfo,
+                checklist: [...onlineInfo.checklist],
+                checklistAnswers: { ...onlineInfo.checklistAnswers },
+                cartonId: onlineInfo.currentCode ? crypto.randomUUID() : null
+            } : { ...this.createQCInfo(this.currentSession?.userId), cartonId: null };
+            this.offlineQCSessions.set(sessionId, qcInfo);
+        }
+        return qcInfo;
+    }
+
+    /**
+     * Prüfschritt eines Kartons im Journal sichern (Session, Karton-ID und Code gehören zu jedem Eintrag)
+     * @throws {Error} - Wenn das Journal nicht geschrieben werden kann
+     */
+    appendOfflineQCEntry(type, sessionId, qcInfo, data = {}) {
+        return this.offlineJournal.append(type, {
+            sessionId,
+            cartonId: qcInfo.cartonId,
+            payload: qcInfo.currentCode,
+            ...data
+        });
+    }
+
+    buildJournalFailedResponse(error) {
+        console.error('❌ Offline-Journal konnte nicht geschrieben werden:', error);
+        return {
+            success: false,
+            status: 'database_offline',
+            message: `Datenbank nicht verbunden und Offline-Speicherung fehlgeschlagen: ${error.message}`,
+            data: null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    buildJournaledResponse(message, data) {
+        return {
+            success: true,
+            status: 'journaled',
+            message,
+            data,
+            pendingSync: this.offlineJournal.getPendingCount(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Offline zum nächsten Workflow-Schritt wechseln (wie advanceQCWorkflow)
+     * Der Abschluss wird erst beim Nachtragen gebucht - die Session bleibt bis dahin dieselbe.
+     */
+    advanceOfflineQCWorkflow(sessionId, qcInfo, response) {
+        qcInfo.stepIndex++;
+        qcInfo.lastActivity = Date.now();
+        const nextStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+
+        response.qcWorkflow = qcInfo.workflowId;
+        response.qcNextStep = nextStep;
+        response.qcCompleted = !nextStep;
+
+        if (nextStep) {
+            return;
+        }
+
+        const finalResult = qcInfo.qcResult ? qcInfo.qcResult.Result : null;
+        response.qcResult = qcInfo.qcResult;
+        response.qcLot = null;
+
+        if (!requiresReinspection(finalResult)) {
+            this.qcCompletedCodes.add(qcInfo.currentCode);
+        }
+        this.offlineQCSessions.set(sessionId, { ...this.createQCInfo(qcInfo.userId), cartonId: null });
+    }
+
+    /**
+     * Scan offline durch den Prüfablauf führen und im Journal sichern
+     * Prüft alles, was ohne Datenbank möglich ist (Code-Art, manuelle Eingabe, abgeschlossene Kartons, Workflow-Schritt).
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - QR-Code Inhalt
+     * @param {Object} scanInfo - { symbology, manualEntry, clientScanId }
+     * @returns {Object} - Strukturierte Antwort (journaled) inkl. qcStatus, qcNextStep und qcCompleted
+     */
+    journalOfflineScan(sessionId, payload, scanInfo = {}) {
+        const cleanPayload = payload.replace(/^\ufeff/, '');
+
+        if (!this.checkQRScanRateLimit(sessionId)) {
+            return {
+                success: false,
+                status: 'rate_limit',
+                message: 'Zu viele QR-Scans pro Minute - bitte warten Sie',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // Steuer-Code: laufenden Karton abbrechen (wird nicht als Scan gespeichert)
+        if (cleanPayload.trim() === this.qcCancelCode) {
+            return { ...this.journalOfflineQCCancel(sessionId, QC_ABANDON_REASONS.CONTROL_CODE), success: false };
+        }
+
+        const scanCheck = this.checkScanInput(sessionId, cleanPayload, scanInfo);
+        if (scanCheck.error) {
+            return scanCheck.error;
+        }
+        const { symbology, manualEntry, clientScanId, qcPayload } = scanCheck;
+
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        const opening = !qcInfo.currentCode;
+        let step;
+
+        if (opening) {
+            if (this.qcCompletedCodes.has(qcPayload)) {
+                return {
+                    success: false,
+                    status: 'duplicate_completed',
+                    qcStatus: 'duplicate_completed',
+                    message: 'Karton bereits abgearbeitet',
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        } else if (qcInfo.currentCode !== qcPayload) {
+            return {
+                success: false,
+                status: 'wrong_code',
+                qcStatus: 'wrong_code',
+                message: 'Bitte denselben Karton erneut scannen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        } else {
+            step = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+            if (step && step.type === QC_STEP_TYPES.ACTION) {
+                const actionConfig = getQCActionConfig(step.action);
+                return {
+                    success: false,
+                    status: actionConfig.missingStatus,
+                    qcStatus: actionConfig.missingStatus,
+                    message: actionConfig.missingMessage,
+                    data: null,
+                    qcNextStep: step,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const checklistBlock = this.getQCChecklistBlock(qcInfo);
+            if (checklistBlock) {
+                return checklistBlock;
+            }
+        }
+
+        const decodedData = this.dbClient.parseQRCodeData(qcPayload);
+        const cartonId = opening ? crypto.randomUUID() : qcInfo.cartonId;
+
+        let entry;
+        try {
+            entry = this.offlineJournal.append('scan', {
+                sessionId,
+                cartonId,
+                payload: qcPayload,
+                symbology,
+                manualEntry,
+                clientScanId,
+                stationId: this.stationId
+            });
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        // Offline geöffneter Karton: Workflow wie online, Checkliste und Prüflos erst nach dem Nachtragen
+        if (opening) {
+            Object.assign(qcInfo, {
+                currentCode: qcPayload,
+                auftragsNr: decodedData.auftrags_nr || null,
+                scanCount: 0,
+                workflowId: selectQCWorkflow({ kundenId: decodedData.kunden_id, customerWorkflows: this.qcCustomerWorkflows }),
+                stepIndex: 0,
+                inspectionRound: 1,
+                firstScanId: null,
+                inspectionId: null,
+                qcResult: null,
+                checklist: [],
+                checklistAnswers: {},
+                cartonId
+            });
+            step = getQCWorkflowStep(qcInfo.workflowId, 0);
+        }
+        qcInfo.scanCount++;
+        this.updateQRScanRateLimit(sessionId);
+
+        console.log(`💾 Scan offline gespeichert (${this.offlineJournal.getPendingCount()} ausstehend): ${qcPayload}`);
+
+        const response = this.buildJournaledResponse('Offline gespeichert - wird nach Wiederverbindung übertragen', {
+            ID: null,
+            JournalID: entry.id,
+            CapturedTS: entry.createdAt,
+            RawPayload: qcPayload,
+            Symbology: symbology,
+            ManualEntry: manualEntry,
+            ClientScanID: clientScanId,
+            DecodedData: decodedData
+        });
+        response.qcStatus = step ? step.qcStatus : 'second_scan';
+        if (opening) {
+            response.qcLot = null;
+            response.qcChecklist = { items: qcInfo.checklist, answers: qcInfo.checklistAnswers };
+        }
+
+        this.advanceOfflineQCWorkflow(sessionId, qcInfo, response);
+        this.sendOfflineJournalStatus();
+        return response;
+    }
+
+    /**
+     * Prüfergebnis offline erfassen (gespeichert wird beim Nachtragen über submitQCResult)
+     */
+    journalOfflineQCResult(sessionId, resultData = {}) {
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        const stepCheck = this.checkQCActionStep(qcInfo, QC_ACTIONS.RESULT);
+        if (!stepCheck.allowed) {
+            return stepCheck.response;
+        }
+
+        const validation = validateQCResult(resultData.result, resultData.defectCategories);
+        if (!validation.isValid) {
+            return {
+                success: false,
+                status: 'validation_failed',
+                message: validation.message,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const cleanResult = {
+            result: resultData.result,
+            defectCategories: validation.defectCategories,
+            notes: resultData.notes || null
+        };
+        try {
+            this.appendOfflineQCEntry('qc_result', sessionId, qcInfo, { resultData: cleanResult });
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        qcInfo.qcResult = {
+            ID: null,
+            Result: cleanResult.result,
+            DefectCategories: cleanResult.defectCategories,
+            Notes: cleanResult.notes
+        };
+        qcInfo.lastActivity = Date.now();
+
+        const response = this.buildJournaledResponse('Prüfergebnis offline gespeichert - wird nach Wiederverbindung übertragen', qcInfo.qcResult);
+        response.qcStatus = 'result_recorded';
+        if (stepCheck.isCurrent) {
+            this.advanceOfflineQCWorkflow(sessionId, qcInfo, response);
+        } else {
+            response.qcWorkflow = qcInfo.workflowId;
+            response.qcNextStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+            response.qcCompleted = false;
+        }
+
+        this.sendOfflineJournalStatus();
+        return response;
+    }
+
+    /**
+     * Bestätigungs-Schritt offline ausführen
+     */
+    journalOfflineQCConfirm(sessionId) {
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        const stepCheck = this.checkQCActionStep(qcInfo, QC_ACTIONS.CONFIRM);
+        if (!stepCheck.allowed || !stepCheck.isCurrent) {
+            return stepCheck.allowed ? {
+                success: false,
+                status: 'step_not_allowed',
+                message: 'Prüfung wurde bereits bestätigt',
+                data: null,
+                timestamp: new Date().toISOString()
+            } : stepCheck.response;
+        }
+
+        try {
+            this.appendOfflineQCEntry('qc_confirm', sessionId, qcInfo);
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        const response = this.buildJournaledResponse('Prüfung offline bestätigt - wird nach Wiederverbindung übertragen', null);
+        response.qcStatus = 'confirmed';
+        this.advanceOfflineQCWorkflow(sessionId, qcInfo, response);
+
+        this.sendOfflineJournalStatus();
+        return response;
+    }
+
+    /**
+     * Checklisten-Antworten offline erfassen
+     * Bekannt sind nur die Prüfpunkte eines online geöffneten Kartons - die eines offline geöffneten
+     * werden erst beim Nachtragen geladen.
+     */
+    journalOfflineQCChecklist(sessionId, answers = {}) {
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        if (!qcInfo.currentCode) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - bitte zuerst Karton scannen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const checklistAnswers = { ...qcInfo.checklistAnswers };
+        for (const [itemId, answer] of Object.entries(answers)) {
+            const item = qcInfo.checklist.find(candidate => candidate.ID === parseInt(itemId));
+            if (!item) {
+                continue;
+            }
+
+            const validation = validateChecklistAnswer(item, answer);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    status: 'validation_failed',
+                    message: validation.message,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            if (validation.value === null) {
+                delete checklistAnswers[item.ID];
+            } else {
+                checklistAnswers[item.ID] = validation.value;
+            }
+        }
+
+        try {
+            this.appendOfflineQCEntry('qc_checklist', sessionId, qcInfo, { answers });
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        qcInfo.checklistAnswers = checklistAnswers;
+        qcInfo.lastActivity = Date.now();
+
+        const missing = getMissingMandatoryItems(qcInfo.checklist, checklistAnswers);
+        this.sendOfflineJournalStatus();
+        return this.buildJournaledResponse(missing.length > 0
+            ? `Checkliste offline gespeichert - ${missing.length} Pflichtpunkt(e) offen`
+            : 'Checkliste offline gespeichert', {
+            answers: checklistAnswers,
+            missingMandatory: missing.map(item => item.Label)
+        });
+    }
+
+    /**
+     * Fehlerfoto offline sichern (Bild im Journal, Größenprüfung beim Nachtragen)
+     */
+    journalOfflineQCPhoto(sessionId, photoData = {}) {
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        if (!qcInfo.currentCode) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - bitte zuerst Karton scannen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        if (typeof photoData.dataUrl !== 'string' || !/^data:image\/(jpeg|png);base64,/.test(photoData.dataUrl)) {
+            return {
+                success: false,
+                status: 'validation_failed',
+                message: 'Ungültiges Bildformat - nur JPEG oder PNG erlaubt',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        try {
+            this.appendOfflineQCEntry('qc_photo', sessionId, qcInfo, {
+                photoData: { dataUrl: photoData.dataUrl, width: photoData.width, height: photoData.height }
+            });
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        qcInfo.lastActivity = Date.now();
+        const response = this.buildJournaledResponse('Foto offline gespeichert - wird nach Wiederverbindung übertragen', null);
+        const currentStep = getQCWorkflowStep(qcInfo.workflowId, qcInfo.stepIndex);
+        if (currentStep && currentStep.action === QC_ACTIONS.PHOTO) {
+            this.advanceOfflineQCWorkflow(sessionId, qcInfo, response);
+        } else {
+            response.qcWorkflow = qcInfo.workflowId;
+            response.qcNextStep = currentStep;
+            response.qcCompleted = false;
+        }
 
-            if (!user) {
-                this.sendToRenderer('rfid-scan-error', {
-                    tagId,
-                    message: `Unbekannter RFID-Tag: ${tagId}`,
-                    timestamp: new Date().toISOString()
-                });
-                return;
-            }
+        this.sendOfflineJournalStatus();
+        return response;
+    }
 
-            console.log(`👤 Benutzer gefunden: ${user.BenutzerName} (ID: ${user.ID})`);
+    /**
+     * Laufenden Karton offline abbrechen
+     */
+    journalOfflineQCCancel(sessionId, reason) {
+        const qcInfo = this.getOfflineQCInfo(sessionId);
+        if (!qcInfo.currentCode) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Kein Karton in Prüfung - nichts abzubrechen',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
 
-            // ===== SCHRITT 1: VOLLSTÄNDIGER SESSION-RESET IM FRONTEND AUSLÖSEN =====
-            console.log('🔄 Triggere vollständigen Session-Reset im Frontend...');
-            this.sendToRenderer('session-reset-before-login', {
-                newUser: user,
+        try {
+            this.appendOfflineQCEntry('qc_cancel', sessionId, qcInfo, { reason });
+        } catch (error) {
+            return this.buildJournalFailedResponse(error);
+        }
+
+        const abandoned = {
+            inspectionId: qcInfo.inspectionId,
+            rawPayload: qcInfo.currentCode,
+            reason
+        };
+        this.offlineQCSessions.set(sessionId, { ...this.createQCInfo(qcInfo.userId), cartonId: null });
+        this.notifyOfflineCartonAbandoned(sessionId, abandoned);
+        this.sendOfflineJournalStatus();
+
+        return {
+            success: true,
+            status: 'carton_cancelled',
+            qcStatus: 'carton_cancelled',
+            message: 'Karton-Prüfung abgebrochen',
+            data: abandoned,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    notifyOfflineCartonAbandoned(sessionId, abandoned) {
+        // Der Renderer kennt bis zum Abgleich (syncOfflineSession) die Session-ID vor dem Nachtragen
+        const rendererSessionId = this.currentSession && this.resolveSessionId(this.currentSession.sessionId) === sessionId
+            ? this.currentSession.sessionId
+            : sessionId;
+
+        this.sendToRenderer('qc-carton-abandoned', {
+            sessionId: rendererSessionId,
+            ...abandoned,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Benutzer für Offline-Anmeldungen zwischenspeichern (bei jeder erfolgreichen Online-Anmeldung)
+     */
+    cacheUserForOffline(tagId, user) {
+        if (!this.offlineJournal) {
+            return;
+        }
+
+        const cache = this.stationSettings.getSection('userCache');
+        const users = { ...(cache && cache.users) };
+        users[tagId] = {
+            ID: user.ID,
+            Vorname: user.Vorname,
+            Nachname: user.Nachname,
+            BenutzerName: user.BenutzerName,
+            Email: user.Email,
+            cachedAt: new Date().toISOString()
+        };
+
+        // Nur die zuletzt angemeldeten Benutzer behalten
+        const recentTags = Object.keys(users)
+            .sort((a, b) => users[b].cachedAt.localeCompare(users[a].cachedAt))
+            .slice(0, this.offlineUserCacheSize);
+
+        this.stationSettings.setSection('userCache', {
+            users: Object.fromEntries(recentTags.map(tag => [tag, users[tag]]))
+        });
+    }
+
+    /**
+     * RFID-Anmeldung ohne Datenbank: Benutzer aus dem Zwischenspeicher, Session mit vorläufiger (negativer) ID
+     */
+    async handleOfflineRFIDScan(tagId) {
+        const cache = this.stationSettings.getSection('userCache');
+        const user = cache && cache.users ? cache.users[tagId] : null;
+
+        if (!user) {
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: `RFID-Tag ${tagId} ist offline nicht bekannt - Anmeldung erst nach Wiederverbindung möglich`,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        console.log(`👤 Offline-Anmeldung: ${user.BenutzerName} (ID: ${user.ID})`);
+
+        this.sendToRenderer('session-reset-before-login', {
+            newUser: user,
+            timestamp: new Date().toISOString(),
+            reason: 'rfid_user_switch'
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const previousSession = this.currentSession;
+        const offlineSessionId = -Date.now();
+
+        let entry;
+        try {
+            entry = this.offlineJournal.append('login', {
+                offlineSessionId,
+                previousSessionId: previousSession ? previousSession.sessionId : null,
+                userId: user.ID,
+                userName: user.BenutzerName,
+                tagId
+            });
+        } catch (error) {
+            console.error('❌ Offline-Journal konnte nicht geschrieben werden:', error);
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: `Offline-Anmeldung fehlgeschlagen: ${error.message}`,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        if (previousSession) {
+            this.sendToRenderer('user-logout', {
+                user: { ID: previousSession.userId, BenutzerName: previousSession.userName },
+                sessionId: previousSession.sessionId,
                 timestamp: new Date().toISOString(),
-                reason: 'rfid_user_switch'
+                reason: 'automatic_logout_rfid_switch'
             });
+            this.qrScanRateLimit.delete(previousSession.sessionId);
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
 
-            // Kurze Verzögerung für Frontend-Reset
-            await new Promise(resolve => setTimeout(resolve, 100));
+        this.currentSession = {
+            sessionId: offlineSessionId,
+            userId: user.ID,
+            userName: user.BenutzerName,
+            startTime: entry.createdAt,
+            offline: true
+        };
+        this.qrScanRateLimit.set(offlineSessionId, []);
 
-            // ===== SCHRITT 2: ALLE AKTIVEN SESSIONS IN DATENBANK BEENDEN =====
-            console.log(`🔚 Beende alle aktiven Sessions vor Anmeldung von ${user.BenutzerName}...`);
+        this.sendToRenderer('user-login', {
+            user,
+            session: { ID: offlineSessionId, UserID: user.ID, StartTS: entry.createdAt, offline: true },
+            timestamp: new Date().toISOString(),
+            previousLogouts: previousSession ? 1 : 0,
+            openCarton: null,
+            source: 'rfid_scan',
+            offline: true,
+            fullReset: true
+        });
+        this.sendOfflineJournalStatus();
+    }
 
-            const endResult = await this.dbClient.endAllActiveSessions();
+    /**
+     * Abmeldung ohne Datenbank im Journal vermerken
+     * @returns {boolean} - Success
+     */
+    endOfflineSession(sessionId) {
+        if (!this.currentSession || this.currentSession.sessionId !== sessionId) {
+            return false;
+        }
 
-            if (!endResult.success) {
-                console.error('Fehler beim Beenden der aktiven Sessions:', endResult.error);
-                this.sendToRenderer('rfid-scan-error', {
-                    tagId,
-                    message: 'Fehler beim Beenden aktiver Sessions',
-                    timestamp: new Date().toISOString()
-                });
-                return;
-            }
+        try {
+            this.offlineJournal.append('logout', { sessionId });
+        } catch (error) {
+            console.error('❌ Offline-Abmeldung konnte nicht gespeichert werden:', error);
+            return false;
+        }
 
-            // ===== SCHRITT 3: LOGOUT-EVENTS FÜR ALLE BEENDETEN SESSIONS SENDEN =====
-            if (endResult.endedUsers.length > 0) {
-                console.log(`👋 ${endResult.endedUsers.length} aktive Session(s) beendet:`);
+        const oldSession = this.currentSession;
+        this.currentSession = null;
+        this.qrScanRateLimit.delete(oldSession.sessionId);
 
-                for (const endedUser of endResult.endedUsers) {
-                    console.log(`   - ${endedUser.userName} (Session ${endedUser.sessionId})`);
+        this.sendToRenderer('user-logout', {
+            user: { ID: oldSession.userId, BenutzerName: oldSession.userName },
+            sessionId: oldSession.sessionId,
+            timestamp: new Date().toISOString(),
+            reason: 'manual_logout'
+        });
+        this.sendOfflineJournalStatus();
 
-                    // Logout-Event für jeden beendeten Benutzer senden
-                    this.sendToRenderer('user-logout', {
-                        user: {
-                            ID: endedUser.userId,
-                            BenutzerName: endedUser.userName
-                        },
-                        sessionId: endedUser.sessionId,
-                        timestamp: new Date().toISOString(),
-                        reason: 'automatic_logout_rfid_switch'
-                    });
-                }
+        console.log(`👋 Offline abgemeldet: ${oldSession.userName}`);
+        return true;
+    }
 
-                // Lokale Session-Daten zurücksetzen
-                this.currentSession = null;
+    /**
+     * Ausstehende Journal-Einträge in Erfassungsreihenfolge nachtragen
+     * Bricht bei erneutem Verbindungsverlust ab (Rest bleibt im Journal), abgewiesene Einträge werden archiviert.
+     */
+    async replayOfflineJournal() {
+        if (!this.offlineJournal || this.offlineReplayInProgress || !this.systemStatus.database) {
+            return;
+        }
 
-                // Rate Limits für alle beendeten Sessions zurücksetzen
-                for (const endedUser of endResult.endedUsers) {
-                    this.qrScanRateLimit.delete(endedUser.sessionId);
+        if (this.offlineJournal.getPendingCount() === 0) {
+            this.sendOfflineJournalStatus();
+            return;
+        }
+
+        console.log(`📤 Übertrage ${this.offlineJournal.getPendingCount()} Offline-Einträge...`);
+
+        const summary = { replayed: 0, rejected: [] };
+        this.offlineReplayInProgress = true;
+        this.sendOfflineJournalStatus();
+
+        try {
+            // Während des Nachtragens erfasste Scans landen ebenfalls im Journal und werden mit übertragen
+            let entry;
+            while ((entry = this.offlineJournal.getPending()[0])) {
+                const rejection = await this.replayJournalEntry(entry);
+
+                if (rejection && rejection.status === 'error' && await this.detectDatabaseLoss()) {
+                    console.warn('⚠️ Verbindung beim Nachtragen erneut verloren - Rest bleibt im Journal');
+                    break;
                 }
 
-                // Weitere Verzögerung für vollständigen Frontend-Reset
-                await new Promise(resolve => setTimeout(resolve, 200));
-            } else {
-                console.log('📝 Keine aktiven Sessions gefunden');
+                if (rejection) {
+                    console.warn(`⚠️ Offline-Eintrag abgewiesen (${rejection.status}): ${rejection.message}`);
+                    summary.rejected.push(rejection);
+                    this.offlineJournal.reject(entry, rejection.status, rejection.message);
+                    await this.discardOfflineCarton(entry);
+                } else {
+                    summary.replayed++;
+                    this.offlineJournal.remove(entry.id);
+                }
+                this.sendOfflineJournalStatus();
             }
 
-            // ===== SCHRITT 4: NEUE SESSION FÜR DEN GESCANNTEN BENUTZER STARTEN =====
-            console.log(`🔑 Starte neue Session für ${user.BenutzerName}...`);
+            this.syncOfflineSession();
 
-            const session = await this.dbClient.createSession(user.ID, 'Qualitätskontrolle');
-            // QC Workflow initialisieren
-            this.qcSessions.set(session.ID, { currentCode: null, scanCount: 0, userId: user.ID });
+            // Alles übertragen → ab jetzt gilt wieder der Online-Zustand
+            if (this.offlineJournal.getPendingCount() === 0) {
+                this.offlineQCSessions.clear();
+                this.rejectedOfflineCartons.clear();
+            }
+        } finally {
+            this.offlineReplayInProgress = false;
+        }
 
-            if (session) {
-                // Lokale Session-Daten setzen
-                this.currentSession = {
-                    sessionId: session.ID,
-                    userId: user.ID,
-                    startTime: session.StartTS
-                };
+        console.log(`✅ Offline-Journal: ${summary.replayed} übertragen, ${summary.rejected.length} abgewiesen, ${this.offlineJournal.getPendingCount()} ausstehend`);
+        this.sendOfflineJournalStatus(summary);
+    }
 
-                // Rate Limit für neue Session initialisieren
-                this.qrScanRateLimit.set(session.ID, []);
+    /**
+     * Einzelnen Journal-Eintrag in die Datenbank übertragen
+     * @returns {Object|null} - null bei Erfolg, sonst { type, payload, status, message }
+     */
+    async replayJournalEntry(entry) {
+        const data = entry.data || {};
+        const createdAt = new Date(entry.createdAt);
+        const reject = (status, message) => ({ type: entry.type, payload: data.payload || null, status, message });
 
-                // Session-Daten mit normalisiertem Zeitstempel senden
-                const normalizedSession = {
-                    ...session,
-                    StartTS: this.normalizeTimestamp(session.StartTS)
-                };
+        try {
+            switch (entry.type) {
+                case 'login': {
+                    // Vorherige Session endet mit der Offline-Anmeldung
+                    const previousSessionId = this.resolveSessionId(data.previousSessionId);
+                    if (previousSessionId > 0) {
+                        await this.dbClient.endSession(previousSessionId, createdAt);
+                    }
 
-                // ===== SCHRITT 5: LOGIN-EVENT SENDEN =====
-                this.sendToRenderer('user-login', {
-                    user,
-                    session: normalizedSession,
-                    timestamp: new Date().toISOString(),
-                    previousLogouts: endResult.endedUsers.length,
-                    source: 'rfid_scan',
-                    fullReset: true // ← Kennzeichnet dass vollständiger Reset erfolgt ist
-                });
+                    const session = await this.dbClient.createSession(data.userId, 'Qualitätskontrolle', createdAt);
+                    if (!session) {
+                        return reject('error', `Session für ${data.userName} konnte nicht angelegt werden`);
+                    }
+                    this.offlineSessionIds.set(data.offlineSessionId, session.ID);
+                    this.qcSessions.set(session.ID, this.createQCInfo(data.userId));
+                    this.moveOfflineQCInfo(data.offlineSessionId, session.ID);
+                    return null;
+                }
 
-                console.log(`✅ RFID-Benutzerwechsel erfolgreich abgeschlossen:`);
-                console.log(`   Neuer Benutzer: ${user.BenutzerName} (Session ${session.ID})`);
-                if (endResult.endedUsers.length > 0) {
-                    console.log(`   ${endResult.endedUsers.length} vorherige Session(s) automatisch beendet`);
+                case 'logout': {
+                    const sessionId = this.resolveSessionId(data.sessionId);
+                    if (sessionId > 0) {
+                        await this.dbClient.endSession(sessionId, createdAt);
+                    }
+                    return null;
+                }
+
+                case 'scan':
+                case 'qc_result':
+                case 'qc_confirm':
+                case 'qc_checklist':
+                case 'qc_photo':
+                case 'qc_cancel': {
+                    const sessionId = this.resolveSessionId(data.sessionId);
+                    if (!(sessionId > 0)) {
+                        return reject('session_missing', 'Offline-Anmeldung zu diesem Eintrag wurde nicht übertragen');
+                    }
+                    if (data.cartonId && this.rejectedOfflineCartons.has(data.cartonId)) {
+                        return reject('carton_rejected', 'Karton wurde beim Nachtragen abgewiesen');
+                    }
+
+                    const result = await this.replayQCJournalEntry(sessionId, entry);
+                    if (!result.success) {
+                        return reject(result.status, result.message);
+                    }
+                    return null;
                 }
-                console.log(`   Vollständiger Session-Reset durchgeführt`);
-            } else {
-                this.sendToRenderer('rfid-scan-error', {
-                    tagId,
-                    message: 'Fehler beim Erstellen der neuen Session',
-                    timestamp: new Date().toISOString()
-                });
-            }
 
+                default:
+                    return reject('invalid_entry', `Unbekannter Journal-Eintrag: ${entry.type}`);
+            }
         } catch (error) {
-            console.error('RFID-Verarbeitungs-Fehler:', error);
-            this.sendToRenderer('rfid-scan-error', {
-                tagId,
-                message: error.message,
-                timestamp: new Date().toISOString()
-            });
+            return reject('error', error.message);
         }
     }
 
-    async endExistingUserSession(userId) {
-        try {
-            if (this.currentSession && this.currentSession.userId === userId) {
-                await this.dbClient.endSession(this.currentSession.sessionId);
+    /**
+     * Scan oder Prüfschritt eines Kartons durch denselben Prüfablauf wie online nachtragen
+     * Scans mit ihrer Erfassungszeit - die Duplikat-Prüfung läuft gegen die Datenbank um diese Zeit.
+     * @param {number} sessionId - Session ID in der Datenbank
+     * @param {Object} entry - Journal-Eintrag
+     * @returns {Object} - Strukturierte Antwort des Prüfablaufs
+     */
+    async replayQCJournalEntry(sessionId, entry) {
+        const data = entry.data;
+        const qcInfo = this.qcSessions.get(sessionId);
+
+        if (qcInfo && qcInfo.currentCode) {
+            // Dauer des Ausfalls zählt nicht als Inaktivität des Kartons
+            qcInfo.lastActivity = Date.now();
+        }
 
-                // Rate Limit zurücksetzen
-                this.qrScanRateLimit.delete(this.currentSession.sessionId);
+        if (entry.type === 'scan') {
+            return await this.processQCScan(sessionId, data.payload, null, {
+                symbology: data.symbology || null,
+                manualEntry: !!data.manualEntry,
+                capturedAt: new Date(entry.createdAt),
+                clientScanId: data.clientScanId || entry.id
+            });
+        }
 
-                // QC-Session-Daten entfernen
-                this.qcSessions.delete(this.currentSession.sessionId);
+        // Prüfschritte gehören zum Karton, der offline in Prüfung war
+        if (!qcInfo || qcInfo.currentCode !== data.payload) {
+            return {
+                success: false,
+                status: 'no_active_carton',
+                message: 'Karton ist nicht (mehr) in Prüfung',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
 
-                this.currentSession = null;
-            }
+        switch (entry.type) {
+            case 'qc_result':
+                return await this.submitQCResult(sessionId, data.resultData);
+            case 'qc_confirm':
+                return await this.confirmQCStep(sessionId);
+            case 'qc_checklist':
+                return await this.saveQCChecklist(sessionId, data.answers);
+            case 'qc_photo':
+                return await this.saveQCPhoto(sessionId, data.photoData);
+            default:
+                return await this.cancelQCCarton(sessionId, data.reason);
+        }
+    }
 
-            // Zusätzlich: Alle aktiven Sessions des Benutzers in DB beenden
-            await this.dbClient.query(`
-                UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
-                WHERE UserID = ? AND Active = 1
-            `, [userId]);
+    /**
+     * Offline geprüften Karton verwerfen, nachdem einer seiner Einträge abgewiesen wurde
+     * Folgende Einträge desselben Kartons werden nicht mehr nachgetragen; ist er noch in Prüfung
+     * (in der Datenbank oder offline am Bildschirm), wird er abgebrochen und muss neu gescannt werden.
+     * @param {Object} entry - Abgewiesener Journal-Eintrag
+     */
+    async discardOfflineCarton(entry) {
+        const data = entry.data || {};
+        if (!data.cartonId || this.rejectedOfflineCartons.has(data.cartonId)) {
+            return;
+        }
+        this.rejectedOfflineCartons.add(data.cartonId);
 
+        const sessionId = this.resolveSessionId(data.sessionId);
+        const qcInfo = this.qcSessions.get(sessionId);
+        try {
+            if (qcInfo && qcInfo.currentCode === data.payload) {
+                await this.abandonQCCarton(sessionId, QC_ABANDON_REASONS.OFFLINE_REJECTED);
+            }
         } catch (error) {
-            console.error('Bestehende Session beenden fehlgeschlagen:', error);
+            console.error('Fehler beim Abbrechen des abgewiesenen Offline-Kartons:', error);
         }
+
+        const offlineInfo = this.offlineQCSessions.get(sessionId);
+        if (offlineInfo && offlineInfo.cartonId === data.cartonId) {
+            const abandoned = {
+                inspectionId: null,
+                rawPayload: offlineInfo.currentCode,
+                reason: QC_ABANDON_REASONS.OFFLINE_REJECTED
+            };
+            this.offlineQCSessions.set(sessionId, { ...this.createQCInfo(offlineInfo.userId), cartonId: null });
+            this.notifyOfflineCartonAbandoned(sessionId, abandoned);
+        }
+    }
+
+    /**
+     * Laufende Session nach dem Nachtragen auf die Datenbank-Session umstellen
+     * (Offline-Anmeldung oder beim Nachtragen abgeschlossener Karton mit Folge-Session)
+     */
+    syncOfflineSession() {
+        if (!this.currentSession) {
+            return;
+        }
+
+        const offlineSessionId = this.currentSession.sessionId;
+        const sessionId = this.resolveSessionId(offlineSessionId);
+        if (!(sessionId > 0) || sessionId === offlineSessionId) {
+            return;
+        }
+
+        this.currentSession = { ...this.currentSession, sessionId, offline: false };
+        this.qrScanRateLimit.set(sessionId, this.qrScanRateLimit.get(offlineSessionId) || []);
+        this.qrScanRateLimit.delete(offlineSessionId);
+        if (!this.qcSessions.has(sessionId)) {
+            this.qcSessions.set(sessionId, this.createQCInfo(this.currentSession.userId));
+        }
+
+        this.sendToRenderer('session-synced', {
+            offlineSessionId,
+            sessionId,
+            timestamp: new Date().toISOString()
+        });
+        console.log(`🔗 Offline-Session ${offlineSessionId} übertragen als Session ${sessionId}`);
     }
 
     // ===== COMMUNICATION =====
@@ -961,17 +3599,45 @@ class QualitaetskontrolleMainApp {
         });
     }
 
+    /**
+     * Geänderten System-Status an den Renderer melden (Header-Anzeige und Login-Bildschirm)
+     */
+    sendSystemStatusChanged() {
+        this.sendToRenderer('system-status-changed', {
+            database: this.systemStatus.database,
+            rfid: this.systemStatus.rfid,
+            lastError: this.systemStatus.lastError,
+            databaseReconnect: this.dbClient ? this.dbClient.getReconnectStatus() : null,
+            offlineJournal: this.getOfflineJournalStatus(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
     // ===== CLEANUP =====
     async cleanup() {
         console.log('🧹 Anwendung wird bereinigt...');
 
         try {
-            // Aktuelle Session beenden
+            // Aktuelle Session beenden (offline: Abmeldung im Journal vermerken)
             if (this.currentSession) {
-                await this.dbClient.endSession(this.currentSession.sessionId);
+                if (this.isOfflineMode()) {
+                    this.endOfflineSession(this.currentSession.sessionId);
+                } else {
+                    await this.dbClient.endSession(this.currentSession.sessionId);
+                }
                 this.currentSession = null;
             }
 
+
+            // Zeitüberschreitungs-Prüfung stoppen
+            if (this.qcTimeoutTimer) {
+                clearInterval(this.qcTimeoutTimer);
+                this.qcTimeoutTimer = null;
+            }
+
+            // Wartende Supervisor-Freigabe abbrechen
+            this.resolveSupervisorBadge(null);
+
             this.qcSessions.clear();
 
             // Rate Limits zurücksetzen
@@ -986,6 +3652,12 @@ class QualitaetskontrolleMainApp {
                 withKunde: 0
             };
 
+            // Hand-Scanner stoppen
+            if (this.keyboardWedgeListener) {
+                this.keyboardWedgeListener.stop();
+                this.keyboardWedgeListener = null;
+            }
+
             // RFID-Listener stoppen
             if (this.rfidListener) {
                 await this.rfidListener.stop();
@@ -1053,4 +3725,7 @@ if (!gotTheLock) {
             qcApp.mainWindow.focus();
         }
     });
-}
\ No newline at end of file
+}
+
+// Für Unit-Tests (Offline-Journal nachtragen)
+module.exports = QualitaetskontrolleMainApp;
@@ -6,7 +6,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     db: {
         query: (query, params) => ipcRenderer.invoke('db-query', query, params),
         getUserByEPC: (tagId) => ipcRenderer.invoke('db-get-user-by-epc', tagId),
-        getUserById: (userId) => ipcRenderer.invoke('db-get-user-by-id', userId)
+        getUserById: (userId) => ipcRenderer.invoke('db-get-user-by-id', userId),
+        getAllUsers: () => ipcRenderer.invoke('db-get-all-users')
     },
 
     // ===== SESSION MANAGEMENT =====
@@ -17,18 +18,58 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // ===== QR-CODE OPERATIONEN MIT DEKODIERUNG =====
     qr: {
-        saveScan: (sessionId, payload) => ipcRenderer.invoke('qr-scan-save', sessionId, payload),
-        getDecodedScans: (sessionId, limit) => ipcRenderer.invoke('qr-get-decoded-scans', sessionId, limit),
-        searchDecoded: (searchTerm, sessionId) => ipcRenderer.invoke('qr-search-decoded', searchTerm, sessionId),
+        saveScan: (sessionId, payload, scanInfo = {}) => ipcRenderer.invoke('qr-scan-save', sessionId, payload, scanInfo),
+        validateManual: (code) => ipcRenderer.invoke('qr-validate-manual', code),
+        getDecodedScans: (sessionId, limit, offset) => ipcRenderer.invoke('qr-get-decoded-scans', sessionId, limit, offset),
+        searchDecoded: (searchTerm, sessionId, options = {}) => ipcRenderer.invoke('qr-search-decoded', searchTerm, sessionId, options),
         getDecodingStats: (sessionId) => ipcRenderer.invoke('qr-get-decoding-stats', sessionId)
     },
 
+    // ===== QUALITÄTSKONTROLLE PRÜFERGEBNIS =====
+    qc: {
+        getResultOptions: () => ipcRenderer.invoke('qc-get-result-options'),
+        submitResult: (sessionId, resultData) => ipcRenderer.invoke('qc-submit-result', sessionId, resultData),
+        confirm: (sessionId) => ipcRenderer.invoke('qc-confirm', sessionId),
+        cancelCarton: (sessionId) => ipcRenderer.invoke('qc-cancel-carton', sessionId),
+        requestOverride: (sessionId, overrideData) => ipcRenderer.invoke('qc-request-override', sessionId, overrideData),
+        cancelOverride: () => ipcRenderer.invoke('qc-cancel-override'),
+        getOverrides: (startDate, endDate, limit) => ipcRenderer.invoke('qc-get-overrides', startDate, endDate, limit),
+        saveChecklist: (sessionId, answers) => ipcRenderer.invoke('qc-save-checklist', sessionId, answers),
+        savePhoto: (sessionId, photoData) => ipcRenderer.invoke('qc-save-photo', sessionId, photoData),
+        getPhotos: (scanId) => ipcRenderer.invoke('qc-get-photos', scanId),
+        getLot: (auftragsNr) => ipcRenderer.invoke('qc-get-lot', auftragsNr),
+        saveLot: (lotData) => ipcRenderer.invoke('qc-save-lot', lotData),
+        importLots: (csvText) => ipcRenderer.invoke('qc-import-lots', csvText),
+        importChecklists: (csvText) => ipcRenderer.invoke('qc-import-checklists', csvText),
+        getStats: (startDate, endDate) => ipcRenderer.invoke('qc-get-stats', startDate, endDate),
+        getReworkQueue: (limit) => ipcRenderer.invoke('qc-get-rework-queue', limit)
+    },
+
     // ===== RFID OPERATIONEN =====
     rfid: {
         getStatus: () => ipcRenderer.invoke('rfid-get-status'),
         simulateTag: (tagId) => ipcRenderer.invoke('rfid-simulate-tag', tagId)
     },
 
+    // ===== KAMERA-PROFIL (JE STATION) =====
+    camera: {
+        getProfile: () => ipcRenderer.invoke('camera-get-profile'),
+        saveProfile: (profile) => ipcRenderer.invoke('camera-save-profile', profile),
+        reportStatus: (status) => ipcRenderer.invoke('camera-report-status', status)
+    },
+
+    // ===== SCANNER-EINSTELLUNGEN (JE STATION) =====
+    scanner: {
+        getSettings: () => ipcRenderer.invoke('scanner-get-settings'),
+        saveSettings: (settings) => ipcRenderer.invoke('scanner-save-settings', settings)
+    },
+
+    // ===== HAND-SCANNER (KEYBOARD-WEDGE) =====
+    wedge: {
+        getStatus: () => ipcRenderer.invoke('wedge-get-status'),
+        simulateScan: (code) => ipcRenderer.invoke('wedge-simulate-scan', code)
+    },
+
     // ===== SYSTEM STATUS =====
     system: {
         getStatus: () => ipcRenderer.invoke('get-system-status'),
@@ -48,13 +89,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
         const validChannels = [
             'system-ready',
             'system-error',
+            'system-status-changed',
             'user-login',
             'user-logout',
             'rfid-scan-error',
             'qr-scan-detected',
             'decoding-stats-updated',
             'session-reset-before-login', // ← Neues Event für RFID-Benutzerwechsel
-            'qc-session-restarted'
+            'qc-session-restarted',
+            'qc-carton-abandoned',
+            'offline-journal-status',
+            'session-synced'
         ];
 
         if (validChannels.includes(channel)) {
@@ -71,13 +116,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
         const validChannels = [
             'system-ready',
             'system-error',
+            'system-status-changed',
             'user-login',
             'user-logout',
             'rfid-scan-error',
             'qr-scan-detected',
             'decoding-stats-updated',
             'session-reset-before-login', // ← Neues Event für RFID-Benutzerwechsel
-            'qc-session-restarted'
+            'qc-session-restarted',
+            'qc-carton-abandoned',
+            'offline-journal-status',
+            'session-synced'
         ];
 
         if (validChannels.includes(channel)) {
@@ -9,6 +9,7 @@ class QualitaetskontrolleApp {
         this.currentUser = null;
         this.sessionStartTime = null;
         this.sessionTimer = null;
+        this.cartonStartTime = null; // Start der Prüfung des aktuellen Kartons (Live-Prüfdauer)
         this.scanCount = 0;
 
         // NEUE DATENSTRUKTUR: Getrennte Scan-Verwaltung
@@ -19,24 +20,70 @@ class QualitaetskontrolleApp {
         this.scannerActive = false;
         this.videoStream = null;
         this.scanLoop = null;
+        this.cameraProfile = null; // Gespeichertes Kamera-Profil dieser Station { deviceId, label, width, height, cameraSettings: { [Kamera]: { focusMode, focusDistance, zoom, torch } } }
         this.lastScanTime = 0;
         this.scanCooldown = 3000; // 3 Sekunden zwischen Scans
 
+        // Kamera-Watchdog (eingefrorene Bilder, getrennte Kamera) mit automatischem Neustart
+        this.cameraState = 'inactive';
+        this.cameraFreezeTimeout = 5000;
+        this.cameraMaxRestartAttempts = 5;
+        this.cameraWatchdog = {
+            interval: null,
+            frameCallback: null,
+            lastFrameAt: 0,
+            lastVideoTime: 0,
+            recovering: false,
+            restartAttempts: 0,
+            restartTimer: null,
+            lastFailure: null
+        };
+
         // QR-Scanner Engine
         this.qrScanner = null;
-        this.loadQRLibrary();
+        this.decoderAvailable = null; // false = eingeschränkter Betrieb ohne Kamera-Scanner
+        this.decoderLoading = this.loadQRLibrary();
+
+        // QR-Dekodierung außerhalb des UI-Threads (Konfiguration wird per get-system-info überschrieben)
+        this.qrDecodingConfig = { roi: 0.6, frameSkip: 0, maxDecodeWidth: 640, useWorker: true, symbologies: ['qr'], symbologyLabels: {} };
+        this.decoderWorker = null;
+        this.decoderWorkerReady = false;
+        this.decodePending = false;
+        this.decodeScale = 1; // Adaptives Downscaling: Anteil von maxDecodeWidth
+        this.decodeStats = { mode: '-', lastMs: 0, avgMs: 0, fps: 0, frames: 0, windowStart: 0 };
+
+        // Bildaufbereitung je Station und welcher Schritt die verarbeiteten Codes geliefert hat
+        this.scannerSettings = { preprocessing: [] };
+        this.decodeStepCounts = {};
 
         // Verbesserte Duplikat-Vermeidung
         this.globalScannedCodes = new Set();
         this.sessionScannedCodes = new Set();
         this.recentlyScanned = new Map(); // Zeitbasierte Duplikat-Vermeidung
         this.pendingScans = new Set(); // Verhindert Race-Conditions
+        // Scans ohne eindeutiges Speicher-Ergebnis (Fehler/Verbindungsabbruch): Code → { clientScanId, since }
+        // Erneutes Scannen desselben Etiketts sendet dieselbe ID - ein bereits gespeicherter Scan wird nicht doppelt angelegt
+        this.unconfirmedScans = new Map();
+        this.unconfirmedScanWindow = 5 * 60 * 1000; // 5 Minuten
         this.lastProcessedQR = null;
         this.lastProcessedTime = 0;
 
         // Session-Reset Status für RFID-Wechsel
         this.sessionResetInProgress = false;
 
+        // Prüfergebnis zwischen erstem und zweitem Scan
+        this.qcResultOptions = { results: [], defectCategories: [] };
+        this.qcOverrideCandidate = null; // { rawPayload, blockedStatus } des zuletzt gesperrten Scans
+        this.qcPendingCarton = null; // { content, decodedData, scanId, result, defectCategories, saved, nextStep, photos }
+        this.qcCurrentLot = null; // { auftragsNr, lot } - AQL-Prüflos des zuletzt gescannten Auftrags
+        this.qcChecklist = null; // { items, answers } - Checkliste des Kartons in Prüfung
+
+        // Manuelle Eingabe über Bildschirm-Tastatur (unlesbare Etiketten)
+        this.manualEntry = { code: '', validation: null, requestId: 0 };
+
+        // Scan-Verlauf (Suche über qr-search-decoded, seitenweise)
+        this.scanHistory = { page: 0, pageSize: 25, scans: [], hasMore: false, requestId: 0, usersLoaded: false, opened: false };
+
         this.init();
     }
 
@@ -47,10 +94,16 @@ class QualitaetskontrolleApp {
         this.setupIPCListeners();
         this.startClockUpdate();
         this.updateSystemInfo();
+        await this.loadQCResultOptions();
 
-        // Kamera-Verfügbarkeit prüfen
+        // Kamera-Profil und Scanner-Einstellungen der Station laden, danach Kamera-Verfügbarkeit prüfen
+        await this.loadCameraProfile();
+        await this.loadScannerSettings();
         await this.checkCameraAvailability();
 
+        // Datenbank-Status und ausstehende Offline-Scans (Journal) anzeigen
+        await this.loadSystemStatus();
+
         console.log('✅ Qualitätskontrolle-App bereit');
     }
 
@@ -65,6 +118,53 @@ class QualitaetskontrolleApp {
             this.stopQRScanner();
         });
 
+        // Kamera-Auswahl (wird je Station gespeichert)
+        document.getElementById('cameraSelect').addEventListener('change', (e) => {
+            const option = e.target.selectedOptions[0];
+            this.changeCameraProfile({
+                deviceId: e.target.value || null,
+                label: e.target.value ? option.textContent : null
+            });
+        });
+
+        document.getElementById('cameraResolution').addEventListener('change', (e) => {
+            const [width, height] = e.target.value ? e.target.value.split('x').map(Number) : [null, null];
+            this.changeCameraProfile({ width, height });
+        });
+
+        // Kamera ein-/ausgesteckt
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            this.handleCameraDeviceChange().catch(error => {
+                console.error('Kamera-Liste aktualisieren fehlgeschlagen:', error);
+            });
+        });
+
+        // Bildaufbereitung (wird je Station gespeichert)
+        document.querySelectorAll('[data-preprocessing-step]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.saveScannerSettings());
+        });
+
+        // Licht, Zoom und Fokus der laufenden Kamera (werden je Kamera gespeichert)
+        document.getElementById('cameraTorchBtn').addEventListener('click', (e) => {
+            this.changeCameraAdjustment({ torch: !e.currentTarget.classList.contains('active') });
+        });
+
+        const zoomInput = document.getElementById('cameraZoom');
+        zoomInput.addEventListener('input', () => this.changeCameraAdjustment({ zoom: Number(zoomInput.value) }, false));
+        zoomInput.addEventListener('change', () => this.changeCameraAdjustment({ zoom: Number(zoomInput.value) }));
+
+        document.getElementById('cameraFocusMode').addEventListener('change', (e) => {
+            this.changeCameraAdjustment({ focusMode: e.target.value });
+        });
+
+        const focusDistanceInput = document.getElementById('cameraFocusDistance');
+        focusDistanceInput.addEventListener('input', () => {
+            this.changeCameraAdjustment({ focusMode: 'manual', focusDistance: Number(focusDistanceInput.value) }, false);
+        });
+        focusDistanceInput.addEventListener('change', () => {
+            this.changeCameraAdjustment({ focusMode: 'manual', focusDistance: Number(focusDistanceInput.value) });
+        });
+
         // User Controls
         document.getElementById('logoutBtn').addEventListener('click', () => {
             this.logoutCurrentUser();
@@ -75,6 +175,149 @@ class QualitaetskontrolleApp {
             this.clearRecentScans();
         });
 
+        // AQL-Prüflose
+        document.getElementById('qcSaveLotBtn').addEventListener('click', () => {
+            this.saveQCLot();
+        });
+
+        document.getElementById('importLotsBtn').addEventListener('click', () => {
+            document.getElementById('importLotsFile').click();
+        });
+
+        document.getElementById('importLotsFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importQCLots(file);
+            }
+        });
+
+        // Checklisten
+        document.getElementById('importChecklistsBtn').addEventListener('click', () => {
+            document.getElementById('importChecklistsFile').click();
+        });
+
+        document.getElementById('importChecklistsFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importQCChecklists(file);
+            }
+        });
+
+        document.getElementById('qcChecklistItems').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-answer]');
+            if (button) {
+                const itemId = button.closest('[data-item-id]').dataset.itemId;
+                // Erneuter Klick auf die gewählte Antwort setzt den Prüfpunkt zurück
+                const current = this.qcChecklist ? this.qcChecklist.answers[itemId] : null;
+                this.saveQCChecklistAnswer(itemId, current === button.dataset.answer ? '' : button.dataset.answer);
+            }
+        });
+
+        document.getElementById('qcChecklistItems').addEventListener('change', (e) => {
+            if (e.target.matches('input[data-item-input]')) {
+                this.saveQCChecklistAnswer(e.target.closest('[data-item-id]').dataset.itemId, e.target.value);
+            }
+        });
+
+        // Prüfergebnis
+        document.getElementById('qcResultButtons').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-result]');
+            if (button) {
+                this.selectQCResult(button.dataset.result);
+            }
+        });
+
+        document.getElementById('qcDefectCategories').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-defect]');
+            if (chip) {
+                this.toggleQCDefect(chip.dataset.defect);
+            }
+        });
+
+        document.getElementById('qcSubmitResultBtn').addEventListener('click', () => {
+            this.submitQCResult();
+        });
+
+        document.getElementById('qcConfirmBtn').addEventListener('click', () => {
+            this.confirmQCCarton();
+        });
+
+        document.getElementById('qcCancelCartonBtn').addEventListener('click', () => {
+            this.cancelQCCarton();
+        });
+
+        // Supervisor-Freigabe
+        document.getElementById('qcOverrideBtn').addEventListener('click', () => {
+            this.openQCOverrideModal();
+        });
+
+        document.getElementById('qcOverrideStartBtn').addEventListener('click', () => {
+            this.requestQCOverride();
+        });
+
+        // Fehlerfotos
+        document.getElementById('qcCapturePhotoBtn').addEventListener('click', () => {
+            this.captureQCPhoto();
+        });
+
+        document.getElementById('successScansTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-photo-scan]');
+            if (button) {
+                this.showQCPhotos(parseInt(button.dataset.photoScan));
+            }
+        });
+
+        // Manuelle Eingabe
+        this.renderManualEntryKeypad();
+        document.getElementById('manualEntryBtn').addEventListener('click', () => this.openManualEntry());
+        document.getElementById('manualEntrySubmitBtn').addEventListener('click', () => this.submitManualEntry());
+        document.getElementById('manualEntryKeypad').addEventListener('click', (e) => {
+            const key = e.target.closest('[data-manual-key]');
+            if (key) {
+                this.pressManualEntryKey(key.dataset.manualKey);
+            }
+        });
+
+        // Scan-Verlauf
+        document.getElementById('scanHistoryBtn').addEventListener('click', () => this.openScanHistory());
+        document.getElementById('historySearchBtn').addEventListener('click', () => this.loadScanHistoryPage(0));
+        document.getElementById('historyResetBtn').addEventListener('click', () => this.resetScanHistoryFilters());
+        document.getElementById('historyPrevBtn').addEventListener('click', () => this.loadScanHistoryPage(this.scanHistory.page - 1));
+        document.getElementById('historyNextBtn').addEventListener('click', () => this.loadScanHistoryPage(this.scanHistory.page + 1));
+        document.getElementById('historyDetailBackBtn').addEventListener('click', () => this.showScanHistoryList());
+
+        document.getElementById('historyCurrentSession').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                document.getElementById('historySessionId').value = '';
+            }
+        });
+
+        ['historyUser', 'historyStartDate', 'historyEndDate', 'historyManualOnly'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadScanHistoryPage(0));
+        });
+
+        document.getElementById('scanHistoryTableBody').addEventListener('click', (e) => {
+            const filterLink = e.target.closest('[data-history-filter]');
+            if (filterLink) {
+                this.applyScanHistoryFilter(filterLink.dataset.historyFilter, filterLink.dataset.value);
+                return;
+            }
+
+            const detailButton = e.target.closest('[data-history-detail]');
+            if (detailButton) {
+                this.showScanHistoryDetail(parseInt(detailButton.dataset.historyDetail));
+            }
+        });
+
+        document.getElementById('scanHistoryDetailFields').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-photo-scan]');
+            if (button) {
+                this.showQCPhotos(parseInt(button.dataset.photoScan));
+            }
+        });
+
         // Modal Controls
         this.setupModalHandlers();
     }
@@ -102,8 +345,25 @@ class QualitaetskontrolleApp {
             this.hideModal('cameraPermissionModal');
         });
 
+        // Manuelle Eingabe Modal
+        const manualEntryModal = document.getElementById('manualEntryModal');
+        document.getElementById('manualEntryModalClose').addEventListener('click', () => this.hideModal('manualEntryModal'));
+        document.getElementById('manualEntryCancelBtn').addEventListener('click', () => this.hideModal('manualEntryModal'));
+
+        // Scan-Verlauf Modal
+        const historyModal = document.getElementById('scanHistoryModal');
+        document.getElementById('scanHistoryModalClose').addEventListener('click', () => this.hideModal('scanHistoryModal'));
+
+        // Foto Modal
+        const photoModal = document.getElementById('qcPhotoModal');
+        document.getElementById('qcPhotoModalClose').addEventListener('click', () => this.hideModal('qcPhotoModal'));
+
+        // Supervisor-Freigabe Modal (Schließen bricht das Warten auf den Badge ab)
+        document.getElementById('qcOverrideModalClose').addEventListener('click', () => this.closeQCOverrideModal());
+        document.getElementById('qcOverrideCancelBtn').addEventListener('click', () => this.closeQCOverrideModal());
+
         // Click outside to close modals
-        [errorModal, cameraModal].forEach(modal => {
+        [errorModal, cameraModal, manualEntryModal, historyModal, photoModal].forEach(modal => {
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     this.hideModal(modal.id);
@@ -116,8 +376,16 @@ class QualitaetskontrolleApp {
         // System bereit
         window.electronAPI.on('system-ready', (data) => {
             console.log('System bereit:', data);
-            this.updateSystemStatus('active', 'System bereit');
-            this.showNotification('success', 'System bereit', 'RFID und Datenbank verbunden');
+            this.handleSystemStatusChanged(data);
+            if (data.database) {
+                this.showNotification('success', 'System bereit', 'RFID und Datenbank verbunden');
+            }
+        });
+
+        // Datenbank getrennt / Wiederverbindung (Backoff) / wieder verbunden
+        window.electronAPI.on('system-status-changed', (data) => {
+            console.log('System-Status geändert:', data);
+            this.handleSystemStatusChanged(data);
         });
 
         // System-Fehler
@@ -163,6 +431,35 @@ class QualitaetskontrolleApp {
                 this.showNotification('success', 'Nächster Karton', 'Neue Session gestartet');
             }
         });
+
+        // Hand-Scanner (Keyboard-Wedge) - gleicher Verarbeitungsweg wie Kamera-Scans
+        window.electronAPI.on('qr-scan-detected', (data) => {
+            if (!this.currentUser) {
+                this.showNotification('warning', 'Hand-Scanner', 'Bitte zuerst mit RFID-Tag anmelden');
+                return;
+            }
+            console.log(`⌨️ Code vom Hand-Scanner empfangen (${data.source})`);
+            this.handleQRCodeDetected(data.code, data.symbology || null, null, { source: data.source });
+        });
+
+        // Halb fertiger Karton abgebrochen (Zeitüberschreitung, Abbrechen-Button oder Steuer-Code)
+        window.electronAPI.on('qc-carton-abandoned', (data) => {
+            console.log('QC Karton abgebrochen:', data);
+            this.handleQCCartonAbandoned(data);
+        });
+
+        // Offline-Journal: ausstehende Einträge, Datenbank-Ausfall und Ergebnis der Übertragung
+        window.electronAPI.on('offline-journal-status', (data) => {
+            this.updateOfflineJournalStatus(data);
+        });
+
+        // Offline-Session nach der Übertragung unter ihrer Datenbank-ID weiterführen
+        window.electronAPI.on('session-synced', (data) => {
+            console.log('Offline-Session übertragen:', data);
+            if (this.currentUser && this.currentUser.sessionId === data.offlineSessionId) {
+                this.currentUser.sessionId = data.sessionId;
+            }
+        });
     }
 
     // ===== NEUER SESSION-RESET HANDLER FÜR RFID-BENUTZERWECHSEL =====
@@ -185,6 +482,7 @@ class QualitaetskontrolleApp {
         this.sessionScannedCodes.clear();
         this.recentlyScanned.clear();
         this.pendingScans.clear();
+        this.unconfirmedScans.clear();
 
         // NEUE DATENSTRUKTUR: Reset für getrennte Scan-Verwaltung
         this.currentScan = null;
@@ -194,6 +492,8 @@ class QualitaetskontrolleApp {
         // UI sofort aktualisieren
         this.updateCurrentScanDisplay();
         this.updateSuccessfulScansTable();
+        this.resetQCResultPanel();
+        this.resetQCLotPanel();
 
         // Workspace vorübergehend verbergen für sauberen Übergang
         document.getElementById('workspace').style.display = 'none';
@@ -228,6 +528,7 @@ class QualitaetskontrolleApp {
             this.sessionScannedCodes.clear();
             this.recentlyScanned.clear();
             this.pendingScans.clear();
+            this.unconfirmedScans.clear();
 
             // NEUE DATENSTRUKTUR: Reset für getrennte Scan-Verwaltung
             this.currentScan = null;
@@ -236,11 +537,14 @@ class QualitaetskontrolleApp {
 
             this.updateCurrentScanDisplay();
             this.updateSuccessfulScansTable();
+            this.resetQCResultPanel();
+            this.resetQCLotPanel();
         } else if (!eventData.source) {
             // Für manuelle Anmeldungen (falls implementiert) normaler Reset
             this.sessionScannedCodes.clear();
             this.recentlyScanned.clear();
             this.pendingScans.clear();
+            this.unconfirmedScans.clear();
 
             // NEUE DATENSTRUKTUR: Reset für getrennte Scan-Verwaltung
             this.currentScan = null;
@@ -249,6 +553,8 @@ class QualitaetskontrolleApp {
 
             this.updateCurrentScanDisplay();
             this.updateSuccessfulScansTable();
+            this.resetQCResultPanel();
+            this.resetQCLotPanel();
         }
 
         this.currentUser = {
@@ -289,7 +595,9 @@ class QualitaetskontrolleApp {
         this.startSessionTimer();
 
         // Spezielle Nachrichten für RFID-Wechsel
-        if (eventData.source === 'rfid_scan') {
+        if (eventData.offline) {
+            this.showNotification('warning', 'Offline-Anmeldung', `Willkommen ${user.BenutzerName}! Scans werden lokal gespeichert`);
+        } else if (eventData.source === 'rfid_scan') {
             const previousCount = eventData.previousLogouts || 0;
             let message = `Willkommen ${user.BenutzerName}!`;
             if (previousCount > 0) {
@@ -301,6 +609,12 @@ class QualitaetskontrolleApp {
         }
 
         this.updateInstructionText('QR-Code vor die Kamera halten um Pakete zu erfassen');
+        this.loadQCStats();
+
+        // Offenen Karton nach Neustart/Absturz wiederherstellen
+        if (eventData.openCarton) {
+            this.restoreQCResultPanel(eventData.openCarton);
+        }
 
         console.log('✅ Benutzer-Anmeldung abgeschlossen:', {
             user: user.BenutzerName,
@@ -319,6 +633,7 @@ class QualitaetskontrolleApp {
             this.hideWorkspace();
             this.stopSessionTimer();
             this.stopQRScanner();
+            this.hideModal('manualEntryModal');
 
             // Session-Daten zurücksetzen
             this.currentUser = null;
@@ -330,6 +645,7 @@ class QualitaetskontrolleApp {
             this.sessionScannedCodes.clear();
             this.recentlyScanned.clear();
             this.pendingScans.clear();
+            this.unconfirmedScans.clear();
 
             // NEUE DATENSTRUKTUR: Reset für getrennte Scan-Verwaltung
             this.currentScan = null;
@@ -337,6 +653,8 @@ class QualitaetskontrolleApp {
 
             this.updateCurrentScanDisplay();
             this.updateSuccessfulScansTable();
+            this.resetQCResultPanel();
+            this.resetQCLotPanel();
         }
 
         // Spezielle Behandlung für manuellen Logout: Immer Login-Bildschirm anzeigen
@@ -411,6 +729,7 @@ class QualitaetskontrolleApp {
 
         this.sessionTimer = setInterval(() => {
             this.updateSessionTime();
+            this.updateCartonTime();
         }, 1000);
 
         // Sofort einmal ausführen
@@ -453,6 +772,28 @@ class QualitaetskontrolleApp {
         }
     }
 
+    startCartonTimer(startTime) {
+        this.cartonStartTime = startTime && !isNaN(startTime.getTime()) ? startTime : new Date();
+        document.getElementById('cartonTimeInfo').style.display = 'inline';
+        this.updateCartonTime();
+    }
+
+    stopCartonTimer() {
+        this.cartonStartTime = null;
+        document.getElementById('cartonTimeInfo').style.display = 'none';
+        document.getElementById('cartonTime').textContent = '00:00:00';
+    }
+
+    getCartonElapsedSeconds() {
+        if (!this.cartonStartTime) return 0;
+        return Math.max(0, Math.floor((Date.now() - this.cartonStartTime.getTime()) / 1000));
+    }
+
+    updateCartonTime() {
+        if (!this.cartonStartTime) return;
+        document.getElementById('cartonTime').textContent = this.formatDuration(this.getCartonElapsedSeconds());
+    }
+
     formatDuration(seconds) {
         // Sicherstellen dass seconds ein positiver Integer ist
         if (!Number.isInteger(seconds) || seconds < 0) {
@@ -473,23 +814,67 @@ class QualitaetskontrolleApp {
     }
 
     // ===== KAMERA & QR-SCANNER =====
+    /**
+     * Dekodier-Bibliotheken laden - lokal mitgeliefert (node_modules), keine Internetverbindung nötig
+     * @returns {Promise<boolean>} - True wenn mindestens eine Bibliothek verfügbar ist
+     */
     async loadQRLibrary() {
+        const libraries = [
+            { name: 'jsQR', src: '../node_modules/jsqr/dist/jsQR.js', isLoaded: () => typeof jsQR !== 'undefined' },
+            { name: 'ZXing', src: '../node_modules/@zxing/library/umd/index.min.js', isLoaded: () => typeof ZXing !== 'undefined' }
+        ];
+
+        await Promise.all(libraries.filter(library => !library.isLoaded()).map(library => new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = library.src;
+            script.onload = () => {
+                console.log(`✅ ${library.name}-Bibliothek geladen`);
+                resolve();
+            };
+            script.onerror = () => {
+                console.error(`❌ ${library.name}-Bibliothek konnte nicht geladen werden: ${library.src}`);
+                resolve();
+            };
+            document.head.appendChild(script);
+        })));
+
+        this.decoderAvailable = !!(window.isBarcodeDecoderAvailable && window.isBarcodeDecoderAvailable());
+        if (!this.decoderAvailable) {
+            this.showDecoderUnavailable();
+        }
+        return this.decoderAvailable;
+    }
+
+    /**
+     * Eingeschränkter Betrieb ohne Dekodier-Bibliothek: Kamera-Scanner als nicht verfügbar anzeigen
+     * Kartons werden dann über den Hand-Scanner erfasst - es werden nie Platzhalter-Codes gespeichert
+     */
+    async showDecoderUnavailable() {
+        const startBtn = document.getElementById('startScannerBtn');
+        startBtn.disabled = true;
+        startBtn.title = 'QR-Dekodierung nicht verfügbar';
+
+        document.getElementById('scannerStatusText').textContent = 'Kamera-Scanner nicht verfügbar';
+
+        let hint = 'Bitte Hand-Scanner oder manuelle Eingabe verwenden';
         try {
-            // Versuche jsQR zu laden
-            if (typeof jsQR === 'undefined') {
-                const script = document.createElement('script');
-                script.src = 'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js';
-                script.onload = () => {
-                    console.log('✅ jsQR-Bibliothek geladen');
-                };
-                script.onerror = () => {
-                    console.warn('⚠️ jsQR konnte nicht geladen werden - Fallback wird verwendet');
-                };
-                document.head.appendChild(script);
+            const wedgeStatus = await window.electronAPI.wedge.getStatus();
+            if (!wedgeStatus.listening) {
+                hint = 'Hand-Scanner deaktiviert (KEYBOARD_WEDGE_ENABLED) - bitte manuelle Eingabe verwenden und Administrator informieren';
             }
         } catch (error) {
-            console.warn('QR-Bibliothek laden fehlgeschlagen:', error);
+            console.error('Hand-Scanner Status laden fehlgeschlagen:', error);
         }
+
+        this.setCameraState('unavailable', 'Kamera-Scanner nicht verfügbar');
+
+        const cameraStatus = document.getElementById('cameraStatus');
+        cameraStatus.classList.add('unavailable');
+        cameraStatus.querySelector('.status-icon').textContent = '🚫';
+        cameraStatus.querySelector('.status-text').textContent = `Kamera-Scanner nicht verfügbar - ${hint}`;
+
+        this.showNotification('error', 'Kamera-Scanner nicht verfügbar',
+            `QR-Dekodierung konnte nicht geladen werden. ${hint}.`, 10000);
     }
 
     async checkCameraAvailability() {
@@ -503,6 +888,7 @@ class QualitaetskontrolleApp {
             }
 
             console.log(`📷 ${cameras.length} Kamera(s) gefunden:`, cameras);
+            this.populateCameraSelect(cameras);
             return true;
 
         } catch (error) {
@@ -512,12 +898,28 @@ class QualitaetskontrolleApp {
         }
     }
 
-    async startQRScanner() {
-        if (this.scannerActive) return;
+    /**
+     * Kamera-Scanner starten
+     * @param {Object} options - { recovery: Neustart durch den Kamera-Watchdog (ohne Fehlerdialog) }
+     * @returns {Promise<boolean>} - True wenn der Scanner läuft
+     */
+    async startQRScanner(options = {}) {
+        if (this.scannerActive) return true;
 
         if (!this.currentUser) {
             this.showNotification('warning', 'Anmeldung erforderlich', 'Bitte melden Sie sich zuerst mit RFID an');
-            return;
+            return false;
+        }
+
+        // Ohne Dekodier-Bibliothek kein Kamera-Scan
+        if (!await this.decoderLoading) {
+            this.showDecoderUnavailable();
+            return false;
+        }
+
+        // Manueller Start beendet einen laufenden Wiederherstellungsversuch
+        if (!options.recovery) {
+            this.cancelCameraRecovery();
         }
 
         try {
@@ -527,13 +929,23 @@ class QualitaetskontrolleApp {
             const permission = await this.checkCameraPermission();
             if (permission === 'denied') {
                 this.showModal('cameraPermissionModal');
-                return;
+                return false;
             }
 
-            // Optimierte Kamera-Constraints für bessere Kompatibilität
+            // Kamera-Profil der Station oder optimierte Kamera-Constraints für bessere Kompatibilität
             const constraints = await this.getOptimalCameraConstraints();
 
-            this.videoStream = await navigator.mediaDevices.getUserMedia(constraints);
+            try {
+                this.videoStream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (error) {
+                if (!constraints.fromProfile) throw error;
+
+                // Gespeicherte Kamera/Auflösung nicht nutzbar → automatische Auswahl
+                console.warn('Kamera-Profil nicht nutzbar, verwende automatische Auswahl:', error);
+                this.showNotification('warning', 'Kamera-Profil',
+                    'Gespeicherte Kamera-Einstellungen nicht nutzbar - automatische Kamera-Auswahl wird verwendet', 6000);
+                this.videoStream = await navigator.mediaDevices.getUserMedia(await this.getOptimalCameraConstraints(true));
+            }
 
             const video = document.getElementById('scannerVideo');
             video.srcObject = this.videoStream;
@@ -550,14 +962,35 @@ class QualitaetskontrolleApp {
 
             await video.play();
 
+            // Fokus/Zoom/Licht aus dem Profil übernehmen, Kameranamen sind erst jetzt lesbar
+            await this.applyCameraProfileSettings();
+            await this.checkCameraAvailability();
+
             this.scannerActive = true;
             this.updateScannerUI();
             this.startQRScanLoop();
+            this.startCameraWatchdog();
+            this.setCameraState('active', 'Kamera aktiv');
 
-            this.showNotification('success', 'Scanner bereit', 'QR-Codes werden automatisch erkannt');
+            if (!options.recovery) {
+                this.showNotification('success', 'Scanner bereit', 'QR-Codes werden automatisch erkannt');
+            }
+            return true;
 
         } catch (error) {
             console.error('QR-Scanner Start fehlgeschlagen:', error);
+
+            // Teilweise geöffneten Stream freigeben
+            if (this.videoStream) {
+                this.videoStream.getTracks().forEach(track => track.stop());
+                this.videoStream = null;
+            }
+
+            if (options.recovery) {
+                return false;
+            }
+
+            this.setCameraState('error', `Kamera-Fehler: ${error.message}`);
             this.showErrorModal('Scanner-Fehler',
                 `Kamera konnte nicht gestartet werden:\n${error.message}\n\n` +
                 'Lösungsvorschläge:\n' +
@@ -565,10 +998,11 @@ class QualitaetskontrolleApp {
                 '• Andere Apps schließen die Kamera verwenden\n' +
                 '• Anwendung neu starten'
             );
+            return false;
         }
     }
 
-    async getOptimalCameraConstraints() {
+    async getOptimalCameraConstraints(ignoreProfile = false) {
         try {
             const devices = await navigator.mediaDevices.enumerateDevices();
             const cameras = devices.filter(device => device.kind === 'videoinput');
@@ -582,6 +1016,29 @@ class QualitaetskontrolleApp {
                 }
             };
 
+            const profile = ignoreProfile ? null : this.cameraProfile;
+            if (profile && profile.width && profile.height) {
+                constraints.video.width = { ideal: profile.width };
+                constraints.video.height = { ideal: profile.height };
+                constraints.fromProfile = true;
+            }
+
+            if (profile && profile.deviceId) {
+                // Geräte-IDs können sich nach Umstecken ändern → zusätzlich über den Namen suchen
+                const savedCamera = cameras.find(camera => camera.deviceId === profile.deviceId) ||
+                    cameras.find(camera => profile.label && camera.label === profile.label);
+
+                if (savedCamera) {
+                    constraints.video.deviceId = { exact: savedCamera.deviceId };
+                    constraints.fromProfile = true;
+                    return constraints;
+                }
+
+                console.warn(`Gespeicherte Kamera nicht gefunden: ${profile.label || profile.deviceId}`);
+                this.showNotification('warning', 'Kamera nicht gefunden',
+                    `Gespeicherte Kamera "${profile.label || 'unbekannt'}" nicht angeschlossen - automatische Auswahl wird verwendet`, 6000);
+            }
+
             // Bevorzuge Rückkamera wenn verfügbar
             const backCamera = cameras.find(camera =>
                 camera.label.toLowerCase().includes('back') ||
@@ -609,6 +1066,225 @@ class QualitaetskontrolleApp {
         }
     }
 
+    // ===== KAMERA-PROFIL =====
+    async loadCameraProfile() {
+        try {
+            const result = await window.electronAPI.camera.getProfile();
+            this.cameraProfile = result.profile;
+
+            if (this.cameraProfile) {
+                console.log(`📷 Kamera-Profil für Station ${result.stationId} geladen:`, this.cameraProfile);
+                const resolution = this.cameraProfile.width && this.cameraProfile.height
+                    ? `${this.cameraProfile.width}x${this.cameraProfile.height}`
+                    : '';
+                document.getElementById('cameraResolution').value = resolution;
+            }
+        } catch (error) {
+            console.error('Kamera-Profil laden fehlgeschlagen:', error);
+        }
+    }
+
+    populateCameraSelect(cameras) {
+        const select = document.getElementById('cameraSelect');
+        const profile = this.cameraProfile || {};
+
+        select.innerHTML = '<option value="">Automatisch</option>';
+        cameras.forEach((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Kamera ${index + 1}`;
+            select.appendChild(option);
+        });
+
+        // Gespeicherte Kamera vorauswählen (auch wenn sich die Geräte-ID geändert hat)
+        const savedCamera = cameras.find(camera => camera.deviceId === profile.deviceId) ||
+            cameras.find(camera => profile.label && camera.label === profile.label);
+        select.value = savedCamera ? savedCamera.deviceId : '';
+    }
+
+    /**
+     * Kamera-Profil der Station ändern und speichern
+     * @param {Object} changes - Geänderte Profilwerte
+     * @param {boolean} notify - Bestätigung anzeigen (nicht bei Licht/Zoom/Fokus)
+     */
+    async changeCameraProfile(changes, notify = true) {
+        const profile = { ...(this.cameraProfile || {}), ...changes };
+
+        try {
+            const result = await window.electronAPI.camera.saveProfile(profile);
+            if (!result.success) {
+                this.showNotification('error', 'Kamera-Profil', result.message);
+                return;
+            }
+
+            this.cameraProfile = result.data;
+            if (notify) {
+                this.showNotification('success', 'Kamera-Profil', result.message, 3000);
+            }
+
+            // Laufenden Scanner mit neuer Kamera/Auflösung neu starten
+            if (this.scannerActive && (changes.deviceId !== undefined || changes.width !== undefined)) {
+                this.stopQRScanner();
+                await this.startQRScanner();
+            }
+        } catch (error) {
+            console.error('Kamera-Profil speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Kamera-Profil konnte nicht gespeichert werden');
+        }
+    }
+
+    /**
+     * Schlüssel der laufenden Kamera für die Einstellungen je Kamera (Name bleibt nach Umstecken gleich)
+     * @returns {string|null}
+     */
+    getActiveCameraKey() {
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        if (!track) return null;
+        return track.label || (track.getSettings ? track.getSettings().deviceId : null) || null;
+    }
+
+    /**
+     * Fokus/Zoom/Licht der laufenden Kamera aus dem Profil (ältere Profile: Werte für alle Kameras)
+     * @returns {Object} - { focusMode, focusDistance, zoom, torch }
+     */
+    getCameraAdjustments() {
+        const profile = this.cameraProfile || {};
+        const key = this.getActiveCameraKey();
+        const saved = key && profile.cameraSettings ? profile.cameraSettings[key] : null;
+
+        return saved || {
+            focusMode: profile.focusMode || null,
+            focusDistance: profile.focusDistance ?? null,
+            zoom: profile.zoom ?? null,
+            torch: profile.torch === true
+        };
+    }
+
+    /**
+     * Fokus, Zoom und Licht aus dem Kamera-Profil anwenden (nur was die Kamera unterstützt)
+     */
+    async applyCameraProfileSettings() {
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        if (!track || typeof track.getCapabilities !== 'function') return;
+
+        const settings = this.getCameraAdjustments();
+        const capabilities = track.getCapabilities();
+        const advanced = {};
+
+        if (settings.focusMode && (capabilities.focusMode || []).includes(settings.focusMode)) {
+            advanced.focusMode = settings.focusMode;
+        }
+        if (settings.focusMode === 'manual' && settings.focusDistance !== null && capabilities.focusDistance) {
+            advanced.focusDistance = settings.focusDistance;
+        }
+        if (settings.zoom !== null && capabilities.zoom) {
+            advanced.zoom = Math.min(Math.max(settings.zoom, capabilities.zoom.min), capabilities.zoom.max);
+        }
+        if (settings.torch && capabilities.torch) {
+            advanced.torch = true;
+        }
+
+        if (Object.keys(advanced).length > 0) {
+            try {
+                await track.applyConstraints({ advanced: [advanced] });
+                console.log('📷 Kamera-Profil angewendet:', advanced);
+            } catch (error) {
+                console.warn('Kamera-Einstellungen aus dem Profil nicht anwendbar:', error);
+            }
+        }
+
+        this.updateCameraAdjustmentControls();
+    }
+
+    /**
+     * Bedienelemente für Licht, Zoom und Fokus nur für die Fähigkeiten der laufenden Kamera anzeigen
+     */
+    updateCameraAdjustmentControls() {
+        const container = document.getElementById('cameraAdjustments');
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+
+        if (!track || typeof track.getCapabilities !== 'function') {
+            container.style.display = 'none';
+            return;
+        }
+
+        const capabilities = track.getCapabilities();
+        const current = track.getSettings();
+        const focusModes = (capabilities.focusMode || []).filter(mode => ['continuous', 'single-shot', 'manual'].includes(mode));
+
+        // Licht
+        const torchBtn = document.getElementById('cameraTorchBtn');
+        torchBtn.style.display = capabilities.torch ? 'inline-flex' : 'none';
+        torchBtn.classList.toggle('active', current.torch === true);
+
+        // Zoom
+        const zoomControl = document.getElementById('cameraZoomControl');
+        const zoomInput = document.getElementById('cameraZoom');
+        zoomControl.style.display = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min ? 'flex' : 'none';
+        if (capabilities.zoom) {
+            zoomInput.min = capabilities.zoom.min;
+            zoomInput.max = capabilities.zoom.max;
+            zoomInput.step = capabilities.zoom.step || 0.1;
+            zoomInput.value = current.zoom ?? capabilities.zoom.min;
+        }
+
+        // Fokus
+        const focusSelect = document.getElementById('cameraFocusMode');
+        focusSelect.style.display = focusModes.length > 1 ? 'inline-block' : 'none';
+        Array.from(focusSelect.options).forEach(option => {
+            option.hidden = !focusModes.includes(option.value);
+        });
+        if (current.focusMode) {
+            focusSelect.value = current.focusMode;
+        }
+
+        const focusDistanceControl = document.getElementById('cameraFocusDistanceControl');
+        const focusDistanceInput = document.getElementById('cameraFocusDistance');
+        const manualFocus = current.focusMode === 'manual' && capabilities.focusDistance;
+        focusDistanceControl.style.display = manualFocus ? 'flex' : 'none';
+        if (capabilities.focusDistance) {
+            focusDistanceInput.min = capabilities.focusDistance.min;
+            focusDistanceInput.max = capabilities.focusDistance.max;
+            focusDistanceInput.step = capabilities.focusDistance.step || 0.01;
+            focusDistanceInput.value = current.focusDistance ?? capabilities.focusDistance.min;
+        }
+
+        const anyVisible = capabilities.torch || zoomControl.style.display !== 'none' || focusModes.length > 1;
+        container.style.display = anyVisible ? 'flex' : 'none';
+    }
+
+    /**
+     * Licht/Zoom/Fokus an der laufenden Kamera ändern und optional für diese Kamera speichern
+     * @param {Object} changes - { torch, zoom, focusMode, focusDistance }
+     * @param {boolean} persist - false während ein Regler noch bewegt wird
+     */
+    async changeCameraAdjustment(changes, persist = true) {
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        if (!track) return;
+
+        try {
+            await track.applyConstraints({ advanced: [changes] });
+        } catch (error) {
+            console.warn('Kamera-Einstellung nicht anwendbar:', changes, error);
+            this.showNotification('warning', 'Kamera', 'Einstellung wird von dieser Kamera nicht unterstützt', 3000);
+            return;
+        }
+
+        this.updateCameraAdjustmentControls();
+        if (!persist) return;
+
+        const key = this.getActiveCameraKey();
+        if (!key) return;
+
+        const cameraSettings = { ...((this.cameraProfile && this.cameraProfile.cameraSettings) || {}) };
+        cameraSettings[key] = { ...this.getCameraAdjustments(), ...changes };
+        if (changes.focusMode && changes.focusMode !== 'manual') {
+            cameraSettings[key].focusDistance = null;
+        }
+
+        await this.changeCameraProfile({ cameraSettings }, false);
+    }
+
     async checkCameraPermission() {
         try {
             const result = await navigator.permissions.query({ name: 'camera' });
@@ -634,10 +1310,22 @@ class QualitaetskontrolleApp {
         }
     }
 
-    stopQRScanner() {
+    /**
+     * Kamera-Scanner stoppen
+     * @param {Object} options - { recovery: Stopp durch den Kamera-Watchdog vor einem Neustart }
+     */
+    stopQRScanner(options = {}) {
+        if (!options.recovery) {
+            this.cancelCameraRecovery();
+            if (this.cameraState !== 'unavailable') {
+                this.setCameraState('inactive', 'Kamera aus');
+            }
+        }
+
         if (!this.scannerActive) return;
 
         console.log('⏹️ Stoppe QR-Scanner...');
+        this.stopCameraWatchdog();
 
         // Video-Stream stoppen
         if (this.videoStream) {
@@ -653,6 +1341,8 @@ class QualitaetskontrolleApp {
             cancelAnimationFrame(this.scanLoop);
             this.scanLoop = null;
         }
+        this.decodePending = false;
+        this.resetDecodeStats();
 
         // Video-Element leeren
         const video = document.getElementById('scannerVideo');
@@ -661,52 +1351,221 @@ class QualitaetskontrolleApp {
         this.scannerActive = false;
         this.updateScannerUI();
 
-        this.showNotification('info', 'Scanner gestoppt', 'QR-Scanner wurde beendet');
+        if (!options.recovery) {
+            this.showNotification('info', 'Scanner gestoppt', 'QR-Scanner wurde beendet');
+        }
     }
 
-    startQRScanLoop() {
+    // ===== KAMERA-WATCHDOG =====
+    /**
+     * Laufenden Kamera-Stream überwachen: beendete Tracks, eingefrorene Bilder (keine neuen Frames)
+     */
+    startCameraWatchdog() {
+        this.stopCameraWatchdog();
+
         const video = document.getElementById('scannerVideo');
-        const canvas = document.getElementById('scannerCanvas');
-        const context = canvas.getContext('2d');
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        const watchdog = this.cameraWatchdog;
+        watchdog.lastFrameAt = performance.now();
+        watchdog.lastVideoTime = video.currentTime;
 
-        const scanFrame = () => {
-            if (!this.scannerActive || !video.videoWidth || !video.videoHeight) {
-                if (this.scannerActive) {
-                    this.scanLoop = requestAnimationFrame(scanFrame);
+        if (track) {
+            track.onended = () => this.handleCameraFailure('Kamera-Verbindung getrennt');
+        }
+
+        // Neue Frames über requestVideoFrameCallback erkennen, sonst über den Fortschritt der Video-Zeit
+        if (typeof video.requestVideoFrameCallback === 'function') {
+            const onFrame = () => {
+                watchdog.lastFrameAt = performance.now();
+                if (this.scannerActive && watchdog.interval) {
+                    watchdog.frameCallback = video.requestVideoFrameCallback(onFrame);
                 }
+            };
+            watchdog.frameCallback = video.requestVideoFrameCallback(onFrame);
+        }
+
+        watchdog.interval = setInterval(() => {
+            if (!this.scannerActive) return;
+
+            if (track && track.readyState === 'ended') {
+                this.handleCameraFailure('Kamera-Verbindung getrennt');
                 return;
             }
 
-            try {
-                // Canvas auf Video-Größe setzen
-                canvas.width = video.videoWidth;
-                canvas.height = video.videoHeight;
+            if (typeof video.requestVideoFrameCallback !== 'function' && video.currentTime !== watchdog.lastVideoTime) {
+                watchdog.lastVideoTime = video.currentTime;
+                watchdog.lastFrameAt = performance.now();
+            }
 
-                // Video-Frame auf Canvas zeichnen
-                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            // Minimiertes Fenster liefert keine Frames - kein Ausfall
+            if (document.hidden) {
+                watchdog.lastFrameAt = performance.now();
+                return;
+            }
 
-                // Image-Data für QR-Erkennung
-                const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            if (performance.now() - watchdog.lastFrameAt > this.cameraFreezeTimeout) {
+                this.handleCameraFailure(`Kamerabild eingefroren (keine Bilder seit ${Math.round(this.cameraFreezeTimeout / 1000)}s)`);
+            }
+        }, 1000);
+    }
 
-                // QR-Code erkennen
-                if (typeof jsQR !== 'undefined') {
-                    const code = jsQR(imageData.data, imageData.width, imageData.height, {
-                        inversionAttempts: "dontInvert"
-                    });
+    stopCameraWatchdog() {
+        const watchdog = this.cameraWatchdog;
+        const video = document.getElementById('scannerVideo');
 
-                    if (code && code.data) {
-                        this.handleQRCodeDetected(code.data);
-                    }
-                } else {
-                    // Fallback: Einfache Muster-Erkennung
-                    if (this.detectQRPattern(imageData)) {
-                        const mockData = `FALLBACK_QR_${Date.now()}`;
-                        this.handleQRCodeDetected(mockData);
-                    }
-                }
+        if (watchdog.interval) {
+            clearInterval(watchdog.interval);
+            watchdog.interval = null;
+        }
+        if (watchdog.frameCallback && typeof video.cancelVideoFrameCallback === 'function') {
+            video.cancelVideoFrameCallback(watchdog.frameCallback);
+        }
+        watchdog.frameCallback = null;
 
-            } catch (error) {
-                console.error('QR-Scan-Fehler:', error);
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        if (track) {
+            track.onended = null;
+        }
+    }
+
+    /**
+     * Kamera-Ausfall behandeln: Stream freigeben und Neustart mit wachsender Wartezeit versuchen
+     * @param {string} reason - Ausfallgrund für Anzeige und Log
+     */
+    handleCameraFailure(reason) {
+        const watchdog = this.cameraWatchdog;
+        if (watchdog.recovering) return;
+
+        console.warn(`📷 Kamera-Ausfall: ${reason}`);
+        watchdog.recovering = true;
+        watchdog.restartAttempts = 0;
+        watchdog.lastFailure = reason;
+
+        this.stopQRScanner({ recovery: true });
+        this.showNotification('warning', 'Kamera-Ausfall', `${reason} - Kamera wird neu gestartet`, 6000);
+        this.scheduleCameraRestart();
+    }
+
+    scheduleCameraRestart() {
+        const watchdog = this.cameraWatchdog;
+
+        if (watchdog.restartAttempts >= this.cameraMaxRestartAttempts) {
+            watchdog.recovering = false;
+            this.setCameraState('error', `Kamera ausgefallen: ${watchdog.lastFailure}`);
+            this.showNotification('error', 'Kamera ausgefallen',
+                'Automatischer Neustart fehlgeschlagen - Kamera prüfen und "Scanner starten" klicken. Hand-Scanner bleibt nutzbar.', 10000);
+            return;
+        }
+
+        // 2s, 4s, 8s, ... maximal 30s
+        const delay = Math.min(2000 * Math.pow(2, watchdog.restartAttempts), 30000);
+        watchdog.restartAttempts++;
+        this.setCameraState('recovering', `Kamera-Neustart ${watchdog.restartAttempts}/${this.cameraMaxRestartAttempts}...`);
+
+        watchdog.restartTimer = setTimeout(async () => {
+            watchdog.restartTimer = null;
+            if (!watchdog.recovering) return;
+
+            if (!this.currentUser) {
+                // Abgemeldet - Kamera wird beim nächsten Scanner-Start wieder geöffnet
+                this.cancelCameraRecovery();
+                this.setCameraState('inactive', 'Kamera aus');
+                return;
+            }
+
+            const started = await this.startQRScanner({ recovery: true });
+            if (started) {
+                watchdog.recovering = false;
+                this.showNotification('success', 'Kamera wiederhergestellt', 'Scanner läuft wieder', 4000);
+            } else {
+                this.scheduleCameraRestart();
+            }
+        }, delay);
+    }
+
+    cancelCameraRecovery() {
+        const watchdog = this.cameraWatchdog;
+        if (watchdog.restartTimer) {
+            clearTimeout(watchdog.restartTimer);
+            watchdog.restartTimer = null;
+        }
+        watchdog.recovering = false;
+    }
+
+    /**
+     * Geänderte Kamera-Liste (Kamera ein-/ausgesteckt)
+     */
+    async handleCameraDeviceChange() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const cameras = devices.filter(device => device.kind === 'videoinput');
+        this.populateCameraSelect(cameras);
+
+        const track = this.videoStream ? this.videoStream.getVideoTracks()[0] : null;
+        const deviceId = track && track.getSettings ? track.getSettings().deviceId : null;
+
+        if (this.scannerActive && deviceId && !cameras.some(camera => camera.deviceId === deviceId)) {
+            this.handleCameraFailure('Kamera wurde entfernt');
+        } else if (this.cameraState === 'error' && cameras.length > 0 && this.currentUser) {
+            // Nach endgültigem Ausfall: wieder angesteckte Kamera sofort nutzen
+            console.log('📷 Kamera wieder verfügbar - starte Scanner neu');
+            this.cameraWatchdog.recovering = true;
+            this.cameraWatchdog.restartAttempts = 0;
+            this.scheduleCameraRestart();
+        }
+    }
+
+    /**
+     * Kamera-Zustand im Header anzeigen und an den Main-Prozess melden (get-system-status)
+     * @param {string} state - inactive, active, recovering, error, unavailable
+     * @param {string} message - Anzeigetext
+     */
+    setCameraState(state, message) {
+        this.cameraState = state;
+
+        const dotClasses = { active: 'active', recovering: 'warning', error: 'error', unavailable: 'error' };
+        const indicator = document.getElementById('cameraStatusIndicator');
+        indicator.querySelector('.status-dot').className = `status-dot ${dotClasses[state] || ''}`;
+        indicator.querySelector('.status-text').textContent = `📷 ${message}`;
+
+        window.electronAPI.camera.reportStatus({ state, message }).catch(error => {
+            console.error('Kamera-Status melden fehlgeschlagen:', error);
+        });
+    }
+
+    startQRScanLoop() {
+        const video = document.getElementById('scannerVideo');
+        const canvas = document.getElementById('scannerCanvas');
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        const worker = this.qrDecodingConfig.useWorker ? this.getDecoderWorker() : null;
+        let frameCounter = 0;
+
+        this.decodePending = false;
+        this.resetDecodeStats();
+
+        const scanFrame = () => {
+            if (!this.scannerActive || !video.videoWidth || !video.videoHeight) {
+                if (this.scannerActive) {
+                    this.scanLoop = requestAnimationFrame(scanFrame);
+                }
+                return;
+            }
+
+            // Frame-Skipping: nur jeden (frameSkip + 1)-ten Frame und nie während einer laufenden Dekodierung
+            const skipFrame = this.decodePending || (frameCounter++ % (this.qrDecodingConfig.frameSkip + 1)) !== 0;
+
+            try {
+                if (!skipFrame) {
+                    const region = this.getDecodeRegion(video.videoWidth, video.videoHeight);
+
+                    if (worker && this.decoderWorkerReady) {
+                        this.decodeFrameInWorker(worker, video, canvas, context, region);
+                    } else {
+                        this.decodeFrameOnMainThread(video, canvas, context, region);
+                    }
+                }
+            } catch (error) {
+                console.error('QR-Scan-Fehler:', error);
+                this.decodePending = false;
             }
 
             if (this.scannerActive) {
@@ -718,22 +1577,246 @@ class QualitaetskontrolleApp {
         console.log('🔄 QR-Scan-Loop gestartet');
     }
 
-    detectQRPattern(imageData) {
-        // Einfache QR-Muster-Erkennung als Fallback
-        // Erkennt grundlegende Muster von QR-Codes
-        const { data, width, height } = imageData;
-        let darkPixels = 0;
-        let totalPixels = width * height;
+    /**
+     * Decoder-Worker erzeugen (einmalig, bleibt über Scanner-Neustarts bestehen)
+     * @returns {Worker|null} - Worker oder null wenn nicht verfügbar (Dekodierung dann im UI-Thread)
+     */
+    getDecoderWorker() {
+        if (this.decoderWorker) {
+            return this.decoderWorker;
+        }
+
+        if (typeof Worker === 'undefined') {
+            console.warn('⚠️ Web Worker nicht verfügbar - QR-Dekodierung im UI-Thread');
+            return null;
+        }
+
+        try {
+            this.decoderWorker = new Worker('qr-decoder-worker.js');
+
+            this.decoderWorker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'ready') {
+                    this.decoderWorkerReady = message.decoderReady;
+                    console.log(message.decoderReady
+                        ? '✅ QR-Decoder-Worker bereit'
+                        : '⚠️ Dekodier-Bibliotheken im Worker nicht geladen - Dekodierung im UI-Thread');
+                    return;
+                }
+
+                if (message.type === 'result') {
+                    this.decodePending = false;
+                    this.recordDecodeTiming(message.decodeMs, 'Worker');
+
+                    if (message.data && this.scannerActive) {
+                        this.handleQRCodeDetected(message.data, message.symbology, message.step);
+                    }
+                }
+            };
+
+            this.decoderWorker.onerror = (error) => {
+                console.error('QR-Decoder-Worker Fehler - Wechsel in den UI-Thread:', error.message);
+                this.decoderWorker.terminate();
+                this.decoderWorker = null;
+                this.decoderWorkerReady = false;
+                this.decodePending = false;
+            };
+
+            return this.decoderWorker;
+        } catch (error) {
+            console.warn('⚠️ QR-Decoder-Worker konnte nicht gestartet werden:', error.message);
+            this.decoderWorker = null;
+            return null;
+        }
+    }
+
+    /**
+     * Zu dekodierenden Bildausschnitt berechnen
+     * Mittiger Ausschnitt passend zum Scanner-Rahmen (roi = Anteil der Bildbreite/-höhe),
+     * verkleinert auf maximal maxDecodeWidth * decodeScale Pixel Breite
+     * @param {number} videoWidth - Breite des Kamerabilds
+     * @param {number} videoHeight - Höhe des Kamerabilds
+     * @returns {Object} - { sx, sy, sw, sh, width, height }
+     */
+    getDecodeRegion(videoWidth, videoHeight) {
+        const roi = Math.min(Math.max(this.qrDecodingConfig.roi, 0.2), 1);
+        const sw = Math.round(videoWidth * roi);
+        const sh = Math.round(videoHeight * roi);
+        const targetWidth = Math.min(sw, Math.round(this.qrDecodingConfig.maxDecodeWidth * this.decodeScale));
+        const factor = targetWidth / sw;
+
+        return {
+            sx: Math.round((videoWidth - sw) / 2),
+            sy: Math.round((videoHeight - sh) / 2),
+            sw,
+            sh,
+            width: Math.max(Math.round(sw * factor), 1),
+            height: Math.max(Math.round(sh * factor), 1)
+        };
+    }
+
+    decodeFrameInWorker(worker, video, canvas, context, region) {
+        this.decodePending = true;
+
+        // OffscreenCanvas im Worker: Ausschnitt als ImageBitmap übergeben, kein getImageData im UI-Thread
+        if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+            createImageBitmap(video, region.sx, region.sy, region.sw, region.sh, {
+                resizeWidth: region.width,
+                resizeHeight: region.height
+            }).then(bitmap => {
+                worker.postMessage({
+                    id: Date.now(),
+                    bitmap,
+                    width: region.width,
+                    height: region.height,
+                    symbologies: this.qrDecodingConfig.symbologies,
+                    preprocessing: this.scannerSettings.preprocessing
+                }, [bitmap]);
+            }).catch(error => {
+                console.error('Kamerabild für QR-Worker nicht lesbar:', error);
+                this.decodePending = false;
+            });
+            return;
+        }
+
+        const imageData = this.drawDecodeRegion(video, canvas, context, region);
+        worker.postMessage({
+            id: Date.now(),
+            buffer: imageData.data.buffer,
+            width: imageData.width,
+            height: imageData.height,
+            symbologies: this.qrDecodingConfig.symbologies,
+            preprocessing: this.scannerSettings.preprocessing
+        }, [imageData.data.buffer]);
+    }
+
+    decodeFrameOnMainThread(video, canvas, context, region) {
+        const start = performance.now();
+        const imageData = this.drawDecodeRegion(video, canvas, context, region);
+
+        // Code erkennen (gemeinsame Dekodierung aus barcode-decoder.js, Verfügbarkeit wird vor dem Scanner-Start geprüft)
+        const code = window.decodeBarcodeFrame(imageData.data, imageData.width, imageData.height,
+            this.qrDecodingConfig.symbologies, this.scannerSettings.preprocessing);
+
+        this.recordDecodeTiming(performance.now() - start, 'UI-Thread');
+
+        if (code) {
+            this.handleQRCodeDetected(code.data, code.symbology, code.step);
+        }
+    }
+
+    drawDecodeRegion(video, canvas, context, region) {
+        if (canvas.width !== region.width || canvas.height !== region.height) {
+            canvas.width = region.width;
+            canvas.height = region.height;
+        }
+
+        context.drawImage(video, region.sx, region.sy, region.sw, region.sh, 0, 0, region.width, region.height);
+        return context.getImageData(0, 0, region.width, region.height);
+    }
+
+    /**
+     * Dekodier-Dauer erfassen, Downscaling anpassen und Diagnose-Anzeige aktualisieren
+     * @param {number} decodeMs - Dauer der Dekodierung in ms
+     * @param {string} mode - Ausführungsort (Worker, UI-Thread)
+     */
+    recordDecodeTiming(decodeMs, mode) {
+        const stats = this.decodeStats;
+        const now = performance.now();
+
+        stats.mode = mode;
+        stats.lastMs = decodeMs;
+        stats.avgMs = stats.avgMs ? stats.avgMs * 0.9 + decodeMs * 0.1 : decodeMs;
+        stats.frames++;
+
+        // Adaptives Downscaling: langsame Dekodierung → kleineres Bild, schnelle → wieder größer
+        if (stats.avgMs > 60 && this.decodeScale > 0.5) {
+            this.decodeScale = Math.max(this.decodeScale * 0.9, 0.5);
+        } else if (stats.avgMs < 25 && this.decodeScale < 1) {
+            this.decodeScale = Math.min(this.decodeScale * 1.05, 1);
+        }
+
+        if (!stats.windowStart) {
+            stats.windowStart = now;
+        } else if (now - stats.windowStart >= 1000) {
+            stats.fps = stats.frames * 1000 / (now - stats.windowStart);
+            stats.frames = 0;
+            stats.windowStart = now;
+            this.updateDecodeStatsDisplay();
+        }
+    }
+
+    // ===== BILDAUFBEREITUNG =====
+    async loadScannerSettings() {
+        try {
+            const result = await window.electronAPI.scanner.getSettings();
+            this.scannerSettings = { preprocessing: [], ...(result.settings || {}) };
+
+            document.querySelectorAll('[data-preprocessing-step]').forEach(checkbox => {
+                checkbox.checked = this.scannerSettings.preprocessing.includes(checkbox.dataset.preprocessingStep);
+            });
+            if (this.scannerSettings.preprocessing.length > 0) {
+                console.log(`🖼️ Bildaufbereitung für Station ${result.stationId}:`, this.scannerSettings.preprocessing);
+            }
+        } catch (error) {
+            console.error('Scanner-Einstellungen laden fehlgeschlagen:', error);
+        }
+    }
+
+    async saveScannerSettings() {
+        const preprocessing = Array.from(document.querySelectorAll('[data-preprocessing-step]:checked'))
+            .map(checkbox => checkbox.dataset.preprocessingStep);
+
+        try {
+            const result = await window.electronAPI.scanner.saveSettings({ ...this.scannerSettings, preprocessing });
+            if (!result.success) {
+                this.showNotification('error', 'Bildaufbereitung', result.message);
+                return;
+            }
 
-        // Zähle dunkle Pixel
-        for (let i = 0; i < data.length; i += 4) {
-            const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
-            if (brightness < 128) darkPixels++;
+            this.scannerSettings = result.data;
+            this.showNotification('success', 'Bildaufbereitung', result.message, 3000);
+        } catch (error) {
+            console.error('Scanner-Einstellungen speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Scanner-Einstellungen konnten nicht gespeichert werden');
         }
+    }
+
+    /**
+     * Aufbereitungsschritt eines verarbeiteten Codes zählen (Original oder Bildaufbereitung)
+     * @param {string|null} step - raw, contrast, sharpen, threshold, invert
+     */
+    recordDecodeStep(step) {
+        if (!step) return;
+
+        this.decodeStepCounts[step] = (this.decodeStepCounts[step] || 0) + 1;
+
+        const labels = {
+            raw: 'Original',
+            contrast: 'Kontrast',
+            sharpen: 'Schärfen',
+            threshold: 'Schwellwert',
+            invert: 'Invertiert'
+        };
+        document.getElementById('decodeStepStatsText').textContent = Object.entries(this.decodeStepCounts)
+            .map(([name, count]) => `${labels[name] || name} ${count}`)
+            .join(' · ');
+    }
 
-        // QR-Codes haben typischerweise 40-60% dunkle Pixel
-        const darkRatio = darkPixels / totalPixels;
-        return darkRatio > 0.3 && darkRatio < 0.7;
+    resetDecodeStats() {
+        this.decodeStats = { mode: '-', lastMs: 0, avgMs: 0, fps: 0, frames: 0, windowStart: 0 };
+        this.updateDecodeStatsDisplay();
+    }
+
+    updateDecodeStatsDisplay() {
+        const element = document.getElementById('decodeStatsText');
+        if (!element) return;
+
+        const stats = this.decodeStats;
+        element.textContent = stats.fps
+            ? `${Math.round(stats.avgMs)} ms · ${stats.fps.toFixed(1)} FPS · ${stats.mode} · ${Math.round(this.decodeScale * 100)}%`
+            : '-';
     }
 
     updateScannerUI() {
@@ -750,13 +1833,26 @@ class QualitaetskontrolleApp {
         } else {
             startBtn.style.display = 'inline-flex';
             stopBtn.style.display = 'none';
-            statusText.textContent = 'Scanner gestoppt';
+            statusText.textContent = this.decoderAvailable === false ? 'Kamera-Scanner nicht verfügbar' : 'Scanner gestoppt';
             cameraStatus.style.display = 'flex';
         }
+
+        // Licht/Zoom/Fokus nur bei laufender Kamera
+        this.updateCameraAdjustmentControls();
+
+        // Foto-Button hängt vom Kamera-Stream ab
+        this.updateQCResultPanel();
     }
 
     // ===== QR-CODE VERARBEITUNG MIT STRUKTURIERTEN ANTWORTEN =====
-    async handleQRCodeDetected(qrData) {
+    /**
+     * Erkannten Code verarbeiten (Kamera, Hand-Scanner oder manuelle Eingabe)
+     * @param {string} qrData - Code-Inhalt
+     * @param {string|null} symbology - Code-Art des Scans (null bei manueller Eingabe und Hand-Scannern ohne Code-Art)
+     * @param {string|null} decodeStep - Aufbereitungsschritt der Kamera-Dekodierung (raw, contrast, ...)
+     * @param {Object} scanInfo - { manualEntry: Code wurde manuell eingegeben, source: Herkunft des Codes (z.B. keyboard-wedge) }
+     */
+    async handleQRCodeDetected(qrData, symbology = null, decodeStep = null, scanInfo = {}) {
         const now = Date.now();
 
         // Während Session-Reset keine QR-Scans verarbeiten
@@ -789,18 +1885,35 @@ class QualitaetskontrolleApp {
         this.lastProcessedTime = now;
         this.pendingScans.add(qrData);
         this.recentlyScanned.set(qrData, now);
+        this.recordDecodeStep(decodeStep);
+
+        const origin = decodeStep || scanInfo.source;
+        console.log('📄 QR-Code erkannt und wird verarbeitet:', qrData, origin ? `(${origin})` : '');
 
-        console.log('📄 QR-Code erkannt und wird verarbeitet:', qrData);
+        // Eindeutige ID je Scan: erneutes Speichern (Retry, Offline-Nachtrag) liefert die vorhandene Zeile
+        const clientScanId = this.getClientScanId(qrData, now);
 
         try {
             // In Datenbank speichern - gibt jetzt immer strukturierte Antwort zurück
-            const result = await window.electronAPI.qr.saveScan(this.currentUser.sessionId, qrData);
+            const result = await window.electronAPI.qr.saveScan(this.currentUser.sessionId, qrData, {
+                symbology,
+                manualEntry: !!scanInfo.manualEntry,
+                clientScanId
+            });
+
+            // Ergebnis offen (Fehler, Verbindung weg) → ID für das erneute Scannen behalten
+            if (['error', 'database_offline'].includes(result.status)) {
+                this.unconfirmedScans.set(qrData, { clientScanId, since: now });
+            } else {
+                this.unconfirmedScans.delete(qrData);
+            }
 
             // Alle Scan-Ergebnisse anzeigen (Version 1.0.1 Feature)
-            this.handleScanResult(result, qrData);
+            this.handleScanResult(result, qrData, symbology);
 
         } catch (error) {
             console.error('QR-Code Verarbeitung fehlgeschlagen:', error);
+            this.unconfirmedScans.set(qrData, { clientScanId, since: now });
 
             // Auch bei unerwarteten Fehlern strukturierte Antwort erstellen
             const errorResult = {
@@ -811,7 +1924,7 @@ class QualitaetskontrolleApp {
                 timestamp: new Date().toISOString()
             };
 
-            this.handleScanResult(errorResult, qrData);
+            this.handleScanResult(errorResult, qrData, symbology);
 
         } finally {
             // Verarbeitung abgeschlossen - aus Pending-Set entfernen
@@ -819,8 +1932,121 @@ class QualitaetskontrolleApp {
         }
     }
 
+    /**
+     * Client-Scan-ID für einen erkannten Code
+     * Neue ID je Scan - außer der letzte Speicherversuch desselben Codes blieb ohne eindeutiges Ergebnis,
+     * dann ist das erneute Scannen eine Wiederholung desselben Scans und verwendet dessen ID.
+     * @param {string} qrData - Code-Inhalt
+     * @param {number} now - Zeitpunkt des Scans
+     * @returns {string} - UUID
+     */
+    getClientScanId(qrData, now) {
+        const unconfirmed = this.unconfirmedScans.get(qrData);
+        if (unconfirmed && (now - unconfirmed.since) < this.unconfirmedScanWindow) {
+            console.log('🔁 Wiederholung eines nicht bestätigten Scans - gleiche Scan-ID');
+            return unconfirmed.clientScanId;
+        }
+
+        this.unconfirmedScans.delete(qrData);
+        return crypto.randomUUID();
+    }
+
+    // ===== MANUELLE EINGABE =====
+    // Für unlesbare Etiketten: Code über die Bildschirm-Tastatur abtippen
+    // (der RFID-Listener fängt 0-9, A-F und Enter global ab, eine normale Tastatur kommt daher nicht in Frage)
+
+    renderManualEntryKeypad() {
+        const rows = ['1234567890', 'QWERTZUIOP', 'ASDFGHJKL-', 'YXCVBNM^'];
+        const keypad = document.getElementById('manualEntryKeypad');
+
+        keypad.innerHTML = rows.map(row => `
+            <div class="manual-entry-row">
+                ${[...row].map(key => `<button class="manual-entry-key" data-manual-key="${key}">${key}</button>`).join('')}
+            </div>
+        `).join('') + `
+            <div class="manual-entry-row">
+                <button class="manual-entry-key manual-entry-key-wide" data-manual-key="backspace">⌫ Löschen</button>
+                <button class="manual-entry-key manual-entry-key-wide" data-manual-key="clear">Leeren</button>
+            </div>
+        `;
+    }
+
+    openManualEntry() {
+        if (!this.currentUser) {
+            this.showNotification('warning', 'Anmeldung erforderlich', 'Bitte melden Sie sich zuerst mit RFID an');
+            return;
+        }
+
+        this.manualEntry.code = '';
+        this.manualEntry.validation = null;
+        this.updateManualEntry();
+        this.showModal('manualEntryModal');
+    }
+
+    pressManualEntryKey(key) {
+        const entry = this.manualEntry;
+
+        if (key === 'backspace') {
+            entry.code = entry.code.slice(0, -1);
+        } else if (key === 'clear') {
+            entry.code = '';
+        } else if (entry.code.length < 500) {
+            entry.code += key;
+        }
+
+        this.updateManualEntry();
+    }
+
+    /**
+     * Eingabe anzeigen und gegen die bekannten Formate (parseQRCodeData) prüfen
+     */
+    async updateManualEntry() {
+        const entry = this.manualEntry;
+        const code = entry.code;
+        const requestId = ++entry.requestId;
+
+        const display = document.getElementById('manualEntryDisplay');
+        display.textContent = code || 'Code vom Etikett eingeben';
+        display.classList.toggle('empty', !code);
+
+        entry.validation = code ? await window.electronAPI.qr.validateManual(code) : null;
+
+        // Zwischenzeitlich weiter getippt - veraltetes Prüfergebnis verwerfen
+        if (requestId !== entry.requestId) return;
+
+        const validationElement = document.getElementById('manualEntryValidation');
+        const validation = entry.validation;
+
+        if (!validation) {
+            validationElement.className = 'manual-entry-validation';
+            validationElement.textContent = 'Auftrags- oder Paketnummer erforderlich';
+        } else if (validation.isValid) {
+            const decoded = validation.decoded;
+            const parts = [];
+            if (decoded.auftrags_nr) parts.push(`Auftrag: ${decoded.auftrags_nr}`);
+            if (decoded.paket_nr) parts.push(`Paket: ${decoded.paket_nr}`);
+            if (decoded.kunden_id) parts.push(`Kunde: ${decoded.kunden_id}`);
+
+            validationElement.className = 'manual-entry-validation valid';
+            validationElement.textContent = `✅ ${parts.join(' • ')}`;
+        } else {
+            validationElement.className = 'manual-entry-validation invalid';
+            validationElement.textContent = `⚠️ ${validation.message}`;
+        }
+
+        document.getElementById('manualEntrySubmitBtn').disabled = !(validation && validation.isValid);
+    }
+
+    async submitManualEntry() {
+        const validation = this.manualEntry.validation;
+        if (!validation || !validation.isValid || !this.currentUser) return;
+
+        this.hideModal('manualEntryModal');
+        await this.handleQRCodeDetected(validation.code, null, null, { manualEntry: true });
+    }
+
     // ===== STRUKTURIERTE SCAN-RESULT-BEHANDLUNG MIT GETRENNTE ANZEIGE =====
-    handleScanResult(result, qrData) {
+    handleScanResult(result, qrData, symbology = null) {
         const { success, status, message, data, duplicateInfo } = result;
 
         console.log('QR-Scan Ergebnis:', { success, status, message });
@@ -835,7 +2061,7 @@ class QualitaetskontrolleApp {
 
         // 1. AKTUELLER SCAN: Jeden Scan anzeigen (egal ob erfolgreich oder nicht)
         this.currentScan = {
-            id: data?.ID || `temp_${Date.now()}`,
+            id: data?.ID || data?.JournalID || `temp_${Date.now()}`,
             timestamp: new Date(),
             content: qrData,
             user: this.currentUser.name,
@@ -843,7 +2069,9 @@ class QualitaetskontrolleApp {
             message: message,
             success: success,
             duplicateInfo: duplicateInfo,
-            decodedData: decodedData
+            decodedData: decodedData,
+            symbology: (data && data.Symbology) || symbology,
+            manualEntry: !!(data && data.ManualEntry)
         };
 
         this.updateCurrentScanDisplay();
@@ -860,7 +2088,7 @@ class QualitaetskontrolleApp {
 
             if (!isDuplicateInTable) {
                 this.addToSuccessfulScans({
-                    id: data.ID,
+                    id: data.ID || data.JournalID,
                     timestamp: new Date(),
                     content: qrData,
                     user: this.currentUser.name,
@@ -892,7 +2120,24 @@ class QualitaetskontrolleApp {
                 }
             }
 
-            this.showNotification('success', 'QR-Code gespeichert', enhancedMessage);
+            if (status === 'journaled') {
+                this.showNotification('warning', 'Offline gespeichert', enhancedMessage);
+            } else {
+                this.showNotification('success', 'QR-Code gespeichert', enhancedMessage);
+            }
+
+            // Qualitätskontrolle: Panel beim Öffnen des Kartons, danach Workflow-Schritt nachführen
+            // (wiederholter, bereits gespeicherter Scan übernimmt die schon laufende Prüfung)
+            if (result.qcOpenCarton) {
+                this.restoreQCResultPanel(result.qcOpenCarton);
+            } else if (result.qcStatus === 'first_scan') {
+                this.openQCResultPanel(qrData, decodedData, result.qcNextStep, data.ID || data.JournalID);
+                this.showQCLot(decodedData ? decodedData.auftrags_nr : null, result.qcLot);
+                this.showQCChecklist(result.qcChecklist);
+                this.setQCReinspection(result.qcReinspection);
+                this.startCartonTimer(new Date());
+            }
+            this.applyQCWorkflowProgress(result);
         } else {
             // Verschiedene Fehler/Duplikat-Typen
             switch (status) {
@@ -914,6 +2159,55 @@ class QualitaetskontrolleApp {
                     this.showNotification('info', 'Verarbeitung', message);
                     break;
 
+                case 'result_missing':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Prüfergebnis fehlt', message);
+                    this.highlightQCResultPanel();
+                    break;
+
+                case 'photo_missing':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Foto fehlt', message);
+                    this.highlightQCResultPanel();
+                    break;
+
+                case 'confirm_missing':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Bestätigung fehlt', message);
+                    this.highlightQCResultPanel();
+                    break;
+
+                case 'checklist_missing':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Checkliste unvollständig', message);
+                    this.highlightQCChecklistPanel();
+                    break;
+
+                case 'symbology_not_allowed':
+                    this.showScanSuccess(qrData, 'error');
+                    this.showNotification('error', 'Code-Art nicht erlaubt', message);
+                    break;
+
+                case 'manual_entry_invalid':
+                    this.showScanSuccess(qrData, 'error');
+                    this.showNotification('error', 'Eingabe ungültig', message);
+                    break;
+
+                case 'carton_cancelled':
+                    this.showScanSuccess(qrData, 'info');
+                    this.showNotification('warning', 'Karton abgebrochen', 'Prüfung verworfen - nächsten Karton scannen');
+                    break;
+
+                case 'no_active_carton':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Kein Karton', message);
+                    break;
+
+                case 'carton_in_progress':
+                    this.showScanSuccess(qrData, 'duplicate');
+                    this.showNotification('error', 'Karton in Prüfung', message);
+                    break;
+
                 case 'database_offline':
                 case 'error':
                 default:
@@ -923,6 +2217,11 @@ class QualitaetskontrolleApp {
             }
         }
 
+        // Gesperrte Kartons (abgearbeitet/Duplikat) können per Supervisor-Badge freigegeben werden
+        const overridable = !success && (this.qcResultOptions.overridableStatuses || []).includes(status);
+        this.qcOverrideCandidate = overridable ? { rawPayload: qrData, blockedStatus: status } : null;
+        document.getElementById('qcOverrideBtn').style.display = overridable ? 'inline-flex' : 'none';
+
         // Letzte Scan-Zeit aktualisieren
         document.getElementById('lastScanTime').textContent =
             new Date().toLocaleTimeString('de-DE');
@@ -1031,7 +2330,11 @@ class QualitaetskontrolleApp {
         // QR-Code Inhalt (gekürzt für bessere Übersicht)
         const contentPreview = scan.content.length > 150 ?
             scan.content.substring(0, 150) + '...' : scan.content;
-        currentScanContent.textContent = contentPreview;
+        const symbologyLabel = scan.symbology
+            ? (this.qrDecodingConfig.symbologyLabels[scan.symbology] || scan.symbology)
+            : null;
+        const sourceLabel = scan.manualEntry ? 'Manuelle Eingabe' : symbologyLabel;
+        currentScanContent.textContent = sourceLabel ? `[${sourceLabel}] ${contentPreview}` : contentPreview;
 
         currentScanMessage.textContent = scan.message;
     }
@@ -1066,12 +2369,17 @@ class QualitaetskontrolleApp {
             const timeString = scan.timestamp.toLocaleTimeString('de-DE');
             const decoded = scan.decodedData || {};
 
+            const photoCell = scan.photoCount > 0
+                ? `<button class="btn-secondary btn-small" data-photo-scan="${scan.id}" title="Fehlerfotos anzeigen">📷 ${scan.photoCount}</button>`
+                : '-';
+
             return `
                 <tr>
                     <td class="scan-time-col">${timeString}</td>
                     <td class="auftrag-col">${decoded.auftrags_nr || '-'}</td>
                     <td class="kunde-col">${decoded.kunden_name || decoded.kunden_id || '-'}</td>
                     <td class="paket-col">${decoded.paket_nr || '-'}</td>
+                    <td class="foto-col">${photoCell}</td>
                 </tr>
             `;
         }).join('');
@@ -1092,9 +2400,253 @@ class QualitaetskontrolleApp {
         console.log('🗑️ Scan-Historie manuell geleert');
     }
 
+    // ===== SCAN-VERLAUF =====
+    async openScanHistory() {
+        const currentSessionCheckbox = document.getElementById('historyCurrentSession');
+        currentSessionCheckbox.disabled = !this.currentUser;
+        currentSessionCheckbox.checked = !!this.currentUser && !this.scanHistory.opened;
+        this.scanHistory.opened = true;
+
+        this.showScanHistoryList();
+        this.showModal('scanHistoryModal');
+
+        if (!this.scanHistory.usersLoaded) {
+            await this.loadScanHistoryUsers();
+        }
+
+        await this.loadScanHistoryPage(0);
+    }
+
+    async loadScanHistoryUsers() {
+        try {
+            const users = await window.electronAPI.db.getAllUsers();
+            const select = document.getElementById('historyUser');
+
+            select.innerHTML = '<option value="">Alle Benutzer</option>' + users.map(user => `
+                <option value="${user.ID}">${this.escapeHtml(user.FullName || user.BenutzerName)}</option>
+            `).join('');
+            this.scanHistory.usersLoaded = users.length > 0;
+        } catch (error) {
+            console.error('Benutzer für Scan-Verlauf laden fehlgeschlagen:', error);
+        }
+    }
+
+    /**
+     * Filter aus dem Formular lesen
+     * @returns {Object} - { sessionId, options } für qr.searchDecoded
+     */
+    getScanHistoryFilters() {
+        const value = (id) => document.getElementById(id).value.trim();
+
+        let sessionId = parseInt(value('historySessionId')) || null;
+        if (document.getElementById('historyCurrentSession').checked && this.currentUser) {
+            sessionId = this.currentUser.sessionId;
+        }
+
+        // Datumsfelder als lokale Tagesgrenzen (ganzer "Bis"-Tag eingeschlossen)
+        const startDate = value('historyStartDate') ? new Date(`${value('historyStartDate')}T00:00:00`) : null;
+        const endDate = value('historyEndDate') ? new Date(`${value('historyEndDate')}T23:59:59.999`) : null;
+
+        return {
+            sessionId,
+            options: {
+                userId: parseInt(value('historyUser')) || null,
+                startDate: startDate ? startDate.toISOString() : null,
+                endDate: endDate ? endDate.toISOString() : null,
+                auftrag: value('historyAuftrag'),
+                paket: value('historyPaket'),
+                kunde: value('historyKunde'),
+                manualOnly: document.getElementById('historyManualOnly').checked
+            }
+        };
+    }
+
+    async loadScanHistoryPage(page) {
+        const history = this.scanHistory;
+        const { sessionId, options } = this.getScanHistoryFilters();
+        const requestId = ++history.requestId;
+
+        document.getElementById('scanHistoryEmptyText').textContent = 'Scans werden geladen...';
+        document.getElementById('scanHistoryEmpty').style.display = 'block';
+
+        try {
+            // Einen Scan mehr abrufen um zu erkennen, ob es eine weitere Seite gibt
+            const scans = await window.electronAPI.qr.searchDecoded('', sessionId, {
+                ...options,
+                limit: history.pageSize + 1,
+                offset: page * history.pageSize
+            });
+
+            // Zwischenzeitlich neu gesucht - veraltetes Ergebnis verwerfen
+            if (requestId !== history.requestId) return;
+
+            history.page = page;
+            history.hasMore = scans.length > history.pageSize;
+            history.scans = scans.slice(0, history.pageSize);
+            this.renderScanHistory();
+        } catch (error) {
+            console.error('Scan-Verlauf laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Scan-Verlauf', 'Scans konnten nicht geladen werden');
+        }
+    }
+
+    renderScanHistory() {
+        const history = this.scanHistory;
+        const tableBody = document.getElementById('scanHistoryTableBody');
+
+        document.getElementById('scanHistoryEmptyText').textContent = 'Keine Scans gefunden';
+        document.getElementById('scanHistoryEmpty').style.display = history.scans.length === 0 ? 'block' : 'none';
+        document.getElementById('historyPageText').textContent = `Seite ${history.page + 1}`;
+        document.getElementById('historyPrevBtn').disabled = history.page === 0;
+        document.getElementById('historyNextBtn').disabled = !history.hasMore;
+
+        const filterLink = (field, value, text = value) => value
+            ? `<button class="history-filter-link" data-history-filter="${field}" data-value="${this.escapeHtml(value)}" title="Als Filter übernehmen">${this.escapeHtml(text)}</button>`
+            : '-';
+
+        tableBody.innerHTML = history.scans.map(scan => {
+            const decoded = scan.DecodedData || {};
+            const status = this.getHistoryScanStatus(scan);
+
+            return `
+                <tr>
+                    <td class="scan-time-col">${new Date(scan.CapturedTS).toLocaleString('de-DE')}</td>
+                    <td>${filterLink('session', String(scan.SessionID))}</td>
+                    <td>${filterLink('user', scan.UserID ? String(scan.UserID) : '', scan.UserFullName || scan.BenutzerName || String(scan.UserID))}</td>
+                    <td class="auftrag-col">${filterLink('auftrag', decoded.auftrags_nr)}</td>
+                    <td class="kunde-col">${filterLink('kunde', decoded.kunden_id || decoded.kunden_name)}</td>
+                    <td class="paket-col">${filterLink('paket', decoded.paket_nr)}</td>
+                    <td><span class="scan-history-status ${status.cssClass}">${status.text}</span></td>
+                    <td><button class="btn-secondary btn-small" data-history-detail="${scan.ID}">Details</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Status eines gespeicherten Scans für den Verlauf
+     * @param {Object} scan - Scan aus qr.searchDecoded
+     * @returns {Object} - { text, cssClass }
+     */
+    getHistoryScanStatus(scan) {
+        if (!scan.Valid) {
+            return { text: '❌ Ungültig', cssClass: 'invalid' };
+        }
+
+        const qcResult = scan.QcResult ? this.getQCResultConfig(scan.QcResult) : null;
+        const qcText = (qcResult ? ` • ${[qcResult.icon, qcResult.name].filter(Boolean).join(' ')}` : '') +
+            (scan.ManualEntry ? ' • ✍️ Manuell' : '');
+
+        if (scan.OverrideID) {
+            return { text: `🔑 Freigabe${qcText}`, cssClass: 'override' };
+        }
+        return { text: `✅ Gültig${qcText}`, cssClass: 'valid' };
+    }
+
+    /**
+     * Wert aus der Trefferliste als Filter übernehmen und neu suchen
+     */
+    applyScanHistoryFilter(field, value) {
+        const inputs = {
+            session: 'historySessionId',
+            user: 'historyUser',
+            auftrag: 'historyAuftrag',
+            paket: 'historyPaket',
+            kunde: 'historyKunde'
+        };
+
+        if (field === 'session') {
+            document.getElementById('historyCurrentSession').checked = false;
+        }
+        document.getElementById(inputs[field]).value = value;
+        this.loadScanHistoryPage(0);
+    }
+
+    resetScanHistoryFilters() {
+        document.querySelectorAll('#scanHistoryFilters input, #scanHistoryFilters select').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = false;
+            } else {
+                input.value = '';
+            }
+        });
+        this.loadScanHistoryPage(0);
+    }
+
+    showScanHistoryDetail(scanId) {
+        const scan = this.scanHistory.scans.find(entry => entry.ID === scanId);
+        if (!scan) return;
+
+        const decoded = scan.DecodedData || {};
+        const status = this.getHistoryScanStatus(scan);
+        const symbologyLabels = this.qrDecodingConfig.symbologyLabels || {};
+        const defects = (scan.QcDefectCategories || []).map(categoryId => {
+            const category = this.qcResultOptions.defectCategories.find(entry => entry.id === categoryId);
+            return category ? category.name : categoryId;
+        });
+
+        const fields = [
+            ['Scan-ID', scan.ID],
+            ['Zeitpunkt', new Date(scan.CapturedTS).toLocaleString('de-DE')],
+            ['Status', status.text],
+            ['Auftrags-ID', decoded.auftrags_nr],
+            ['Paket-ID', decoded.paket_nr],
+            ['Kunden-ID', decoded.kunden_id],
+            ['Kunde', decoded.kunden_name],
+            ['Format', scan.Format],
+            ['Erfassung', scan.ManualEntry ? 'Manuelle Eingabe' : 'Scan'],
+            ['Code-Art', scan.Symbology ? (symbologyLabels[scan.Symbology] || scan.Symbology) : null],
+            ['Session', `${scan.SessionID}${scan.SessionTypeName ? ` (${scan.SessionTypeName})` : ''}`],
+            ['Benutzer', scan.UserFullName || scan.BenutzerName],
+            ['Supervisor-Freigabe', scan.OverrideID ? `Freigabe ${scan.OverrideID}` : null],
+            ['QC-Scan', scan.QcScanRole ? (scan.QcScanRole === 'confirm' ? 'Abschluss-Scan' : 'Prüf-Scan') : null],
+            ['Fehlerkategorien', defects.length > 0 ? defects.join(', ') : null],
+            ['Bemerkung', scan.QcNotes]
+        ];
+
+        document.getElementById('scanHistoryDetailFields').innerHTML = fields
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`)
+            .join('') + (scan.PhotoCount > 0
+            ? `<dt>Fotos</dt><dd><button class="btn-secondary btn-small" data-photo-scan="${scan.ID}">📷 ${scan.PhotoCount} anzeigen</button></dd>`
+            : '');
+        document.getElementById('scanHistoryDetailRaw').textContent = scan.RawPayload;
+
+        document.getElementById('scanHistoryList').style.display = 'none';
+        document.getElementById('scanHistoryFilters').style.display = 'none';
+        document.getElementById('scanHistoryDetail').style.display = 'block';
+    }
+
+    showScanHistoryList() {
+        document.getElementById('scanHistoryDetail').style.display = 'none';
+        document.getElementById('scanHistoryFilters').style.display = '';
+        document.getElementById('scanHistoryList').style.display = '';
+    }
+
+    /**
+     * Text für die Ausgabe in innerHTML maskieren (Scan-Inhalte stammen aus fremden Etiketten)
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     getScanStatusInfo(scan) {
         const { success, status, duplicateInfo } = scan;
 
+        if (success && status === 'journaled') {
+            return {
+                cssClass: 'scan-success',
+                icon: '💾',
+                label: 'Offline gespeichert',
+                color: '#fd7e14'
+            };
+        }
+
         if (success) {
             return {
                 cssClass: 'scan-success',
@@ -1133,11 +2685,83 @@ class QualitaetskontrolleApp {
                     color: '#17a2b8'
                 };
 
-            case 'database_offline':
+            case 'result_missing':
                 return {
-                    cssClass: 'scan-error',
-                    icon: '💾',
-                    label: 'DB Offline',
+                    cssClass: 'scan-info',
+                    icon: '🧪',
+                    label: 'Prüfergebnis fehlt',
+                    color: '#fd7e14'
+                };
+
+            case 'photo_missing':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '📷',
+                    label: 'Foto fehlt',
+                    color: '#fd7e14'
+                };
+
+            case 'confirm_missing':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '☑️',
+                    label: 'Bestätigung fehlt',
+                    color: '#fd7e14'
+                };
+
+            case 'checklist_missing':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '📋',
+                    label: 'Checkliste offen',
+                    color: '#fd7e14'
+                };
+
+            case 'symbology_not_allowed':
+                return {
+                    cssClass: 'scan-error',
+                    icon: '🚫',
+                    label: 'Code-Art gesperrt',
+                    color: '#dc3545'
+                };
+
+            case 'manual_entry_invalid':
+                return {
+                    cssClass: 'scan-error',
+                    icon: '✍️',
+                    label: 'Eingabe ungültig',
+                    color: '#dc3545'
+                };
+
+            case 'carton_cancelled':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '✖',
+                    label: 'Karton abgebrochen',
+                    color: '#6c757d'
+                };
+
+            case 'no_active_carton':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '📦',
+                    label: 'Kein Karton',
+                    color: '#fd7e14'
+                };
+
+            case 'carton_in_progress':
+                return {
+                    cssClass: 'scan-duplicate',
+                    icon: '🚫',
+                    label: 'In Prüfung',
+                    color: '#dc3545'
+                };
+
+            case 'database_offline':
+                return {
+                    cssClass: 'scan-error',
+                    icon: '💾',
+                    label: 'DB Offline',
                     color: '#dc3545'
                 };
 
@@ -1152,6 +2776,720 @@ class QualitaetskontrolleApp {
         }
     }
 
+    // ===== QC PRÜFERGEBNIS =====
+    async loadQCResultOptions() {
+        try {
+            this.qcResultOptions = await window.electronAPI.qc.getResultOptions();
+            this.renderQCResultOptions();
+        } catch (error) {
+            console.error('Prüfergebnis-Optionen laden fehlgeschlagen:', error);
+        }
+    }
+
+    renderQCResultOptions() {
+        document.getElementById('qcResultButtons').innerHTML = this.qcResultOptions.results.map(result => `
+            <button class="qc-result-btn result-${result.color}" data-result="${result.id}" title="${result.description}">
+                ${result.icon} ${result.name}
+            </button>
+        `).join('');
+
+        document.getElementById('qcDefectCategories').innerHTML = this.qcResultOptions.defectCategories.map(category => `
+            <button class="qc-defect-chip" data-defect="${category.id}">
+                ${category.icon} ${category.name}
+            </button>
+        `).join('');
+
+        const aqlDefaults = this.qcResultOptions.aqlDefaults || {};
+        document.getElementById('qcLotAql').innerHTML = (this.qcResultOptions.aqlValues || []).map(aql => `
+            <option value="${aql}" ${aql === aqlDefaults.aql ? 'selected' : ''}>AQL ${aql}</option>
+        `).join('');
+        document.getElementById('qcLotLevel').innerHTML = (this.qcResultOptions.inspectionLevels || []).map(level => `
+            <option value="${level}" ${level === aqlDefaults.inspectionLevel ? 'selected' : ''}>Niveau ${level}</option>
+        `).join('');
+
+        document.getElementById('qcOverrideReason').innerHTML = (this.qcResultOptions.overrideReasons || []).map(reason => `
+            <option value="${reason.id}">${reason.name}</option>
+        `).join('');
+    }
+
+    openQCResultPanel(qrData, decodedData, nextStep = null, scanId = null) {
+        this.qcPendingCarton = {
+            content: qrData,
+            decodedData: decodedData,
+            scanId: scanId,
+            result: null,
+            defectCategories: new Set(),
+            saved: false,
+            nextStep: nextStep,
+            photos: []
+        };
+
+        document.getElementById('qcResultNotes').value = '';
+        document.getElementById('qcPhotoThumbs').innerHTML = '';
+        this.setQCReinspection(null);
+        document.getElementById('qcResultPanel').style.display = 'block';
+        this.updateQCResultPanel();
+    }
+
+    restoreQCResultPanel(openCarton) {
+        this.openQCResultPanel(openCarton.rawPayload, openCarton.decodedData, openCarton.qcNextStep, openCarton.firstScanId);
+        this.showQCLot(openCarton.decodedData ? openCarton.decodedData.auftrags_nr : null, openCarton.qcLot);
+        this.showQCChecklist(openCarton.qcChecklist);
+        this.setQCReinspection(openCarton.qcReinspection);
+        this.startCartonTimer(new Date(openCarton.startedTS));
+        this.qcPendingCarton.restoredPhotoCount = openCarton.photoCount || 0;
+
+        const qcResult = openCarton.qcResult;
+        if (qcResult) {
+            this.qcPendingCarton.result = qcResult.Result;
+            this.qcPendingCarton.defectCategories = new Set(qcResult.DefectCategories || []);
+            this.qcPendingCarton.saved = true;
+            document.getElementById('qcResultNotes').value = qcResult.Notes || '';
+            this.updateQCResultPanel();
+        }
+
+        this.showNotification('warning', 'Offener Karton',
+            'Prüfung eines Kartons wurde nicht abgeschlossen und wiederhergestellt', 6000);
+    }
+
+    setQCReinspection(reinspection) {
+        const roundElement = document.getElementById('qcResultRound');
+
+        if (!reinspection) {
+            roundElement.style.display = 'none';
+            return;
+        }
+
+        const previous = this.getQCResultConfig(reinspection.previousResult);
+        roundElement.textContent = `🔁 Nachprüfung (Runde ${reinspection.round})`;
+        roundElement.style.display = 'inline-block';
+
+        if (previous) {
+            this.showNotification('warning', 'Nachprüfung',
+                `Karton war beanstandet (${previous.icon} ${previous.name}) - Nachprüfung Runde ${reinspection.round}`, 6000);
+        }
+    }
+
+    async loadQCStats() {
+        try {
+            const startOfDay = new Date();
+            startOfDay.setHours(0, 0, 0, 0);
+
+            const stats = await window.electronAPI.qc.getStats(startOfDay.toISOString());
+            const statsElement = document.getElementById('qcStatsText');
+
+            if (!stats) {
+                statsElement.textContent = '-';
+                return;
+            }
+
+            const rework = stats.rework;
+            statsElement.textContent =
+                `FPY ${rework.FirstPassYield}% (${rework.FirstPassCount}/${rework.FirstInspections}) • ` +
+                `${rework.RejectedCount} beanstandet • ${rework.ReinspectionCount} nachgeprüft • ` +
+                `${rework.ReworkQueueCount} in Nacharbeit • ${stats.abandoned.AbandonedCount} abgebrochen`;
+
+            const durations = stats.durations ? stats.durations.overall : null;
+            if (durations && durations.AvgSeconds !== null) {
+                statsElement.textContent += ` • Ø ${this.formatDuration(durations.AvgSeconds)} je Karton`;
+            }
+
+            const manualEntries = stats.manualEntries ? stats.manualEntries.overall : null;
+            if (manualEntries && manualEntries.ManualCount > 0) {
+                statsElement.textContent += ` • ${manualEntries.ManualCount} manuell eingegeben`;
+            }
+        } catch (error) {
+            console.error('QC-Kennzahlen laden fehlgeschlagen:', error);
+        }
+    }
+
+    resetQCResultPanel() {
+        this.qcPendingCarton = null;
+        document.getElementById('qcResultPanel').style.display = 'none';
+        this.resetQCChecklistPanel();
+        this.stopCartonTimer();
+    }
+
+    /**
+     * Workflow-Fortschritt aus einer Main-Antwort übernehmen (Scan, Ergebnis, Bestätigung)
+     */
+    applyQCWorkflowProgress(result) {
+        if (result.qcCompleted) {
+            if (result.qcLot) {
+                this.updateQCLot(result.qcLot);
+            }
+            const duration = this.formatDuration(this.getCartonElapsedSeconds());
+            this.loadQCStats();
+            this.resetQCResultPanel();
+            this.showNotification('success', 'Karton abgeschlossen', `Prüfung abgeschlossen in ${duration} - nächsten Karton scannen`);
+            this.updateInstructionText('QR-Code vor die Kamera halten um Pakete zu erfassen');
+            return;
+        }
+
+        if (this.qcPendingCarton && result.qcNextStep !== undefined) {
+            this.qcPendingCarton.nextStep = result.qcNextStep;
+            this.updateQCResultPanel();
+        }
+    }
+
+    highlightQCResultPanel() {
+        const panel = document.getElementById('qcResultPanel');
+        panel.classList.remove('attention');
+        // Reflow erzwingen damit die Animation erneut startet
+        void panel.offsetWidth;
+        panel.classList.add('attention');
+    }
+
+    selectQCResult(resultId) {
+        if (!this.qcPendingCarton) return;
+
+        this.qcPendingCarton.result = resultId;
+        this.qcPendingCarton.saved = false;
+        this.updateQCResultPanel();
+    }
+
+    toggleQCDefect(defectId) {
+        if (!this.qcPendingCarton) return;
+
+        const defects = this.qcPendingCarton.defectCategories;
+        if (defects.has(defectId)) {
+            defects.delete(defectId);
+        } else {
+            defects.add(defectId);
+        }
+        this.qcPendingCarton.saved = false;
+        this.updateQCResultPanel();
+    }
+
+    getQCResultConfig(resultId) {
+        return this.qcResultOptions.results.find(result => result.id === resultId) || null;
+    }
+
+    updateQCResultPanel() {
+        const carton = this.qcPendingCarton;
+        if (!carton) return;
+
+        const decoded = carton.decodedData || {};
+        const cartonParts = [];
+        if (decoded.auftrags_nr) cartonParts.push(`Auftrag: ${decoded.auftrags_nr}`);
+        if (decoded.paket_nr) cartonParts.push(`Paket: ${decoded.paket_nr}`);
+        document.getElementById('qcResultCarton').textContent =
+            cartonParts.length > 0 ? cartonParts.join(' • ') : carton.content.substring(0, 60);
+
+        document.querySelectorAll('#qcResultButtons [data-result]').forEach(button => {
+            button.classList.toggle('selected', button.dataset.result === carton.result);
+        });
+
+        document.querySelectorAll('#qcDefectCategories [data-defect]').forEach(chip => {
+            chip.classList.toggle('selected', carton.defectCategories.has(chip.dataset.defect));
+        });
+
+        const config = this.getQCResultConfig(carton.result);
+        const requiresDefects = config ? config.requiresDefects : false;
+        document.getElementById('qcDefectSection').style.display = requiresDefects ? 'block' : 'none';
+
+        const canSubmit = !!config && (!requiresDefects || carton.defectCategories.size > 0);
+        document.getElementById('qcSubmitResultBtn').disabled = !canSubmit;
+
+        const nextStep = carton.nextStep;
+        document.getElementById('qcConfirmBtn').style.display =
+            nextStep && nextStep.action === 'confirm' ? 'inline-block' : 'none';
+
+        // Fotos bei Beanstandung oder wenn der Workflow ein Foto verlangt
+        const photoCount = carton.photos.length + (carton.restoredPhotoCount || 0);
+        const photoRequested = requiresDefects || (nextStep && nextStep.action === 'photo') || photoCount > 0;
+        document.getElementById('qcPhotoSection').style.display = photoRequested ? 'flex' : 'none';
+        document.getElementById('qcPhotoCount').textContent = photoCount > 0 ? `${photoCount} Foto(s)` : '';
+        const captureButton = document.getElementById('qcCapturePhotoBtn');
+        captureButton.disabled = !this.scannerActive;
+        captureButton.title = this.scannerActive ? 'Standbild aus der Scanner-Kamera speichern' : 'Scanner starten um Fotos aufzunehmen';
+
+        const panel = document.getElementById('qcResultPanel');
+        panel.classList.toggle('result-saved', carton.saved);
+
+        let statusText = nextStep ? `Nächster Schritt: ${nextStep.label}` : 'Ergebnis wählen';
+        if (requiresDefects && carton.defectCategories.size === 0) {
+            statusText = 'Mindestens eine Fehlerkategorie wählen';
+        } else if (carton.saved && config) {
+            statusText = `${config.icon} ${config.name} gespeichert - ${statusText}`;
+        }
+        document.getElementById('qcResultStatus').textContent = statusText;
+        if (nextStep) {
+            this.updateInstructionText(nextStep.label);
+        }
+    }
+
+    async submitQCResult() {
+        const carton = this.qcPendingCarton;
+        if (!carton || !carton.result || !this.currentUser) return;
+
+        const submitButton = document.getElementById('qcSubmitResultBtn');
+        submitButton.disabled = true;
+
+        try {
+            const result = await window.electronAPI.qc.submitResult(this.currentUser.sessionId, {
+                result: carton.result,
+                defectCategories: Array.from(carton.defectCategories),
+                notes: document.getElementById('qcResultNotes').value
+            });
+
+            if (result.success) {
+                carton.saved = true;
+                this.showNotification('success', 'Prüfergebnis gespeichert', result.message);
+                this.applyQCWorkflowProgress(result);
+            } else {
+                this.showNotification('error', 'Prüfergebnis', result.message);
+                if (result.status === 'checklist_missing') {
+                    this.highlightQCChecklistPanel();
+                }
+            }
+        } catch (error) {
+            console.error('Prüfergebnis speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Prüfergebnis konnte nicht gespeichert werden');
+        } finally {
+            this.updateQCResultPanel();
+        }
+    }
+
+    async captureQCPhoto() {
+        const carton = this.qcPendingCarton;
+        if (!carton || !this.currentUser) return;
+
+        const video = document.getElementById('scannerVideo');
+        if (!this.scannerActive || !video.videoWidth || !video.videoHeight) {
+            this.showNotification('warning', 'Foto', 'Scanner starten um Fotos aufzunehmen');
+            return;
+        }
+
+        const captureButton = document.getElementById('qcCapturePhotoBtn');
+        captureButton.disabled = true;
+
+        try {
+            // Standbild über das (versteckte) Scanner-Canvas erzeugen
+            const canvas = document.getElementById('scannerCanvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+
+            const result = await window.electronAPI.qc.savePhoto(this.currentUser.sessionId, {
+                dataUrl: dataUrl,
+                width: canvas.width,
+                height: canvas.height
+            });
+
+            if (result.success) {
+                carton.photos.push(dataUrl);
+                this.addQCPhotoThumb(dataUrl);
+                this.incrementScanPhotoCount(carton.scanId);
+                this.showNotification('success', 'Foto gespeichert', `Foto ${carton.photos.length} zum Karton gespeichert`);
+                this.applyQCWorkflowProgress(result);
+            } else {
+                this.showNotification('error', 'Foto', result.message);
+            }
+        } catch (error) {
+            console.error('Foto speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Foto konnte nicht gespeichert werden');
+        } finally {
+            this.updateQCResultPanel();
+        }
+    }
+
+    addQCPhotoThumb(dataUrl) {
+        const thumb = document.createElement('img');
+        thumb.className = 'qc-photo-thumb';
+        thumb.src = dataUrl;
+        thumb.alt = 'Fehlerfoto';
+        document.getElementById('qcPhotoThumbs').appendChild(thumb);
+    }
+
+    incrementScanPhotoCount(scanId) {
+        const scan = this.successfulScans.find(entry => entry.id === scanId);
+        if (scan) {
+            scan.photoCount = (scan.photoCount || 0) + 1;
+            this.updateSuccessfulScansTable();
+        }
+    }
+
+    async showQCPhotos(scanId) {
+        const gallery = document.getElementById('qcPhotoGallery');
+        gallery.innerHTML = '<p>Fotos werden geladen...</p>';
+        this.showModal('qcPhotoModal');
+
+        try {
+            const photos = await window.electronAPI.qc.getPhotos(scanId);
+
+            if (photos.length === 0) {
+                gallery.innerHTML = '<p>Keine Fotos vorhanden</p>';
+                return;
+            }
+
+            gallery.innerHTML = photos.map(photo => `
+                <figure class="qc-photo-figure">
+                    <img src="${photo.DataUrl}" alt="Fehlerfoto ${photo.ID}">
+                    <figcaption>${new Date(photo.CreatedTS).toLocaleString('de-DE')}</figcaption>
+                </figure>
+            `).join('');
+        } catch (error) {
+            console.error('Fotos laden fehlgeschlagen:', error);
+            gallery.innerHTML = '<p>Fotos konnten nicht geladen werden</p>';
+        }
+    }
+
+    // ===== CHECKLISTE =====
+    showQCChecklist(checklist) {
+        if (!checklist || !checklist.items || checklist.items.length === 0) {
+            this.resetQCChecklistPanel();
+            return;
+        }
+
+        this.qcChecklist = { items: checklist.items, answers: checklist.answers || {} };
+        this.renderQCChecklist();
+    }
+
+    renderQCChecklist() {
+        const panel = document.getElementById('qcChecklistPanel');
+        const checklist = this.qcChecklist;
+        if (!checklist) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const container = document.getElementById('qcChecklistItems');
+        container.innerHTML = '';
+
+        for (const item of checklist.items) {
+            const answer = checklist.answers[item.ID] || '';
+            const row = document.createElement('div');
+            row.className = `qc-checklist-item${item.Mandatory ? ' mandatory' : ''}`;
+            row.dataset.itemId = item.ID;
+
+            const label = document.createElement('span');
+            label.className = 'qc-checklist-label';
+            label.textContent = item.Label;
+            row.appendChild(label);
+
+            if (item.AnswerType === 'yes_no') {
+                for (const [value, text] of [['yes', '✔ Ja'], ['no', '✖ Nein']]) {
+                    const button = document.createElement('button');
+                    button.className = `qc-checklist-answer answer-${value}${answer === value ? ' selected' : ''}`;
+                    button.dataset.answer = value;
+                    button.textContent = text;
+                    row.appendChild(button);
+                }
+            } else {
+                const input = document.createElement('input');
+                input.type = item.AnswerType === 'number' ? 'number' : 'text';
+                input.maxLength = 500;
+                input.value = answer;
+                input.placeholder = item.AnswerType === 'number' ? 'Anzahl / Wert' : 'Antwort';
+                input.dataset.itemInput = 'true';
+                row.appendChild(input);
+            }
+
+            container.appendChild(row);
+        }
+
+        const mandatoryItems = checklist.items.filter(item => item.Mandatory);
+        const answeredCount = mandatoryItems.filter(item => checklist.answers[item.ID]).length;
+        const complete = answeredCount === mandatoryItems.length;
+
+        document.getElementById('qcChecklistStatus').textContent = mandatoryItems.length > 0
+            ? `${answeredCount} von ${mandatoryItems.length} Pflichtpunkten beantwortet`
+            : 'Keine Pflichtpunkte';
+        panel.classList.toggle('checklist-complete', complete);
+        panel.style.display = 'block';
+    }
+
+    async saveQCChecklistAnswer(itemId, answer) {
+        if (!this.qcChecklist || !this.currentUser) return;
+
+        try {
+            const result = await window.electronAPI.qc.saveChecklist(this.currentUser.sessionId, { [itemId]: answer });
+
+            if (result.success) {
+                this.qcChecklist.answers = result.data.answers;
+            } else {
+                this.showNotification('error', 'Checkliste', result.message);
+            }
+        } catch (error) {
+            console.error('Checkliste speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Checkliste konnte nicht gespeichert werden');
+        } finally {
+            this.renderQCChecklist();
+        }
+    }
+
+    highlightQCChecklistPanel() {
+        const panel = document.getElementById('qcChecklistPanel');
+        panel.classList.remove('attention');
+        // Reflow erzwingen damit die Animation erneut startet
+        void panel.offsetWidth;
+        panel.classList.add('attention');
+    }
+
+    resetQCChecklistPanel() {
+        this.qcChecklist = null;
+        document.getElementById('qcChecklistItems').innerHTML = '';
+        document.getElementById('qcChecklistPanel').style.display = 'none';
+    }
+
+    async importQCChecklists(file) {
+        try {
+            const result = await window.electronAPI.qc.importChecklists(await file.text());
+
+            if (result.data && result.data.errors.length > 0) {
+                console.warn('Checklisten-Import Fehler:', result.data.errors);
+            }
+            this.showNotification(result.success ? 'success' : 'error', 'Checklisten-Import', result.message);
+        } catch (error) {
+            console.error('Checklisten-Import fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Checklisten konnten nicht importiert werden');
+        }
+    }
+
+    // ===== AQL-PRÜFLOS =====
+    showQCLot(auftragsNr, lot) {
+        if (!auftragsNr) {
+            // Karton ohne Auftragsnummer: kein Prüflos
+            this.resetQCLotPanel();
+            return;
+        }
+
+        this.qcCurrentLot = { auftragsNr, lot: lot || null };
+        this.renderQCLot();
+    }
+
+    updateQCLot(lot) {
+        if (!this.qcCurrentLot || this.qcCurrentLot.auftragsNr !== lot.AuftragsNr) {
+            this.qcCurrentLot = { auftragsNr: lot.AuftragsNr, lot };
+        } else {
+            this.qcCurrentLot.lot = lot;
+        }
+        this.renderQCLot();
+
+        if (lot.decisionChanged) {
+            if (lot.Status === 'accepted') {
+                this.showNotification('success', 'Los angenommen',
+                    `Auftrag ${lot.AuftragsNr}: ${lot.DefectCount} Fehler bei ${lot.InspectedCount} Stichproben`, 8000);
+            } else if (lot.Status === 'rejected') {
+                this.showNotification('error', 'Los abgelehnt',
+                    `Auftrag ${lot.AuftragsNr}: ${lot.DefectCount} Fehler - Rückweisezahl ${lot.RejectNumber} erreicht`, 8000);
+            }
+        }
+    }
+
+    renderQCLot() {
+        const panel = document.getElementById('qcLotPanel');
+        const current = this.qcCurrentLot;
+        if (!current) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const lot = current.lot;
+        const badge = document.getElementById('qcLotBadge');
+        const statusLabels = { open: 'Offen', accepted: 'Angenommen', rejected: 'Abgelehnt' };
+
+        panel.style.display = 'block';
+        document.getElementById('qcLotOrder').textContent = `Auftrag ${current.auftragsNr}`;
+        document.getElementById('qcLotForm').style.display = lot ? 'none' : 'flex';
+
+        if (!lot) {
+            badge.className = 'qc-lot-badge';
+            badge.textContent = 'Kein Prüfplan';
+            document.getElementById('qcLotProgressFill').style.width = '0%';
+            document.getElementById('qcLotSummary').textContent = 'Losgröße für diesen Auftrag erfassen um den Stichprobenplan zu berechnen';
+            return;
+        }
+
+        badge.className = `qc-lot-badge lot-${lot.Status}`;
+        badge.textContent = statusLabels[lot.Status] || lot.Status;
+        document.getElementById('qcLotProgressFill').style.width =
+            `${Math.min(100, Math.round(lot.InspectedCount / lot.SampleSize * 100))}%`;
+        document.getElementById('qcLotSummary').textContent =
+            `${lot.InspectedCount} von ${lot.SampleSize} Stichproben geprüft, ${lot.DefectCount} Fehler ` +
+            `(Annahme ≤ ${lot.AcceptNumber}, Rückweisung ≥ ${lot.RejectNumber}) • ` +
+            `Los ${lot.LotSize}, AQL ${lot.AQL}, Niveau ${lot.InspectionLevel}`;
+    }
+
+    resetQCLotPanel() {
+        this.qcCurrentLot = null;
+        document.getElementById('qcLotSize').value = '';
+        document.getElementById('qcLotPanel').style.display = 'none';
+    }
+
+    async saveQCLot() {
+        if (!this.qcCurrentLot) return;
+
+        const auftragsNr = this.qcCurrentLot.auftragsNr;
+        try {
+            const result = await window.electronAPI.qc.saveLot({
+                auftragsNr,
+                lotSize: parseInt(document.getElementById('qcLotSize').value),
+                aql: parseFloat(document.getElementById('qcLotAql').value),
+                inspectionLevel: document.getElementById('qcLotLevel').value
+            });
+
+            if (result.success) {
+                this.showNotification('success', 'Prüfplan gespeichert', result.message);
+                this.updateQCLot(result.data);
+            } else {
+                this.showNotification('error', 'Prüfplan', result.message);
+            }
+        } catch (error) {
+            console.error('Prüfplan speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Prüfplan konnte nicht gespeichert werden');
+        }
+    }
+
+    async importQCLots(file) {
+        try {
+            const result = await window.electronAPI.qc.importLots(await file.text());
+
+            if (result.data && result.data.errors.length > 0) {
+                console.warn('Prüflos-Import Fehler:', result.data.errors);
+            }
+            this.showNotification(result.success ? 'success' : 'error', 'Prüflos-Import', result.message);
+
+            // Angezeigtes Los aktualisieren falls es importiert wurde
+            if (result.success && this.qcCurrentLot) {
+                const lot = await window.electronAPI.qc.getLot(this.qcCurrentLot.auftragsNr);
+                if (lot) {
+                    this.updateQCLot(lot);
+                }
+            }
+        } catch (error) {
+            console.error('Prüflos-Import fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Prüflose konnten nicht importiert werden');
+        }
+    }
+
+    async cancelQCCarton() {
+        if (!this.qcPendingCarton || !this.currentUser) return;
+
+        if (!confirm('Karton-Prüfung wirklich abbrechen? Der Karton muss danach neu gescannt werden.')) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.qc.cancelCarton(this.currentUser.sessionId);
+
+            if (result.success) {
+                this.showNotification('warning', 'Karton abgebrochen', 'Prüfung verworfen - nächsten Karton scannen');
+            } else {
+                this.showNotification('error', 'Abbrechen', result.message);
+            }
+        } catch (error) {
+            console.error('Karton abbrechen fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Karton konnte nicht abgebrochen werden');
+        }
+    }
+
+    /**
+     * Panel nach Abbruch des Kartons zurücksetzen (Event aus dem Main-Prozess)
+     */
+    handleQCCartonAbandoned(data) {
+        if (this.currentUser && data.sessionId !== this.currentUser.sessionId) return;
+
+        // Abgebrochener Code darf sofort erneut gescannt werden
+        if (data.rawPayload) {
+            this.recentlyScanned.delete(data.rawPayload);
+        }
+
+        this.resetQCResultPanel();
+        this.resetQCLotPanel();
+        this.loadQCStats();
+        this.updateInstructionText('QR-Code vor die Kamera halten um Pakete zu erfassen');
+
+        if (data.reason === 'timeout') {
+            this.showNotification('warning', 'Zeitüberschreitung', 'Karton-Prüfung wegen Inaktivität abgebrochen', 6000);
+        } else if (data.reason === 'offline_rejected') {
+            this.showNotification('warning', 'Offline-Karton abgewiesen',
+                'Offline geprüfter Karton konnte nicht übertragen werden - bitte neu scannen', 8000);
+        }
+    }
+
+    // ===== SUPERVISOR-FREIGABE =====
+    openQCOverrideModal() {
+        if (!this.qcOverrideCandidate) return;
+
+        document.getElementById('qcOverrideCarton').textContent = this.qcOverrideCandidate.rawPayload.substring(0, 150);
+        document.getElementById('qcOverrideNotes').value = '';
+        document.getElementById('qcOverrideStartBtn').disabled = false;
+        this.setQCOverrideStatus('', '');
+        this.showModal('qcOverrideModal');
+    }
+
+    closeQCOverrideModal() {
+        // Wartet der Main-Prozess noch auf den Badge, wird die Freigabe dort abgebrochen
+        window.electronAPI.qc.cancelOverride();
+        this.hideModal('qcOverrideModal');
+    }
+
+    setQCOverrideStatus(text, type) {
+        const statusElement = document.getElementById('qcOverrideStatus');
+        statusElement.textContent = text;
+        statusElement.className = `qc-override-status ${type}`;
+    }
+
+    async requestQCOverride() {
+        if (!this.qcOverrideCandidate || !this.currentUser) return;
+
+        const candidate = this.qcOverrideCandidate;
+        const startButton = document.getElementById('qcOverrideStartBtn');
+        startButton.disabled = true;
+        this.setQCOverrideStatus('🔑 Supervisor-Badge an den RFID-Leser halten...', 'waiting');
+
+        try {
+            const result = await window.electronAPI.qc.requestOverride(this.currentUser.sessionId, {
+                rawPayload: candidate.rawPayload,
+                blockedStatus: candidate.blockedStatus,
+                reason: document.getElementById('qcOverrideReason').value,
+                notes: document.getElementById('qcOverrideNotes').value
+            });
+
+            if (result.qcOverride) {
+                // Freigabe erteilt - Scan-Ergebnis wie einen normalen Scan anzeigen
+                this.hideModal('qcOverrideModal');
+                this.showNotification('info', 'Supervisor-Freigabe', `Freigegeben durch ${result.qcOverride.supervisorName}`);
+                this.handleScanResult(result, candidate.rawPayload);
+                return;
+            }
+
+            if (result.status === 'override_cancelled' && !document.getElementById('qcOverrideModal').classList.contains('show')) {
+                return;
+            }
+
+            this.setQCOverrideStatus(result.message, 'error');
+            startButton.disabled = false;
+        } catch (error) {
+            console.error('Supervisor-Freigabe fehlgeschlagen:', error);
+            this.setQCOverrideStatus('Freigabe fehlgeschlagen', 'error');
+            startButton.disabled = false;
+        }
+    }
+
+    async confirmQCCarton() {
+        if (!this.qcPendingCarton || !this.currentUser) return;
+
+        try {
+            const result = await window.electronAPI.qc.confirm(this.currentUser.sessionId);
+
+            if (result.success) {
+                this.applyQCWorkflowProgress(result);
+            } else {
+                this.showNotification('error', 'Bestätigung', result.message);
+                if (result.status === 'checklist_missing') {
+                    this.highlightQCChecklistPanel();
+                }
+            }
+        } catch (error) {
+            console.error('Prüfung bestätigen fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Prüfung konnte nicht bestätigt werden');
+        }
+    }
+
     // ===== UTILITY METHODS =====
     cleanupOldScans() {
         // Bereinige alte Einträge aus recentlyScanned (älter als 1 Minute)
@@ -1163,12 +3501,86 @@ class QualitaetskontrolleApp {
                 this.recentlyScanned.delete(qrData);
             }
         }
+
+        for (const [qrData, unconfirmed] of this.unconfirmedScans.entries()) {
+            if (now - unconfirmed.since > this.unconfirmedScanWindow) {
+                this.unconfirmedScans.delete(qrData);
+            }
+        }
+    }
+
+    // ===== OFFLINE-JOURNAL =====
+
+    async loadSystemStatus() {
+        try {
+            const status = await window.electronAPI.system.getStatus();
+            this.handleSystemStatusChanged(status);
+            this.updateOfflineJournalStatus(status.offlineJournal);
+        } catch (error) {
+            console.error('System-Status laden fehlgeschlagen:', error);
+        }
+    }
+
+    /**
+     * Header-Anzeige und Login-Bildschirm an den System-Status anpassen (Datenbank-Ausfall, Wiederverbindung)
+     * @param {Object} status - { database, rfid, databaseReconnect, offlineJournal }
+     */
+    handleSystemStatusChanged(status) {
+        if (!status) return;
+
+        const offlineEnabled = !!(status.offlineJournal && status.offlineJournal.enabled);
+        const reconnect = status.databaseReconnect;
+        const retryInfo = reconnect && reconnect.active ? ` (Verbindungsversuch ${reconnect.attempt})` : '';
+
+        if (!status.database) {
+            this.updateSystemStatus(offlineEnabled ? 'warning' : 'error', offlineEnabled
+                ? `Offline – Scans werden lokal gespeichert${retryInfo}`
+                : `Datenbank getrennt${retryInfo}`);
+        } else {
+            this.updateSystemStatus('active', 'System bereit');
+        }
+
+        let loginText = 'Bereit zum Scannen...';
+        if (!status.database) {
+            loginText = offlineEnabled
+                ? 'Datenbank nicht erreichbar – Anmeldung mit bekannten RFID-Tags möglich'
+                : 'Datenbank nicht erreichbar – Anmeldung nicht möglich';
+        }
+        document.getElementById('loginStatus').classList.toggle('offline', !status.database);
+        document.getElementById('loginStatusText').textContent = loginText;
+    }
+
+    /**
+     * Zähler ausstehender Offline-Einträge und Offline-Hinweis im Header aktualisieren
+     * @param {Object} status - { enabled, pendingCount, replaying, database, result }
+     */
+    updateOfflineJournalStatus(status) {
+        if (!status || !status.enabled) return;
+
+        const pending = status.pendingCount || 0;
+        const indicator = document.getElementById('syncStatusIndicator');
+        indicator.style.display = pending > 0 || !status.database ? 'flex' : 'none';
+        indicator.querySelector('.status-dot').className = `status-dot ${status.database ? 'active' : 'warning'}`;
+        indicator.querySelector('.status-text').textContent = status.replaying
+            ? `📤 ${pending} werden übertragen`
+            : `💾 ${pending} ausstehend`;
+
+        // Ergebnis der Übertragung nach Wiederverbindung
+        const result = status.result;
+        if (result && (result.replayed > 0 || result.rejected.length > 0)) {
+            if (result.rejected.length > 0) {
+                this.showNotification('warning', 'Offline-Scans übertragen',
+                    `${result.replayed} übertragen, ${result.rejected.length} abgewiesen (z.B. Duplikate)`);
+            } else {
+                this.showNotification('success', 'Offline-Scans übertragen', `${result.replayed} Einträge übertragen`);
+            }
+        }
     }
 
     // ===== UI UPDATES =====
     updateSystemStatus(status, message) {
-        const statusDot = document.querySelector('.status-dot');
-        const statusText = document.querySelector('.status-text');
+        const statusDot = document.querySelector('#systemStatus .status-dot');
+        const statusText = document.querySelector('#systemStatus .status-text');
 
         statusDot.className = `status-dot ${status}`;
         statusText.textContent = message;
@@ -1227,6 +3639,10 @@ class QualitaetskontrolleApp {
         try {
             const systemInfo = await window.electronAPI.app.getSystemInfo();
             document.getElementById('versionText').textContent = `v${systemInfo.version}`;
+
+            if (systemInfo.qrDecoding) {
+                this.qrDecodingConfig = { ...this.qrDecodingConfig, ...systemInfo.qrDecoding };
+            }
         } catch (error) {
             console.error('System-Info laden fehlgeschlagen:', error);
         }
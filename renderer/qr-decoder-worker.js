@@ -0,0 +1,73 @@
+// ===== renderer/qr-decoder-worker.js =====
+// Web Worker für die Code-Dekodierung außerhalb des UI-Threads
+//
+// Nachrichten vom Scan-Loop:
+// - { id, bitmap, width, height, symbologies, preprocessing }  → ImageBitmap (Bildausschnitt bereits skaliert), gezeichnet auf OffscreenCanvas
+// - { id, buffer, width, height, symbologies, preprocessing }  → RGBA-Pixel als ArrayBuffer (Fallback ohne OffscreenCanvas)
+// Antwort: { type: 'result', id, data, symbology, step, decodeMs }
+
+/* eslint-env worker */
+/* global decodeBarcodeFrame, isBarcodeDecoderAvailable */
+
+// Lokal mitgelieferte Bibliotheken (Pfade relativ zu renderer/)
+const DECODER_SCRIPTS = [
+    '../node_modules/jsqr/dist/jsQR.js',
+    '../node_modules/@zxing/library/umd/index.min.js',
+    'barcode-decoder.js'
+];
+
+// Einzeln laden - fehlt eine Bibliothek, bleiben die übrigen Code-Arten nutzbar
+DECODER_SCRIPTS.forEach(script => {
+    try {
+        importScripts(script);
+    } catch (error) {
+        console.warn(`⚠️ ${script} im Decoder-Worker nicht verfügbar:`, error.message);
+    }
+});
+
+const decoderReady = typeof decodeBarcodeFrame === 'function' && isBarcodeDecoderAvailable();
+
+let canvas = null;
+let context = null;
+
+function getPixels(message) {
+    if (message.buffer) {
+        return new Uint8ClampedArray(message.buffer);
+    }
+
+    if (!canvas || canvas.width !== message.width || canvas.height !== message.height) {
+        canvas = new OffscreenCanvas(message.width, message.height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    context.drawImage(message.bitmap, 0, 0);
+    message.bitmap.close();
+    return context.getImageData(0, 0, message.width, message.height).data;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    const start = performance.now();
+    let code = null;
+
+    try {
+        const pixels = getPixels(message);
+
+        if (decoderReady) {
+            code = decodeBarcodeFrame(pixels, message.width, message.height, message.symbologies, message.preprocessing);
+        }
+    } catch (error) {
+        console.error('Dekodierung im Worker fehlgeschlagen:', error);
+    }
+
+    self.postMessage({
+        type: 'result',
+        id: message.id,
+        data: code ? code.data : null,
+        symbology: code ? code.symbology : null,
+        step: code ? code.step : null,
+        decodeMs: performance.now() - start
+    });
+};
+
+self.postMessage({ type: 'ready', decoderReady });
@@ -0,0 +1,220 @@
+// rfid/keyboard-wedge-listener.js
+// Hand-Scanner im Tastatur-Modus (Keyboard-Wedge) ohne native Dependencies
+
+const EventEmitter = require('events');
+
+/**
+ * Erkennt Barcode-/QR-Eingaben von USB-Hand-Scannern, die den Code "tippen" und mit Enter abschließen.
+ * Scanner-Eingaben werden wie beim SimpleRFIDListener über das Timing von menschlichem Tippen unterschieden:
+ * Ein Scanner sendet alle Zeichen innerhalb weniger Millisekunden.
+ *
+ * Eingabequellen:
+ * - Tastendrücke im Anwendungsfenster (webContents 'before-input-event')
+ * - Zeichen, die der RFID-Listener über globale Shortcuts abfängt (0-9, A-F, Enter) - siehe getRFIDInterceptor()
+ */
+class KeyboardWedgeListener extends EventEmitter {
+    constructor(callback = null) {
+        super();
+
+        this.callback = callback;
+        this.isListening = false;
+        this.webContents = null;
+        this.inputHandler = null;
+        this.buffer = '';
+        this.burstStartTime = 0;
+        this.lastInputTime = 0;
+        this.lastScanTime = 0;
+        this.isBurst = true; // false sobald eine Pause wie beim Tippen erkannt wurde
+        this.isRFIDTag = () => false; // RFID-Tags werden vom RFID-Listener verarbeitet
+
+        // Konfiguration aus Environment oder Defaults
+        this.maxKeyInterval = parseFloat(process.env.WEDGE_MAX_KEY_INTERVAL) || 50; // ms zwischen zwei Scanner-Zeichen
+        this.minLength = parseInt(process.env.WEDGE_MIN_LENGTH) || 4;
+        this.maxBufferLength = parseInt(process.env.WEDGE_MAX_BUFFER_LENGTH) || 500;
+
+        // Statistiken
+        this.stats = {
+            totalScans: 0,
+            validScans: 0,
+            rejectedInputs: 0,
+            startTime: new Date()
+        };
+
+        console.log('Keyboard-Wedge Listener initialisiert:', {
+            maxKeyInterval: this.maxKeyInterval,
+            minLength: this.minLength,
+            maxBufferLength: this.maxBufferLength
+        });
+    }
+
+    /**
+     * Tastendrücke des Anwendungsfensters mitlesen
+     * @param {Object} webContents - webContents des Hauptfensters
+     * @returns {boolean} - Success
+     */
+    start(webContents) {
+        if (this.isListening) {
+            console.log('Keyboard-Wedge Listener läuft bereits');
+            return true;
+        }
+
+        if (!webContents) {
+            console.warn('⚠️ Keyboard-Wedge Listener: kein Fenster zum Mitlesen vorhanden');
+            return false;
+        }
+
+        this.webContents = webContents;
+        this.inputHandler = (event, input) => {
+            if (input.type !== 'keyDown' || input.control || input.alt || input.meta) {
+                return;
+            }
+
+            if (input.key === 'Enter') {
+                if (this.isRFIDTag(this.buffer.trim().toUpperCase())) {
+                    this.buffer = '';
+                    return;
+                }
+                this.processCode();
+            } else if (input.key.length === 1) {
+                this.handleInput(input.key);
+            }
+        };
+        this.webContents.on('before-input-event', this.inputHandler);
+
+        this.isListening = true;
+        this.emit('started');
+        console.log('✅ Keyboard-Wedge Listener gestartet');
+        return true;
+    }
+
+    stop() {
+        if (!this.isListening) {
+            return;
+        }
+
+        if (this.webContents && !this.webContents.isDestroyed()) {
+            this.webContents.removeListener('before-input-event', this.inputHandler);
+        }
+
+        this.webContents = null;
+        this.inputHandler = null;
+        this.isListening = false;
+        this.buffer = '';
+        this.emit('stopped');
+        console.log('✅ Keyboard-Wedge Listener gestoppt');
+    }
+
+    handleInput(char) {
+        const now = Date.now();
+
+        // Längere Pause → neue Eingabe beginnen
+        if (!this.buffer || (now - this.lastInputTime) > this.maxKeyInterval) {
+            this.buffer = '';
+            this.burstStartTime = now;
+            this.isBurst = true;
+        }
+
+        this.lastInputTime = now;
+        this.buffer += char;
+
+        if (this.buffer.length > this.maxBufferLength) {
+            // Kein plausibler Scan mehr (z.B. gedrückt gehaltene Taste)
+            this.isBurst = false;
+            this.buffer = this.buffer.slice(-this.maxBufferLength);
+        }
+    }
+
+    /**
+     * Eingabe mit Enter abschließen
+     * @returns {boolean} - True wenn die Eingabe als Scanner-Code erkannt und verarbeitet wurde
+     */
+    processCode() {
+        const now = Date.now();
+        const code = this.buffer.trim();
+        const isBurst = this.isBurst && (now - this.lastInputTime) <= this.maxKeyInterval;
+        this.buffer = '';
+
+        if (!code) {
+            return false;
+        }
+
+        if (!isBurst || code.length < this.minLength) {
+            // Menschliches Tippen (z.B. Bemerkungsfeld) - nicht als Scan werten
+            this.stats.rejectedInputs++;
+            return false;
+        }
+
+        this.stats.totalScans++;
+        this.stats.validScans++;
+        this.lastScanTime = now;
+
+        console.log(`✅ Hand-Scanner Code erkannt (${code.length} Zeichen in ${now - this.burstStartTime}ms)`);
+
+        this.emit('code', code);
+
+        if (this.callback && typeof this.callback === 'function') {
+            try {
+                this.callback(code);
+            } catch (error) {
+                console.error('Fehler im Keyboard-Wedge-Callback:', error);
+                this.emit('callback-error', { code, error });
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Abfangschnittstelle für den RFID-Listener
+     * Der RFID-Listener belegt 0-9, A-F und Enter als globale Shortcuts, diese Zeichen erreichen das Fenster nicht.
+     * Reine Hex-Eingaben passender Länge bleiben RFID-Tags, alles andere wird als Scanner-Code verarbeitet.
+     * @param {Function} isRFIDTag - Prüft ob eine Eingabe ein gültiges RFID-Tag ist
+     * @returns {Object} - { onInput(char), onEnter(): boolean }
+     */
+    getRFIDInterceptor(isRFIDTag) {
+        this.isRFIDTag = isRFIDTag;
+        return {
+            onInput: (char) => this.handleInput(char),
+            onEnter: () => {
+                if (!this.buffer || isRFIDTag(this.buffer.trim().toUpperCase())) {
+                    this.buffer = '';
+                    return false;
+                }
+                return this.processCode();
+            }
+        };
+    }
+
+    // ===== UTILITY METHODS =====
+    getStatus() {
+        const uptime = Date.now() - this.stats.startTime.getTime();
+
+        return {
+            listening: this.isListening,
+            lastScanTime: this.lastScanTime,
+            type: 'keyboard-wedge',
+            config: {
+                maxKeyInterval: this.maxKeyInterval,
+                minLength: this.minLength,
+                maxBufferLength: this.maxBufferLength
+            },
+            stats: {
+                ...this.stats,
+                uptime: Math.floor(uptime / 1000)
+            }
+        };
+    }
+
+    // ===== TEST & DEBUG METHODS =====
+    simulateScan(code) {
+        console.log(`🧪 Hand-Scanner Simulation: "${code}"`);
+
+        for (const char of String(code)) {
+            this.handleInput(char);
+        }
+
+        return this.processCode();
+    }
+}
+
+module.exports = KeyboardWedgeListener;
@@ -14,6 +14,7 @@ class SimpleRFIDListener extends EventEmitter {
         this.lastInputTime = 0;
         this.lastScanTime = 0;
         this.shortcuts = [];
+        this.inputInterceptor = null; // z.B. Hand-Scanner, der dieselben Tasten nutzt
 
         // Konfiguration aus Environment oder Defaults
         this.inputTimeout = parseFloat(process.env.RFID_INPUT_TIMEOUT) || 500; // ms
@@ -153,6 +154,10 @@ class SimpleRFIDListener extends EventEmitter {
     handleInput(char) {
         const now = Date.now();
 
+        if (this.inputInterceptor) {
+            this.inputInterceptor.onInput(char);
+        }
+
         // Input-Timeout prüfen (Buffer zurücksetzen bei zu langer Pause)
         if (this.buffer && (now - this.lastInputTime) > this.inputTimeout) {
             console.log(`RFID Input-Timeout, Buffer zurückgesetzt: "${this.buffer}"`);
@@ -174,6 +179,12 @@ class SimpleRFIDListener extends EventEmitter {
     }
 
     processTag() {
+        // Eingabe eines Hand-Scanners (kein RFID-Tag) → nicht als Tag verarbeiten
+        if (this.inputInterceptor && this.inputInterceptor.onEnter()) {
+            this.buffer = '';
+            return;
+        }
+
         if (!this.buffer) {
             console.log('RFID Buffer leer - ignoriere Enter');
             return;
@@ -282,6 +293,14 @@ class SimpleRFIDListener extends EventEmitter {
         };
     }
 
+    /**
+     * Abgefangene Eingaben (Hex-Zeichen, Enter) zusätzlich an einen weiteren Empfänger geben
+     * @param {Object|null} interceptor - { onInput(char), onEnter(): boolean } - onEnter true = Eingabe verbraucht
+     */
+    setInputInterceptor(interceptor) {
+        this.inputInterceptor = interceptor;
+    }
+
     clearBuffer() {
         const oldBuffer = this.buffer;
         this.buffer = '';
@@ -0,0 +1,52 @@
+/**
+ * Gemeinsamer Ablauf der Datenbank-Skripte (db:init, db:migrate, db:seed)
+ * Verbindung laut .env, ohne automatische Wiederverbindung; Exit-Code 1 bei Fehler
+ */
+
+// Skripte sollen bei nicht erreichbarer Datenbank sofort abbrechen statt neu zu verbinden
+process.env.DB_RECONNECT_ENABLED = 'false';
+
+const DatabaseClient = require('../db/db-client');
+
+/**
+ * Mit der Datenbank verbinden, Aufgabe ausführen, Verbindung schließen und Prozess beenden
+ * @param {Function} task - async (dbClient) => boolean (Erfolg)
+ */
+async function runWithDatabase(task) {
+    const dbClient = new DatabaseClient();
+    let success = false;
+
+    try {
+        await dbClient.connect();
+        success = await task(dbClient);
+    } catch (error) {
+        console.error('❌ Fehler:', error.message);
+    } finally {
+        await dbClient.close();
+    }
+
+    process.exit(success ? 0 : 1);
+}
+
+/**
+ * Schema-Stand ausgeben
+ * @param {Object} status - Ergebnis von dbClient.getSchemaStatus()
+ */
+function printSchemaStatus(status) {
+    console.log();
+    console.log(`📋 Schema-Version: ${status.currentVersion} (benötigt: ${status.requiredVersion})`);
+
+    status.applied.forEach(migration => {
+        console.log(`   ✅ ${String(migration.version).padStart(3, '0')} ${migration.name} - ${migration.appliedAt} (${migration.appliedBy || 'unbekannt'})`);
+    });
+    status.pending.forEach(migration => {
+        console.log(`   ⏳ ${migration.file} ${migration.name} - ausstehend`);
+    });
+
+    console.log(status.upToDate ? '✅ Schema aktuell' : `⚠️ ${status.pending.length} Migration(en) ausstehend - npm run db:migrate`);
+}
+
+module.exports = {
+    runWithDatabase,
+    printSchemaStatus
+};
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * Datenbank einrichten: alle Migrationen ausführen und Stammdaten einfügen (db:migrate + db:seed)
+ * Die Basistabellen ScannBenutzer, Sessions und QrScans müssen bereits vorhanden sein.
+ *
+ * Verwendung: npm run db:init
+ */
+
+const { insertDefaultSessionTypes } = require('../db/constants/session-types');
+const { runWithDatabase, printSchemaStatus } = require('./db-cli');
+
+runWithDatabase(async (dbClient) => {
+    const result = await dbClient.migrateSchema();
+    printSchemaStatus(await dbClient.getSchemaStatus());
+
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+        return false;
+    }
+
+    const seeded = await insertDefaultSessionTypes(dbClient);
+    console.log(seeded ? '✅ Standard-SessionTypes vorhanden' : '❌ Standard-SessionTypes konnten nicht eingefügt werden');
+    return seeded;
+});
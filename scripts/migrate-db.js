@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Schema-Migrationen ausführen oder Stand anzeigen
+ *
+ * Verwendung:
+ *   npm run db:migrate                 - alle ausstehenden Migrationen ausführen (= up)
+ *   npm run db:migrate -- up [Version] - bis einschließlich Version migrieren
+ *   npm run db:migrate -- status       - Schema-Version und ausstehende Migrationen anzeigen
+ */
+
+const { runWithDatabase, printSchemaStatus } = require('./db-cli');
+
+const [command = 'up', versionArg] = process.argv.slice(2);
+
+if (!['up', 'status'].includes(command)) {
+    console.error(`❌ Unbekannter Befehl "${command}" - erlaubt: up [Version], status`);
+    process.exit(1);
+}
+
+const targetVersion = versionArg !== undefined ? parseInt(versionArg, 10) : null;
+if (targetVersion !== null && !(targetVersion > 0)) {
+    console.error(`❌ Ungültige Version "${versionArg}"`);
+    process.exit(1);
+}
+
+runWithDatabase(async (dbClient) => {
+    if (command === 'status') {
+        const status = await dbClient.getSchemaStatus();
+        printSchemaStatus(status);
+        return true;
+    }
+
+    const result = await dbClient.migrateSchema(targetVersion);
+    printSchemaStatus(await dbClient.getSchemaStatus());
+
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+    }
+    return result.success;
+});
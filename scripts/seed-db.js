@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Stammdaten einfügen: Standard-SessionTypes (siehe db/constants/session-types.js)
+ * Fehlende Einträge werden ergänzt, vorhandene bleiben unverändert - beliebig oft ausführbar.
+ *
+ * Verwendung: npm run db:seed
+ */
+
+const { insertDefaultSessionTypes } = require('../db/constants/session-types');
+const { runWithDatabase } = require('./db-cli');
+
+runWithDatabase(async (dbClient) => {
+    const schema = await dbClient.checkSchemaVersion();
+    if (!schema.compatible) {
+        console.error(`❌ ${schema.message} - zuerst npm run db:migrate ausführen`);
+        return false;
+    }
+
+    const seeded = await insertDefaultSessionTypes(dbClient);
+    console.log(seeded ? '✅ Standard-SessionTypes vorhanden' : '❌ Standard-SessionTypes konnten nicht eingefügt werden');
+    return seeded;
+});
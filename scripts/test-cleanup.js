@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Aufräumen nach dem Testlauf (npm posttest)
+ * Entfernt temporäre Testverzeichnisse, die abgebrochene Tests hinterlassen haben (siehe tests/setup.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_TMP_PREFIX = 'qk-test-';
+
+let removed = 0;
+
+for (const entry of fs.readdirSync(os.tmpdir())) {
+    if (!entry.startsWith(TEST_TMP_PREFIX)) continue;
+
+    try {
+        fs.rmSync(path.join(os.tmpdir(), entry), { recursive: true, force: true });
+        removed++;
+    } catch (error) {
+        console.warn(`⚠️ Testverzeichnis ${entry} konnte nicht entfernt werden: ${error.message}`);
+    }
+}
+
+if (removed > 0) {
+    console.log(`🧹 ${removed} temporäre(s) Testverzeichnis(se) entfernt`);
+}
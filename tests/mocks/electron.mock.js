@@ -0,0 +1,56 @@
+// tests/mocks/electron.mock.js
+/**
+ * Electron Mock für Unit-Tests (siehe moduleNameMapper in jest.config.js)
+ * main.js kann geladen werden, ohne ein Fenster zu öffnen: app.whenReady() wird nie aufgelöst.
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Benutzerdaten-Verzeichnis - wird beim Laden von main.js nur gelesen
+const USER_DATA_PATH = path.join(os.tmpdir(), 'qk-test-electron');
+
+const app = {
+    getVersion: () => '1.0.0',
+    getPath: () => USER_DATA_PATH,
+    whenReady: () => new Promise(() => {}),
+    requestSingleInstanceLock: () => true,
+    on: jest.fn(),
+    quit: jest.fn(),
+    relaunch: jest.fn(),
+    exit: jest.fn(),
+    commandLine: {
+        appendSwitch: jest.fn()
+    }
+};
+
+const BrowserWindow = jest.fn();
+BrowserWindow.getAllWindows = () => [];
+
+module.exports = {
+    app,
+    BrowserWindow,
+    ipcMain: {
+        handle: jest.fn(),
+        on: jest.fn(),
+        removeAllListeners: jest.fn()
+    },
+    ipcRenderer: {
+        invoke: jest.fn(),
+        on: jest.fn(),
+        removeAllListeners: jest.fn()
+    },
+    globalShortcut: {
+        register: jest.fn(),
+        unregister: jest.fn(),
+        unregisterAll: jest.fn(),
+        isRegistered: jest.fn()
+    },
+    dialog: {
+        showErrorBox: jest.fn(),
+        showMessageBox: jest.fn()
+    },
+    contextBridge: {
+        exposeInMainWorld: jest.fn()
+    }
+};
@@ -0,0 +1,57 @@
+// tests/setup.js
+/**
+ * Jest Setup für die Qualitätskontrolle-Tests
+ * Testumgebung und ruhige Konsole für alle Tests (siehe jest.config.js)
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Präfix für temporäre Testverzeichnisse (werden von scripts/test-cleanup.js entfernt)
+const TEST_TMP_PREFIX = 'qk-test-';
+
+// ===== UMGEBUNGSVARIABLEN FÜR TESTS =====
+process.env.NODE_ENV = 'test';
+process.env.MSSQL_SERVER = 'localhost';
+process.env.MSSQL_DATABASE = 'RdScanner_Test';
+process.env.MSSQL_USER = 'test_user';
+process.env.MSSQL_PASSWORD = 'test_password';
+process.env.MSSQL_PORT = '1433';
+process.env.MSSQL_ENCRYPT = 'false';
+process.env.MSSQL_TRUST_CERT = 'true';
+process.env.STATION_ID = 'TEST';
+
+// RFID / Hand-Scanner Konfiguration für Tests
+process.env.RFID_MIN_SCAN_INTERVAL = '100';
+process.env.RFID_INPUT_TIMEOUT = '200';
+process.env.RFID_MAX_BUFFER_LENGTH = '15';
+process.env.WEDGE_MAX_KEY_INTERVAL = '50';
+process.env.WEDGE_MIN_LENGTH = '4';
+process.env.WEDGE_MAX_BUFFER_LENGTH = '500';
+
+// ===== KONSOLE =====
+
+// Module loggen ausführlich - Ausgaben in Tests unterdrücken
+console.log = jest.fn();
+console.info = jest.fn();
+console.warn = jest.fn();
+console.error = jest.fn();
+
+// ===== HELPER FUNKTIONEN FÜR TESTS =====
+
+/**
+ * Temporäres Testverzeichnis anlegen
+ * @returns {string} - Pfad des Verzeichnisses
+ */
+global.createTestTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), TEST_TMP_PREFIX));
+
+/**
+ * Temporäres Testverzeichnis entfernen
+ * @param {string} dir - Pfad des Verzeichnisses
+ */
+global.removeTestTempDir = (dir) => {
+    if (dir) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
@@ -0,0 +1,116 @@
+// tests/unit/aql.test.js
+/**
+ * Tests für die AQL-Stichprobenpläne (db/constants/aql.js)
+ * Erwartete Werte aus ISO 2859-1 Tabelle I (Kennbuchstaben) und Tabelle II-A (normale Prüfung)
+ */
+
+const {
+    INSPECTION_LEVELS,
+    LOT_STATUS,
+    DEFAULT_AQL,
+    DEFAULT_INSPECTION_LEVEL,
+    getCodeLetter,
+    calculateSamplingPlan,
+    evaluateLot,
+    normalizeAQL,
+    normalizeInspectionLevel
+} = require('../../db/constants/aql');
+
+describe('AQL-Stichprobenpläne', () => {
+    describe('getCodeLetter', () => {
+        test.each([
+            [2, INSPECTION_LEVELS.II, 'A'],
+            [8, INSPECTION_LEVELS.II, 'A'],
+            [9, INSPECTION_LEVELS.II, 'B'],
+            [500, INSPECTION_LEVELS.II, 'H'],
+            [501, INSPECTION_LEVELS.II, 'J'],
+            [1000, INSPECTION_LEVELS.I, 'G'],
+            [1000, INSPECTION_LEVELS.III, 'K'],
+            [1000, INSPECTION_LEVELS.S2, 'C'],
+            [600000, INSPECTION_LEVELS.II, 'Q']
+        ])('Losgröße %i, Prüfniveau %s → %s', (lotSize, inspectionLevel, expected) => {
+            expect(getCodeLetter(lotSize, inspectionLevel)).toBe(expected);
+        });
+
+        test.each([[1], [0], [12.5], ['100']])('ungültige Losgröße %p → null', (lotSize) => {
+            expect(getCodeLetter(lotSize)).toBeNull();
+        });
+
+        test('unbekanntes Prüfniveau → null', () => {
+            expect(getCodeLetter(100, 'IV')).toBeNull();
+        });
+    });
+
+    describe('calculateSamplingPlan', () => {
+        test.each([
+            // Losgröße, AQL, Kennbuchstabe, Stichprobenumfang, Ac, Re
+            [500, 2.5, 'H', 50, 3, 4],
+            [1000, 1.0, 'J', 80, 2, 3],
+            [1000, 2.5, 'J', 80, 5, 6],
+            [1000, 4.0, 'J', 80, 7, 8],
+            [1000, 6.5, 'J', 80, 10, 11],
+            [3000, 0.65, 'K', 125, 2, 3],
+            [20, 2.5, 'C', 5, 0, 1]
+        ])('Los %i bei AQL %p: %s, n=%i, Ac=%i, Re=%i', (lotSize, aql, codeLetter, sampleSize, acceptNumber, rejectNumber) => {
+            expect(calculateSamplingPlan(lotSize, aql, INSPECTION_LEVELS.II)).toEqual({
+                lotSize,
+                aql,
+                inspectionLevel: INSPECTION_LEVELS.II,
+                codeLetter,
+                sampleSize,
+                acceptNumber,
+                rejectNumber
+            });
+        });
+
+        test('Pfeil nach oben: ersten Plan oberhalb verwenden (D bei AQL 2.5 → C)', () => {
+            expect(calculateSamplingPlan(30, 2.5, INSPECTION_LEVELS.II)).toMatchObject({ codeLetter: 'C', sampleSize: 5, acceptNumber: 0, rejectNumber: 1 });
+        });
+
+        test('Pfeil nach unten: ersten Plan unterhalb verwenden (E bei AQL 2.5 → F)', () => {
+            expect(calculateSamplingPlan(60, 2.5, INSPECTION_LEVELS.II)).toMatchObject({ codeLetter: 'F', sampleSize: 20, acceptNumber: 1, rejectNumber: 2 });
+        });
+
+        test('Stichprobe größer als das Los → Vollprüfung', () => {
+            // B bei AQL 0.65 → Pfeil nach unten bis F (n=20), das Los hat nur 10 Kartons
+            expect(calculateSamplingPlan(10, 0.65, INSPECTION_LEVELS.II)).toMatchObject({ codeLetter: 'F', sampleSize: 10, acceptNumber: 0, rejectNumber: 1 });
+        });
+
+        test('Standardwerte: AQL 2.5 und Prüfniveau II', () => {
+            expect(DEFAULT_AQL).toBe(2.5);
+            expect(DEFAULT_INSPECTION_LEVEL).toBe(INSPECTION_LEVELS.II);
+            expect(calculateSamplingPlan(500)).toEqual(calculateSamplingPlan(500, 2.5, INSPECTION_LEVELS.II));
+        });
+
+        test('nicht unterstützter AQL-Wert oder ungültige Losgröße → null', () => {
+            expect(calculateSamplingPlan(500, 3)).toBeNull();
+            expect(calculateSamplingPlan(1, 2.5)).toBeNull();
+        });
+    });
+
+    describe('evaluateLot', () => {
+        const plan = { sampleSize: 50, acceptNumber: 3, rejectNumber: 4 };
+
+        test('Rückweisezahl erreicht → abgelehnt, auch vor Ende der Stichprobe', () => {
+            expect(evaluateLot(plan, 10, 4)).toBe(LOT_STATUS.REJECTED);
+        });
+
+        test('Stichprobe vollständig und Annahmezahl eingehalten → angenommen', () => {
+            expect(evaluateLot(plan, 50, 3)).toBe(LOT_STATUS.ACCEPTED);
+        });
+
+        test('Stichprobe unvollständig → offen', () => {
+            expect(evaluateLot(plan, 49, 0)).toBe(LOT_STATUS.OPEN);
+        });
+    });
+
+    describe('Normalisierung', () => {
+        test.each([['2.5', 2.5], [4, 4.0], ['1', 1.0], ['3', null], ['abc', null]])('normalizeAQL(%p) → %p', (input, expected) => {
+            expect(normalizeAQL(input)).toBe(expected);
+        });
+
+        test.each([[' s-2 ', 'S-2'], ['ii', 'II'], ['IV', null], [undefined, null]])('normalizeInspectionLevel(%p) → %p', (input, expected) => {
+            expect(normalizeInspectionLevel(input)).toBe(expected);
+        });
+    });
+});
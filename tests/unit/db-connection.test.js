@@ -0,0 +1,168 @@
+// tests/unit/db-connection.test.js
+/**
+ * Tests für die Datenbankverbindung (db/core/db-connection.js) mit gemocktem mssql
+ */
+
+// Lokale .env darf die Testumgebung nicht verändern
+jest.mock('dotenv', () => ({ config: () => ({}) }));
+
+jest.mock('mssql', () => ({
+    ConnectionPool: jest.fn(),
+    NVarChar: 'NVarChar',
+    Int: 'Int',
+    BigInt: 'BigInt',
+    Float: 'Float',
+    Bit: 'Bit',
+    DateTime2: 'DateTime2',
+    MAX: 'MAX',
+    VarBinary: length => `VarBinary(${length})`
+}));
+
+jest.mock('../../utils/console-utils', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+    warning: jest.fn(),
+    info: jest.fn(),
+    database: jest.fn(),
+    log: jest.fn()
+}));
+
+const sql = require('mssql');
+const customConsole = require('../../utils/console-utils');
+const DatabaseConnection = require('../../db/core/db-connection');
+
+describe('DatabaseConnection', () => {
+    describe('query - Logging', () => {
+        let connection;
+        let request;
+
+        beforeEach(() => {
+            request = {
+                input: jest.fn(),
+                query: jest.fn()
+            };
+            connection = new DatabaseConnection();
+            connection.isConnected = true;
+            connection.pool = { request: () => request };
+        });
+
+        /**
+         * Alle Argumente eines Log-Aufrufs (auch in Arrays) flach auflisten
+         */
+        function loggedValues(logFunction) {
+            return logFunction.mock.calls.flat(2);
+        }
+
+        test('Fotos werden bei Erfolg nur als Größe geloggt', async () => {
+            request.query.mockResolvedValue({ rowsAffected: [1], recordset: [{ ID: 1 }] });
+
+            await connection.query('INSERT INTO dbo.QcPhotos (ScanID, ImageData) VALUES (?, ?)', [7, Buffer.alloc(2048)]);
+
+            expect(loggedValues(customConsole.info)).toContain('<Binärdaten 2048 Bytes>');
+            expect(loggedValues(customConsole.info).some(value => Buffer.isBuffer(value))).toBe(false);
+        });
+
+        test('Fotos werden auch bei einem Query-Fehler nicht vollständig geloggt', async () => {
+            request.query.mockRejectedValue(new Error('String or binary data would be truncated'));
+
+            await expect(connection.query('INSERT INTO dbo.QcPhotos (ScanID, ImageData) VALUES (?, ?)', [7, Buffer.alloc(2048)]))
+                .rejects.toThrow('truncated');
+
+            expect(customConsole.error).toHaveBeenCalledWith('Parameter:', [7, '<Binärdaten 2048 Bytes>']);
+            expect(loggedValues(customConsole.error).some(value => Buffer.isBuffer(value))).toBe(false);
+        });
+    });
+
+    describe('Automatische Wiederverbindung', () => {
+        let connection;
+        let pool;
+        let events;
+
+        /**
+         * Verbindungsfehler wie vom mssql-Treiber geliefert
+         */
+        function connectionError() {
+            return Object.assign(new Error('Failed to connect to localhost:1433'), { name: 'ConnectionError', code: 'ESOCKET' });
+        }
+
+        /**
+         * Geplante Wartezeiten aller bisherigen Wiederverbindungsversuche
+         */
+        function scheduledDelays() {
+            return events.filter(([name]) => name === 'reconnecting').map(([, data]) => data.delayMs);
+        }
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+
+            pool = {
+                on: jest.fn(),
+                connect: jest.fn().mockRejectedValue(connectionError()),
+                request: () => ({
+                    query: jest.fn().mockResolvedValue({ recordset: [{ test: 1, serverTime: new Date() }] })
+                }),
+                close: jest.fn().mockResolvedValue()
+            };
+            sql.ConnectionPool.mockImplementation(() => pool);
+
+            connection = new DatabaseConnection();
+            connection.reconnectConfig = { enabled: true, minDelay: 1000, maxDelay: 8000 };
+            jest.spyOn(connection, 'validateTables').mockResolvedValue(true);
+
+            events = [];
+            ['connected', 'disconnected', 'reconnecting'].forEach(name => {
+                connection.on(name, data => events.push([name, data]));
+            });
+
+            // Bestehende Verbindung, die gleich verloren geht
+            connection.isConnected = true;
+            connection.pool = pool;
+        });
+
+        afterEach(async () => {
+            await connection.close();
+            jest.useRealTimers();
+        });
+
+        test('Verbindungsverlust meldet disconnected und plant den ersten Versuch nach der Mindestwartezeit', () => {
+            connection.handleConnectionLost(connectionError());
+
+            expect(events.map(([name]) => name)).toEqual(['disconnected', 'reconnecting']);
+            expect(events[1][1]).toMatchObject({ attempt: 1, delayMs: 1000 });
+            expect(connection.getReconnectStatus()).toMatchObject({ active: true, attempt: 1 });
+            expect(pool.close).toHaveBeenCalledTimes(1);
+            expect(sql.ConnectionPool).not.toHaveBeenCalled();
+        });
+
+        test('verdoppelt die Wartezeit nach jedem Fehlversuch bis zum Maximum', async () => {
+            connection.handleConnectionLost(connectionError());
+
+            await jest.advanceTimersByTimeAsync(999);
+            expect(sql.ConnectionPool).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(1 + 2000 + 4000 + 8000 + 8000);
+
+            expect(sql.ConnectionPool).toHaveBeenCalledTimes(5);
+            expect(scheduledDelays()).toEqual([1000, 2000, 4000, 8000, 8000, 8000]);
+            expect(events.filter(([name]) => name === 'disconnected')).toHaveLength(1);
+        });
+
+        test('setzt die Wartezeit nach erfolgreicher Verbindung zurück', async () => {
+            connection.handleConnectionLost(connectionError());
+            await jest.advanceTimersByTimeAsync(1000 + 2000);
+            expect(scheduledDelays()).toEqual([1000, 2000, 4000]);
+
+            pool.connect.mockResolvedValue();
+            await jest.advanceTimersByTimeAsync(4000);
+
+            expect(connection.isConnected).toBe(true);
+            expect(events[events.length - 1]).toEqual(['connected', { reconnected: true, timestamp: expect.any(String) }]);
+            expect(connection.getReconnectStatus()).toMatchObject({ active: false, attempt: 0, nextAttemptAt: null });
+
+            connection.handleConnectionLost(connectionError());
+
+            expect(events.slice(-2).map(([name]) => name)).toEqual(['disconnected', 'reconnecting']);
+            expect(scheduledDelays()).toEqual([1000, 2000, 4000, 1000]);
+        });
+    });
+});
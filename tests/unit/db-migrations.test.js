@@ -0,0 +1,200 @@
+// tests/unit/db-migrations.test.js
+/**
+ * Tests für den MigrationRunner (db/core/db-migrations.js)
+ * Reihenfolge, Überspringen ausgeführter Migrationen und Abbruch bei Fehlern - gegen einen Datenbank-Mock
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MigrationRunner = require('../../db/core/db-migrations');
+
+/**
+ * Migrationsdatei schreiben; up() protokolliert die Ausführung über client.query
+ */
+function writeMigration(dir, file, { fails = false } = {}) {
+    const body = fails
+        ? `throw new Error('${file} kaputt');`
+        : `await client.query('MIGRATION ${file}');`;
+
+    fs.writeFileSync(path.join(dir, file), `module.exports = {
+    name: '${file.replace(/\.js$/, '')}',
+    up: async (client) => {
+        ${body}
+    }
+};
+`);
+}
+
+/**
+ * DatabaseClient-Mock mit dbo.SchemaMigrations im Speicher
+ * @param {Array<number>} appliedVersions - Bereits ausgeführte Versionen (leer = Versions-Tabelle fehlt)
+ */
+function createClient(appliedVersions = []) {
+    const client = {
+        versionTableExists: appliedVersions.length > 0,
+        applied: appliedVersions.map(version => ({ Version: version, Name: `migration-${version}`, AppliedTS: new Date(), AppliedBy: 'TEST', DurationMs: 1 })),
+        executed: [],
+        query: jest.fn(async (sql, params = []) => {
+            if (sql.includes('OBJECT_ID')) {
+                return { recordset: [{ TableID: client.versionTableExists ? 1 : null }] };
+            }
+            if (sql.includes('CREATE TABLE dbo.SchemaMigrations')) {
+                client.versionTableExists = true;
+                return { recordset: [] };
+            }
+            if (sql.includes('FROM dbo.SchemaMigrations')) {
+                return { recordset: [...client.applied] };
+            }
+            if (sql.includes('INSERT INTO dbo.SchemaMigrations')) {
+                const [Version, Name, AppliedBy, DurationMs] = params;
+                client.applied.push({ Version, Name, AppliedTS: new Date(), AppliedBy, DurationMs });
+                return { recordset: [], rowsAffected: [1] };
+            }
+
+            client.executed.push(sql.replace('MIGRATION ', ''));
+            return { recordset: [] };
+        })
+    };
+    return client;
+}
+
+describe('MigrationRunner', () => {
+    let migrationsDir;
+
+    beforeEach(() => {
+        migrationsDir = createTestTempDir();
+    });
+
+    afterEach(() => {
+        removeTestTempDir(migrationsDir);
+    });
+
+    describe('loadMigrations', () => {
+        test('sortiert nach Version und ignoriert fremde Dateien', () => {
+            writeMigration(migrationsDir, '002-second.js');
+            writeMigration(migrationsDir, '001-first.js');
+            writeMigration(migrationsDir, '003-third.js');
+            fs.writeFileSync(path.join(migrationsDir, 'README.md'), '# Migrationen');
+            fs.writeFileSync(path.join(migrationsDir, '4-ohne-nummer.js'), 'module.exports = {};');
+
+            const runner = new MigrationRunner(createClient(), migrationsDir);
+
+            expect(runner.loadMigrations().map(migration => migration.version)).toEqual([1, 2, 3]);
+            expect(runner.getRequiredVersion()).toBe(3);
+        });
+
+        test('Lücke in der Nummerierung wird abgelehnt', () => {
+            writeMigration(migrationsDir, '001-first.js');
+            writeMigration(migrationsDir, '003-third.js');
+
+            const runner = new MigrationRunner(createClient(), migrationsDir);
+
+            expect(() => runner.loadMigrations()).toThrow('Version 2 erwartet');
+        });
+
+        test('Migration ohne up() wird abgelehnt', () => {
+            fs.writeFileSync(path.join(migrationsDir, '001-empty.js'), 'module.exports = { name: \'empty\' };');
+
+            const runner = new MigrationRunner(createClient(), migrationsDir);
+
+            expect(() => runner.loadMigrations()).toThrow('keine up()-Funktion');
+        });
+
+        test('mitgelieferte Migrationen sind lückenlos nummeriert', () => {
+            const runner = new MigrationRunner(createClient());
+            const migrations = runner.loadMigrations();
+
+            expect(migrations.length).toBeGreaterThan(0);
+            expect(runner.getRequiredVersion()).toBe(migrations.length);
+        });
+    });
+
+    describe('migrateUp', () => {
+        beforeEach(() => {
+            writeMigration(migrationsDir, '001-first.js');
+            writeMigration(migrationsDir, '002-second.js');
+            writeMigration(migrationsDir, '003-third.js');
+        });
+
+        test('neue Datenbank: legt die Versions-Tabelle an und führt alle Migrationen der Reihe nach aus', async () => {
+            const client = createClient();
+
+            const result = await new MigrationRunner(client, migrationsDir).migrateUp();
+
+            expect(result).toMatchObject({ success: true, fromVersion: 0, toVersion: 3, error: null });
+            expect(client.executed).toEqual(['001-first.js', '002-second.js', '003-third.js']);
+            expect(client.applied.map(row => [row.Version, row.Name])).toEqual([[1, '001-first'], [2, '002-second'], [3, '003-third']]);
+        });
+
+        test('überspringt bereits ausgeführte Migrationen', async () => {
+            const client = createClient([1, 2]);
+
+            const result = await new MigrationRunner(client, migrationsDir).migrateUp();
+
+            expect(result).toMatchObject({ success: true, fromVersion: 2, toVersion: 3 });
+            expect(client.executed).toEqual(['003-third.js']);
+        });
+
+        test('ohne ausstehende Migrationen wird nichts ausgeführt', async () => {
+            const client = createClient([1, 2, 3]);
+
+            const result = await new MigrationRunner(client, migrationsDir).migrateUp();
+
+            expect(result).toMatchObject({ success: true, fromVersion: 3, toVersion: 3, applied: [] });
+            expect(client.executed).toEqual([]);
+        });
+
+        test('migriert nur bis zur Zielversion', async () => {
+            const client = createClient();
+
+            const result = await new MigrationRunner(client, migrationsDir).migrateUp(2);
+
+            expect(result.toVersion).toBe(2);
+            expect(client.executed).toEqual(['001-first.js', '002-second.js']);
+        });
+
+        test('bricht bei der ersten fehlgeschlagenen Migration ab', async () => {
+            writeMigration(migrationsDir, '004-broken.js', { fails: true });
+            writeMigration(migrationsDir, '005-after.js');
+            const client = createClient([1, 2]);
+
+            const result = await new MigrationRunner(client, migrationsDir).migrateUp();
+
+            expect(result).toMatchObject({ success: false, fromVersion: 2, toVersion: 3, error: 'Migration 004-broken.js: 004-broken.js kaputt' });
+            expect(client.executed).toEqual(['003-third.js']);
+            expect(client.applied.map(row => row.Version)).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('checkSchemaVersion', () => {
+        beforeEach(() => {
+            writeMigration(migrationsDir, '001-first.js');
+            writeMigration(migrationsDir, '002-second.js');
+        });
+
+        test('veraltetes Schema ist nicht kompatibel', async () => {
+            const result = await new MigrationRunner(createClient([1]), migrationsDir).checkSchemaVersion();
+
+            expect(result).toMatchObject({ compatible: false, currentVersion: 1, requiredVersion: 2 });
+            expect(result.pending.map(migration => migration.version)).toEqual([2]);
+        });
+
+        test('fehlende Versions-Tabelle gilt als Version 0', async () => {
+            const result = await new MigrationRunner(createClient(), migrationsDir).checkSchemaVersion();
+
+            expect(result).toMatchObject({ compatible: false, currentVersion: 0, requiredVersion: 2 });
+        });
+
+        test('aktuelles Schema ist kompatibel', async () => {
+            const result = await new MigrationRunner(createClient([1, 2]), migrationsDir).checkSchemaVersion();
+
+            expect(result).toMatchObject({ compatible: true, currentVersion: 2, requiredVersion: 2, pending: [] });
+        });
+
+        test('neueres Schema (Station noch nicht aktualisiert) bleibt kompatibel', async () => {
+            const result = await new MigrationRunner(createClient([1, 2, 3]), migrationsDir).checkSchemaVersion();
+
+            expect(result).toMatchObject({ compatible: true, currentVersion: 3, requiredVersion: 2 });
+        });
+    });
+});
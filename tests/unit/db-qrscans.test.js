@@ -0,0 +1,111 @@
+// tests/unit/db-qrscans.test.js
+/**
+ * Tests für das QR-Scan Modul (db/modules/db-qrscans.js) mit gemockter Datenbankverbindung
+ */
+
+const QRScanModule = require('../../db/modules/db-qrscans');
+
+describe('QRScanModule', () => {
+    let db;
+    let utils;
+    let qrscans;
+
+    beforeEach(() => {
+        db = { query: jest.fn() };
+        utils = {
+            normalizeTimestamp: jest.fn(value => value),
+            parsePayloadJson: jest.fn(() => null),
+            extractDecodedData: jest.fn(() => null),
+            formatRelativeTime: jest.fn(() => 'gerade eben')
+        };
+        qrscans = new QRScanModule(db, utils);
+    });
+
+    describe('getQRScansBySession', () => {
+        test.each([
+            ['Zahl', 25, 10, 'OFFSET 10 ROWS FETCH NEXT 25 ROWS ONLY'],
+            ['Text aus dem Renderer', '25; DROP TABLE dbo.QrScans', '5', 'OFFSET 5 ROWS FETCH NEXT 25 ROWS ONLY'],
+            ['negativer Offset', 25, -3, 'OFFSET 0 ROWS FETCH NEXT 25 ROWS ONLY']
+        ])('übernimmt Limit und Offset nur als Zahl (%s)', async (label, limit, offset, paging) => {
+            db.query.mockResolvedValue({ recordset: [] });
+
+            await qrscans.getQRScansBySession(42, limit, offset);
+
+            const [sql, params] = db.query.mock.calls[0];
+            expect(sql).toContain(paging);
+            expect(sql).not.toContain('DROP');
+            expect(params).toEqual([42]);
+        });
+
+        test.each([
+            ['ungültiges Limit', 'alle', 'FETCH NEXT 50 ROWS ONLY'],
+            ['zu großes Limit', 100000, 'FETCH NEXT 1000 ROWS ONLY']
+        ])('begrenzt das Limit (%s)', async (label, limit, paging) => {
+            db.query.mockResolvedValue({ recordset: [] });
+
+            await qrscans.getQRScansBySession(42, limit);
+
+            expect(db.query.mock.calls[0][0]).toContain(paging);
+        });
+    });
+
+    describe('insertQRScanAtomic', () => {
+        const capturedAt = new Date('2026-03-02T08:15:00Z');
+        const options = {
+            checkDuplicates: true,
+            capturedAt,
+            optionalColumns: ['AuftragsNr', 'ClientScanID'],
+            optionalValues: ['A-1001', 'scan-1']
+        };
+
+        /**
+         * Deadlock-Fehler wie vom mssql-Treiber geliefert
+         */
+        function deadlockError() {
+            return Object.assign(new Error('Transaction was deadlocked'), { number: 1205 });
+        }
+
+        test('meldet ein Duplikat aus der gesperrten Prüfung ohne Insert-ID', async () => {
+            const lastScanTime = new Date('2026-03-02T08:10:00Z');
+            db.query.mockResolvedValue({
+                recordset: [{ ID: null, CapturedTS: null, DuplicateCount: 2, LastScanTime: lastScanTime }]
+            });
+
+            const row = await qrscans.insertQRScanAtomic(42, 'A-1001^P-7', options);
+
+            expect(row).toEqual({ ID: null, CapturedTS: null, DuplicateCount: 2, LastScanTime: lastScanTime });
+            const [sql, params] = db.query.mock.calls[0];
+            expect(sql).toContain('WITH (UPDLOCK, HOLDLOCK)');
+            expect(sql).toContain('IF @duplicateCount = 0');
+            expect(params).toEqual(['A-1001^P-7', 10, capturedAt, 10, capturedAt, 42, capturedAt, 'A-1001', 'scan-1']);
+        });
+
+        test('liefert die eingefügte Zeile, wenn kein Duplikat vorliegt', async () => {
+            const inserted = { ID: 1001, CapturedTS: capturedAt, DuplicateCount: 0, LastScanTime: null };
+            db.query.mockResolvedValue({ recordset: [inserted] });
+
+            const row = await qrscans.insertQRScanAtomic(42, 'A-1001^P-7', options);
+
+            expect(row).toEqual(inserted);
+            expect(db.query).toHaveBeenCalledTimes(1);
+            expect(db.query.mock.calls[0][0]).toContain('INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid, CapturedTS, AuftragsNr, ClientScanID)');
+        });
+
+        test('wiederholt nach einem Deadlock (1205) genau einmal', async () => {
+            const inserted = { ID: 1002, CapturedTS: capturedAt, DuplicateCount: 0, LastScanTime: null };
+            db.query
+                .mockRejectedValueOnce(deadlockError())
+                .mockResolvedValueOnce({ recordset: [inserted] });
+
+            await expect(qrscans.insertQRScanAtomic(42, 'A-1001^P-7', options)).resolves.toEqual(inserted);
+            expect(db.query).toHaveBeenCalledTimes(2);
+        });
+
+        test('gibt nach dem zweiten Deadlock auf', async () => {
+            db.query.mockRejectedValue(deadlockError());
+
+            await expect(qrscans.insertQRScanAtomic(42, 'A-1001^P-7', options)).rejects.toThrow('deadlocked');
+            expect(db.query).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+// tests/unit/keyboard-wedge-listener.test.js
+/**
+ * Tests für den Keyboard-Wedge Listener (rfid/keyboard-wedge-listener.js)
+ * Scanner-Bursts vs. menschliches Tippen und Abgrenzung zu RFID-Badges
+ */
+
+const EventEmitter = require('events');
+const KeyboardWedgeListener = require('../../rfid/keyboard-wedge-listener');
+
+const SCANNER_KEY_INTERVAL = 5; // ms - Scanner "tippt" deutlich schneller als WEDGE_MAX_KEY_INTERVAL
+const HUMAN_KEY_INTERVAL = 150; // ms
+
+// RFID-Tags wie im RFID-Listener: reine Hex-Eingabe mit 8 Zeichen
+const isRFIDTag = (input) => /^[0-9A-F]{8}$/.test(input);
+
+/**
+ * Zeichen mit festem Abstand eingeben
+ */
+function typeChars(onInput, text, interval) {
+    for (const char of text) {
+        jest.advanceTimersByTime(interval);
+        onInput(char);
+    }
+}
+
+/**
+ * webContents-Mock mit 'before-input-event'
+ */
+function createWebContents() {
+    const webContents = new EventEmitter();
+    webContents.isDestroyed = () => false;
+    webContents.pressKey = (key, modifiers = {}) => {
+        webContents.emit('before-input-event', {}, { type: 'keyDown', key, ...modifiers });
+    };
+    return webContents;
+}
+
+describe('KeyboardWedgeListener', () => {
+    let listener;
+    let callback;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-15T08:00:00Z'));
+        callback = jest.fn();
+        listener = new KeyboardWedgeListener(callback);
+    });
+
+    afterEach(() => {
+        listener.stop();
+        jest.useRealTimers();
+    });
+
+    describe('Scanner-Burst vs. Tippen', () => {
+        test('schneller Burst mit Enter wird als Scan erkannt', () => {
+            const onCode = jest.fn();
+            listener.on('code', onCode);
+
+            typeChars(char => listener.handleInput(char), 'AUF12345^PKT9', SCANNER_KEY_INTERVAL);
+            jest.advanceTimersByTime(SCANNER_KEY_INTERVAL);
+
+            expect(listener.processCode()).toBe(true);
+            expect(onCode).toHaveBeenCalledWith('AUF12345^PKT9');
+            expect(callback).toHaveBeenCalledWith('AUF12345^PKT9');
+            expect(listener.getStatus().stats.validScans).toBe(1);
+        });
+
+        test('menschliches Tippen wird nicht als Scan gewertet', () => {
+            typeChars(char => listener.handleInput(char), 'Bemerkung', HUMAN_KEY_INTERVAL);
+
+            expect(listener.processCode()).toBe(false);
+            expect(callback).not.toHaveBeenCalled();
+            expect(listener.getStatus().stats.rejectedInputs).toBe(1);
+        });
+
+        test('Enter lange nach dem letzten Zeichen wird nicht als Scan gewertet', () => {
+            typeChars(char => listener.handleInput(char), 'AUF12345', SCANNER_KEY_INTERVAL);
+            jest.advanceTimersByTime(HUMAN_KEY_INTERVAL);
+
+            expect(listener.processCode()).toBe(false);
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        test('zu kurze Codes werden verworfen', () => {
+            typeChars(char => listener.handleInput(char), 'AB1', SCANNER_KEY_INTERVAL);
+
+            expect(listener.processCode()).toBe(false);
+            expect(listener.getStatus().stats.rejectedInputs).toBe(1);
+        });
+
+        test('Pause beginnt eine neue Eingabe', () => {
+            typeChars(char => listener.handleInput(char), 'TIPPFEHLER', HUMAN_KEY_INTERVAL);
+            jest.advanceTimersByTime(HUMAN_KEY_INTERVAL);
+            typeChars(char => listener.handleInput(char), 'PKT00042', SCANNER_KEY_INTERVAL);
+
+            expect(listener.processCode()).toBe(true);
+            expect(callback).toHaveBeenCalledWith('PKT00042');
+        });
+
+        test('Fehler im Callback wird als callback-error gemeldet', () => {
+            const onCallbackError = jest.fn();
+            callback.mockImplementation(() => {
+                throw new Error('Callback kaputt');
+            });
+            listener.on('callback-error', onCallbackError);
+
+            expect(listener.simulateScan('PKT00042')).toBe(true);
+            expect(onCallbackError).toHaveBeenCalledWith(expect.objectContaining({ code: 'PKT00042' }));
+        });
+    });
+
+    describe('RFID-Interceptor (globale Shortcuts)', () => {
+        let interceptor;
+
+        beforeEach(() => {
+            interceptor = listener.getRFIDInterceptor(isRFIDTag);
+        });
+
+        test('RFID-Badge bleibt beim RFID-Listener', () => {
+            typeChars(interceptor.onInput, '53004114', SCANNER_KEY_INTERVAL);
+
+            expect(interceptor.onEnter()).toBe(false);
+            expect(callback).not.toHaveBeenCalled();
+            expect(listener.buffer).toBe('');
+        });
+
+        test('Badge in Kleinbuchstaben wird ebenfalls als RFID-Tag erkannt', () => {
+            typeChars(interceptor.onInput, '53004a1b', SCANNER_KEY_INTERVAL);
+
+            expect(interceptor.onEnter()).toBe(false);
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        test('Hex-Code anderer Länge wird als Scanner-Code abgefangen', () => {
+            typeChars(interceptor.onInput, '4006381333931', SCANNER_KEY_INTERVAL);
+
+            expect(interceptor.onEnter()).toBe(true);
+            expect(callback).toHaveBeenCalledWith('4006381333931');
+        });
+
+        test('Enter ohne Eingabe wird nicht abgefangen', () => {
+            expect(interceptor.onEnter()).toBe(false);
+            expect(listener.getStatus().stats.rejectedInputs).toBe(0);
+        });
+    });
+
+    describe('Anwendungsfenster', () => {
+        let webContents;
+
+        beforeEach(() => {
+            webContents = createWebContents();
+            listener.getRFIDInterceptor(isRFIDTag);
+            listener.start(webContents);
+        });
+
+        function pressKeys(text, interval) {
+            for (const key of text) {
+                jest.advanceTimersByTime(interval);
+                webContents.pressKey(key);
+            }
+            webContents.pressKey('Enter');
+        }
+
+        test('Scanner-Code aus dem Fenster wird erkannt', () => {
+            pressKeys('AUF12345^PKT9', SCANNER_KEY_INTERVAL);
+
+            expect(callback).toHaveBeenCalledWith('AUF12345^PKT9');
+        });
+
+        test('RFID-Badge im Fenster wird nicht als Scan gewertet', () => {
+            pressKeys('53004114', SCANNER_KEY_INTERVAL);
+
+            expect(callback).not.toHaveBeenCalled();
+            expect(listener.getStatus().stats.rejectedInputs).toBe(0);
+        });
+
+        test('Tastenkombinationen und keyUp werden ignoriert', () => {
+            webContents.pressKey('c', { control: true });
+            webContents.emit('before-input-event', {}, { type: 'keyUp', key: 'A' });
+
+            expect(listener.buffer).toBe('');
+        });
+
+        test('stop() entfernt den Fenster-Listener', () => {
+            listener.stop();
+            pressKeys('AUF12345^PKT9', SCANNER_KEY_INTERVAL);
+
+            expect(webContents.listenerCount('before-input-event')).toBe(0);
+            expect(callback).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,385 @@
+// tests/unit/offline-journal.test.js
+/**
+ * Tests für das Offline-Journal (utils/offline-journal.js) und das Nachtragen in main.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Lokale .env darf die Testumgebung nicht verändern
+jest.mock('dotenv', () => ({ config: () => ({}) }));
+
+const OfflineJournal = require('../../utils/offline-journal');
+const QualitaetskontrolleMainApp = require('../../main');
+
+function readLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+}
+
+describe('OfflineJournal', () => {
+    let tempDir;
+    let journalPath;
+
+    beforeEach(() => {
+        tempDir = createTestTempDir();
+        journalPath = path.join(tempDir, 'offline-journal.jsonl');
+    });
+
+    afterEach(() => {
+        removeTestTempDir(tempDir);
+    });
+
+    describe('append', () => {
+        test('schreibt Einträge sofort als JSON Lines in Erfassungsreihenfolge', () => {
+            const journal = new OfflineJournal(journalPath);
+
+            const login = journal.append('login', { userId: 7, offlineSessionId: -1 });
+            const logout = journal.append('logout', { sessionId: -1 });
+
+            expect(login).toMatchObject({ id: expect.any(String), seq: 1, type: 'login', createdAt: expect.any(String) });
+            expect(logout.seq).toBe(2);
+            expect(journal.getPending().map(entry => entry.id)).toEqual([login.id, logout.id]);
+            expect(readLines(journalPath).map(line => JSON.parse(line).id)).toEqual([login.id, logout.id]);
+        });
+
+        test('legt das Verzeichnis bei Bedarf an', () => {
+            const journal = new OfflineJournal(path.join(tempDir, 'userData', 'offline-journal.jsonl'));
+
+            journal.append('logout', { sessionId: 5 });
+
+            expect(fs.existsSync(path.join(tempDir, 'userData', 'offline-journal.jsonl'))).toBe(true);
+        });
+
+        test('getPending liefert eine Kopie', () => {
+            const journal = new OfflineJournal(journalPath);
+            journal.append('logout', { sessionId: 5 });
+
+            journal.getPending().pop();
+
+            expect(journal.getPendingCount()).toBe(1);
+        });
+    });
+
+    describe('load', () => {
+        test('übernimmt ausstehende Einträge nach einem Neustart und zählt seq weiter', () => {
+            const first = new OfflineJournal(journalPath);
+            first.append('login', { userId: 7 });
+            first.append('logout', { sessionId: -1 });
+
+            const reloaded = new OfflineJournal(journalPath);
+            const next = reloaded.append('login', { userId: 8 });
+
+            expect(reloaded.getPendingCount()).toBe(3);
+            expect(next.seq).toBe(3);
+        });
+
+        test('überspringt eine abgeschnittene Zeile und entfernt sie aus der Datei', () => {
+            const journal = new OfflineJournal(journalPath);
+            const entry = journal.append('login', { userId: 7 });
+            fs.appendFileSync(journalPath, '{"id":"abc","seq":2,"ty');
+
+            const reloaded = new OfflineJournal(journalPath);
+            reloaded.append('logout', { sessionId: -1 });
+
+            expect(reloaded.getPending().map(pending => pending.type)).toEqual(['login', 'logout']);
+            expect(readLines(journalPath).map(line => JSON.parse(line).seq)).toEqual([entry.seq, 2]);
+        });
+
+        test('fehlende Datei ergibt ein leeres Journal', () => {
+            expect(new OfflineJournal(journalPath).getPendingCount()).toBe(0);
+        });
+    });
+
+    describe('remove / reject', () => {
+        test('remove entfernt den Eintrag auch aus der Datei', () => {
+            const journal = new OfflineJournal(journalPath);
+            const login = journal.append('login', { userId: 7 });
+            const logout = journal.append('logout', { sessionId: -1 });
+
+            expect(journal.remove(login.id)).toBe(true);
+            expect(journal.remove('unbekannt')).toBe(false);
+            expect(new OfflineJournal(journalPath).getPending().map(entry => entry.id)).toEqual([logout.id]);
+        });
+
+        test('reject archiviert den Eintrag mit Status und Meldung', () => {
+            const journal = new OfflineJournal(journalPath);
+            const login = journal.append('login', { userId: 7 });
+
+            expect(journal.reject(login, 'error', 'Session konnte nicht angelegt werden')).toBe(true);
+
+            const rejectedPath = path.join(tempDir, 'offline-journal.rejected.jsonl');
+            const [archived] = readLines(rejectedPath).map(line => JSON.parse(line));
+            expect(archived).toMatchObject({
+                id: login.id,
+                type: 'login',
+                status: 'error',
+                message: 'Session konnte nicht angelegt werden',
+                rejectedAt: expect.any(String)
+            });
+            expect(journal.getPendingCount()).toBe(0);
+            expect(readLines(journalPath)).toEqual([]);
+        });
+    });
+});
+
+describe('Offline-Journal nachtragen (main.js)', () => {
+    let tempDir;
+    let journal;
+    let dbClient;
+    let qcApp;
+
+    /**
+     * Hauptprozess ohne Fenster und Hardware - nur der Zustand, den das Nachtragen benötigt
+     */
+    function createReplayApp() {
+        const instance = Object.create(QualitaetskontrolleMainApp.prototype);
+        return Object.assign(instance, {
+            mainWindow: null,
+            dbClient,
+            offlineJournal: journal,
+            offlineReplayInProgress: false,
+            offlineSessionIds: new Map(),
+            sessionSuccessors: new Map(),
+            offlineQCSessions: new Map(),
+            rejectedOfflineCartons: new Set(),
+            systemStatus: { database: true, rfid: false, lastError: null },
+            currentSession: null,
+            qcSessions: new Map(),
+            qcCompletedCodes: new Set(),
+            qcCustomerWorkflows: {},
+            qcCartonTimeoutMs: 15 * 60 * 1000,
+            qcCancelCode: 'QC-CANCEL',
+            stationId: 'TEST',
+            qrScanRateLimit: new Map(),
+            maxQRScansPerMinute: 20,
+            decodingStats: { totalScans: 0, successfulDecodes: 0, withAuftrag: 0, withPaket: 0, withKunde: 0 }
+        });
+    }
+
+    /**
+     * Prüfablauf-Methoden des Datenbank-Clients für einen neuen Karton (Workflow two_scan, ohne Checkliste)
+     */
+    function mockQCDatabase() {
+        let nextScanId = 1000;
+        Object.assign(dbClient, {
+            parseQRCodeData: jest.fn(() => ({ auftrags_nr: 'NL-4711', paket_nr: '1', kunden_id: null })),
+            validateManualCode: jest.fn(code => ({ isValid: true, code })),
+            normalizeClientScanId: jest.fn(value => value || null),
+            isQCInspectionCompleted: jest.fn(async () => false),
+            getPendingQCRework: jest.fn(async () => null),
+            isQCInspectionAbandoned: jest.fn(async () => false),
+            saveQRScan: jest.fn(async (sessionId, payload) => ({
+                success: true,
+                status: 'saved',
+                message: 'QR-Code gespeichert',
+                data: { ID: nextScanId++, RawPayload: payload, DecodedData: { auftrags_nr: 'NL-4711' } }
+            })),
+            startQCInspection: jest.fn(async () => ({ ID: 500 })),
+            getQCChecklistForCarton: jest.fn(async () => []),
+            getQCLot: jest.fn(async () => null),
+            updateQCInspectionProgress: jest.fn(async () => true),
+            saveQCResult: jest.fn(async data => ({ success: true, status: 'result_saved', data: { ID: 900, Result: data.result } })),
+            linkQCResultSecondScan: jest.fn(async () => true),
+            completeQCInspection: jest.fn(async () => true),
+            recordQCLotInspection: jest.fn(async () => null),
+            abandonQCInspection: jest.fn(async () => true)
+        });
+    }
+
+    /**
+     * Karton offline prüfen: erster Scan, Prüfergebnis, abschließender Scan
+     */
+    function inspectCartonOffline(sessionId, payload) {
+        return [
+            qcApp.journalOfflineScan(sessionId, payload, { clientScanId: `${payload}-1` }),
+            qcApp.journalOfflineQCResult(sessionId, { result: 'pass' }),
+            qcApp.journalOfflineScan(sessionId, payload, { clientScanId: `${payload}-2` })
+        ];
+    }
+
+    beforeEach(() => {
+        tempDir = createTestTempDir();
+        journal = new OfflineJournal(path.join(tempDir, 'offline-journal.jsonl'));
+
+        let nextSessionId = 100;
+        dbClient = {
+            createSession: jest.fn(async () => ({ ID: nextSessionId++ })),
+            endSession: jest.fn(async () => true),
+            testConnection: jest.fn(async () => ({ success: true })),
+            handleConnectionLost: jest.fn(),
+            getReconnectStatus: jest.fn(() => null)
+        };
+        qcApp = createReplayApp();
+    });
+
+    afterEach(() => {
+        removeTestTempDir(tempDir);
+    });
+
+    test('überträgt Anmeldungen und Abmeldungen in Erfassungsreihenfolge mit Offline-Zeitstempel', async () => {
+        const login = journal.append('login', { offlineSessionId: -1, previousSessionId: 42, userId: 7, userName: 'Test Benutzer' });
+        const logout = journal.append('logout', { sessionId: -1 });
+
+        await qcApp.replayOfflineJournal();
+
+        expect(dbClient.endSession.mock.calls).toEqual([
+            [42, new Date(login.createdAt)],
+            [100, new Date(logout.createdAt)]
+        ]);
+        expect(dbClient.createSession).toHaveBeenCalledWith(7, 'Qualitätskontrolle', new Date(login.createdAt));
+        expect(qcApp.offlineSessionIds.get(-1)).toBe(100);
+        expect(journal.getPendingCount()).toBe(0);
+        expect(qcApp.offlineReplayInProgress).toBe(false);
+    });
+
+    test('abgewiesene Einträge werden archiviert, der Rest trotzdem übertragen', async () => {
+        dbClient.createSession.mockResolvedValueOnce(null);
+        journal.append('login', { offlineSessionId: -1, previousSessionId: null, userId: 7, userName: 'Test Benutzer' });
+        journal.append('logout', { sessionId: 42 });
+
+        await qcApp.replayOfflineJournal();
+
+        const rejected = readLines(path.join(tempDir, 'offline-journal.rejected.jsonl')).map(line => JSON.parse(line));
+        expect(rejected).toEqual([expect.objectContaining({ type: 'login', status: 'error' })]);
+        expect(dbClient.endSession).toHaveBeenCalledWith(42, expect.any(Date));
+        expect(journal.getPendingCount()).toBe(0);
+    });
+
+    test('unbekannte Eintragstypen werden abgewiesen', async () => {
+        journal.append('inventur', { payload: 'ALT' });
+
+        await qcApp.replayOfflineJournal();
+
+        const rejected = readLines(path.join(tempDir, 'offline-journal.rejected.jsonl')).map(line => JSON.parse(line));
+        expect(rejected).toEqual([expect.objectContaining({ type: 'inventur', status: 'invalid_entry' })]);
+    });
+
+    test('bei erneutem Verbindungsverlust bleibt der Rest im Journal', async () => {
+        dbClient.endSession.mockRejectedValueOnce(new Error('Connection lost'));
+        dbClient.testConnection.mockResolvedValueOnce({ success: false, error: 'Connection lost' });
+        const first = journal.append('logout', { sessionId: 41 });
+        const second = journal.append('logout', { sessionId: 42 });
+
+        await qcApp.replayOfflineJournal();
+
+        expect(journal.getPending().map(entry => entry.id)).toEqual([first.id, second.id]);
+        expect(qcApp.systemStatus.database).toBe(false);
+        expect(dbClient.endSession).toHaveBeenCalledTimes(1);
+        expect(fs.existsSync(path.join(tempDir, 'offline-journal.rejected.jsonl'))).toBe(false);
+    });
+
+    test('ohne Datenbank wird nichts übertragen', async () => {
+        qcApp.systemStatus.database = false;
+        journal.append('logout', { sessionId: 42 });
+
+        await qcApp.replayOfflineJournal();
+
+        expect(dbClient.endSession).not.toHaveBeenCalled();
+        expect(journal.getPendingCount()).toBe(1);
+    });
+
+    test('laufende Offline-Session wird auf die Datenbank-Session umgestellt', async () => {
+        qcApp.currentSession = { sessionId: -1, userId: 7, userName: 'Test Benutzer', offline: true };
+        qcApp.qrScanRateLimit.set(-1, []);
+        journal.append('login', { offlineSessionId: -1, previousSessionId: null, userId: 7, userName: 'Test Benutzer' });
+
+        await qcApp.replayOfflineJournal();
+
+        expect(qcApp.currentSession).toMatchObject({ sessionId: 100, offline: false });
+        expect(qcApp.qrScanRateLimit.has(-1)).toBe(false);
+        expect(qcApp.qcSessions.has(100)).toBe(true);
+    });
+
+    describe('Prüfablauf offline und beim Nachtragen', () => {
+        beforeEach(() => {
+            mockQCDatabase();
+            qcApp.systemStatus.database = false;
+            qcApp.currentSession = { sessionId: 42, userId: 7, userName: 'Test Benutzer' };
+        });
+
+        test('Karton wird offline durch den Workflow geführt und mit Karton-ID im Journal gesichert', () => {
+            const [opening, result, closing] = inspectCartonOffline(42, 'KARTON-1');
+
+            expect(opening).toMatchObject({ success: true, status: 'journaled', qcStatus: 'first_scan', qcCompleted: false });
+            expect(opening.qcNextStep.action).toBe('result');
+            expect(result).toMatchObject({ success: true, status: 'journaled', qcStatus: 'result_recorded' });
+            expect(closing).toMatchObject({ success: true, qcStatus: 'second_scan', qcCompleted: true });
+
+            const entries = journal.getPending();
+            expect(entries.map(entry => entry.type)).toEqual(['scan', 'qc_result', 'scan']);
+            expect(new Set(entries.map(entry => entry.data.cartonId)).size).toBe(1);
+            expect(entries.every(entry => entry.data.sessionId === 42 && entry.data.payload === 'KARTON-1')).toBe(true);
+            expect(qcApp.qcCompletedCodes.has('KARTON-1')).toBe(true);
+            expect(dbClient.saveQRScan).not.toHaveBeenCalled();
+        });
+
+        test('Scan vor dem Prüfergebnis wird auch offline abgewiesen', () => {
+            qcApp.journalOfflineScan(42, 'KARTON-1');
+
+            const early = qcApp.journalOfflineScan(42, 'KARTON-1');
+            const wrong = qcApp.journalOfflineScan(42, 'KARTON-2');
+
+            expect(early).toMatchObject({ success: false, status: 'result_missing' });
+            expect(wrong).toMatchObject({ success: false, status: 'wrong_code' });
+            expect(journal.getPendingCount()).toBe(1);
+        });
+
+        test('Nachtragen öffnet und schließt den Karton über processQCScan mit der Erfassungszeit', async () => {
+            inspectCartonOffline(42, 'KARTON-1');
+            const [firstScan, , secondScan] = journal.getPending();
+            const processQCScan = jest.spyOn(qcApp, 'processQCScan');
+
+            qcApp.systemStatus.database = true;
+            await qcApp.replayOfflineJournal();
+
+            expect(processQCScan).toHaveBeenCalledTimes(2);
+            expect(dbClient.saveQRScan.mock.calls.map(call => [call[1], call[2].capturedAt, call[2].clientScanId])).toEqual([
+                ['KARTON-1', new Date(firstScan.createdAt), 'KARTON-1-1'],
+                ['KARTON-1', new Date(secondScan.createdAt), 'KARTON-1-2']
+            ]);
+            expect(dbClient.isQCInspectionCompleted).toHaveBeenCalledWith('KARTON-1');
+            expect(dbClient.startQCInspection).toHaveBeenCalledTimes(1);
+            expect(dbClient.saveQCResult).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 42, firstScanId: 1000, result: 'pass' }));
+            expect(dbClient.completeQCInspection).toHaveBeenCalledWith(500, 1001, 'pass');
+            expect(journal.getPendingCount()).toBe(0);
+
+            // Abgeschlossener Karton startet eine neue Session - die laufende Session folgt nach dem Nachtragen
+            expect(dbClient.endSession).toHaveBeenCalledWith(42);
+            expect(qcApp.currentSession.sessionId).toBe(100);
+            expect(qcApp.resolveSessionId(42)).toBe(100);
+            expect(qcApp.offlineQCSessions.size).toBe(0);
+        });
+
+        test('abgewiesener erster Scan verwirft die übrigen Einträge des Kartons', async () => {
+            dbClient.isQCInspectionCompleted.mockResolvedValue(true);
+            inspectCartonOffline(42, 'KARTON-1');
+
+            qcApp.systemStatus.database = true;
+            await qcApp.replayOfflineJournal();
+
+            const rejected = readLines(path.join(tempDir, 'offline-journal.rejected.jsonl')).map(line => JSON.parse(line));
+            expect(rejected.map(entry => [entry.type, entry.status])).toEqual([
+                ['scan', 'duplicate_completed'],
+                ['qc_result', 'carton_rejected'],
+                ['scan', 'carton_rejected']
+            ]);
+            expect(dbClient.saveQRScan).not.toHaveBeenCalled();
+            expect(dbClient.saveQCResult).not.toHaveBeenCalled();
+            expect(journal.getPendingCount()).toBe(0);
+        });
+
+        test('Scans einer Offline-Anmeldung laufen in deren nachgetragene Session', async () => {
+            journal.append('login', { offlineSessionId: -1, previousSessionId: 42, userId: 8, userName: 'Offline Benutzer' });
+            qcApp.currentSession = { sessionId: -1, userId: 8, userName: 'Offline Benutzer', offline: true };
+            qcApp.journalOfflineScan(-1, 'KARTON-1');
+
+            qcApp.systemStatus.database = true;
+            await qcApp.replayOfflineJournal();
+
+            expect(dbClient.saveQRScan).toHaveBeenCalledWith(100, 'KARTON-1', expect.any(Object));
+            expect(dbClient.startQCInspection).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 100, userId: 8 }));
+            expect(qcApp.currentSession).toMatchObject({ sessionId: 100, offline: false });
+            expect(qcApp.qcSessions.get(100).currentCode).toBe('KARTON-1');
+        });
+    });
+});
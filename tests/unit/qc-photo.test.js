@@ -0,0 +1,72 @@
+// tests/unit/qc-photo.test.js
+/**
+ * Tests für den Foto-Schritt der Karton-Prüfung (main.js → db/modules/db-qcphotos.js)
+ */
+
+// Lokale .env darf die Testumgebung nicht verändern
+jest.mock('dotenv', () => ({ config: () => ({}) }));
+
+const QCPhotoModule = require('../../db/modules/db-qcphotos');
+const QualitaetskontrolleMainApp = require('../../main');
+const { QC_WORKFLOWS } = require('../../db/constants/qc-workflows');
+
+describe('Foto-Schritt der Karton-Prüfung', () => {
+    const jpegBytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+    let db;
+    let qcApp;
+
+    /**
+     * Karton im Foto-Schritt (Ablauf Scan + Foto + Bestätigung)
+     */
+    function cartonAtPhotoStep(firstScanId, inspectionId) {
+        return {
+            userId: 7,
+            currentCode: `AUF-${inspectionId}`,
+            firstScanId,
+            inspectionId,
+            workflowId: QC_WORKFLOWS.SCAN_PHOTO_CONFIRM,
+            stepIndex: 2,
+            checklist: [],
+            lastActivity: 0
+        };
+    }
+
+    beforeEach(() => {
+        db = { query: jest.fn().mockResolvedValue({ recordset: [{ ID: 300, CreatedTS: new Date() }] }) };
+        const qcphotos = new QCPhotoModule(db, { normalizeTimestamp: value => value });
+
+        qcApp = Object.assign(Object.create(QualitaetskontrolleMainApp.prototype), {
+            dbClient: {
+                saveQCPhoto: photoData => qcphotos.savePhoto(photoData),
+                updateQCInspectionProgress: jest.fn().mockResolvedValue(true)
+            },
+            offlineSessionIds: new Map([[-1, 42]]),
+            sessionSuccessors: new Map(),
+            qcSessions: new Map([
+                [42, cartonAtPhotoStep(1001, 77)],
+                [43, cartonAtPhotoStep(2001, 88)]
+            ])
+        });
+    });
+
+    test('speichert das Foto einer Offline-Session beim Karton der nachgetragenen Session', async () => {
+        const photoData = {
+            dataUrl: `data:image/jpeg;base64,${jpegBytes.toString('base64')}`,
+            width: 640,
+            height: 480
+        };
+
+        const result = await qcApp.saveQCPhoto(qcApp.resolveSessionId(-1), photoData);
+
+        expect(result).toMatchObject({ success: true, status: 'photo_saved', data: { ScanID: 1001, InspectionID: 77 } });
+        expect(db.query).toHaveBeenCalledTimes(1);
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('INSERT INTO dbo.QcPhotos');
+        expect(params.slice(0, 4)).toEqual([1001, 77, 42, 7]);
+        expect(Buffer.isBuffer(params[8])).toBe(true);
+        expect(params[8].equals(jpegBytes)).toBe(true);
+        expect(qcApp.qcSessions.get(42).stepIndex).toBe(3);
+        expect(qcApp.qcSessions.get(43).stepIndex).toBe(2);
+    });
+});
@@ -0,0 +1,113 @@
+// tests/unit/qc-scan-retry.test.js
+/**
+ * Tests für die Wiederholung eines bereits gespeicherten Scans (gleiche ClientScanID)
+ * Hauptprozess (processQCScan) mit echtem QR-Scan Modul und gemockter Datenbankverbindung
+ */
+
+// Lokale .env darf die Testumgebung nicht verändern
+jest.mock('dotenv', () => ({ config: () => ({}) }));
+
+const QRScanModule = require('../../db/modules/db-qrscans');
+const DatabaseUtils = require('../../db/utils/db-utils');
+const QualitaetskontrolleMainApp = require('../../main');
+const { QC_INSPECTION_STATUS } = require('../../db/constants/qc-results');
+
+describe('Wiederholung eines gespeicherten Scans (ClientScanID)', () => {
+    const payload = '1^NL-4711^K-17^1';
+    const clientScanId = '3f2b8c1e-6d4a-4b9e-8f0c-2a7d5e9b1c43';
+    const capturedTS = new Date('2026-03-02T08:15:00Z');
+
+    let db;
+    let utils;
+    let dbClient;
+    let qcApp;
+
+    /**
+     * Hauptprozess ohne Fenster und Hardware - frischer QC-Zustand wie nach einem Neustart
+     */
+    function createQCApp() {
+        return Object.assign(Object.create(QualitaetskontrolleMainApp.prototype), {
+            mainWindow: null,
+            dbClient,
+            offlineReplayInProgress: false,
+            currentSession: { sessionId: 42, userId: 7 },
+            qcSessions: new Map(),
+            qcCompletedCodes: new Set(),
+            qcCustomerWorkflows: {},
+            qcCartonTimeoutMs: 15 * 60 * 1000,
+            stationId: 'TEST',
+            qrScanRateLimit: new Map(),
+            maxQRScansPerMinute: 20,
+            decodingStats: { totalScans: 0, successfulDecodes: 0, withAuftrag: 0, withPaket: 0, withKunde: 0 }
+        });
+    }
+
+    beforeEach(() => {
+        db = { query: jest.fn() };
+        utils = new DatabaseUtils();
+        const qrscans = new QRScanModule(db, utils);
+
+        dbClient = {
+            saveQRScan: (sessionId, scanPayload, options) => qrscans.saveQRScan(sessionId, scanPayload, options),
+            parseQRCodeData: data => utils.parseQRCodeData(data),
+            isQCInspectionCompleted: jest.fn().mockResolvedValue(false),
+            getPendingQCRework: jest.fn().mockResolvedValue(null),
+            isQCInspectionAbandoned: jest.fn().mockResolvedValue(false),
+            startQCInspection: jest.fn().mockResolvedValue({ ID: 500 }),
+            getQCInspectionByFirstScan: jest.fn(),
+            getQCResultByFirstScan: jest.fn().mockResolvedValue(null),
+            getQCChecklistForCarton: jest.fn().mockResolvedValue([]),
+            getQCPhotoCount: jest.fn().mockResolvedValue(0),
+            getQCLot: jest.fn().mockResolvedValue(null),
+            updateQCInspectionProgress: jest.fn().mockResolvedValue(true)
+        };
+        qcApp = createQCApp();
+    });
+
+    afterEach(() => {
+        utils.cleanup();
+    });
+
+    test('zweites Speichern liefert die vorhandene Zeile und legt keine zweite Prüfung an', async () => {
+        db.query
+            // Erster Scan: ClientScanID unbekannt, kein Duplikat, Insert
+            .mockResolvedValueOnce({ recordset: [] })
+            .mockResolvedValueOnce({ recordset: [{ duplicateCount: 0, lastScanTime: null }] })
+            .mockResolvedValueOnce({ recordset: [{ ID: 1000, CapturedTS: capturedTS, DuplicateCount: 0, LastScanTime: null }] })
+            // Wiederholung: ClientScanID bereits gespeichert
+            .mockResolvedValueOnce({
+                recordset: [{ ID: 1000, SessionID: 42, RawPayload: payload, CapturedTS: capturedTS, Symbology: null, ManualEntry: false, OverrideID: null }]
+            });
+
+        const first = await qcApp.processQCScan(42, payload, null, { clientScanId });
+        expect(first).toMatchObject({ success: true, status: 'saved', data: { ID: 1000 } });
+        const { workflowId, stepIndex } = qcApp.qcSessions.get(42);
+
+        // Antwort ging verloren, Station wurde neu gestartet - Renderer wiederholt den Scan
+        qcApp = createQCApp();
+        dbClient.getQCInspectionByFirstScan.mockResolvedValue({
+            ID: 500,
+            SessionID: 42,
+            Status: QC_INSPECTION_STATUS.IN_PROGRESS,
+            RawPayload: payload,
+            FirstScanID: 1000,
+            WorkflowID: workflowId,
+            StepIndex: stepIndex,
+            InspectionRound: 1
+        });
+
+        const second = await qcApp.processQCScan(42, payload, null, { clientScanId });
+
+        expect(second).toMatchObject({
+            success: true,
+            status: 'already_saved',
+            data: { ID: 1000, ClientScanID: clientScanId, RawPayload: payload },
+            qcOpenCarton: { inspectionId: 500, firstScanId: 1000 }
+        });
+        expect(db.query).toHaveBeenCalledTimes(4);
+        expect(db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO dbo.QrScans'))).toHaveLength(1);
+        expect(dbClient.startQCInspection).toHaveBeenCalledTimes(1);
+        expect(dbClient.getQCInspectionByFirstScan).toHaveBeenCalledWith(1000);
+        expect(qcApp.qcSessions.get(42)).toMatchObject({ currentCode: payload, inspectionId: 500, firstScanId: 1000, stepIndex });
+    });
+});
@@ -0,0 +1,132 @@
+// tests/unit/qc-workflows.test.js
+/**
+ * Tests für die QC-Workflow-Definitionen (db/constants/qc-workflows.js)
+ * Schrittfolgen je Workflow, Abschluss nach dem letzten Schritt und Workflow-Auswahl
+ */
+
+const {
+    QC_WORKFLOWS,
+    QC_STEP_TYPES,
+    QC_ACTIONS,
+    DEFAULT_QC_WORKFLOW,
+    getQCWorkflow,
+    getAllQCWorkflows,
+    getQCWorkflowStep,
+    getQCActionConfig,
+    parseCustomerWorkflowMap,
+    selectQCWorkflow
+} = require('../../db/constants/qc-workflows');
+const { SESSION_TYPES } = require('../../db/constants/session-types');
+
+/**
+ * Workflow Schritt für Schritt durchlaufen wie main.js (stepIndex bis kein Schritt mehr folgt)
+ * @returns {Array} - Schritt-IDs in Ausführungsreihenfolge
+ */
+function walkWorkflow(workflowId) {
+    const stepIds = [];
+    let stepIndex = 0;
+    let step = getQCWorkflowStep(workflowId, stepIndex);
+
+    while (step) {
+        stepIds.push(step.id);
+        stepIndex++;
+        step = getQCWorkflowStep(workflowId, stepIndex);
+    }
+
+    return stepIds;
+}
+
+describe('QC-Workflows', () => {
+    describe('Schrittfolgen', () => {
+        test.each([
+            [QC_WORKFLOWS.TWO_SCAN, ['open', 'result', 'close']],
+            [QC_WORKFLOWS.SINGLE_SCAN, ['open', 'result']],
+            [QC_WORKFLOWS.SCAN_CONFIRM, ['open', 'result', 'confirm']],
+            [QC_WORKFLOWS.SCAN_PHOTO_CONFIRM, ['open', 'result', 'photo', 'confirm']],
+            [QC_WORKFLOWS.OPEN_INSPECT_CLOSE, ['open', 'inspect', 'result', 'close']]
+        ])('%s durchläuft %p', (workflowId, expectedSteps) => {
+            expect(walkWorkflow(workflowId)).toEqual(expectedSteps);
+        });
+
+        test.each(getAllQCWorkflows().map(workflow => [workflow.id]))('%s beginnt mit dem Öffnen-Scan', (workflowId) => {
+            const firstStep = getQCWorkflowStep(workflowId, 0);
+
+            expect(firstStep.type).toBe(QC_STEP_TYPES.SCAN);
+            expect(firstStep.qcStatus).toBe('first_scan');
+        });
+
+        test.each(getAllQCWorkflows().map(workflow => [workflow.id]))('%s: jeder Schritt ist ein Scan mit qcStatus oder eine bekannte Aktion', (workflowId) => {
+            const steps = getQCWorkflow(workflowId).steps;
+            const scanSteps = steps.filter(step => step.type === QC_STEP_TYPES.SCAN);
+            const actionSteps = steps.filter(step => step.type === QC_STEP_TYPES.ACTION);
+
+            expect(scanSteps.length + actionSteps.length).toBe(steps.length);
+            expect(scanSteps.every(step => typeof step.qcStatus === 'string')).toBe(true);
+            expect(actionSteps.every(step => getQCActionConfig(step.action) !== null)).toBe(true);
+        });
+
+        test('Zwei-Scan-Prüfung schließt den Karton mit dem zweiten Scan', () => {
+            expect(getQCWorkflowStep(QC_WORKFLOWS.TWO_SCAN, 1)).toMatchObject({ type: QC_STEP_TYPES.ACTION, action: QC_ACTIONS.RESULT });
+            expect(getQCWorkflowStep(QC_WORKFLOWS.TWO_SCAN, 2)).toMatchObject({ type: QC_STEP_TYPES.SCAN, qcStatus: 'second_scan' });
+        });
+
+        test('nach dem letzten Schritt ist der Karton abgeschlossen', () => {
+            expect(getQCWorkflowStep(QC_WORKFLOWS.TWO_SCAN, 3)).toBeNull();
+            expect(getQCWorkflowStep(QC_WORKFLOWS.SINGLE_SCAN, 2)).toBeNull();
+        });
+
+        test('unbekannter Workflow fällt auf den Standard-Workflow zurück', () => {
+            expect(getQCWorkflow('gibt_es_nicht').id).toBe(DEFAULT_QC_WORKFLOW);
+            expect(walkWorkflow('gibt_es_nicht')).toEqual(walkWorkflow(DEFAULT_QC_WORKFLOW));
+        });
+    });
+
+    describe('Aktionen', () => {
+        test('fehlende Aktionen melden eigenen Status', () => {
+            expect(getQCActionConfig(QC_ACTIONS.RESULT).missingStatus).toBe('result_missing');
+            expect(getQCActionConfig(QC_ACTIONS.PHOTO).missingStatus).toBe('photo_missing');
+            expect(getQCActionConfig(QC_ACTIONS.CONFIRM).missingStatus).toBe('confirm_missing');
+        });
+
+        test('unbekannte Aktion liefert null', () => {
+            expect(getQCActionConfig('signature')).toBeNull();
+        });
+    });
+
+    describe('parseCustomerWorkflowMap', () => {
+        test('liest Kunden-Zuordnungen', () => {
+            expect(parseCustomerWorkflowMap('K100:single_scan, K200 : scan_confirm')).toEqual({
+                K100: QC_WORKFLOWS.SINGLE_SCAN,
+                K200: QC_WORKFLOWS.SCAN_CONFIRM
+            });
+        });
+
+        test('ignoriert unvollständige Einträge und unbekannte Workflows', () => {
+            expect(parseCustomerWorkflowMap('K100:,:single_scan,K300:unbekannt,K400:two_scan')).toEqual({
+                K400: QC_WORKFLOWS.TWO_SCAN
+            });
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unbekannt'));
+        });
+
+        test.each([[undefined], [''], [42]])('leere Zuordnung für %p', (mapString) => {
+            expect(parseCustomerWorkflowMap(mapString)).toEqual({});
+        });
+    });
+
+    describe('selectQCWorkflow', () => {
+        const customerWorkflows = { K100: QC_WORKFLOWS.OPEN_INSPECT_CLOSE };
+
+        test('Kunden-Zuordnung hat Vorrang', () => {
+            expect(selectQCWorkflow({ kundenId: 'K100', customerWorkflows })).toBe(QC_WORKFLOWS.OPEN_INSPECT_CLOSE);
+        });
+
+        test('ohne Kunden-Zuordnung gilt der Workflow des SessionTypes', () => {
+            expect(selectQCWorkflow({ sessionTypeName: SESSION_TYPES.QUALITAETSKONTROLLE, kundenId: 'K999', customerWorkflows }))
+                .toBe(QC_WORKFLOWS.TWO_SCAN);
+        });
+
+        test('SessionType ohne Workflow nutzt den Standard-Workflow', () => {
+            expect(selectQCWorkflow({ sessionTypeName: SESSION_TYPES.INVENTUR })).toBe(DEFAULT_QC_WORKFLOW);
+        });
+    });
+});
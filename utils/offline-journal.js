@@ -0,0 +1,168 @@
+/**
+ * Lokales Offline-Journal für Scans, Prüfschritte und RFID-Anmeldungen bei Datenbank-Ausfall
+ * Gespeichert als JSON Lines im Benutzerdaten-Verzeichnis der Anwendung (ein Eintrag pro Zeile, Reihenfolge = Erfassung)
+ *
+ * Einträge: { id, seq, type, createdAt, data }
+ *   type: 'login' | 'logout' | 'scan' | 'qc_result' | 'qc_confirm' | 'qc_checklist' | 'qc_photo' | 'qc_cancel'
+ *   Scans und Prüfschritte tragen { sessionId, cartonId, payload } - cartonId fasst die Einträge eines Kartons zusammen
+ * Beim Nachtragen abgewiesene Einträge landen in <journal>.rejected.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class OfflineJournal {
+    /**
+     * @param {string} filePath - Pfad der Journal-Datei
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = [];
+        this.nextSeq = 1;
+
+        this.load();
+    }
+
+    /**
+     * Journal von der Festplatte laden (defekte Zeilen, z.B. nach Stromausfall, werden übersprungen)
+     */
+    load() {
+        this.entries = [];
+
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            let brokenLines = 0;
+            for (const line of lines) {
+                if (!line.trim()) continue;
+
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry && entry.id && entry.type) {
+                        this.entries.push(entry);
+                    }
+                } catch (error) {
+                    brokenLines++;
+                }
+            }
+
+            this.entries.sort((a, b) => a.seq - b.seq);
+            this.nextSeq = this.entries.length > 0 ? this.entries[this.entries.length - 1].seq + 1 : 1;
+
+            // Abgeschnittene letzte Zeile entfernen, sonst hängt der nächste Eintrag daran an
+            if (brokenLines > 0) {
+                console.warn(`⚠️ ${brokenLines} defekte Zeile(n) im Offline-Journal übersprungen`);
+                this.persist();
+            }
+        } catch (error) {
+            console.warn(`⚠️ Offline-Journal konnte nicht gelesen werden (${this.filePath}):`, error.message);
+        }
+    }
+
+    /**
+     * Eintrag anhängen und sofort auf die Festplatte schreiben (fsync - übersteht Absturz/Stromausfall)
+     * @param {string} type - Eintragstyp (siehe oben)
+     * @param {Object} data - Eintragsdaten
+     * @returns {Object} - Gespeicherter Eintrag
+     * @throws {Error} - Wenn das Journal nicht geschrieben werden kann
+     */
+    append(type, data) {
+        const entry = {
+            id: crypto.randomUUID(),
+            seq: this.nextSeq,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const fd = fs.openSync(this.filePath, 'a');
+        try {
+            fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this.nextSeq++;
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Ausstehende Einträge in Erfassungsreihenfolge
+     * @returns {Array}
+     */
+    getPending() {
+        return [...this.entries];
+    }
+
+    /**
+     * Anzahl ausstehender Einträge
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * Übertragenen (oder verworfenen) Eintrag entfernen
+     * @param {string} id - Eintrags-ID
+     * @returns {boolean} - Success
+     */
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.entries.splice(index, 1);
+        return this.persist();
+    }
+
+    /**
+     * Beim Nachtragen abgewiesenen Eintrag (z.B. Duplikat) archivieren und aus dem Journal entfernen
+     * Archiv: <journal>.rejected.jsonl - zur Nachkontrolle, wird nicht erneut übertragen
+     * @param {Object} entry - Journal-Eintrag
+     * @param {string} status - Status der Ablehnung
+     * @param {string} message - Meldung
+     * @returns {boolean} - Success
+     */
+    reject(entry, status, message) {
+        try {
+            const rejectedPath = this.filePath.replace(/\.jsonl$/, '') + '.rejected.jsonl';
+            const record = { ...entry, rejectedAt: new Date().toISOString(), status, message };
+            fs.appendFileSync(rejectedPath, `${JSON.stringify(record)}\n`, 'utf8');
+        } catch (error) {
+            console.error('Fehler beim Archivieren des abgewiesenen Journal-Eintrags:', error);
+        }
+
+        return this.remove(entry.id);
+    }
+
+    /**
+     * Verbleibende Einträge neu schreiben (erst temporär, dann umbenennen - kein halb geschriebenes Journal)
+     * @returns {boolean} - Success
+     */
+    persist() {
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            const content = this.entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, content, 'utf8');
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            console.error('Fehler beim Speichern des Offline-Journals:', error);
+            return false;
+        }
+    }
+}
+
+module.exports = OfflineJournal;
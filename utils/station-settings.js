@@ -0,0 +1,75 @@
+/**
+ * Lokale Stations-Einstellungen (z.B. Kamera-Profil)
+ * Gespeichert als JSON im Benutzerdaten-Verzeichnis der Anwendung, getrennt je Station (STATION_ID)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class StationSettings {
+    /**
+     * @param {string} filePath - Pfad der JSON-Datei
+     * @param {string} stationId - Stations-Kennung
+     */
+    constructor(filePath, stationId) {
+        this.filePath = filePath;
+        this.stationId = stationId;
+        this.data = { stations: {} };
+
+        this.load();
+    }
+
+    /**
+     * Einstellungen von der Festplatte laden (fehlende oder defekte Datei = leere Einstellungen)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.data = parsed && typeof parsed.stations === 'object' ? parsed : { stations: {} };
+        } catch (error) {
+            console.warn(`⚠️ Stations-Einstellungen konnten nicht gelesen werden (${this.filePath}):`, error.message);
+            this.data = { stations: {} };
+        }
+    }
+
+    /**
+     * Abschnitt der aktuellen Station abrufen
+     * @param {string} section - Abschnitt (z.B. 'camera')
+     * @returns {Object|null} - Gespeicherte Einstellungen oder null
+     */
+    getSection(section) {
+        const station = this.data.stations[this.stationId];
+        return station && station[section] ? station[section] : null;
+    }
+
+    /**
+     * Abschnitt der aktuellen Station speichern
+     * @param {string} section - Abschnitt (z.B. 'camera')
+     * @param {Object} value - Einstellungen
+     * @returns {boolean} - Success
+     */
+    setSection(section, value) {
+        const station = this.data.stations[this.stationId] || {};
+        station[section] = { ...value, updatedAt: new Date().toISOString() };
+        this.data.stations[this.stationId] = station;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            // Erst temporär schreiben, dann umbenennen - kein halb geschriebenes JSON bei Absturz
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            console.error('Fehler beim Speichern der Stations-Einstellungen:', error);
+            return false;
+        }
+    }
+}
+
+module.exports = StationSettings;